@@ -0,0 +1,8 @@
+-- 为分片记录 Telegram 消息ID和聊天ID，用于删除文件时同步删除 Telegram 消息
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+ALTER TABLE file_chunks ADD COLUMN telegram_message_id INTEGER;
+ALTER TABLE file_chunks ADD COLUMN telegram_chat_id TEXT;
+
+ALTER TABLE temp_chunks ADD COLUMN telegram_message_id INTEGER;
+ALTER TABLE temp_chunks ADD COLUMN telegram_chat_id TEXT;
@@ -0,0 +1,6 @@
+-- 记录上传每个分片的 Bot，用于多 Bot 池下载时选择对应的 Bot
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+ALTER TABLE file_chunks ADD COLUMN bot_id TEXT;
+
+ALTER TABLE temp_chunks ADD COLUMN bot_id TEXT;
@@ -0,0 +1,15 @@
+-- 记录每个分片所在的存储后端，并新增 D1 存储后端使用的分片数据表
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+-- 已有分片全部存储在 Telegram 中，新列默认值为 telegram
+
+ALTER TABLE file_chunks ADD COLUMN storage_backend TEXT NOT NULL DEFAULT 'telegram';
+
+ALTER TABLE temp_chunks ADD COLUMN storage_backend TEXT NOT NULL DEFAULT 'telegram';
+
+CREATE TABLE IF NOT EXISTS storage_blobs (
+    id TEXT NOT NULL,
+    part_index INTEGER NOT NULL,
+    data BLOB NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(id, part_index)
+);
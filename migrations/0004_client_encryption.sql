@@ -0,0 +1,4 @@
+-- 保存客户端端到端加密文件的密钥信封（文件密钥经口令派生的密钥加密后的 JSON）
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+ALTER TABLE files ADD COLUMN encrypted_key TEXT;
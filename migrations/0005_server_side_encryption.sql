@@ -0,0 +1,15 @@
+-- 服务端静态加密：文件记录保存主密钥ID和被主密钥包装的数据密钥，分片上传过程中的数据密钥暂存在 sse_upload_keys 中
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+ALTER TABLE files ADD COLUMN sse_key_id TEXT;
+
+ALTER TABLE files ADD COLUMN sse_wrapped_key TEXT;
+
+CREATE TABLE IF NOT EXISTS sse_upload_keys (
+    upload_id TEXT PRIMARY KEY,
+    key_id TEXT NOT NULL,
+    wrapped_key TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_files_sse_key_id ON files(sse_key_id);
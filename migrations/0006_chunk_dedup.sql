@@ -0,0 +1,21 @@
+-- 分片去重：分片记录保存存储数据的 SHA-256，chunk_hashes 记录每个存储位置的引用数
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+-- 已有分片没有哈希值，不参与去重，删除时直接删除存储数据
+
+ALTER TABLE file_chunks ADD COLUMN chunk_hash TEXT;
+
+ALTER TABLE temp_chunks ADD COLUMN chunk_hash TEXT;
+
+CREATE TABLE IF NOT EXISTS chunk_hashes (
+    hash TEXT PRIMARY KEY,
+    storage_backend TEXT NOT NULL,
+    telegram_file_id TEXT NOT NULL,
+    telegram_message_id INTEGER,
+    telegram_chat_id TEXT,
+    bot_id TEXT,
+    size INTEGER NOT NULL,
+    ref_count INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_chunks_chunk_hash ON file_chunks(chunk_hash);
@@ -0,0 +1,5 @@
+-- 记录文件内容的 SHA-256，用于下载时的完整性校验和 Digest 响应头
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+-- 已有文件没有哈希值，可调用 POST /api/files/:id/verify 校验并补记
+
+ALTER TABLE files ADD COLUMN sha256 TEXT;
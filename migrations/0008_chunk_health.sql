@@ -0,0 +1,21 @@
+-- 分片巡检：定时任务逐批检查分片是否仍可读取，结果记录在 chunk_health 表
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+CREATE TABLE IF NOT EXISTS chunk_health (
+    chunk_id INTEGER PRIMARY KEY,
+    file_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    failures INTEGER NOT NULL DEFAULT 0,
+    checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(chunk_id) REFERENCES file_chunks(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS maintenance_state (
+    name TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chunk_health_file_id ON chunk_health(file_id);
+CREATE INDEX IF NOT EXISTS idx_chunk_health_status ON chunk_health(status);
@@ -0,0 +1,13 @@
+-- 按分片压缩可压缩的内容：files.compression 记录压缩算法，stored_size 记录存储中实际占用的字节数
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+-- 已有文件未压缩，stored_size 为空
+
+ALTER TABLE files ADD COLUMN compression TEXT;
+
+ALTER TABLE files ADD COLUMN stored_size INTEGER;
+
+ALTER TABLE file_chunks ADD COLUMN stored_size INTEGER;
+
+ALTER TABLE temp_chunks ADD COLUMN stored_size INTEGER;
+
+ALTER TABLE temp_chunks ADD COLUMN compression TEXT;
@@ -0,0 +1,11 @@
+-- 缓存 Telegram getFile 返回的文件路径，重复下载同一分片时省去 getFile 请求
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+CREATE TABLE IF NOT EXISTS telegram_file_paths (
+    file_id TEXT PRIMARY KEY,
+    bot_id TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    expires_at DATETIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_telegram_file_paths_expires_at ON telegram_file_paths(expires_at);
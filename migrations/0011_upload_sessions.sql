@@ -0,0 +1,18 @@
+-- 分片上传会话：上传前先创建会话声明文件大小和分片大小，合并时按会话校验分片
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+-- 升级后没有会话的进行中上传无法继续，会在保留时长后被定时任务清理
+
+-- 分片上传会话：记录客户端声明的文件信息，分片上传和合并时据此校验
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id TEXT PRIMARY KEY,
+    file_name TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    chunk_size INTEGER NOT NULL,
+    total_chunks INTEGER NOT NULL,
+    folder_id INTEGER,
+    mime_type TEXT,
+    client_encrypted INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_created_at ON upload_sessions(created_at);
@@ -0,0 +1,6 @@
+-- 上传会话记录客户端附带的元数据（tus 的 Upload-Metadata）和合并得到的文件ID
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+ALTER TABLE upload_sessions ADD COLUMN metadata TEXT;
+
+ALTER TABLE upload_sessions ADD COLUMN file_id INTEGER;
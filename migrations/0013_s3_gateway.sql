@@ -0,0 +1,21 @@
+-- S3 兼容接口：访问密钥、分段上传记录，以及分段上传合并后重新编号的加密分片使用的原索引
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+CREATE TABLE IF NOT EXISTS s3_access_keys (
+    access_key_id TEXT PRIMARY KEY,
+    secret_access_key TEXT NOT NULL,
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS s3_multipart_uploads (
+    id TEXT PRIMARY KEY,
+    bucket TEXT NOT NULL,
+    object_key TEXT NOT NULL,
+    mime_type TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_s3_multipart_uploads_created_at ON s3_multipart_uploads(created_at);
+
+ALTER TABLE file_chunks ADD COLUMN sse_index INTEGER;
@@ -0,0 +1,9 @@
+-- Telegram Bot 命令：记录各聊天的当前目录（/cd）
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+CREATE TABLE IF NOT EXISTS bot_chat_state (
+    chat_id TEXT PRIMARY KEY,
+    folder_id INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(folder_id) REFERENCES folders(id) ON DELETE SET NULL
+);
@@ -0,0 +1,15 @@
+-- 导入 Telegram 聊天中已有的文档：Bot 的导入模式以及导入模式下收到的文档
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+ALTER TABLE bot_chat_state ADD COLUMN importing INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS bot_import_items (
+    chat_id TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    telegram_file_id TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT,
+    size INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(chat_id, message_id)
+);
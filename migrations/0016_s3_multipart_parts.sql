@@ -0,0 +1,12 @@
+-- 记录 S3 分段上传中各段的 ETag，完成上传时核对
+-- 仅用于升级已有数据库，新建数据库直接执行 schema.sql 即可
+
+CREATE TABLE IF NOT EXISTS s3_multipart_parts (
+    upload_id TEXT NOT NULL,
+    part_number INTEGER NOT NULL,
+    etag TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(upload_id, part_number),
+    FOREIGN KEY(upload_id) REFERENCES s3_multipart_uploads(id) ON DELETE CASCADE
+);
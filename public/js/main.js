@@ -6,6 +6,7 @@ import { FileManager } from './modules/fileManager.js';
 import { UIManager } from './modules/uiManager.js';
 import { ApiClient } from './modules/apiClient.js';
 import { NotificationManager } from './modules/notification.js';
+import { FileCrypto } from './modules/crypto.js';
 
 /**
  * 应用主类
@@ -20,6 +21,12 @@ class CloudGramApp {
 
         this.currentFolderId = null;
         this.breadcrumbPath = [];
+        // 当前目录中的文件，按ID索引
+        this.currentFiles = new Map();
+        // 加密口令只保存在内存中，刷新页面后需要重新输入
+        this.passphrase = null;
+        // 巡检发现存在不可读分片的文件，按ID索引
+        this.unhealthyFiles = new Map();
 
         this.init();
     }
@@ -65,11 +72,19 @@ class CloudGramApp {
         document.getElementById('uploadBtn').addEventListener('click', this.handleUploadClick.bind(this));
         document.getElementById('createFolderBtn').addEventListener('click', this.handleCreateFolderClick.bind(this));
         document.getElementById('refreshBtn').addEventListener('click', this.refreshCurrentDirectory.bind(this));
+        document.getElementById('healthBadge').addEventListener('click', this.showUnhealthyFiles.bind(this));
 
         // 文件输入
         const fileInput = document.getElementById('fileInput');
         fileInput.addEventListener('change', this.handleFileSelect.bind(this));
 
+        // 加密上传开关，记住上次的选择
+        const encryptToggle = document.getElementById('encryptToggle');
+        encryptToggle.checked = localStorage.getItem('encrypt_uploads') === 'true';
+        encryptToggle.addEventListener('change', () => {
+            localStorage.setItem('encrypt_uploads', encryptToggle.checked ? 'true' : 'false');
+        });
+
         // 模态框确认按钮
         document.getElementById('confirmCreateFolder').addEventListener('click', this.handleCreateFolder.bind(this));
         document.getElementById('confirmRename').addEventListener('click', this.handleRename.bind(this));
@@ -185,6 +200,7 @@ class CloudGramApp {
     async handleLogout() {
         try {
             await this.authManager.logout();
+            this.passphrase = null;
             this.showLoginPage();
             this.notification.info('已登出', '您已成功登出系统');
         } catch (error) {
@@ -216,12 +232,21 @@ class CloudGramApp {
      * @param {File[]} files - 要上传的文件列表
      */
     async uploadFiles(files) {
+        let passphrase = null;
+        if (document.getElementById('encryptToggle').checked) {
+            passphrase = await this.getPassphrase(true);
+            if (!passphrase) {
+                this.notification.warning('已取消上传', '加密上传需要输入口令');
+                return;
+            }
+        }
+
         this.uiManager.showLoading('正在上传...');
         for (const file of files) {
             try {
                 await this.fileManager.uploadFile(file, this.currentFolderId, (progress) => {
                     this.uiManager.updateUploadProgress && this.uiManager.updateUploadProgress(file.name, progress);
-                });
+                }, { passphrase });
 
                 this.notification.success('上传成功', `文件 ${file.name} 上传完成`);
             } catch (error) {
@@ -245,9 +270,11 @@ class CloudGramApp {
                 if (error.url) errorDetails.url = error.url;
                 if (error.method) errorDetails.method = error.method;
 
+                // 分片上传的进度已保存时提示用户可以续传
+                const resumeHint = error.resumable ? '。已上传的部分已保存，重新选择同一文件可继续上传' : '';
                 this.notification.error(
                     '上传失败',
-                    `文件 ${file.name} 上传失败：${error.message}`,
+                    `文件 ${file.name} 上传失败：${error.message}${resumeHint}`,
                     8000,  // 显示时间更长
                     errorDetails
                 );
@@ -258,6 +285,26 @@ class CloudGramApp {
         await this.refreshCurrentDirectory();
     }
 
+    /**
+     * 获取加密口令，未输入过时弹出口令对话框
+     * @param {boolean} isNew - 是否用于加密新文件，首次设置口令时需要再次输入确认
+     * @returns {Promise<string|null>} - 口令，取消时返回 null
+     */
+    async getPassphrase(isNew = false) {
+        if (this.passphrase) {
+            return this.passphrase;
+        }
+
+        const message = isNew
+            ? '文件将在浏览器中加密后上传，服务器无法读取文件内容。请牢记口令，遗失后文件将无法解密。'
+            : '此文件已加密，请输入上传时使用的口令。';
+        const passphrase = await this.uiManager.promptPassphrase('输入加密口令', message, { confirm: isNew });
+        if (passphrase) {
+            this.passphrase = passphrase;
+        }
+        return passphrase;
+    }
+
     /**
      * 处理创建文件夹按钮点击
      */
@@ -472,7 +519,10 @@ class CloudGramApp {
         try {
             this.uiManager.showLoading();
 
-            const data = await this.fileManager.getDirectoryContents(folderId);
+            const [data] = await Promise.all([
+                this.fileManager.getDirectoryContents(folderId),
+                this.loadStorageHealth()
+            ]);
             this.currentFolderId = folderId;
 
             // 更新面包屑导航
@@ -501,6 +551,37 @@ class CloudGramApp {
         }
     }
 
+    /**
+     * 加载存储健康报告，更新工具栏上的分片丢失提示
+     * 获取失败不影响目录的加载
+     */
+    async loadStorageHealth() {
+        try {
+            const report = await this.apiClient.getStorageHealth();
+            this.unhealthyFiles = new Map(
+                report.files
+                    .filter(file => file.unreachableChunks > 0)
+                    .map(file => [file.id, file])
+            );
+        } catch (error) {
+            console.error('获取存储健康报告失败:', error);
+            this.unhealthyFiles = new Map();
+        }
+
+        document.getElementById('healthBadgeCount').textContent = this.unhealthyFiles.size;
+        document.getElementById('healthBadge').style.display = this.unhealthyFiles.size > 0 ? 'inline-block' : 'none';
+    }
+
+    /**
+     * 显示存在不可读分片的文件列表
+     */
+    showUnhealthyFiles() {
+        const names = [...this.unhealthyFiles.values()]
+            .map(file => `${file.name}（${file.unreachableChunks} 个分片）`)
+            .join('、');
+        this.notification.warning('以下文件的分片已无法读取', names, 10000);
+    }
+
     /**
      * 更新面包屑导航
      */
@@ -579,6 +660,7 @@ class CloudGramApp {
         });
 
         // 渲染文件
+        this.currentFiles = new Map(files.map(file => [file.id, file]));
         files.forEach(file => {
             const fileElement = this.createFileElement(file);
             fileList.appendChild(fileElement);
@@ -615,14 +697,21 @@ class CloudGramApp {
      * 创建文件元素
      */
     createFileElement(file) {
+        // 加密文件显示解密后的大小
+        const size = file.encrypted_key ? FileCrypto.plainSize(file.size) : file.size;
         const div = document.createElement('div');
         div.className = 'file-item';
         div.innerHTML = `
             <div class="file-icon">${this.getFileIcon(file.mime_type)}</div>
             <div class="file-info">
-                <div class="file-name">${this.escapeHtml(file.name)}</div>
+                <div class="file-name">
+                    ${this.escapeHtml(file.name)}
+                    ${file.encrypted_key ? '<span class="encrypted-badge" title="端到端加密">🔒 已加密</span>' : ''}
+                    ${this.unhealthyFiles.has(file.id) ? `<span class="unhealthy-badge" title="巡检发现 ${this.unhealthyFiles.get(file.id).unreachableChunks} 个分片无法读取">⚠️ 分片丢失</span>` : ''}
+                </div>
                 <div class="file-meta">
-                    <span>大小: ${this.formatFileSize(file.size)}</span>
+                    <span>大小: ${this.formatFileSize(size)}</span>
+                    ${this.formatStoredSize(file)}
                     <span>上传时间: ${this.formatDate(file.created_at)}</span>
                 </div>
             </div>
@@ -636,16 +725,41 @@ class CloudGramApp {
         return div;
     }
 
+    /**
+     * 显示文件在存储中实际占用的大小（压缩或加密后与文件大小不同时）
+     */
+    formatStoredSize(file) {
+        if (file.stored_size == null || file.stored_size === file.size) {
+            return '';
+        }
+        const label = file.compression ? `已压缩(${file.compression})` : '存储';
+        return `<span title="存储中实际占用的字节数: ${file.stored_size}">${label}: ${this.formatFileSize(file.stored_size)}</span>`;
+    }
+
     /**
      * 下载文件
      */
     async downloadFile(fileId, fileName) {
+        const file = this.currentFiles.get(fileId);
+        const encryptedKey = file ? file.encrypted_key : null;
+        let passphrase = null;
+        if (encryptedKey) {
+            passphrase = await this.getPassphrase();
+            if (!passphrase) {
+                return;
+            }
+        }
+
         this.uiManager.showLoading('正在下载...');
         try {
             this.notification.info('开始下载', `正在准备下载 ${fileName}...`);
-            await this.fileManager.downloadFile(fileId, fileName);
+            await this.fileManager.downloadFile(fileId, fileName, null, { encryptedKey, passphrase });
             this.notification.success('下载完成', `文件 ${fileName} 下载完成`);
         } catch (error) {
+            if (error.name === 'PassphraseError') {
+                // 清除错误的口令，下次下载时重新输入
+                this.passphrase = null;
+            }
             this.notification.error('下载失败', `文件 ${fileName} 下载失败：${error.message}`);
         } finally {
             this.uiManager.hideLoading();
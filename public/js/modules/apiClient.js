@@ -128,6 +128,65 @@ export class ApiClient {
         return this.request(url, config);
     }
 
+    /**
+     * 用 XMLHttpRequest 上传表单，报告已发送的字节数
+     * fetch 无法获取上传进度，错误对象的字段与 request 保持一致
+     * @param {string} url - 请求路径
+     * @param {FormData} formData - 表单数据
+     * @param {Function} onProgress - 进度回调，参数为 (已发送字节数, 总字节数)
+     * @returns {Promise<Object>} - 响应 JSON
+     */
+    postFormWithProgress(url, formData, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            const createError = (message) => {
+                const error = new Error(message);
+                error.url = `${this.baseUrl}${url}`;
+                error.method = 'POST';
+                error.timestamp = new Date().toISOString();
+                return error;
+            };
+
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) {
+                    onProgress(e.loaded, e.total);
+                }
+            });
+
+            xhr.addEventListener('load', () => {
+                let data = null;
+                try {
+                    data = JSON.parse(xhr.responseText);
+                } catch (e) {
+                    // 非 JSON 响应，下面按状态码处理
+                }
+
+                if (xhr.status >= 200 && xhr.status < 300 && data) {
+                    resolve(data);
+                    return;
+                }
+
+                const error = createError(data?.message || `HTTP ${xhr.status}: ${xhr.statusText || '无效的JSON响应'}`);
+                if (data?.details) {
+                    error.details = data.details;
+                }
+                error.status = xhr.status;
+                error.statusText = xhr.statusText;
+                error.retryAfter = parseInt(xhr.getResponseHeader('Retry-After'), 10) || null;
+                reject(error);
+            });
+
+            xhr.addEventListener('error', () => reject(createError('网络错误，上传失败')));
+            xhr.addEventListener('abort', () => reject(createError('上传已取消')));
+
+            xhr.open('POST', `${this.baseUrl}${url}`);
+            if (this.token) {
+                xhr.setRequestHeader('Authorization', `Bearer ${this.token}`);
+            }
+            xhr.send(formData);
+        });
+    }
+
     /**
      * PUT 请求
      */
@@ -175,14 +234,19 @@ export class ApiClient {
      * @param {File} file - 要上传的文件
      * @param {string|null} folderId - 目标文件夹ID
      * @param {Function|null} onProgress - 进度回调函数
+     * @param {Object} options - 上传选项
+     * @param {string|null} options.encryptedKey - 客户端加密文件的密钥信封
      * @returns {Promise<Object>} - 上传结果
      */
-    async uploadFile(file, folderId = null, onProgress = null) {
+    async uploadFile(file, folderId = null, onProgress = null, options = {}) {
         const formData = new FormData();
         formData.append('file', file);
         if (folderId) {
             formData.append('folder_id', folderId);
         }
+        if (options.encryptedKey) {
+            formData.append('encrypted_key', options.encryptedKey);
+        }
 
         // 如果需要进度回调，使用 XMLHttpRequest
         if (onProgress) {
@@ -295,73 +359,87 @@ export class ApiClient {
         }
     }
 
+    /**
+     * 创建分片上传会话
+     * @param {Object} sessionData - 会话数据
+     * @param {string} sessionData.fileName - 文件名
+     * @param {number} sessionData.fileSize - 上传的总字节数（加密时为密文大小）
+     * @param {number} sessionData.chunkSize - 除最后一个分片外每个分片的字节数
+     * @param {string|null} sessionData.folderId - 目标文件夹ID
+     * @param {string|null} sessionData.mimeType - 原始文件的 MIME 类型（服务器据此决定是否压缩）
+     * @param {boolean} sessionData.clientEncrypted - 是否为客户端加密的文件
+     * @returns {Promise<Object>} - 上传会话 { uploadId, totalChunks, ... }
+     */
+    async createUploadSession(sessionData) {
+        return this.post('/api/uploads', {
+            file_name: sessionData.fileName,
+            file_size: sessionData.fileSize,
+            chunk_size: sessionData.chunkSize,
+            folder_id: sessionData.folderId,
+            mime_type: sessionData.mimeType,
+            client_encrypted: sessionData.clientEncrypted
+        });
+    }
+
     /**
      * 上传文件分片
      * @param {Object} chunkData - 分片数据
      * @param {File} chunkData.file - 分片文件
-     * @param {string} chunkData.uploadId - 上传ID
+     * @param {string} chunkData.uploadId - 上传会话ID
      * @param {number} chunkData.chunkIndex - 分片索引
-     * @param {number} chunkData.totalChunks - 总分片数
-     * @param {string} chunkData.originalFileName - 原始文件名
-     * @param {number} chunkData.originalFileSize - 原始文件大小
-     * @param {string|null} chunkData.folderId - 目标文件夹ID
+     * @param {Function|null} onProgress - 进度回调，参数为 (已发送字节数, 总字节数)
      * @returns {Promise<Object>} - 分片上传结果
      */
-    async uploadFileChunk(chunkData) {
+    async uploadFileChunk(chunkData, onProgress = null) {
         const formData = new FormData();
         formData.append('chunk', chunkData.file);
         formData.append('upload_id', chunkData.uploadId);
         formData.append('chunk_index', chunkData.chunkIndex.toString());
-        formData.append('total_chunks', chunkData.totalChunks.toString());
-        formData.append('original_file_name', chunkData.originalFileName);
-        formData.append('original_file_size', chunkData.originalFileSize.toString());
-
-        if (chunkData.folderId) {
-            formData.append('folder_id', chunkData.folderId);
-        }
 
         try {
-            const result = await this.post('/api/files/chunk', formData);
+            const result = onProgress
+                ? await this.postFormWithProgress('/api/files/chunk', formData, onProgress)
+                : await this.post('/api/files/chunk', formData);
             return result;
         } catch (error) {
             // 添加分片信息到错误对象
             error.uploadId = chunkData.uploadId;
             error.chunkIndex = chunkData.chunkIndex;
-            error.originalFileName = chunkData.originalFileName;
             throw error;
         }
     }
 
     /**
      * 合并文件分片
+     * 文件名、大小、文件夹等信息以创建会话时声明的为准
      * @param {Object} mergeData - 合并数据
-     * @param {string} mergeData.uploadId - 上传ID
-     * @param {string} mergeData.fileName - 文件名
-     * @param {number} mergeData.fileSize - 文件大小
-     * @param {string} mergeData.mimeType - MIME类型
-     * @param {string|null} mergeData.folderId - 目标文件夹ID
-     * @param {Array} mergeData.chunks - 分片信息数组
+     * @param {string} mergeData.uploadId - 上传会话ID
+     * @param {string|null} mergeData.encryptedKey - 客户端加密文件的密钥信封
      * @returns {Promise<Object>} - 合并结果
      */
     async mergeFileChunks(mergeData) {
         try {
             const result = await this.post('/api/files/merge', {
                 upload_id: mergeData.uploadId,
-                file_name: mergeData.fileName,
-                file_size: mergeData.fileSize,
-                mime_type: mergeData.mimeType,
-                folder_id: mergeData.folderId,
-                chunks: mergeData.chunks
+                encrypted_key: mergeData.encryptedKey || null
             });
             return result;
         } catch (error) {
             // 添加合并信息到错误对象
             error.uploadId = mergeData.uploadId;
-            error.fileName = mergeData.fileName;
             throw error;
         }
     }
 
+    /**
+     * 获取分片上传的进度（服务器上已保存的分片）
+     * @param {string} uploadId - 上传ID
+     * @returns {Promise<Object>} - { uploadId, exists, chunkIndexes, uploadedBytes, chunks }
+     */
+    async getUploadStatus(uploadId) {
+        return this.get(`/api/uploads/${encodeURIComponent(uploadId)}`);
+    }
+
     /**
      * 清理失败的上传
      * @param {string} uploadId - 上传ID
@@ -482,6 +560,13 @@ export class ApiClient {
         return this.get(`/api/folders/${folderId}`);
     }
 
+    /**
+     * 获取存储健康报告（存在不可读分片的文件）
+     */
+    async getStorageHealth() {
+        return this.get('/api/admin/health');
+    }
+
     // ========== 工具方法 ==========
 
     /**
@@ -0,0 +1,226 @@
+// 加密模块
+// 使用 WebCrypto 在浏览器中对文件进行端到端加密，服务器和 Telegram 只能看到密文
+//
+// 文件格式：明文按 SEGMENT_SIZE 分段，每段独立使用 AES-GCM 加密，密文段为 IV(12 字节) + 密文 + 认证标签(16 字节)。
+// 段序号和是否为最后一段作为附加认证数据，防止密文段被重排或截断。
+// 每个文件使用随机生成的文件密钥，文件密钥再用口令经 PBKDF2 派生的密钥加密（包装）后保存在服务器上。
+
+// 明文分段大小
+export const SEGMENT_SIZE = 1024 * 1024; // 1MB
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// 每个密文段比明文段多出的字节数
+export const SEGMENT_OVERHEAD = IV_LENGTH + TAG_LENGTH;
+
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const SALT_LENGTH = 16;
+
+/**
+ * 口令错误或密钥数据损坏时抛出的错误
+ */
+export class PassphraseError extends Error {
+    constructor(message = '口令错误，无法解密文件密钥') {
+        super(message);
+        this.name = 'PassphraseError';
+    }
+}
+
+export class FileCrypto {
+    /**
+     * 计算明文加密后的大小
+     * @param {number} plainSize - 明文大小（字节）
+     * @returns {number} - 密文大小（字节）
+     */
+    static encryptedSize(plainSize) {
+        // 空文件也会生成一个密文段，用于检测截断
+        const segments = Math.max(1, Math.ceil(plainSize / SEGMENT_SIZE));
+        return plainSize + segments * SEGMENT_OVERHEAD;
+    }
+
+    /**
+     * 根据密文大小计算明文大小
+     * @param {number} encryptedSize - 密文大小（字节）
+     * @returns {number} - 明文大小（字节）
+     */
+    static plainSize(encryptedSize) {
+        const segments = Math.max(1, Math.ceil(encryptedSize / (SEGMENT_SIZE + SEGMENT_OVERHEAD)));
+        return Math.max(0, encryptedSize - segments * SEGMENT_OVERHEAD);
+    }
+
+    /**
+     * 生成文件密钥
+     * @returns {Promise<CryptoKey>} - AES-GCM 256 位密钥
+     */
+    async generateFileKey() {
+        return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * 使用口令派生包装密钥
+     * @param {string} passphrase - 口令
+     * @param {Uint8Array} salt - 盐
+     * @param {number} iterations - PBKDF2 迭代次数
+     * @returns {Promise<CryptoKey>} - 包装密钥
+     */
+    async deriveWrappingKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    /**
+     * 用口令包装文件密钥
+     * @param {CryptoKey} fileKey - 文件密钥
+     * @param {string} passphrase - 口令
+     * @returns {Promise<string>} - 密钥信封（JSON 字符串），保存在文件记录中
+     */
+    async wrapFileKey(fileKey, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+        const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const wrappingKey = await this.deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const wrappedKey = await crypto.subtle.wrapKey('raw', fileKey, wrappingKey, { name: 'AES-GCM', iv });
+
+        return JSON.stringify({
+            v: ENVELOPE_VERSION,
+            alg: 'AES-GCM-256',
+            kdf: 'PBKDF2-SHA256',
+            iterations: PBKDF2_ITERATIONS,
+            segmentSize: SEGMENT_SIZE,
+            salt: toBase64(salt),
+            iv: toBase64(iv),
+            key: toBase64(new Uint8Array(wrappedKey))
+        });
+    }
+
+    /**
+     * 用口令解开文件密钥
+     * @param {string} envelopeJson - 密钥信封（JSON 字符串）
+     * @param {string} passphrase - 口令
+     * @returns {Promise<CryptoKey>} - 文件密钥
+     */
+    async unwrapFileKey(envelopeJson, passphrase) {
+        const envelope = JSON.parse(envelopeJson);
+        if (envelope.v !== ENVELOPE_VERSION) {
+            throw new Error(`不支持的加密格式版本: ${envelope.v}`);
+        }
+
+        const wrappingKey = await this.deriveWrappingKey(passphrase, fromBase64(envelope.salt), envelope.iterations);
+        try {
+            return await crypto.subtle.unwrapKey(
+                'raw',
+                fromBase64(envelope.key),
+                wrappingKey,
+                { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            // AES-GCM 认证失败说明口令错误
+            throw new PassphraseError();
+        }
+    }
+
+    /**
+     * 加密一段数据
+     * @param {Blob} blob - 明文数据，起点必须与分段边界对齐
+     * @param {CryptoKey} fileKey - 文件密钥
+     * @param {Object} options - 选项
+     * @param {number} options.firstSegment - 第一段在整个文件中的段序号
+     * @param {boolean} options.isLast - 是否包含文件的最后一段
+     * @returns {Promise<Blob>} - 密文数据
+     */
+    async encryptBlob(blob, fileKey, { firstSegment = 0, isLast = true } = {}) {
+        const segments = Math.max(1, Math.ceil(blob.size / SEGMENT_SIZE));
+        const parts = [];
+
+        for (let i = 0; i < segments; i++) {
+            const plain = await blob.slice(i * SEGMENT_SIZE, (i + 1) * SEGMENT_SIZE).arrayBuffer();
+            const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+            const cipher = await crypto.subtle.encrypt(
+                {
+                    name: 'AES-GCM',
+                    iv,
+                    additionalData: segmentAad(firstSegment + i, isLast && i === segments - 1)
+                },
+                fileKey,
+                plain
+            );
+            parts.push(iv, new Uint8Array(cipher));
+        }
+
+        return new Blob(parts);
+    }
+
+    /**
+     * 解密整个文件
+     * @param {Blob} blob - 密文数据
+     * @param {CryptoKey} fileKey - 文件密钥
+     * @param {string} mimeType - 明文的 MIME 类型
+     * @returns {Promise<Blob>} - 明文数据
+     */
+    async decryptBlob(blob, fileKey, mimeType = '') {
+        const segmentLength = SEGMENT_SIZE + SEGMENT_OVERHEAD;
+        const segments = Math.max(1, Math.ceil(blob.size / segmentLength));
+        const parts = [];
+
+        for (let i = 0; i < segments; i++) {
+            const segment = new Uint8Array(await blob.slice(i * segmentLength, (i + 1) * segmentLength).arrayBuffer());
+            if (segment.length < SEGMENT_OVERHEAD) {
+                throw new Error('密文数据不完整');
+            }
+
+            try {
+                const plain = await crypto.subtle.decrypt(
+                    {
+                        name: 'AES-GCM',
+                        iv: segment.subarray(0, IV_LENGTH),
+                        additionalData: segmentAad(i, i === segments - 1)
+                    },
+                    fileKey,
+                    segment.subarray(IV_LENGTH)
+                );
+                parts.push(new Uint8Array(plain));
+            } catch (error) {
+                throw new Error(`第 ${i + 1} 段密文校验失败，文件可能已损坏或被篡改`);
+            }
+        }
+
+        return new Blob(parts, { type: mimeType });
+    }
+}
+
+/**
+ * 生成密文段的附加认证数据：段序号（4 字节）+ 是否为最后一段（1 字节）
+ */
+function segmentAad(index, isLast) {
+    const aad = new Uint8Array(5);
+    new DataView(aad.buffer).setUint32(0, index);
+    aad[4] = isLast ? 1 : 0;
+    return aad;
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function fromBase64(value) {
+    return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+}
@@ -1,9 +1,26 @@
 // 文件管理模块
 // 负责文件和文件夹的操作管理
 
+import { FileCrypto, SEGMENT_SIZE } from './crypto.js';
+import { UploadStore } from './uploadStore.js';
+
+// 分片上传失败后的重试等待时间（毫秒），按指数增长
+const CHUNK_RETRY_BASE_DELAY = 1000;
+const CHUNK_RETRY_MAX_DELAY = 30000;
+
 export class FileManager {
-    constructor(apiClient) {
+    /**
+     * @param {ApiClient} apiClient - API 客户端
+     * @param {Object} options - 可选配置
+     * @param {number} options.chunkConcurrency - 同时上传的分片数
+     * @param {number} options.chunkRetries - 单个分片失败后的最大重试次数
+     */
+    constructor(apiClient, options = {}) {
         this.apiClient = apiClient;
+        this.crypto = new FileCrypto();
+        this.uploadStore = new UploadStore();
+        this.chunkConcurrency = options.chunkConcurrency || 3;
+        this.chunkRetries = options.chunkRetries ?? 3;
     }
 
     /**
@@ -138,9 +155,11 @@ export class FileManager {
      * @param {File} file - 要上传的文件
      * @param {string|null} folderId - 目标文件夹ID
      * @param {Function|null} onProgress - 进度回调函数
+     * @param {Object} options - 上传选项
+     * @param {string|null} options.passphrase - 加密口令，提供时在浏览器中加密后再上传
      * @returns {Promise<Object>} - 上传结果
      */
-    async uploadFile(file, folderId = null, onProgress = null) {
+    async uploadFile(file, folderId = null, onProgress = null, options = {}) {
         try {
             // 验证文件
             this.validateFile(file);
@@ -151,7 +170,14 @@ export class FileManager {
             if (file.size > CHUNK_THRESHOLD) {
                 console.log(`文件大小 ${this.formatFileSize(file.size)} 超过阈值${CHUNK_THRESHOLD}，使用分片上传`);
                 // 使用分片上传
-                return await this.uploadFileWithChunks(file, folderId, onProgress);
+                return await this.uploadFileWithChunks(file, folderId, onProgress, options);
+            } else if (options.passphrase) {
+                console.log(`文件大小 ${this.formatFileSize(file.size)} 未超过阈值，加密后使用普通上传`);
+                const fileKey = await this.crypto.generateFileKey();
+                const encryptedKey = await this.crypto.wrapFileKey(fileKey, options.passphrase);
+                const encrypted = await this.crypto.encryptBlob(file, fileKey);
+                const encryptedFile = new File([encrypted], file.name, { type: file.type });
+                return await this.apiClient.uploadFile(encryptedFile, folderId, onProgress, { encryptedKey });
             } else {
                 console.log(`文件大小 ${this.formatFileSize(file.size)} 未超过阈值，使用普通上传`);
                 // 使用普通上传
@@ -178,6 +204,8 @@ export class FileManager {
                 if (error.method) newError.method = error.method;
                 if (error.details) newError.details = error.details;
                 if (error.timestamp) newError.timestamp = error.timestamp;
+                if (error.uploadId) newError.uploadId = error.uploadId;
+                if (error.resumable) newError.resumable = error.resumable;
 
                 throw newError;
             }
@@ -186,81 +214,172 @@ export class FileManager {
 
     /**
      * 分片上传文件
+     * 多个分片并发上传，失败的分片按指数退避重试，重试次数用完后整个上传才失败；
+     * 上传状态保存在 IndexedDB 中，上传中断（页面关闭、网络错误）后重新选择同一文件会跳过服务器上已有的分片继续上传
      * @param {File} file - 要上传的文件
      * @param {string|null} folderId - 目标文件夹ID
      * @param {Function|null} onProgress - 进度回调函数
+     * @param {Object} options - 上传选项
+     * @param {string|null} options.passphrase - 加密口令，提供时逐个分片加密后再上传
+     * @param {number} options.concurrency - 同时上传的分片数，默认使用构造时的配置
      * @returns {Promise<Object>} - 上传结果
      */
-    async uploadFileWithChunks(file, folderId = null, onProgress = null) {
-        const CHUNK_SIZE = 20 * 1024 * 1024; // 20MB per chunk
+    async uploadFileWithChunks(file, folderId = null, onProgress = null, options = {}) {
+        const encrypt = !!options.passphrase;
+        // 客户端和服务端加密都会让分片略微变大，留出余量保证存储的分片不超过 Telegram 20MB 的下载限制；
+        // 分片大小是加密段大小的整数倍，保证每个分片都从加密段边界开始
+        const CHUNK_SIZE = 19 * SEGMENT_SIZE; // 19MB per chunk
         const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
-        const uploadId = this.generateUploadId();
+        const storedSize = encrypt ? FileCrypto.encryptedSize(file.size) : file.size;
+        const resumeKey = UploadStore.createKey(file, folderId, encrypt);
+
+        const resumed = await this.loadResumableUpload(resumeKey, CHUNK_SIZE, options.passphrase);
 
-        console.log(`开始分片上传: ${file.name}, 大小: ${this.formatFileSize(file.size)}, 分片数: ${totalChunks}`);
+        console.log(`开始分片上传: ${file.name}, 大小: ${this.formatFileSize(file.size)}, 分片数: ${totalChunks}${encrypt ? '（加密）' : ''}`);
 
+        let uploadId = resumed ? resumed.uploadId : null;
+        let merging = false;
         try {
-            const uploadedChunks = [];
+            // 新上传先创建会话，服务器按声明的大小校验每个分片；加密时每个完整分片的密文大小相同
+            if (!uploadId) {
+                const session = await this.apiClient.createUploadSession({
+                    fileName: file.name,
+                    fileSize: storedSize,
+                    chunkSize: encrypt ? FileCrypto.encryptedSize(CHUNK_SIZE) : CHUNK_SIZE,
+                    folderId: folderId,
+                    // 服务器据此决定是否压缩分片，加密的分片无法压缩
+                    mimeType: file.type || null,
+                    clientEncrypted: encrypt
+                });
+                uploadId = session.uploadId;
+            }
+
+            let fileKey = resumed ? resumed.fileKey : null;
+            let encryptedKey = resumed ? resumed.encryptedKey : null;
+            if (encrypt && !fileKey) {
+                fileKey = await this.crypto.generateFileKey();
+                encryptedKey = await this.crypto.wrapFileKey(fileKey, options.passphrase);
+            }
+
+            if (!resumed) {
+                await this.uploadStore.save({
+                    key: resumeKey,
+                    uploadId,
+                    fileName: file.name,
+                    chunkSize: CHUNK_SIZE,
+                    totalChunks,
+                    encryptedKey,
+                    createdAt: Date.now()
+                });
+            }
+
+            // 按分片索引保存上传结果，续传时先填入服务器上已有的分片
+            const uploadedChunks = new Array(totalChunks);
             let uploadedBytes = 0;
+            for (const chunk of resumed ? resumed.chunks : []) {
+                if (chunk.chunkIndex < totalChunks) {
+                    uploadedChunks[chunk.chunkIndex] = chunk;
+                    uploadedBytes += Math.min(CHUNK_SIZE, file.size - chunk.chunkIndex * CHUNK_SIZE);
+                }
+            }
+            if (resumed) {
+                console.log(`续传分片上传: ${uploadId}, 已上传 ${resumed.chunks.length}/${totalChunks} 个分片`);
+                if (onProgress) {
+                    onProgress((uploadedBytes / file.size) * 100);
+                }
+            }
 
-            // 逐个上传分片
-            for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+            // 进度按服务器实际收到的字节计算：已完成分片的字节数加上正在上传的分片已发送的字节数
+            const inFlightBytes = new Map();
+            const reportProgress = () => {
+                if (onProgress) {
+                    let bytes = uploadedBytes;
+                    for (const loaded of inFlightBytes.values()) {
+                        bytes += loaded;
+                    }
+                    onProgress(Math.min(100, (bytes / file.size) * 100));
+                }
+            };
+
+            const uploadChunk = async (chunkIndex) => {
                 const start = chunkIndex * CHUNK_SIZE;
                 const end = Math.min(start + CHUNK_SIZE, file.size);
                 const chunkBlob = file.slice(start, end);
 
                 console.log(`上传分片 ${chunkIndex + 1}/${totalChunks}: ${this.formatFileSize(chunkBlob.size)}`);
 
+                // 加密分片，段序号在整个文件内连续
+                const uploadBlob = encrypt
+                    ? await this.crypto.encryptBlob(chunkBlob, fileKey, {
+                        firstSegment: start / SEGMENT_SIZE,
+                        isLast: chunkIndex === totalChunks - 1
+                    })
+                    : chunkBlob;
+
                 // 创建分片文件对象
-                const chunkFile = new File([chunkBlob], `${file.name}.chunk.${chunkIndex}`, {
+                const chunkFile = new File([uploadBlob], `${file.name}.chunk.${chunkIndex}`, {
                     type: file.type
                 });
 
-                // 上传分片
-                const chunkResult = await this.apiClient.uploadFileChunk({
-                    file: chunkFile,
-                    uploadId: uploadId,
-                    chunkIndex: chunkIndex,
-                    totalChunks: totalChunks,
-                    originalFileName: file.name,
-                    originalFileSize: file.size,
-                    folderId: folderId
+                // 上传分片，失败时重新发送整个分片
+                const chunkResult = await this.retryChunkUpload(chunkIndex, totalChunks, () => {
+                    inFlightBytes.set(chunkIndex, 0);
+                    reportProgress();
+                    return this.apiClient.uploadFileChunk({
+                        file: chunkFile,
+                        uploadId: uploadId,
+                        chunkIndex: chunkIndex
+                    }, (loaded, total) => {
+                        // 已发送的字节包含表单头和加密开销，按比例换算为原文件的字节数
+                        inFlightBytes.set(chunkIndex, Math.floor(chunkBlob.size * (loaded / total)));
+                        reportProgress();
+                    });
                 });
 
-                uploadedChunks.push(chunkResult);
+                uploadedChunks[chunkIndex] = chunkResult;
+                inFlightBytes.delete(chunkIndex);
                 uploadedBytes += chunkBlob.size;
-
-                // 更新进度
-                if (onProgress) {
-                    const progress = (uploadedBytes / file.size) * 100;
-                    onProgress(progress);
-                }
+                reportProgress();
 
                 console.log(`分片 ${chunkIndex + 1}/${totalChunks} 上传完成`);
+            };
+
+            // 并发上传缺少的分片，任意分片最终失败后不再开始新的分片
+            const pending = [];
+            for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+                if (!uploadedChunks[chunkIndex]) {
+                    pending.push(chunkIndex);
+                }
             }
+            await this.runPool(pending, options.concurrency || this.chunkConcurrency, uploadChunk);
 
             console.log(`所有分片上传完成，开始合并文件`);
 
             // 通知后端合并分片
+            merging = true;
             const mergeResult = await this.apiClient.mergeFileChunks({
                 uploadId: uploadId,
-                fileName: file.name,
-                fileSize: file.size,
-                mimeType: file.type,
-                folderId: folderId,
-                chunks: uploadedChunks
+                encryptedKey
             });
 
+            await this.uploadStore.delete(resumeKey);
             console.log(`文件合并完成: ${file.name}`);
             return mergeResult;
 
         } catch (error) {
             console.error(`分片上传失败: ${file.name}`, error);
 
-            // 尝试清理已上传的分片
-            try {
-                await this.apiClient.cleanupFailedUpload(uploadId);
-            } catch (cleanupError) {
-                console.warn('清理失败的上传分片时出错:', cleanupError);
+            if (merging) {
+                // 合并失败时已上传的分片无法再使用，清理后下次重新上传
+                await this.uploadStore.delete(resumeKey);
+                try {
+                    await this.apiClient.cleanupFailedUpload(uploadId);
+                } catch (cleanupError) {
+                    console.warn('清理失败的上传分片时出错:', cleanupError);
+                }
+            } else if (uploadId) {
+                // 保留已上传的分片，重新选择同一文件即可继续上传；放弃的上传由服务器定时清理
+                console.log(`已保留上传进度，重新选择同一文件可继续上传: ${uploadId}`);
             }
 
             // 重新抛出原始错误
@@ -268,17 +387,104 @@ export class FileManager {
             newError.fileName = file.name;
             newError.fileSize = file.size;
             newError.uploadId = uploadId;
+            newError.resumable = !merging && !!uploadId;
             newError.timestamp = new Date().toISOString();
             throw newError;
         }
     }
 
     /**
-     * 生成唯一的上传ID
-     * @returns {string} - 上传ID
+     * 用固定数量的并发任务依次处理队列中的项目
+     * 任意一项失败后不再开始新的项目，等待进行中的项目结束后抛出第一个错误
+     * @param {Array} items - 待处理的项目
+     * @param {number} concurrency - 并发数
+     * @param {Function} worker - 处理单个项目的异步函数
      */
-    generateUploadId() {
-        return 'upload_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    async runPool(items, concurrency, worker) {
+        const queue = [...items];
+        let firstError = null;
+
+        const runNext = async () => {
+            while (queue.length > 0 && !firstError) {
+                const item = queue.shift();
+                try {
+                    await worker(item);
+                } catch (error) {
+                    firstError = firstError || error;
+                }
+            }
+        };
+
+        const workers = Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, runNext);
+        await Promise.all(workers);
+        if (firstError) {
+            throw firstError;
+        }
+    }
+
+    /**
+     * 上传单个分片，网络错误、限流和服务器错误时按指数退避重试
+     * @param {number} chunkIndex - 分片索引
+     * @param {number} totalChunks - 总分片数
+     * @param {Function} attempt - 发送一次分片的函数
+     * @returns {Promise<Object>} - 分片上传结果
+     */
+    async retryChunkUpload(chunkIndex, totalChunks, attempt) {
+        for (let retries = 0; ; retries++) {
+            try {
+                return await attempt();
+            } catch (error) {
+                // 没有状态码的是网络错误；其他 4xx（参数错误、未登录）重试也不会成功
+                const retryable = !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+                if (!retryable || retries >= this.chunkRetries) {
+                    throw error;
+                }
+
+                const backoff = Math.min(CHUNK_RETRY_BASE_DELAY * 2 ** retries, CHUNK_RETRY_MAX_DELAY);
+                const delay = error.retryAfter ? error.retryAfter * 1000 : backoff + Math.floor(Math.random() * CHUNK_RETRY_BASE_DELAY);
+                console.warn(`分片 ${chunkIndex + 1}/${totalChunks} 上传失败（${error.message}），${delay}ms 后进行第 ${retries + 1} 次重试`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * 查找可以续传的分片上传
+     * @param {string} resumeKey - 上传状态的键
+     * @param {number} chunkSize - 本次上传的分片大小，与记录不一致时无法续传
+     * @param {string|null} passphrase - 加密口令，加密上传续传时需要用它解开原来的文件密钥
+     * @returns {Promise<Object|null>} - { uploadId, chunks, fileKey, encryptedKey }，无法续传时返回 null
+     */
+    async loadResumableUpload(resumeKey, chunkSize, passphrase = null) {
+        const record = await this.uploadStore.get(resumeKey);
+        if (!record) {
+            return null;
+        }
+
+        try {
+            if (record.chunkSize !== chunkSize) {
+                throw new Error('分片大小已改变');
+            }
+
+            // 已上传的分片用原来的文件密钥加密，口令不同时无法续传
+            const fileKey = record.encryptedKey && passphrase
+                ? await this.crypto.unwrapFileKey(record.encryptedKey, passphrase)
+                : null;
+
+            const status = await this.apiClient.getUploadStatus(record.uploadId);
+            if (!status.exists) {
+                throw new Error('服务器上没有已保存的分片');
+            }
+            if (status.fileId) {
+                throw new Error('该上传已经完成');
+            }
+
+            return { uploadId: record.uploadId, chunks: status.chunks, fileKey, encryptedKey: record.encryptedKey };
+        } catch (error) {
+            console.warn(`无法续传上传 ${record.uploadId}，将重新上传:`, error);
+            await this.uploadStore.delete(resumeKey);
+            return null;
+        }
     }
 
     /**
@@ -381,20 +587,34 @@ export class FileManager {
      * @param {string} fileId - 文件ID
      * @param {string} fileName - 文件名
      * @param {Function|null} onProgress - 进度回调函数
+     * @param {Object} options - 下载选项
+     * @param {string|null} options.encryptedKey - 加密文件的密钥信封
+     * @param {string|null} options.passphrase - 解密口令
      * @returns {Promise<void>}
      */
-    async downloadFile(fileId, fileName, onProgress = null) {
+    async downloadFile(fileId, fileName, onProgress = null, options = {}) {
         try {
             console.log(`开始下载文件: ${fileName} (ID: ${fileId})`);
             const startTime = new Date().getTime();
 
+            // 先解开文件密钥，口令错误时无需下载文件
+            let fileKey = null;
+            if (options.encryptedKey) {
+                fileKey = await this.crypto.unwrapFileKey(options.encryptedKey, options.passphrase || '');
+            }
+
             // 调用API客户端下载文件
             const response = await this.apiClient.downloadFile(fileId, onProgress);
 
             // 创建下载链接
-            const blob = await response.blob();
+            let blob = await response.blob();
             console.log(`文件下载完成: ${fileName}, 大小: ${this.formatFileSize(blob.size)}`);
 
+            if (fileKey) {
+                blob = await this.crypto.decryptBlob(blob, fileKey, response.headers.get('Content-Type') || '');
+                console.log(`文件解密完成: ${fileName}, 大小: ${this.formatFileSize(blob.size)}`);
+            }
+
             const url = window.URL.createObjectURL(blob);
 
             // 触发下载
@@ -416,7 +636,7 @@ export class FileManager {
             console.error('下载文件失败:', error);
 
             // 保留原始错误的详细信息
-            if (error.message.includes('下载文件失败')) {
+            if (error.message.includes('下载文件失败') || error.name === 'PassphraseError') {
                 // 已经是格式化过的错误，直接抛出
                 throw error;
             } else {
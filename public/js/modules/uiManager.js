@@ -266,6 +266,96 @@ export class UIManager {
         document.addEventListener('keydown', escHandler);
     }
 
+    /**
+     * 显示口令输入对话框
+     * @param {string} title - 标题
+     * @param {string} message - 提示信息
+     * @param {Object} options - 选项
+     * @param {boolean} options.confirm - 是否要求再次输入口令确认（设置新口令时使用）
+     * @returns {Promise<string|null>} - 输入的口令，取消时返回 null
+     */
+    promptPassphrase(title, message, { confirm = false } = {}) {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>${title}</h3>
+                    </div>
+                    <div class="modal-body">
+                        <p class="passphrase-message">${message}</p>
+                        <div class="form-item">
+                            <label>口令</label>
+                            <input type="password" class="passphrase-input" placeholder="请输入口令" autocomplete="off">
+                        </div>
+                        ${confirm ? `
+                        <div class="form-item">
+                            <label>确认口令</label>
+                            <input type="password" class="passphrase-confirm" placeholder="请再次输入口令" autocomplete="off">
+                        </div>` : ''}
+                        <div class="error-message passphrase-error"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary confirm-cancel">取消</button>
+                        <button class="btn btn-primary confirm-ok">确认</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+            modal.style.display = 'flex';
+
+            const input = modal.querySelector('.passphrase-input');
+            const confirmInput = modal.querySelector('.passphrase-confirm');
+            const errorElement = modal.querySelector('.passphrase-error');
+            setTimeout(() => input.focus(), 100);
+
+            const keyHandler = (e) => {
+                if (e.key === 'Escape') {
+                    finish(null);
+                } else if (e.key === 'Enter') {
+                    submit();
+                }
+            };
+
+            const finish = (value) => {
+                document.removeEventListener('keydown', keyHandler);
+                document.body.removeChild(modal);
+                resolve(value);
+            };
+
+            const showError = (text) => {
+                errorElement.textContent = text;
+                errorElement.classList.add('show');
+            };
+
+            const submit = () => {
+                if (!input.value) {
+                    showError('请输入口令');
+                    return;
+                }
+                if (confirmInput && confirmInput.value !== input.value) {
+                    showError('两次输入的口令不一致');
+                    return;
+                }
+                finish(input.value);
+            };
+
+            modal.querySelector('.confirm-cancel').addEventListener('click', () => finish(null));
+            modal.querySelector('.confirm-ok').addEventListener('click', submit);
+
+            // 点击背景关闭
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    finish(null);
+                }
+            });
+
+            document.addEventListener('keydown', keyHandler);
+        });
+    }
+
     /**
      * 显示提示信息
      */
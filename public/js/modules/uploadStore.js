@@ -0,0 +1,117 @@
+// 上传状态存储模块
+// 在 IndexedDB 中保存未完成的分片上传，页面刷新或关闭后重新选择同一文件时可从中断处继续上传
+
+const DB_NAME = 'cloud-gram-store';
+const DB_VERSION = 1;
+const STORE_NAME = 'uploads';
+
+// 服务器默认保留未完成的分片上传 24 小时，超过 48 小时的记录肯定已无法续传
+const MAX_RECORD_AGE = 48 * 60 * 60 * 1000;
+
+export class UploadStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * 生成识别同一文件的键
+     * 浏览器无法获取文件路径，用文件名、大小、修改时间以及上传目标和是否加密来判断是否为同一次上传
+     * @param {File} file - 文件
+     * @param {string|null} folderId - 目标文件夹ID
+     * @param {boolean} encrypted - 是否加密上传
+     * @returns {string} - 键
+     */
+    static createKey(file, folderId, encrypted) {
+        return [file.name, file.size, file.lastModified, folderId || 'root', encrypted ? 'e2e' : 'plain'].join(':');
+    }
+
+    /**
+     * 打开数据库，浏览器不支持或禁用 IndexedDB（例如隐私模式）时返回 null
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('打开上传状态数据库失败，上传将无法续传:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * 在对象仓库上执行一次请求
+     * @param {string} mode - 事务模式
+     * @param {Function} operation - 接收对象仓库并返回 IDBRequest 的函数
+     * @returns {Promise<any>} - 请求结果，数据库不可用时返回 null
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result ?? null);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 获取未完成的上传记录，已过期的记录会被删除
+     * @param {string} key - 由 createKey 生成的键
+     * @returns {Promise<Object|null>} - 上传记录
+     */
+    async get(key) {
+        try {
+            const record = await this.run('readonly', store => store.get(key));
+            if (record && Date.now() - record.updatedAt > MAX_RECORD_AGE) {
+                await this.delete(key);
+                return null;
+            }
+            return record;
+        } catch (error) {
+            console.warn('读取上传状态失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存上传记录
+     * @param {Object} record - 上传记录，key 字段为由 createKey 生成的键
+     */
+    async save(record) {
+        try {
+            await this.run('readwrite', store => store.put({ ...record, updatedAt: Date.now() }));
+        } catch (error) {
+            console.warn('保存上传状态失败:', error);
+        }
+    }
+
+    /**
+     * 删除上传记录
+     * @param {string} key - 由 createKey 生成的键
+     */
+    async delete(key) {
+        try {
+            await this.run('readwrite', store => store.delete(key));
+        } catch (error) {
+            console.warn('删除上传状态失败:', error);
+        }
+    }
+}
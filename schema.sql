@@ -17,6 +17,12 @@ CREATE TABLE IF NOT EXISTS files (
     folder_id INTEGER,
     size INTEGER NOT NULL,
     mime_type TEXT,
+    encrypted_key TEXT,
+    sse_key_id TEXT,
+    sse_wrapped_key TEXT,
+    sha256 TEXT,
+    compression TEXT,
+    stored_size INTEGER,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY(folder_id) REFERENCES folders(id) ON DELETE CASCADE
@@ -29,11 +35,33 @@ CREATE TABLE IF NOT EXISTS file_chunks (
     chunk_index INTEGER NOT NULL,
     telegram_file_id TEXT NOT NULL,
     size INTEGER NOT NULL,
+    storage_backend TEXT NOT NULL DEFAULT 'telegram',
+    telegram_message_id INTEGER,
+    telegram_chat_id TEXT,
+    bot_id TEXT,
+    chunk_hash TEXT,
+    stored_size INTEGER,
+    sse_index INTEGER,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY(file_id) REFERENCES files(id) ON DELETE CASCADE,
     UNIQUE(file_id, chunk_index)
 );
 
+-- 分片上传会话：记录客户端声明的文件信息，分片上传和合并时据此校验
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id TEXT PRIMARY KEY,
+    file_name TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    chunk_size INTEGER NOT NULL,
+    total_chunks INTEGER NOT NULL,
+    folder_id INTEGER,
+    mime_type TEXT,
+    client_encrypted INTEGER NOT NULL DEFAULT 0,
+    metadata TEXT,
+    file_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- 临时分片表（用于分片上传过程中暂存分片信息）
 CREATE TABLE IF NOT EXISTS temp_chunks (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -44,18 +72,138 @@ CREATE TABLE IF NOT EXISTS temp_chunks (
     original_file_name TEXT NOT NULL,
     original_file_size INTEGER NOT NULL,
     folder_id INTEGER,
+    storage_backend TEXT NOT NULL DEFAULT 'telegram',
+    telegram_message_id INTEGER,
+    telegram_chat_id TEXT,
+    bot_id TEXT,
+    chunk_hash TEXT,
+    stored_size INTEGER,
+    compression TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY(folder_id) REFERENCES folders(id) ON DELETE CASCADE,
     UNIQUE(upload_id, chunk_index)
 );
 
+-- D1 存储后端的分片数据表（每个分片按行拆分存储，避免超过单行大小限制）
+CREATE TABLE IF NOT EXISTS storage_blobs (
+    id TEXT NOT NULL,
+    part_index INTEGER NOT NULL,
+    data BLOB NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(id, part_index)
+);
+
+-- 分片去重索引：按存储数据的 SHA-256 记录存储位置和引用它的分片记录数
+CREATE TABLE IF NOT EXISTS chunk_hashes (
+    hash TEXT PRIMARY KEY,
+    storage_backend TEXT NOT NULL,
+    telegram_file_id TEXT NOT NULL,
+    telegram_message_id INTEGER,
+    telegram_chat_id TEXT,
+    bot_id TEXT,
+    size INTEGER NOT NULL,
+    ref_count INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 服务端加密时分片上传过程中使用的数据密钥（合并后写入文件记录）
+CREATE TABLE IF NOT EXISTS sse_upload_keys (
+    upload_id TEXT PRIMARY KEY,
+    key_id TEXT NOT NULL,
+    wrapped_key TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 分片巡检结果：定时任务逐批检查分片是否仍可从存储后端读取
+-- status: ok（可读）、unreachable（分片已不存在）、error（检查失败，例如网络错误或限流）
+CREATE TABLE IF NOT EXISTS chunk_health (
+    chunk_id INTEGER PRIMARY KEY,
+    file_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    failures INTEGER NOT NULL DEFAULT 0,
+    checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(chunk_id) REFERENCES file_chunks(id) ON DELETE CASCADE
+);
+
+-- 维护任务的状态（例如巡检进度）
+CREATE TABLE IF NOT EXISTS maintenance_state (
+    name TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Telegram getFile 返回的文件路径缓存，路径只能配合获取它的 Bot Token 使用
+CREATE TABLE IF NOT EXISTS telegram_file_paths (
+    file_id TEXT PRIMARY KEY,
+    bot_id TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    expires_at DATETIME NOT NULL
+);
+
+-- S3 兼容接口的访问密钥，SigV4 签名校验需要使用原始的 Secret Access Key
+CREATE TABLE IF NOT EXISTS s3_access_keys (
+    access_key_id TEXT PRIMARY KEY,
+    secret_access_key TEXT NOT NULL,
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- S3 分段上传：各段的数据作为临时分片保存在 temp_chunks 中（upload_id 为分段上传ID），完成时合并为文件
+CREATE TABLE IF NOT EXISTS s3_multipart_uploads (
+    id TEXT PRIMARY KEY,
+    bucket TEXT NOT NULL,
+    object_key TEXT NOT NULL,
+    mime_type TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- S3 分段上传中已上传的段，完成上传时核对客户端提交的 ETag
+CREATE TABLE IF NOT EXISTS s3_multipart_parts (
+    upload_id TEXT NOT NULL,
+    part_number INTEGER NOT NULL,
+    etag TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(upload_id, part_number),
+    FOREIGN KEY(upload_id) REFERENCES s3_multipart_uploads(id) ON DELETE CASCADE
+);
+
+-- Telegram Bot 各聊天的当前目录（folder_id 为 NULL 表示根目录）以及是否处于导入模式
+CREATE TABLE IF NOT EXISTS bot_chat_state (
+    chat_id TEXT PRIMARY KEY,
+    folder_id INTEGER,
+    importing INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(folder_id) REFERENCES folders(id) ON DELETE SET NULL
+);
+
+-- Bot 导入模式下收到的文档，确认导入后登记为文件
+CREATE TABLE IF NOT EXISTS bot_import_items (
+    chat_id TEXT NOT NULL,
+    message_id INTEGER NOT NULL,
+    telegram_file_id TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT,
+    size INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(chat_id, message_id)
+);
+
 -- 创建索引以提高查询性能
 CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(parent_id);
 CREATE INDEX IF NOT EXISTS idx_files_folder_id ON files(folder_id);
+CREATE INDEX IF NOT EXISTS idx_files_sse_key_id ON files(sse_key_id);
 CREATE INDEX IF NOT EXISTS idx_file_chunks_file_id ON file_chunks(file_id);
 CREATE INDEX IF NOT EXISTS idx_file_chunks_telegram_file_id ON file_chunks(telegram_file_id);
+CREATE INDEX IF NOT EXISTS idx_file_chunks_chunk_hash ON file_chunks(chunk_hash);
+CREATE INDEX IF NOT EXISTS idx_chunk_health_file_id ON chunk_health(file_id);
+CREATE INDEX IF NOT EXISTS idx_chunk_health_status ON chunk_health(status);
 CREATE INDEX IF NOT EXISTS idx_temp_chunks_upload_id ON temp_chunks(upload_id);
 CREATE INDEX IF NOT EXISTS idx_temp_chunks_created_at ON temp_chunks(created_at);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_created_at ON upload_sessions(created_at);
+CREATE INDEX IF NOT EXISTS idx_telegram_file_paths_expires_at ON telegram_file_paths(expires_at);
+CREATE INDEX IF NOT EXISTS idx_s3_multipart_uploads_created_at ON s3_multipart_uploads(created_at);
 
 -- 插入根目录（仅在不存在时插入）
 INSERT OR IGNORE INTO folders (id, name, parent_id) VALUES (1, 'Root', NULL);
@@ -1,10 +1,68 @@
 import { DurableObject } from "cloudflare:workers";
 import { AuthService } from './services/auth.js';
 import { DatabaseService } from './services/database.js';
-import { FileService } from './services/file.js';
+import { FileService, UploadSessionError } from './services/file.js';
 import { TelegramService } from './services/telegram.js';
+import { createStorage } from './services/storage/index.js';
+import { EncryptionService } from './services/encryption.js';
+import { MaintenanceService } from './services/maintenance.js';
+import { TusService, TUS_EXTENSIONS } from './services/tus.js';
+import { S3Service, S3_PATH_PREFIX } from './services/s3.js';
+import { WebDavService, DAV_PATH_PREFIX } from './services/webdav.js';
+import { BotService } from './services/bot.js';
+import { ImportService } from './services/import.js';
 import { Router } from './utils/router.js';
-import { corsHeaders, jsonResponse, errorResponse } from './utils/response.js';
+import {
+  corsHeaders, jsonResponse, errorResponse, fileResponse, rangeNotSatisfiableResponse, tusResponse, TUS_VERSION
+} from './utils/response.js';
+import { parseRangeHeader } from './utils/range.js';
+
+/**
+ * 根据环境变量创建各个服务，fetch 和 scheduled 共用
+ * @param {Object} env - Worker 环境变量
+ * @returns {Object} 服务实例
+ */
+function createServices(env) {
+  const db = new DatabaseService(env.DB);
+  const auth = new AuthService(env);
+  // 配置了 TELEGRAM_BOT_TOKENS 时使用多 Bot 池分摊分片传输
+  const telegram = new TelegramService(env.TELEGRAM_BOT_TOKENS || env.TELEGRAM_BOT_TOKEN, env.TELEGRAM_CHAT_ID, {
+    sendPerMinute: parseInt(env.TELEGRAM_SEND_PER_MINUTE, 10),
+    apiBaseUrl: env.TELEGRAM_API_BASE_URL,
+    filePathCache: db
+  });
+  const storage = createStorage(env, { db, telegram });
+  // 配置了 ENCRYPTION_ACTIVE_KEY_ID 时新上传的分片在服务端加密后再写入存储
+  const encryption = new EncryptionService(env.ENCRYPTION_MASTER_KEYS, env.ENCRYPTION_ACTIVE_KEY_ID);
+  const fileService = new FileService(db, storage, encryption);
+  const maintenance = new MaintenanceService(db, storage, fileService, {
+    batchSize: parseInt(env.HEALTH_SCRUB_BATCH_SIZE, 10),
+    // 未完成的分片上传保留多少小时后清理，Telegram 只允许删除 48 小时内发送的消息，应小于 48
+    retentionHours: parseFloat(env.TEMP_CHUNK_RETENTION_HOURS),
+    cleanupBatchSize: parseInt(env.UPLOAD_CLEANUP_BATCH_SIZE, 10)
+  });
+  const tus = new TusService(fileService, { chunkSize: parseInt(env.TUS_CHUNK_SIZE, 10) });
+  const s3 = new S3Service(fileService);
+  const webdav = new WebDavService(fileService, auth);
+  const importer = new ImportService(fileService, telegram);
+  const bot = new BotService(fileService, telegram, {
+    webhookSecret: env.TELEGRAM_WEBHOOK_SECRET,
+    allowedUsers: env.TELEGRAM_ALLOWED_USERS,
+    inboxFolder: env.TELEGRAM_INBOX_FOLDER
+  });
+
+  return { db, auth, telegram, storage, encryption, fileService, maintenance, tus, s3, webdav, bot, importer };
+}
+
+/**
+ * 为 tus 接口的响应补上 Tus-Resumable 头，tusResponse 创建的响应已经带有该头
+ * @param {Response} response - 响应
+ * @returns {Response} 同一个响应对象
+ */
+function withTusResumable(response) {
+  response.headers.set('Tus-Resumable', TUS_VERSION);
+  return response;
+}
 
 export default {
   async fetch(request, env, ctx) {
@@ -12,22 +70,37 @@ export default {
     const requestStart = Date.now();
     const requestUrl = request.url;
     const requestMethod = request.method;
+    // tus 协议要求所有响应都带有 Tus-Resumable 头，包括 errorResponse 返回的错误响应
+    const isTusRequest = new URL(requestUrl).pathname.startsWith('/api/tus');
 
     console.log(`[REQUEST] ${requestId} - ${requestMethod} ${requestUrl} - 开始处理`);
 
     try {
-      // 处理 CORS 预检请求
-      if (request.method === 'OPTIONS') {
+      // 处理 CORS 预检请求（tus 和 WebDAV 的 OPTIONS 需要返回协议信息，交给各自的处理逻辑）
+      const { pathname } = new URL(request.url);
+      const isDavRequest = pathname === DAV_PATH_PREFIX || pathname.startsWith(`${DAV_PATH_PREFIX}/`);
+      if (request.method === 'OPTIONS' && !pathname.startsWith('/api/tus') && !isDavRequest) {
         console.log(`[REQUEST] ${requestId} - OPTIONS 预检请求 - 返回CORS头`);
         return new Response(null, { headers: corsHeaders });
       }
 
       // 初始化服务
       console.log(`[REQUEST] ${requestId} - 初始化服务`);
-      const db = new DatabaseService(env.DB);
-      const auth = new AuthService(env);
-      const telegram = new TelegramService(env.TELEGRAM_BOT_TOKEN, env.TELEGRAM_CHAT_ID);
-      const fileService = new FileService(db, telegram);
+      const { db, auth, fileService, maintenance, tus, s3, webdav, bot, importer } = createServices(env);
+
+      // WebDAV 使用 Basic 认证和扩展的 HTTP 方法，路径可能包含 /，不经过路由器
+      if (isDavRequest) {
+        const response = await webdav.handleRequest(request);
+        console.log(`[REQUEST] ${requestId} - ${requestMethod} ${requestUrl} - WebDAV 请求处理完成 - 耗时: ${Date.now() - requestStart}ms - 状态码: ${response.status}`);
+        return response;
+      }
+
+      // S3 兼容接口使用 SigV4 签名认证，对象键可能包含 /，不经过路由器
+      if (pathname === S3_PATH_PREFIX || pathname.startsWith(`${S3_PATH_PREFIX}/`)) {
+        const response = await s3.handleRequest(request);
+        console.log(`[REQUEST] ${requestId} - ${requestMethod} ${requestUrl} - S3 请求处理完成 - 耗时: ${Date.now() - requestStart}ms - 状态码: ${response.status}`);
+        return response;
+      }
 
       // 创建路由器
       const router = new Router();
@@ -39,8 +112,14 @@ export default {
 
       // 认证相关路由
       router.post('/api/login', async (request) => {
+        const clientKey = auth.getClientKey(request);
+        const lockoutSeconds = auth.getLockoutSeconds(clientKey);
+        if (lockoutSeconds > 0) {
+          return errorResponse(`Too many failed login attempts, retry in ${lockoutSeconds} seconds`, 429);
+        }
+
         const { username, password } = await request.json();
-        const result = await auth.login(username, password);
+        const result = await auth.login(username, password, clientKey);
         return jsonResponse(result);
       });
 
@@ -50,7 +129,7 @@ export default {
 
       router.get('/api/user', async (request) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
         return jsonResponse({ username: env.ADMIN_USERNAME });
@@ -59,7 +138,7 @@ export default {
       // 目录内容查询
       router.get('/api/entries', async (request) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
@@ -75,7 +154,7 @@ export default {
       // 文件夹操作
       router.post('/api/folders', async (request) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
@@ -86,7 +165,7 @@ export default {
 
       router.get('/api/folders/:id', async (request, params) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
@@ -99,7 +178,7 @@ export default {
 
       router.patch('/api/folders/:id', async (request, params) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
@@ -110,7 +189,7 @@ export default {
 
       router.delete('/api/folders/:id', async (request, params) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
@@ -121,26 +200,88 @@ export default {
       // 文件操作
       router.post('/api/files', async (request) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
         const formData = await request.formData();
         const file = formData.get('file');
         const folderId = formData.get('folder_id') || null;
+        // 客户端加密的文件附带密钥信封，服务器只保存不解析其中的密钥
+        const encryptedKey = formData.get('encrypted_key') || null;
 
         if (!file) {
           return errorResponse('No file provided', 400);
         }
 
-        const result = await fileService.uploadFile(file, folderId);
+        if (encryptedKey && !fileService.isValidEncryptedKey(encryptedKey)) {
+          return errorResponse('Invalid encrypted key', 400);
+        }
+
+        const result = await fileService.uploadFile(file, folderId, { encryptedKey });
         return jsonResponse(result);
       });
 
-      // 分片上传接口
+      // 流式上传：请求体即文件内容，边读边按分片写入存储，Worker 内存中最多只有一个分片，单个请求的文件大小不受限制
+      router.put('/api/files/stream', async (request) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const url = new URL(request.url);
+        const name = url.searchParams.get('name');
+        const folderId = url.searchParams.get('folder_id') || null;
+        if (!name || !name.trim() || name.includes('/')) {
+          return errorResponse('Invalid file name', 400);
+        }
+        if (folderId && !(await db.getFolderById(folderId))) {
+          return errorResponse('Folder not found', 404);
+        }
+        // 写入存储前检查同名文件，避免上传完所有分片后才失败；
+        // 上传期间其他请求创建的同名文件由创建记录时的检查发现，同样返回 409
+        if (await db.getFileByName(name, folderId)) {
+          return errorResponse('File with the same name already exists', 409);
+        }
+
+        const contentLength = request.headers.get('Content-Length');
+        const expectedSize = contentLength === null ? null : Number(contentLength);
+        if (expectedSize !== null && !Number.isSafeInteger(expectedSize)) {
+          return errorResponse('Invalid Content-Length', 400);
+        }
+
+        const mimeType = (request.headers.get('Content-Type') || '').split(';')[0].trim() || null;
+        const file = await fileService.uploadStream(request.body, { fileName: name, folderId, mimeType, expectedSize });
+        return jsonResponse(file, 201);
+      });
+
+      // 创建分片上传会话
+      router.post('/api/uploads', async (request) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const { file_name, file_size, chunk_size, folder_id, mime_type, client_encrypted } = await request.json();
+        if (!file_name || file_size == null || chunk_size == null) {
+          return errorResponse('Missing required session parameters', 400);
+        }
+
+        const session = await fileService.createUploadSession({
+          fileName: file_name,
+          fileSize: Number(file_size),
+          chunkSize: Number(chunk_size),
+          folderId: folder_id || null,
+          mimeType: mime_type || null,
+          clientEncrypted: !!client_encrypted
+        });
+        return jsonResponse(session);
+      });
+
+      // 分片上传接口，文件信息以上传会话为准
       router.post('/api/files/chunk', async (request) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
@@ -148,48 +289,55 @@ export default {
         const chunkFile = formData.get('chunk');
         const uploadId = formData.get('upload_id');
         const chunkIndex = parseInt(formData.get('chunk_index'));
-        const totalChunks = parseInt(formData.get('total_chunks'));
-        const originalFileName = formData.get('original_file_name');
-        const originalFileSize = parseInt(formData.get('original_file_size'));
-        const folderId = formData.get('folder_id') || null;
 
         if (!chunkFile) {
           return errorResponse('No chunk file provided', 400);
         }
 
-        if (!uploadId || isNaN(chunkIndex) || isNaN(totalChunks) || !originalFileName || isNaN(originalFileSize)) {
+        if (!uploadId || isNaN(chunkIndex)) {
           return errorResponse('Missing required chunk parameters', 400);
         }
 
-        const result = await fileService.uploadFileChunk(
-          chunkFile, uploadId, chunkIndex, totalChunks, originalFileName, originalFileSize, folderId
-        );
+        const result = await fileService.uploadFileChunk(chunkFile, uploadId, chunkIndex);
         return jsonResponse(result);
       });
 
       // 分片合并接口
       router.post('/api/files/merge', async (request) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
-        const { upload_id, file_name, file_size, mime_type, folder_id, chunks } = await request.json();
+        const { upload_id, encrypted_key } = await request.json();
 
-        if (!upload_id || !file_name || !file_size || !chunks || !Array.isArray(chunks)) {
+        if (!upload_id) {
           return errorResponse('Missing required merge parameters', 400);
         }
 
-        const result = await fileService.mergeFileChunks(
-          upload_id, file_name, file_size, mime_type, folder_id, chunks
-        );
+        if (encrypted_key && !fileService.isValidEncryptedKey(encrypted_key)) {
+          return errorResponse('Invalid encrypted key', 400);
+        }
+
+        const result = await fileService.mergeFileChunks(upload_id, { encryptedKey: encrypted_key || null });
+        return jsonResponse(result);
+      });
+
+      // 分片上传进度接口：返回已保存的分片索引，供客户端续传
+      router.get('/api/uploads/:uploadId', async (request, params) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const result = await fileService.getUploadStatus(params.uploadId);
         return jsonResponse(result);
       });
 
       // 清理失败上传接口
       router.delete('/api/files/upload/:uploadId', async (request, params) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
@@ -204,7 +352,7 @@ export default {
 
       router.get('/api/files/:id', async (request, params) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
@@ -219,27 +367,47 @@ export default {
 
       router.get('/api/files/:id/download', async (request, params) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
-        const fileData = await fileService.downloadFile(params.id);
+        const fileInfo = await db.getFileById(params.id);
+        if (!fileInfo) {
+          return errorResponse('File not found', 404);
+        }
+
+        // 解析 Range 头，区间均无法满足时返回 416
+        const ranges = parseRangeHeader(request.headers.get('Range'), fileInfo.size);
+        if (ranges && ranges.length === 0) {
+          return rangeNotSatisfiableResponse(fileInfo.size);
+        }
+
+        const fileData = await fileService.downloadFile(params.id, ranges);
         if (!fileData) {
           return errorResponse('File not found', 404);
         }
 
-        return new Response(fileData.data, {
-          headers: {
-            'Content-Type': fileData.mimeType || 'application/octet-stream',
-            'Content-Disposition': `attachment; filename="${fileData.name}"`,
-            ...corsHeaders
-          }
-        });
+        return fileResponse(fileData);
+      });
+
+      // 文件完整性校验：重新读取所有分片，报告损坏或无法读取的分片
+      router.post('/api/files/:id/verify', async (request, params) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const report = await fileService.verifyFile(params.id);
+        if (!report) {
+          return errorResponse('File not found', 404);
+        }
+
+        return jsonResponse(report);
       });
 
       router.patch('/api/files/:id', async (request, params) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
@@ -250,26 +418,256 @@ export default {
 
       router.delete('/api/files/:id', async (request, params) => {
         const token = auth.extractToken(request);
-        if (!auth.verifyToken(token)) {
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const result = await fileService.deleteFile(params.id);
+        return jsonResponse({ success: true, ...result });
+      });
+
+      // 主密钥轮换：用当前主密钥重新包装数据密钥
+      router.post('/api/admin/encryption/rewrap', async (request) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const body = await request.json().catch(() => ({}));
+        const limit = Math.min(Math.max(parseInt(body.limit, 10) || 100, 1), 500);
+
+        const result = await fileService.rewrapEncryptionKeys(limit);
+        return jsonResponse({ success: true, ...result });
+      });
+
+      // 存储健康报告：列出存在不可读分片的文件
+      router.get('/api/admin/health', async (request) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const report = await maintenance.getHealthReport();
+        return jsonResponse(report);
+      });
+
+      // 立即清理过期的分片上传（定时任务之外手动触发）
+      router.post('/api/admin/uploads/cleanup', async (request) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const result = await maintenance.cleanupExpiredUploads();
+        return jsonResponse({ success: true, ...result });
+      });
+
+      // 立即巡检一批分片（定时任务之外手动触发）
+      router.post('/api/admin/health/scrub', async (request) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
           return errorResponse('Unauthorized', 401);
         }
 
-        await fileService.deleteFile(params.id);
+        const body = await request.json().catch(() => ({}));
+        const limit = Math.min(Math.max(parseInt(body.limit, 10) || maintenance.batchSize, 1), 200);
+
+        const result = await maintenance.scrubChunkHealth(limit);
+        return jsonResponse({ success: true, ...result });
+      });
+
+      // 导入 Telegram Desktop 导出的聊天记录（result.json）中的文档
+      // 默认只返回预览报告，commit 为 true 时执行导入，每次最多转发 limit 条消息，重复调用直到 remaining 为 0
+      router.post('/api/admin/import/telegram-export', async (request) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const body = await request.json().catch(() => ({}));
+        let parsed;
+        try {
+          parsed = importer.parseExport(body.export, body.chat_id || null);
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+        if (!parsed.chatId) {
+          return errorResponse('Missing chat_id', 400);
+        }
+        const folderId = body.folder_id || null;
+        if (folderId && !(await db.getFolderById(folderId))) {
+          return errorResponse('Folder not found', 404);
+        }
+
+        const plan = await importer.planImport(parsed.documents, folderId);
+        const report = { chatId: parsed.chatId, ignored: parsed.ignored, ...importer.formatReport(plan) };
+        if (body.commit !== true) {
+          return jsonResponse({ dryRun: true, ...report });
+        }
+
+        const limit = Math.min(Math.max(parseInt(body.limit, 10) || 20, 1), 200);
+        const result = await importer.commitImport(plan, { sourceChatId: parsed.chatId, limit });
+        return jsonResponse({ dryRun: false, ...report, ...result });
+      });
+
+      // S3 访问密钥管理，Secret Access Key 只在创建时返回
+      router.get('/api/admin/s3/keys', async (request) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const keys = await s3.listAccessKeys();
+        return jsonResponse({ keys });
+      });
+
+      router.post('/api/admin/s3/keys', async (request) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        const body = await request.json().catch(() => ({}));
+        const key = await s3.createAccessKey(body.description || null);
+        return jsonResponse({ success: true, ...key }, 201);
+      });
+
+      router.delete('/api/admin/s3/keys/:accessKeyId', async (request, params) => {
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+
+        if (!(await s3.deleteAccessKey(params.accessKeyId))) {
+          return errorResponse('Access key not found', 404);
+        }
         return jsonResponse({ success: true });
       });
 
+      // Telegram Bot Webhook，通过 setWebhook 时设置的 secret_token 校验请求来源
+      router.post('/api/telegram/webhook', async (request) => {
+        if (!bot.verifyWebhook(request)) {
+          return errorResponse('Forbidden', 403);
+        }
+
+        const update = await request.json();
+        try {
+          await bot.handleUpdate(update);
+        } catch (error) {
+          // 返回错误时 Telegram 会反复重发同一条更新，处理失败只记录日志
+          console.error(`[BOT] [ERROR] 处理更新 ${update.update_id} 失败:`, error);
+        }
+        return jsonResponse({ ok: true });
+      });
+
+      // ================== tus 断点续传协议 ==================
+
+      // 检查 tus 请求的协议版本和认证，通过时返回 null
+      const checkTusRequest = async (request) => {
+        if (request.headers.get('Tus-Resumable') !== TUS_VERSION) {
+          return tusResponse(412, { 'Tus-Version': TUS_VERSION });
+        }
+        const token = auth.extractToken(request);
+        if (!(await auth.verifyToken(token))) {
+          return errorResponse('Unauthorized', 401);
+        }
+        return null;
+      };
+
+      // 协议信息，浏览器的 CORS 预检请求也走这里，不需要认证
+      for (const path of ['/api/tus', '/api/tus/', '/api/tus/:uploadId']) {
+        router.options(path, () => tusResponse(204, {
+          'Tus-Version': TUS_VERSION,
+          'Tus-Extension': TUS_EXTENSIONS.join(',')
+        }));
+      }
+
+      // 创建上传（creation 扩展）
+      for (const path of ['/api/tus', '/api/tus/']) {
+        router.post(path, async (request) => {
+          const rejected = await checkTusRequest(request);
+          if (rejected) {
+            return rejected;
+          }
+
+          if (request.headers.has('Upload-Defer-Length')) {
+            return errorResponse('Upload-Defer-Length is not supported', 400);
+          }
+          const uploadLength = Number(request.headers.get('Upload-Length'));
+          if (!request.headers.get('Upload-Length') || !Number.isSafeInteger(uploadLength) || uploadLength < 0) {
+            return errorResponse('Invalid Upload-Length', 400);
+          }
+
+          const session = await tus.createUpload(uploadLength, request.headers.get('Upload-Metadata'));
+          return tusResponse(201, { 'Location': new URL(`/api/tus/${session.uploadId}`, request.url).href });
+        });
+      }
+
+      // 查询上传偏移
+      router.head('/api/tus/:uploadId', async (request, params) => {
+        const rejected = await checkTusRequest(request);
+        if (rejected) {
+          return rejected;
+        }
+
+        const upload = await tus.getUpload(params.uploadId);
+        if (!upload) {
+          return tusResponse(404);
+        }
+
+        const headers = {
+          'Upload-Offset': String(upload.offset),
+          'Upload-Length': String(upload.session.file_size)
+        };
+        if (upload.session.metadata) {
+          headers['Upload-Metadata'] = upload.session.metadata;
+        }
+        return tusResponse(200, headers);
+      });
+
+      // 写入上传数据
+      router.patch('/api/tus/:uploadId', async (request, params) => {
+        const rejected = await checkTusRequest(request);
+        if (rejected) {
+          return rejected;
+        }
+
+        if (request.headers.get('Content-Type') !== 'application/offset+octet-stream') {
+          return errorResponse('Content-Type must be application/offset+octet-stream', 415);
+        }
+        const offset = Number(request.headers.get('Upload-Offset'));
+        if (!request.headers.get('Upload-Offset') || !Number.isSafeInteger(offset) || offset < 0) {
+          return errorResponse('Invalid Upload-Offset', 400);
+        }
+
+        const result = await tus.appendData(params.uploadId, offset, request.body);
+        return tusResponse(204, { 'Upload-Offset': String(result.offset) });
+      });
+
+      // 终止上传（termination 扩展）
+      router.delete('/api/tus/:uploadId', async (request, params) => {
+        const rejected = await checkTusRequest(request);
+        if (rejected) {
+          return rejected;
+        }
+
+        await tus.terminate(params.uploadId);
+        return tusResponse(204);
+      });
+
       // 处理路由
       console.log(`[REQUEST] ${requestId} - 开始路由处理`);
       const response = await router.handle(request);
 
       if (!response) {
         console.log(`[REQUEST] ${requestId} - 未找到匹配路由 - 返回404`);
-        return errorResponse('Not Found', 404);
+        const notFound = errorResponse('Not Found', 404);
+        return isTusRequest ? withTusResumable(notFound) : notFound;
       }
 
       const requestDuration = Date.now() - requestStart;
       console.log(`[REQUEST] ${requestId} - ${requestMethod} ${requestUrl} - 处理完成 - 耗时: ${requestDuration}ms - 状态码: ${response.status}`);
-      return response;
+      return isTusRequest ? withTusResumable(response) : response;
 
     } catch (error) {
       const requestDuration = Date.now() - requestStart;
@@ -283,8 +681,41 @@ export default {
         stack: error.stack
       };
 
-      // 返回详细的错误信息
-      return errorResponse(errorMessage, 500, errorDetails);
+      // 上传会话错误是客户端的问题（会话不存在、分片不完整），返回对应的 4xx 状态码
+      const response = error instanceof UploadSessionError
+        ? errorResponse(errorMessage, error.status)
+        : errorResponse(errorMessage, 500, errorDetails);
+      return isTusRequest ? withTusResumable(response) : response;
     }
+  },
+
+  /**
+   * 定时任务入口（由 wrangler 配置中的 triggers.crons 触发）
+   * 每次清理一批过期的分片上传，并巡检一批分片，两个任务互不影响
+   */
+  async scheduled(controller, env, ctx) {
+    console.log(`[SCHEDULED] 定时任务开始: ${controller.cron}`);
+    const { db, maintenance } = createServices(env);
+
+    ctx.waitUntil((async () => {
+      try {
+        await maintenance.cleanupExpiredUploads();
+      } catch (error) {
+        console.error('[SCHEDULED] [ERROR] 清理过期上传失败:', error);
+      }
+
+      try {
+        await maintenance.scrubChunkHealth();
+      } catch (error) {
+        console.error('[SCHEDULED] [ERROR] 分片巡检失败:', error);
+      }
+
+      try {
+        const deleted = await db.deleteExpiredTelegramFilePaths();
+        console.log(`[SCHEDULED] 已删除 ${deleted} 条过期的文件路径缓存`);
+      } catch (error) {
+        console.error('[SCHEDULED] [ERROR] 清理文件路径缓存失败:', error);
+      }
+    })());
   }
 };
@@ -1,6 +1,15 @@
 // 认证服务模块
 // 提供 JWT 认证功能
 
+import { sha256Hex, timingSafeEqual } from '../utils/digest.js';
+
+// 同一客户端在时间窗口内连续登录失败达到次数上限后，窗口结束前拒绝该客户端的登录和 Basic 认证
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// 各客户端的登录失败记录 { count, firstAt }，在 Worker 实例内共享
+const failedLogins = new Map();
+
 /**
  * 认证服务类
  */
@@ -16,11 +25,12 @@ export class AuthService {
    * 用户登录
    * @param {string} username - 用户名
    * @param {string} password - 密码
+   * @param {string|null} clientKey - 客户端标识，用于限制登录失败次数
    * @returns {Object} 登录结果
    */
-  async login(username, password) {
+  async login(username, password, clientKey = null) {
     // 验证用户名和密码
-    if (username !== this.adminUsername || password !== this.adminPassword) {
+    if (!(await this.verifyCredentials(username, password, clientKey))) {
       throw new Error('Invalid username or password');
     }
 
@@ -36,6 +46,86 @@ export class AuthService {
     };
   }
 
+  /**
+   * 校验用户名和密码（登录和 WebDAV 的 Basic 认证共用）
+   * 比较前先计算 SHA-256，比较耗时与输入内容和长度都无关；客户端被锁定期间直接返回 false
+   * @param {string} username - 用户名
+   * @param {string} password - 密码
+   * @param {string|null} clientKey - 客户端标识，提供时记录失败次数
+   * @returns {Promise<boolean>} 是否匹配
+   */
+  async verifyCredentials(username, password, clientKey = null) {
+    if (clientKey && this.getLockoutSeconds(clientKey) > 0) {
+      return false;
+    }
+
+    const [usernameMatch, passwordMatch] = await Promise.all([
+      secretsEqual(username, this.adminUsername),
+      secretsEqual(password, this.adminPassword)
+    ]);
+    const valid = usernameMatch && passwordMatch;
+
+    if (clientKey) {
+      this.recordLoginAttempt(clientKey, valid);
+    }
+    return valid;
+  }
+
+  /**
+   * 获取客户端标识（Cloudflare 提供的客户端 IP）
+   * @param {Request} request - 请求对象
+   * @returns {string} 客户端标识
+   */
+  getClientKey(request) {
+    return request.headers.get('CF-Connecting-IP') || 'unknown';
+  }
+
+  /**
+   * 获取客户端剩余的锁定时间
+   * @param {string} clientKey - 客户端标识
+   * @returns {number} 剩余秒数，未被锁定时为 0
+   */
+  getLockoutSeconds(clientKey) {
+    const entry = failedLogins.get(clientKey);
+    if (!entry || entry.count < MAX_FAILED_LOGINS) {
+      return 0;
+    }
+    const remaining = entry.firstAt + FAILED_LOGIN_WINDOW_MS - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+  }
+
+  /**
+   * 记录一次登录结果，成功时清除失败记录
+   * @param {string} clientKey - 客户端标识
+   * @param {boolean} success - 是否成功
+   */
+  recordLoginAttempt(clientKey, success) {
+    if (success) {
+      failedLogins.delete(clientKey);
+      return;
+    }
+
+    const now = Date.now();
+    const entry = failedLogins.get(clientKey);
+    if (!entry || now - entry.firstAt >= FAILED_LOGIN_WINDOW_MS) {
+      failedLogins.set(clientKey, { count: 1, firstAt: now });
+    } else {
+      entry.count++;
+      if (entry.count === MAX_FAILED_LOGINS) {
+        console.warn(`[WARN] 客户端 ${clientKey} 连续 ${entry.count} 次登录失败，暂时锁定`);
+      }
+    }
+
+    // 清理窗口已结束的记录，避免 Map 无限增长
+    if (failedLogins.size > 1000) {
+      for (const [key, item] of failedLogins) {
+        if (now - item.firstAt >= FAILED_LOGIN_WINDOW_MS) {
+          failedLogins.delete(key);
+        }
+      }
+    }
+  }
+
   /**
    * 生成 JWT Token
    * @param {string} username - 用户名
@@ -119,6 +209,35 @@ export class AuthService {
     return parts[1];
   }
 
+  /**
+   * 校验 HTTP Basic 认证（WebDAV 客户端使用），用户名和密码与登录相同，失败次数按客户端 IP 统计
+   * @param {Request} request - 请求对象
+   * @returns {Promise<boolean>} 验证结果
+   */
+  async verifyBasicAuth(request) {
+    const authHeader = request.headers.get('Authorization');
+    if (!authHeader || !authHeader.startsWith('Basic ')) {
+      return false;
+    }
+
+    let credentials;
+    try {
+      credentials = new TextDecoder().decode(Uint8Array.from(atob(authHeader.slice(6).trim()), char => char.charCodeAt(0)));
+    } catch (error) {
+      return false;
+    }
+
+    const separator = credentials.indexOf(':');
+    if (separator === -1) {
+      return false;
+    }
+    return this.verifyCredentials(
+      credentials.slice(0, separator),
+      credentials.slice(separator + 1),
+      this.getClientKey(request)
+    );
+  }
+
   /**
    * 签名数据
    * @param {string} data - 要签名的数据
@@ -178,3 +297,18 @@ export class AuthService {
     return atob(base64);
   }
 }
+
+/**
+ * 比较用户输入与配置的凭据，先计算 SHA-256 使比较的长度固定
+ * @param {string} input - 用户输入
+ * @param {string} expected - 配置的值
+ * @returns {Promise<boolean>} 是否相同
+ */
+async function secretsEqual(input, expected) {
+  const encoder = new TextEncoder();
+  const [actualHash, expectedHash] = await Promise.all([
+    sha256Hex(encoder.encode(String(input ?? ''))),
+    sha256Hex(encoder.encode(String(expected ?? '')))
+  ]);
+  return timingSafeEqual(actualHash, expectedHash);
+}
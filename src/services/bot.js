@@ -0,0 +1,785 @@
+// Telegram Bot 服务模块
+// 处理 Bot Webhook 收到的更新：白名单用户发给 Bot 的文档、图片、视频和音频直接登记到 Inbox 文件夹，
+// 文件记录引用消息中已有的 file_id，不会重新上传；另外提供 /ls、/cd、/find、/get、/mkdir、/rm 命令浏览和取回文件，
+// 以及 /import 导入模式，把从频道批量转发来的文档（包括 .partNNN 分片）登记到当前目录
+
+import { ImportService } from './import.js';
+import { timingSafeEqual } from '../utils/digest.js';
+
+export const WEBHOOK_SECRET_HEADER = 'X-Telegram-Bot-Api-Secret-Token';
+
+const DEFAULT_INBOX_FOLDER = 'Inbox';
+
+// Bot API 的 getFile 只能下载 20MB 以内的文件，更大的文件登记后也无法读取
+const MAX_BOT_DOWNLOAD_SIZE = 20 * 1024 * 1024;
+
+// /ls 每页显示的条目数，/find 最多显示的结果数（Telegram 消息最长 4096 字符）
+const PAGE_SIZE = 20;
+const SEARCH_LIMIT = 20;
+
+// 列表中每行的最大长度，过长的文件名会被截断
+const MAX_LINE_LENGTH = 120;
+
+/**
+ * Bot 命令错误，错误信息直接回复给用户
+ */
+export class BotCommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BotCommandError';
+  }
+}
+
+/**
+ * Telegram Bot 服务类
+ */
+export class BotService {
+  /**
+   * @param {FileService} fileService - 文件服务
+   * @param {TelegramService} telegram - Telegram 服务，Webhook 需设置在其中的第一个 Bot 上
+   * @param {Object} options - 可选配置
+   * @param {string|null} options.webhookSecret - setWebhook 时设置的 secret_token，未配置时不接受 Webhook 请求
+   * @param {string} options.allowedUsers - 允许使用 Bot 的 Telegram 用户ID，逗号分隔
+   * @param {string} options.inboxFolder - 保存收到文件的根目录文件夹名称
+   */
+  constructor(fileService, telegram, options = {}) {
+    this.fileService = fileService;
+    this.db = fileService.db;
+    this.telegram = telegram;
+    this.webhookSecret = options.webhookSecret || null;
+    this.allowedUsers = new Set(String(options.allowedUsers || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean));
+    this.inboxFolder = options.inboxFolder || DEFAULT_INBOX_FOLDER;
+    // file_id 只对收到消息的 Bot 有效，分片记录绑定到该 Bot
+    this.botId = telegram.bots.length > 0 ? telegram.bots[0].id : null;
+    this.importer = new ImportService(fileService, telegram);
+  }
+
+  /**
+   * 校验 Webhook 请求的 secret_token
+   * @param {Request} request - 请求对象
+   * @returns {boolean} 是否为 Telegram 发来的请求
+   */
+  verifyWebhook(request) {
+    const secret = request.headers.get(WEBHOOK_SECRET_HEADER);
+    if (!this.webhookSecret || secret === null) {
+      return false;
+    }
+    // 逐字节比较全部内容，避免通过响应时间逐位猜出 secret
+    return timingSafeEqual(secret, this.webhookSecret);
+  }
+
+  /**
+   * 处理一条 Webhook 更新
+   * @param {Object} update - Telegram Update 对象
+   */
+  async handleUpdate(update) {
+    if (update.callback_query) {
+      await this.handleCallback(update.callback_query);
+      return;
+    }
+
+    const message = update.message;
+    // 只处理用户发给 Bot 的新消息，编辑消息、频道消息等其他更新直接忽略
+    if (!message || !message.from) {
+      return;
+    }
+
+    if (!this.isAllowed(message.from)) {
+      console.warn(`[BOT] [WARN] 拒绝未授权用户的消息: ${message.from.id}`);
+      await this.reply(message, `你没有使用此 Bot 的权限。你的用户ID是 ${message.from.id}，请联系管理员将其加入 TELEGRAM_ALLOWED_USERS`);
+      return;
+    }
+
+    if (typeof message.text === 'string' && message.text.startsWith('/')) {
+      await this.handleCommand(message);
+      return;
+    }
+
+    const media = extractMedia(message);
+    if (!media) {
+      await this.reply(message, this.getHelpText());
+      return;
+    }
+
+    // 导入模式下只记录文档，不逐条回复，发送 /import 时统一预览
+    if (await this.db.isBotChatImporting(String(message.chat.id))) {
+      await this.db.addBotImportItem(String(message.chat.id), { messageId: message.message_id, ...media });
+      return;
+    }
+
+    if (media.size == null) {
+      const info = await this.telegram.getFileInfo(media.fileId, this.botId);
+      media.size = info.file_size;
+    }
+    if (media.size > MAX_BOT_DOWNLOAD_SIZE) {
+      await this.reply(message, `文件超过 20MB，Bot 无法读取，请通过网页上传`);
+      return;
+    }
+
+    const file = await this.saveToInbox(message, media);
+    await this.reply(message, `已保存到「${this.inboxFolder}」: ${file.name}（${this.fileService.formatFileSize(file.size)}），文件ID: ${file.id}`);
+  }
+
+  /**
+   * 用户是否在白名单中
+   * @param {Object} user - Telegram User 对象
+   * @returns {boolean}
+   */
+  isAllowed(user) {
+    return !!user && this.allowedUsers.has(String(user.id));
+  }
+
+  // ================== 收件箱 ==================
+
+  /**
+   * 把消息中的媒体登记为 Inbox 文件夹中的文件
+   * @param {Object} message - Telegram Message 对象
+   * @param {Object} media - extractMedia 的结果
+   * @returns {Object} 创建的文件信息
+   */
+  async saveToInbox(message, media) {
+    const folder = await this.getInboxFolder();
+    const name = await this.getAvailableName(media.fileName, folder.id);
+
+    const file = await this.db.createFile(name, folder.id, media.size, media.mimeType, { storedSize: media.size });
+    try {
+      // 不记录消息ID：消息在用户与 Bot 的私聊中，删除文件时不应删除用户的消息
+      await this.db.createFileChunk(file.id, 0, media.fileId, media.size, {
+        backend: 'telegram',
+        chatId: String(message.chat.id),
+        botId: this.botId,
+        storedSize: media.size
+      });
+    } catch (error) {
+      await this.db.deleteFile(file.id);
+      throw error;
+    }
+
+    console.log(`[BOT] 已登记文件 ${name}，用户ID: ${message.from.id}，大小: ${media.size}`);
+    return file;
+  }
+
+  /**
+   * 获取 Inbox 文件夹，不存在时在根目录下创建
+   * @returns {Object} 文件夹信息
+   */
+  async getInboxFolder() {
+    const existing = await this.db.getFolderByName(this.inboxFolder, null);
+    if (existing) {
+      return existing;
+    }
+    return await this.db.createFolder(this.inboxFolder, null);
+  }
+
+  /**
+   * 同名文件已存在时在文件名后追加序号，例如 report (1).pdf
+   * @param {string} name - 原文件名
+   * @param {number} folderId - 文件夹ID
+   * @returns {string} 可用的文件名
+   */
+  async getAvailableName(name, folderId) {
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+
+    let candidate = name;
+    for (let n = 1; await this.db.getFileByName(candidate, folderId); n++) {
+      candidate = `${base} (${n})${extension}`;
+    }
+    return candidate;
+  }
+
+  // ================== 命令 ==================
+
+  /**
+   * 处理以 / 开头的命令消息
+   * @param {Object} message - Telegram Message 对象
+   */
+  async handleCommand(message) {
+    // 群组中的命令带有 @BotName 后缀
+    const [, command = '', args = ''] = message.text.match(/^\/(\w+)(?:@\S+)?\s*([\s\S]*)$/) || [];
+    const argument = args.trim();
+    const chatId = String(message.chat.id);
+    console.log(`[BOT] 收到命令 /${command}，用户ID: ${message.from.id}`);
+
+    try {
+      switch (command) {
+        case 'start':
+        case 'help':
+          return await this.reply(message, this.getHelpText());
+        case 'ls':
+          return await this.listCommand(message, chatId, argument);
+        case 'cd':
+          return await this.cdCommand(message, chatId, argument);
+        case 'find':
+          return await this.findCommand(message, argument);
+        case 'get':
+          return await this.getCommand(message, chatId, argument);
+        case 'mkdir':
+          return await this.mkdirCommand(message, chatId, argument);
+        case 'rm':
+          return await this.rmCommand(message, chatId, argument);
+        case 'import':
+          return await this.importCommand(message, chatId, argument);
+        default:
+          return await this.reply(message, '未知命令，发送 /help 查看可用命令');
+      }
+    } catch (error) {
+      if (error instanceof BotCommandError) {
+        await this.reply(message, error.message);
+        return;
+      }
+      console.error(`[BOT] [ERROR] 处理命令 /${command} 失败:`, error);
+      await this.reply(message, `处理命令失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * /ls [路径]：分页列出文件夹内容
+   */
+  async listCommand(message, chatId, argument) {
+    const target = await this.resolvePath(chatId, argument);
+    if (target.file) {
+      throw new BotCommandError(`「${argument}」是文件，使用 /get ${target.file.id} 获取`);
+    }
+
+    const view = await this.renderListing(target.folders.at(-1)?.id ?? null, 0);
+    await this.reply(message, view.text, view.options);
+  }
+
+  /**
+   * /cd [路径]：切换当前目录，不带参数时回到根目录
+   */
+  async cdCommand(message, chatId, argument) {
+    const target = await this.resolvePath(chatId, argument || '/');
+    if (target.file) {
+      throw new BotCommandError(`「${argument}」不是文件夹`);
+    }
+
+    await this.db.setBotChatFolder(chatId, target.folders.at(-1)?.id ?? null);
+    await this.reply(message, `当前目录: ${formatPath(target.folders)}`);
+  }
+
+  /**
+   * /find <名称>：按文件名搜索
+   */
+  async findCommand(message, argument) {
+    if (!argument) {
+      throw new BotCommandError('用法: /find <文件名>');
+    }
+
+    const files = await this.db.searchFiles(argument, SEARCH_LIMIT + 1);
+    if (files.length === 0) {
+      throw new BotCommandError(`没有找到名称包含「${argument}」的文件`);
+    }
+
+    const folderPaths = new Map();
+    const lines = [];
+    for (const file of files.slice(0, SEARCH_LIMIT)) {
+      if (!folderPaths.has(file.folder_id)) {
+        folderPaths.set(file.folder_id, formatPath(await this.db.getFolderPath(file.folder_id)));
+      }
+      const folderPath = folderPaths.get(file.folder_id);
+      lines.push(this.formatFileLine(file, `${folderPath === '/' ? '' : folderPath}/${file.name}`));
+    }
+    if (files.length > SEARCH_LIMIT) {
+      lines.push(`只显示前 ${SEARCH_LIMIT} 个结果，请使用更具体的名称`);
+    }
+    await this.reply(message, `🔍 ${argument}\n${lines.join('\n')}`);
+  }
+
+  /**
+   * /get <文件ID|路径>：通过 file_id 重新发送文件的分片
+   */
+  async getCommand(message, chatId, argument) {
+    const file = await this.resolveFile(chatId, argument, '/get');
+
+    // 加密或压缩后的分片在 Telegram 中无法直接打开
+    if (file.encrypted_key || file.sse_key_id || file.compression) {
+      throw new BotCommandError(`「${file.name}」已加密或压缩，请在网页中下载`);
+    }
+    const chunks = await this.db.getFileChunks(file.id);
+    if (chunks.length === 0) {
+      throw new BotCommandError(`「${file.name}」是空文件`);
+    }
+    if (chunks.some(chunk => chunk.storage_backend !== 'telegram')) {
+      throw new BotCommandError(`「${file.name}」没有存储在 Telegram 中，请在网页中下载`);
+    }
+
+    for (const chunk of chunks) {
+      const caption = chunks.length > 1
+        ? `${file.name}（第 ${chunk.chunk_index + 1}/${chunks.length} 部分，按顺序合并即为完整文件）`
+        : file.name;
+      await this.sendChunk(message.chat.id, chunk, caption);
+    }
+    console.log(`[BOT] 已发送文件 ${file.name}，分片数: ${chunks.length}`);
+  }
+
+  /**
+   * /mkdir <路径>：创建文件夹，上级文件夹必须已存在
+   */
+  async mkdirCommand(message, chatId, argument) {
+    const trimmed = argument.replace(/\/+$/, '');
+    const slash = trimmed.lastIndexOf('/');
+    const name = trimmed.slice(slash + 1);
+    if (!name || name === '.' || name === '..') {
+      throw new BotCommandError('用法: /mkdir <文件夹名称或路径>');
+    }
+
+    const parent = await this.resolvePath(chatId, slash >= 0 ? trimmed.slice(0, slash) || '/' : '');
+    if (parent.file) {
+      throw new BotCommandError(`「${trimmed.slice(0, slash)}」不是文件夹`);
+    }
+    const parentId = parent.folders.at(-1)?.id ?? null;
+    if (await this.db.getFolderByName(name, parentId) || await this.db.getFileByName(name, parentId)) {
+      throw new BotCommandError(`「${name}」已存在`);
+    }
+
+    const folder = await this.db.createFolder(name, parentId);
+    await this.reply(message, `已创建文件夹: ${formatPath([...parent.folders, folder])}`);
+  }
+
+  /**
+   * /rm <文件ID|路径>：删除文件或文件夹，通过内联键盘确认后执行
+   */
+  async rmCommand(message, chatId, argument) {
+    if (!argument) {
+      throw new BotCommandError('用法: /rm <文件ID|路径>');
+    }
+
+    let text;
+    let callbackData;
+    if (/^\d+$/.test(argument)) {
+      const file = await this.resolveFile(chatId, argument, '/rm');
+      text = `确认删除文件「${file.name}」？`;
+      callbackData = `rm:file:${file.id}`;
+    } else {
+      const target = await this.resolvePath(chatId, argument);
+      if (target.file) {
+        text = `确认删除文件「${target.file.name}」？`;
+        callbackData = `rm:file:${target.file.id}`;
+      } else if (target.folders.length === 0) {
+        throw new BotCommandError('不能删除根目录');
+      } else {
+        text = `确认删除文件夹「${formatPath(target.folders)}」及其中的所有内容？`;
+        callbackData = `rm:folder:${target.folders.at(-1).id}`;
+      }
+    }
+
+    await this.reply(message, text, {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '确认删除', callback_data: callbackData },
+          { text: '取消', callback_data: 'cancel' }
+        ]]
+      }
+    });
+  }
+
+  /**
+   * /import：第一次发送时进入导入模式，之后转发给 Bot 的文档只记录不保存；
+   * 再次发送时预览导入结果，点击按钮确认后登记到当前目录。/import cancel 退出导入模式
+   */
+  async importCommand(message, chatId, argument) {
+    if (argument === 'cancel') {
+      await this.db.setBotChatImporting(chatId, false);
+      await this.reply(message, '已退出导入模式');
+      return;
+    }
+
+    if (!(await this.db.isBotChatImporting(chatId))) {
+      await this.db.setBotChatImporting(chatId, true);
+      await this.reply(message, '已进入导入模式：请把频道中的文档转发给我，转发完成后再次发送 /import 预览导入结果，发送 /import cancel 退出');
+      return;
+    }
+
+    const { plan, folders } = await this.planChatImport(chatId);
+    if (plan.files.length === 0 && plan.incomplete.length === 0 && plan.tooLarge.length === 0) {
+      throw new BotCommandError('还没有收到文档，请把频道中的文档转发给我');
+    }
+
+    const importable = plan.files.some(file => file.status === 'new');
+    const buttons = importable ? [{ text: '确认导入', callback_data: 'import:commit' }] : [];
+    buttons.push({ text: '取消', callback_data: 'import:cancel' });
+    await this.reply(message, this.formatImportPlan(plan, folders), {
+      reply_markup: { inline_keyboard: [buttons] }
+    });
+  }
+
+  /**
+   * 根据导入模式下收到的文档生成导入预览，目标为当前目录
+   * @param {string} chatId - 聊天ID
+   * @returns {Object} { plan, folders }
+   */
+  async planChatImport(chatId) {
+    const folders = await this.db.getFolderPath(await this.db.getBotChatFolder(chatId));
+    const items = await this.db.getBotImportItems(chatId);
+    const documents = items.map(item => ({
+      messageId: item.message_id,
+      fileName: item.file_name,
+      mimeType: item.mime_type,
+      size: item.size,
+      fileId: item.telegram_file_id
+    }));
+    const plan = await this.importer.planImport(documents, folders.at(-1)?.id ?? null);
+    return { plan, folders };
+  }
+
+  /**
+   * 格式化导入预览
+   * @param {Object} plan - ImportService.planImport 的结果
+   * @param {Array} folders - 目标文件夹链
+   * @returns {string}
+   */
+  formatImportPlan(plan, folders) {
+    const pending = plan.files.filter(file => file.status === 'new');
+    const existing = plan.files.filter(file => file.status === 'exists');
+    const merged = pending.filter(file => file.parts.length > 1).length;
+    const totalSize = pending.reduce((sum, file) => sum + (file.size || 0), 0);
+
+    const lines = [
+      `导入预览（尚未导入），目标文件夹: ${formatPath(folders)}`,
+      `将导入 ${pending.length} 个文件${merged > 0 ? `（其中 ${merged} 个由分片合并）` : ''}，共 ${this.fileService.formatFileSize(totalSize)}`
+    ];
+    lines.push(...limitLines(pending.map(file => truncate(`📄 ${file.name}  ${file.parts.length > 1 ? `${file.parts.length} 个分片` : this.fileService.formatFileSize(file.size || 0)}`))));
+    if (existing.length > 0) {
+      lines.push(`已存在同名文件，跳过 ${existing.length} 个`);
+    }
+    if (plan.incomplete.length > 0) {
+      lines.push(`分片不完整，跳过 ${plan.incomplete.length} 个:`);
+      lines.push(...limitLines(plan.incomplete.map(item => truncate(`⚠️ ${item.name}（${item.reason}）`))));
+    }
+    if (plan.tooLarge.length > 0) {
+      lines.push(`超过 20MB，Bot 无法读取，跳过 ${plan.tooLarge.length} 个:`);
+      lines.push(...limitLines(plan.tooLarge.map(item => truncate(`⚠️ ${item.name}`))));
+    }
+    return lines.join('\n');
+  }
+
+  // ================== 内联键盘回调 ==================
+
+  /**
+   * 处理内联键盘按钮的回调
+   * 回调数据格式: ls:<文件夹ID，0 表示根目录>:<页码>、rm:<file|folder>:<ID>、import:<commit|cancel>、cancel
+   * @param {Object} query - Telegram CallbackQuery 对象
+   */
+  async handleCallback(query) {
+    const message = query.message;
+    let notice = null;
+
+    if (!this.isAllowed(query.from) || !message) {
+      notice = '没有权限';
+    } else {
+      const [action, ...args] = String(query.data || '').split(':');
+      try {
+        if (action === 'ls') {
+          const view = await this.renderListing(Number(args[0]) || null, Number(args[1]) || 0);
+          await this.telegram.editMessageText(message.chat.id, message.message_id, view.text, view.options, this.botId);
+        } else if (action === 'rm') {
+          const text = await this.removeResource(args[0], Number(args[1]));
+          await this.telegram.editMessageText(message.chat.id, message.message_id, text, {}, this.botId);
+        } else if (action === 'import') {
+          const text = await this.finishImport(String(message.chat.id), args[0] === 'commit');
+          await this.telegram.editMessageText(message.chat.id, message.message_id, text, {}, this.botId);
+        } else if (action === 'cancel') {
+          await this.telegram.editMessageText(message.chat.id, message.message_id, '已取消', {}, this.botId);
+        }
+      } catch (error) {
+        console.error(`[BOT] [ERROR] 处理回调 ${query.data} 失败:`, error);
+        notice = error instanceof BotCommandError ? error.message : `操作失败: ${error.message}`;
+      }
+    }
+
+    try {
+      await this.telegram.answerCallbackQuery(query.id, notice ? { text: notice } : {}, this.botId);
+    } catch (error) {
+      console.warn(`[BOT] [WARN] 响应回调失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 执行确认后的删除
+   * @param {string} type - file 或 folder
+   * @param {number} id - 文件或文件夹ID
+   * @returns {string} 删除结果
+   */
+  async removeResource(type, id) {
+    if (type === 'file') {
+      const file = await this.db.getFileById(id);
+      if (!file) {
+        return '文件已不存在';
+      }
+      await this.fileService.deleteFile(file.id);
+      console.log(`[BOT] 已删除文件 ${file.name}`);
+      return `已删除文件「${file.name}」`;
+    }
+
+    const folderPath = await this.db.getFolderPath(id);
+    if (folderPath.length === 0) {
+      return '文件夹已不存在';
+    }
+    await this.fileService.deleteFolder(id);
+    console.log(`[BOT] 已删除文件夹 ${formatPath(folderPath)}`);
+    return `已删除文件夹「${formatPath(folderPath)}」`;
+  }
+
+  /**
+   * 确认或取消导入，之后退出导入模式
+   * @param {string} chatId - 聊天ID
+   * @param {boolean} commit - 是否执行导入
+   * @returns {string} 导入结果
+   */
+  async finishImport(chatId, commit) {
+    if (!(await this.db.isBotChatImporting(chatId))) {
+      return '当前不在导入模式';
+    }
+    if (!commit) {
+      await this.db.setBotChatImporting(chatId, false);
+      return '已取消导入';
+    }
+
+    // 重新生成预览，按确认时的当前目录和已收到的文档导入
+    const { plan, folders } = await this.planChatImport(chatId);
+    const result = await this.importer.commitImport(plan, { chatId, botId: this.botId });
+    await this.db.setBotChatImporting(chatId, false);
+
+    const lines = [`已导入 ${result.imported.length} 个文件到 ${formatPath(folders)}`];
+    if (result.failed.length > 0) {
+      lines.push(`导入失败 ${result.failed.length} 个:`);
+      lines.push(...limitLines(result.failed.map(item => truncate(`⚠️ ${item.name}（${item.error}）`))));
+    }
+    return lines.join('\n');
+  }
+
+  // ================== 工具方法 ==================
+
+  /**
+   * 生成文件夹列表的某一页，带翻页按钮
+   * @param {number|null} folderId - 文件夹ID，null 表示根目录
+   * @param {number} page - 页码，从 0 开始
+   * @returns {Object} { text, options }
+   */
+  async renderListing(folderId, page) {
+    const folders = folderId ? await this.db.getFolderPath(folderId) : [];
+    if (folderId && folders.length === 0) {
+      throw new BotCommandError('文件夹已不存在');
+    }
+
+    const entries = [
+      ...(await this.db.getFoldersByParent(folderId)).map(folder => truncate(`📁 ${folder.name}/`)),
+      ...(await this.db.getFilesByFolder(folderId)).map(file => this.formatFileLine(file, file.name))
+    ];
+    const pageCount = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+
+    const title = pageCount > 1
+      ? `📂 ${formatPath(folders)}（第 ${current + 1}/${pageCount} 页）`
+      : `📂 ${formatPath(folders)}`;
+    const lines = entries.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+    const text = [title, ...(lines.length > 0 ? lines : ['（空文件夹）'])].join('\n');
+
+    const buttons = [];
+    if (current > 0) {
+      buttons.push({ text: '◀ 上一页', callback_data: `ls:${folderId || 0}:${current - 1}` });
+    }
+    if (current < pageCount - 1) {
+      buttons.push({ text: '下一页 ▶', callback_data: `ls:${folderId || 0}:${current + 1}` });
+    }
+    return { text, options: { reply_markup: { inline_keyboard: buttons.length > 0 ? [buttons] : [] } } };
+  }
+
+  /**
+   * 格式化列表中的文件行
+   * @param {Object} file - 文件信息
+   * @param {string} label - 显示的文件名或路径
+   * @returns {string}
+   */
+  formatFileLine(file, label) {
+    return truncate(`📄 ${label}  ${this.fileService.formatFileSize(file.size)}  #${file.id}`);
+  }
+
+  /**
+   * 解析路径，以 / 开头时从根目录开始，否则相对于当前目录，支持 . 和 ..
+   * 同名时文件夹优先，只有最后一段可以是文件
+   * @param {string} chatId - 聊天ID
+   * @param {string} path - 路径
+   * @returns {Object} { folders, file }，folders 为从根目录开始的文件夹链，file 不为空时目标是该文件夹中的文件
+   */
+  async resolvePath(chatId, path) {
+    const folders = path.startsWith('/')
+      ? []
+      : await this.db.getFolderPath(await this.db.getBotChatFolder(chatId));
+    const segments = path.split('/').filter(segment => segment && segment !== '.');
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      if (segment === '..') {
+        folders.pop();
+        continue;
+      }
+
+      const parentId = folders.at(-1)?.id ?? null;
+      const folder = await this.db.getFolderByName(segment, parentId);
+      if (folder) {
+        folders.push(folder);
+        continue;
+      }
+      if (i === segments.length - 1) {
+        const file = await this.db.getFileByName(segment, parentId);
+        if (file) {
+          return { folders, file };
+        }
+      }
+      throw new BotCommandError(`路径不存在: ${path}`);
+    }
+    return { folders, file: null };
+  }
+
+  /**
+   * 按文件ID或路径查找文件
+   * @param {string} chatId - 聊天ID
+   * @param {string} argument - 纯数字时为文件ID，否则为路径
+   * @param {string} command - 命令名，用于提示用法
+   * @returns {Object} 文件信息
+   */
+  async resolveFile(chatId, argument, command) {
+    if (!argument) {
+      throw new BotCommandError(`用法: ${command} <文件ID|路径>`);
+    }
+    if (/^\d+$/.test(argument)) {
+      const file = await this.db.getFileById(Number(argument));
+      if (!file) {
+        throw new BotCommandError(`文件不存在: #${argument}`);
+      }
+      return file;
+    }
+
+    const target = await this.resolvePath(chatId, argument);
+    if (!target.file) {
+      throw new BotCommandError(`「${argument}」是文件夹，使用 /ls 查看其中的文件`);
+    }
+    return target.file;
+  }
+
+  /**
+   * 把一个分片发送到聊天
+   * file_id 只对获取它的 Bot 有效，其他 Bot 上传的分片改为从存储聊天中复制消息
+   * @param {string|number} chatId - 聊天ID
+   * @param {Object} chunk - 分片信息
+   * @param {string} caption - 说明文字
+   */
+  async sendChunk(chatId, chunk, caption) {
+    if (chunk.bot_id && chunk.bot_id !== this.botId && chunk.telegram_message_id) {
+      const fromChatId = chunk.telegram_chat_id || this.telegram.chatId;
+      await this.telegram.copyMessage(chatId, fromChatId, chunk.telegram_message_id, { caption }, this.botId);
+      return;
+    }
+    await this.telegram.resendDocument(chatId, chunk.telegram_file_id, { caption }, this.botId);
+  }
+
+  /**
+   * 命令说明
+   * @returns {string}
+   */
+  getHelpText() {
+    return [
+      `发送文档、图片、视频或音频给我，即可保存到「${this.inboxFolder}」文件夹。可用命令：`,
+      '/ls [路径] - 列出文件夹内容',
+      '/cd [路径] - 切换当前目录，不带参数时回到根目录',
+      '/find <名称> - 按文件名搜索文件',
+      '/get <文件ID|路径> - 获取文件',
+      '/mkdir <路径> - 创建文件夹',
+      '/rm <文件ID|路径> - 删除文件或文件夹',
+      '/import - 批量导入从频道转发的文档到当前目录',
+      '路径以 / 开头时从根目录开始，否则相对于当前目录'
+    ].join('\n');
+  }
+
+  /**
+   * 回复用户消息，发送失败只记录日志，不影响已完成的操作
+   * @param {Object} message - 被回复的消息
+   * @param {string} text - 回复内容
+   * @param {Object} options - 其他 sendMessage 参数，例如 reply_markup
+   */
+  async reply(message, text, options = {}) {
+    try {
+      await this.telegram.sendMessage(message.chat.id, text, {
+        reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true },
+        ...options
+      }, this.botId);
+    } catch (error) {
+      console.warn(`[BOT] [WARN] 回复消息失败: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * 提取消息中的媒体文件
+ * @param {Object} message - Telegram Message 对象
+ * @returns {Object|null} { fileId, fileName, mimeType, size }，没有支持的媒体时返回 null
+ */
+function extractMedia(message) {
+  const stamp = formatStamp(message.date);
+
+  if (message.document) {
+    return mediaOf(message.document, `document_${stamp}`, 'application/octet-stream');
+  }
+  if (message.photo && message.photo.length > 0) {
+    // 同一张图片有多个尺寸，最后一个是原图
+    const photo = message.photo[message.photo.length - 1];
+    return mediaOf(photo, `photo_${stamp}.jpg`, 'image/jpeg');
+  }
+  if (message.video) {
+    return mediaOf(message.video, `video_${stamp}.mp4`, 'video/mp4');
+  }
+  if (message.audio) {
+    return mediaOf(message.audio, `audio_${stamp}.mp3`, 'audio/mpeg');
+  }
+  return null;
+}
+
+function mediaOf(item, defaultName, defaultMimeType) {
+  return {
+    fileId: item.file_id,
+    // 文件名中不能包含路径分隔符
+    fileName: (item.file_name || defaultName).replace(/[\\/]/g, '_'),
+    mimeType: item.mime_type || defaultMimeType,
+    size: item.file_size ?? null
+  };
+}
+
+/**
+ * 把消息时间格式化为 YYYYMMDD_HHMMSS（UTC），用于生成默认文件名
+ * @param {number} date - Unix 时间戳（秒）
+ * @returns {string}
+ */
+function formatStamp(date) {
+  const iso = new Date((date || Math.floor(Date.now() / 1000)) * 1000).toISOString();
+  return `${iso.slice(0, 10).replace(/-/g, '')}_${iso.slice(11, 19).replace(/:/g, '')}`;
+}
+
+/**
+ * 把文件夹链格式化为路径，例如 /文档/2024
+ * @param {Array} folders - 从根目录开始的文件夹列表
+ * @returns {string}
+ */
+function formatPath(folders) {
+  return `/${folders.map(folder => folder.name).join('/')}`;
+}
+
+function truncate(line) {
+  return line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH - 1)}…` : line;
+}
+
+/**
+ * 列表最多显示的行数，超出部分合并为一行说明
+ */
+function limitLines(lines, max = 10) {
+  if (lines.length <= max) {
+    return lines;
+  }
+  return [...lines.slice(0, max), `…等 ${lines.length} 个`];
+}
@@ -46,6 +46,27 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 根据名称获取同级目录下的文件夹
+   * @param {string} name - 文件夹名称
+   * @param {number|null} parentId - 父目录ID，null表示根目录
+   * @returns {Object|null} 文件夹信息
+   */
+  async getFolderByName(name, parentId) {
+    try {
+      const query = parentId
+        ? 'SELECT * FROM folders WHERE name = ? AND parent_id = ?'
+        : 'SELECT * FROM folders WHERE name = ? AND parent_id IS NULL';
+
+      const params = parentId ? [name, parentId] : [name];
+      const result = await this.db.prepare(query).bind(...params).first();
+      return result || null;
+    } catch (error) {
+      console.error('Error getting folder by name:', error);
+      throw new Error('Failed to get folder');
+    }
+  }
+
   /**
    * 创建文件夹
    * @param {string} name - 文件夹名称
@@ -114,6 +135,39 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 移动文件夹（可同时改名）
+   * @param {number} id - 文件夹ID
+   * @param {number|null} parentId - 新的父目录ID，null表示根目录
+   * @param {string} name - 新名称
+   * @returns {Object} 更新后的文件夹信息
+   */
+  async moveFolder(id, parentId, name) {
+    try {
+      // 检查目标目录下是否已存在同名文件夹
+      const existingQuery = parentId
+        ? 'SELECT id FROM folders WHERE name = ? AND parent_id = ? AND id != ?'
+        : 'SELECT id FROM folders WHERE name = ? AND parent_id IS NULL AND id != ?';
+
+      const existingParams = parentId ? [name, parentId, id] : [name, id];
+      const existing = await this.db.prepare(existingQuery).bind(...existingParams).first();
+
+      if (existing) {
+        throw new Error('Folder with the same name already exists');
+      }
+
+      const result = await this.db.prepare('UPDATE folders SET name = ?, parent_id = ? WHERE id = ? RETURNING *')
+        .bind(name, parentId, id).first();
+      if (!result) {
+        throw new Error('Folder not found');
+      }
+      return result;
+    } catch (error) {
+      console.error('Error moving folder:', error);
+      throw error;
+    }
+  }
+
   /**
    * 删除文件夹（级联删除子文件夹和文件）
    * @param {number} id - 文件夹ID
@@ -171,32 +225,84 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 根据名称获取文件夹中的文件
+   * @param {string} name - 文件名
+   * @param {number|null} folderId - 文件夹ID，null表示根目录
+   * @returns {Object|null} 文件信息
+   */
+  async getFileByName(name, folderId) {
+    try {
+      const query = folderId
+        ? 'SELECT * FROM files WHERE name = ? AND folder_id = ?'
+        : 'SELECT * FROM files WHERE name = ? AND folder_id IS NULL';
+
+      const params = folderId ? [name, folderId] : [name];
+      const result = await this.db.prepare(query).bind(...params).first();
+      return result || null;
+    } catch (error) {
+      console.error('Error getting file by name:', error);
+      throw new Error('Failed to get file');
+    }
+  }
+
+  /**
+   * 按文件名搜索文件（不区分大小写的子串匹配）
+   * @param {string} keyword - 关键字
+   * @param {number} limit - 最多返回的文件数
+   * @returns {Array} 文件列表，按文件名排序
+   */
+  async searchFiles(keyword, limit = 50) {
+    try {
+      // 转义 LIKE 的通配符，关键字按字面匹配
+      const pattern = `%${keyword.replace(/[\\%_]/g, '\\$&')}%`;
+      const result = await this.db.prepare(
+        `SELECT * FROM files WHERE name LIKE ? ESCAPE '\\' ORDER BY name ASC LIMIT ?`
+      ).bind(pattern, limit).all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error searching files:', error);
+      throw new Error('Failed to search files');
+    }
+  }
+
   /**
    * 创建文件记录
    * @param {string} name - 文件名
    * @param {number|null} folderId - 文件夹ID
    * @param {number} size - 文件大小
    * @param {string} mimeType - 文件类型
+   * @param {Object} options - 可选信息
+   * @param {string|null} options.encryptedKey - 客户端加密文件的密钥信封
+   * @param {string|null} options.sseKeyId - 服务端加密使用的主密钥ID
+   * @param {string|null} options.sseWrappedKey - 服务端加密的数据密钥（已被主密钥包装）
+   * @param {string|null} options.sha256 - 文件内容的 SHA-256
+   * @param {string|null} options.compression - 分片使用的压缩算法，null 表示未压缩
+   * @param {number|null} options.storedSize - 存储后端中实际占用的字节数（压缩、加密后）
    * @returns {Object} 创建的文件信息
    */
-  async createFile(name, folderId, size, mimeType) {
+  async createFile(name, folderId, size, mimeType, options = {}) {
     try {
-      // 检查同级目录下是否已存在同名文件
-      const existingQuery = folderId
-        ? 'SELECT id FROM files WHERE name = ? AND folder_id = ?'
-        : 'SELECT id FROM files WHERE name = ? AND folder_id IS NULL';
-
-      const existingParams = folderId ? [name, folderId] : [name];
-      const existing = await this.db.prepare(existingQuery).bind(...existingParams).first();
+      // 同名检查和插入在同一条语句中完成，并发创建同名文件时只有一个请求成功；
+      // 流式上传等写完所有分片才创建记录的请求之间间隔较长，分开查询和插入会产生重名文件
+      const insertQuery = `
+        INSERT INTO files (
+          name, folder_id, size, mime_type, encrypted_key, sse_key_id, sse_wrapped_key, sha256, compression, stored_size
+        )
+        SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+        WHERE NOT EXISTS (SELECT 1 FROM files WHERE name = ? AND folder_id IS ?)
+        RETURNING *
+      `;
+      const result = await this.db.prepare(insertQuery).bind(
+        name, folderId, size, mimeType, options.encryptedKey || null,
+        options.sseKeyId || null, options.sseWrappedKey || null, options.sha256 || null,
+        options.compression || null, options.storedSize ?? null,
+        name, folderId
+      ).first();
 
-      if (existing) {
+      if (!result) {
         throw new Error('File with the same name already exists');
       }
-
-      // 创建文件记录
-      const insertQuery = 'INSERT INTO files (name, folder_id, size, mime_type) VALUES (?, ?, ?, ?) RETURNING *';
-      const result = await this.db.prepare(insertQuery).bind(name, folderId, size, mimeType).first();
-
       return result;
     } catch (error) {
       console.error('Error creating file:', error);
@@ -241,6 +347,53 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 移动文件（可同时改名）
+   * @param {number} id - 文件ID
+   * @param {number|null} folderId - 新的文件夹ID，null表示根目录
+   * @param {string} name - 新名称
+   * @returns {Object} 更新后的文件信息
+   */
+  async moveFile(id, folderId, name) {
+    try {
+      // 检查目标目录下是否已存在同名文件
+      const existingQuery = folderId
+        ? 'SELECT id FROM files WHERE name = ? AND folder_id = ? AND id != ?'
+        : 'SELECT id FROM files WHERE name = ? AND folder_id IS NULL AND id != ?';
+
+      const existingParams = folderId ? [name, folderId, id] : [name, id];
+      const existing = await this.db.prepare(existingQuery).bind(...existingParams).first();
+
+      if (existing) {
+        throw new Error('File with the same name already exists');
+      }
+
+      const updateQuery = 'UPDATE files SET name = ?, folder_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *';
+      const result = await this.db.prepare(updateQuery).bind(name, folderId, id).first();
+      if (!result) {
+        throw new Error('File not found');
+      }
+      return result;
+    } catch (error) {
+      console.error('Error moving file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 记录文件内容的 SHA-256
+   * @param {number} fileId - 文件ID
+   * @param {string} sha256 - 十六进制 SHA-256
+   */
+  async updateFileHash(fileId, sha256) {
+    try {
+      await this.db.prepare('UPDATE files SET sha256 = ? WHERE id = ?').bind(sha256, fileId).run();
+    } catch (error) {
+      console.error('Error updating file hash:', error);
+      throw error;
+    }
+  }
+
   /**
    * 删除文件
    * @param {number} id - 文件ID
@@ -267,14 +420,32 @@ export class DatabaseService {
    * 创建文件分片记录
    * @param {number} fileId - 文件ID
    * @param {number} chunkIndex - 分片索引
-   * @param {string} telegramFileId - Telegram文件ID
+   * @param {string} telegramFileId - 分片引用（Telegram 后端为 file_id，其他后端为后端内部引用）
    * @param {number} size - 分片大小
+   * @param {Object} meta - 分片的存储位置信息
+   * @param {string} meta.backend - 存储后端名称
+   * @param {number|null} meta.messageId - Telegram 消息ID
+   * @param {string|null} meta.chatId - Telegram 聊天ID
+   * @param {string|null} meta.botId - 上传该分片的 Bot ID
+   * @param {string|null} meta.hash - 存储数据的 SHA-256，用于分片去重
+   * @param {number|null} meta.storedSize - 存储数据的大小（压缩、加密后），size 为原始大小
+   * @param {number|null} meta.sseIndex - 服务端加密时使用的分片索引，null 表示与 chunkIndex 相同
    * @returns {Object} 创建的分片信息
    */
-  async createFileChunk(fileId, chunkIndex, telegramFileId, size) {
+  async createFileChunk(fileId, chunkIndex, telegramFileId, size, meta = {}) {
     try {
-      const insertQuery = 'INSERT INTO file_chunks (file_id, chunk_index, telegram_file_id, size) VALUES (?, ?, ?, ?) RETURNING *';
-      const result = await this.db.prepare(insertQuery).bind(fileId, chunkIndex, telegramFileId, size).first();
+      const insertQuery = `
+        INSERT INTO file_chunks (
+          file_id, chunk_index, telegram_file_id, size, storage_backend, telegram_message_id, telegram_chat_id, bot_id,
+          chunk_hash, stored_size, sse_index
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *
+      `;
+      const result = await this.db.prepare(insertQuery).bind(
+        fileId, chunkIndex, telegramFileId, size, meta.backend || 'telegram',
+        meta.messageId || null, meta.chatId || null, meta.botId || null, meta.hash || null, meta.storedSize ?? null,
+        meta.sseIndex ?? null
+      ).first();
 
       return result;
     } catch (error) {
@@ -345,21 +516,34 @@ export class DatabaseService {
    * 创建临时分片记录
    * @param {string} uploadId - 上传ID
    * @param {number} chunkIndex - 分片索引
-   * @param {string} telegramFileId - Telegram文件ID
+   * @param {string} telegramFileId - 分片引用（Telegram 后端为 file_id，其他后端为后端内部引用）
    * @param {number} size - 分片大小
    * @param {string} originalFileName - 原始文件名
    * @param {number} originalFileSize - 原始文件大小
    * @param {number|null} folderId - 文件夹ID
+   * @param {Object} meta - 分片的存储位置信息
+   * @param {string} meta.backend - 存储后端名称
+   * @param {number|null} meta.messageId - Telegram 消息ID
+   * @param {string|null} meta.chatId - Telegram 聊天ID
+   * @param {string|null} meta.botId - 上传该分片的 Bot ID
+   * @param {string|null} meta.hash - 存储数据的 SHA-256，用于分片去重
+   * @param {number|null} meta.storedSize - 存储数据的大小（压缩、加密后），size 为原始大小
+   * @param {string|null} meta.compression - 分片使用的压缩算法
    * @returns {Object} 创建的临时分片信息
    */
-  async createTempChunk(uploadId, chunkIndex, telegramFileId, size, originalFileName, originalFileSize, folderId) {
+  async createTempChunk(uploadId, chunkIndex, telegramFileId, size, originalFileName, originalFileSize, folderId, meta = {}) {
     try {
       const insertQuery = `
-        INSERT INTO temp_chunks (upload_id, chunk_index, telegram_file_id, size, original_file_name, original_file_size, folder_id)
-        VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING *
+        INSERT INTO temp_chunks (
+          upload_id, chunk_index, telegram_file_id, size, original_file_name, original_file_size, folder_id,
+          storage_backend, telegram_message_id, telegram_chat_id, bot_id, chunk_hash, stored_size, compression
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *
       `;
       const result = await this.db.prepare(insertQuery).bind(
-        uploadId, chunkIndex, telegramFileId, size, originalFileName, originalFileSize, folderId
+        uploadId, chunkIndex, telegramFileId, size, originalFileName, originalFileSize, folderId,
+        meta.backend || 'telegram', meta.messageId || null, meta.chatId || null, meta.botId || null, meta.hash || null,
+        meta.storedSize ?? null, meta.compression || null
       ).first();
 
       return result;
@@ -369,6 +553,89 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 创建分片上传会话
+   * @param {string} uploadId - 上传ID
+   * @param {Object} session - 会话信息 { fileName, fileSize, chunkSize, totalChunks, folderId, mimeType, clientEncrypted, metadata }
+   * @returns {Object} 会话记录
+   */
+  async createUploadSession(uploadId, session) {
+    try {
+      return await this.db.prepare(`
+        INSERT INTO upload_sessions (
+          id, file_name, file_size, chunk_size, total_chunks, folder_id, mime_type, client_encrypted, metadata
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *
+      `).bind(
+        uploadId, session.fileName, session.fileSize, session.chunkSize, session.totalChunks,
+        session.folderId || null, session.mimeType || null, session.clientEncrypted ? 1 : 0, session.metadata || null
+      ).first();
+    } catch (error) {
+      console.error('Error creating upload session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取分片上传会话
+   * @param {string} uploadId - 上传ID
+   * @returns {Object|null} 会话记录
+   */
+  async getUploadSession(uploadId) {
+    try {
+      return await this.db.prepare('SELECT * FROM upload_sessions WHERE id = ?').bind(uploadId).first();
+    } catch (error) {
+      console.error('Error getting upload session:', error);
+      throw new Error('Failed to get upload session');
+    }
+  }
+
+  /**
+   * 记录上传会话合并得到的文件
+   * @param {string} uploadId - 上传ID
+   * @param {number} fileId - 文件ID
+   */
+  async completeUploadSession(uploadId, fileId) {
+    try {
+      await this.db.prepare('UPDATE upload_sessions SET file_id = ? WHERE id = ?').bind(fileId, uploadId).run();
+    } catch (error) {
+      console.error('Error completing upload session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除分片上传会话
+   * @param {string} uploadId - 上传ID
+   */
+  async deleteUploadSession(uploadId) {
+    try {
+      await this.db.prepare('DELETE FROM upload_sessions WHERE id = ?').bind(uploadId).run();
+    } catch (error) {
+      console.error('Error deleting upload session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除已过期且没有任何临时分片的上传会话（已完成的上传，或创建会话后没有上传任何分片就被放弃）
+   * @param {number} retentionHours - 保留时长（小时）
+   * @returns {number} 删除的记录数
+   */
+  async deleteExpiredUploadSessions(retentionHours) {
+    try {
+      const result = await this.db.prepare(`
+        DELETE FROM upload_sessions
+        WHERE created_at < datetime('now', ?)
+          AND id NOT IN (SELECT DISTINCT upload_id FROM temp_chunks)
+      `).bind(`-${retentionHours} hours`).run();
+      return result.meta?.changes ?? result.changes ?? 0;
+    } catch (error) {
+      console.error('Error deleting expired upload sessions:', error);
+      throw error;
+    }
+  }
+
   /**
    * 获取指定上传ID的所有临时分片
    * @param {string} uploadId - 上传ID
@@ -385,6 +652,59 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 获取指定上传ID的单个临时分片
+   * @param {string} uploadId - 上传ID
+   * @param {number} chunkIndex - 分片索引
+   * @returns {Object|null} 临时分片
+   */
+  async getTempChunk(uploadId, chunkIndex) {
+    try {
+      return await this.db.prepare(
+        'SELECT * FROM temp_chunks WHERE upload_id = ? AND chunk_index = ? ORDER BY id LIMIT 1'
+      ).bind(uploadId, chunkIndex).first();
+    } catch (error) {
+      console.error('Error getting temp chunk:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取指定上传ID在索引范围内的临时分片
+   * @param {string} uploadId - 上传ID
+   * @param {number} startIndex - 起始索引（包含）
+   * @param {number} endIndex - 结束索引（不包含）
+   * @returns {Array} 临时分片列表，按索引排序
+   */
+  async getTempChunksInRange(uploadId, startIndex, endIndex) {
+    try {
+      const query = `
+        SELECT * FROM temp_chunks WHERE upload_id = ? AND chunk_index >= ? AND chunk_index < ? ORDER BY chunk_index ASC
+      `;
+      const result = await this.db.prepare(query).bind(uploadId, startIndex, endIndex).all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error getting temp chunks in range:', error);
+      throw new Error('Failed to get temp chunks');
+    }
+  }
+
+  /**
+   * 删除指定上传ID在索引范围内的临时分片
+   * @param {string} uploadId - 上传ID
+   * @param {number} startIndex - 起始索引（包含）
+   * @param {number} endIndex - 结束索引（不包含）
+   */
+  async deleteTempChunksInRange(uploadId, startIndex, endIndex) {
+    try {
+      await this.db.prepare('DELETE FROM temp_chunks WHERE upload_id = ? AND chunk_index >= ? AND chunk_index < ?')
+        .bind(uploadId, startIndex, endIndex).run();
+    } catch (error) {
+      console.error('Error deleting temp chunks in range:', error);
+      throw error;
+    }
+  }
+
   /**
    * 删除指定上传ID的所有临时分片
    * @param {string} uploadId - 上传ID
@@ -399,17 +719,803 @@ export class DatabaseService {
   }
 
   /**
-   * 清理过期的临时分片（超过24小时）
+   * 获取已过期的分片上传（最后一个分片的上传时间早于保留时长）
+   * 只返回汇总信息，存储中的分片数据需要调用方按上传ID逐个清理
+   * @param {number} retentionHours - 临时分片的保留时长（小时）
+   * @param {number} limit - 最多返回的上传数
+   * @returns {Array} [{ upload_id, original_file_name, chunk_count, last_chunk_at }]
+   */
+  async getExpiredUploads(retentionHours, limit) {
+    try {
+      const query = `
+        SELECT upload_id, MAX(original_file_name) AS original_file_name, COUNT(*) AS chunk_count,
+          MAX(created_at) AS last_chunk_at
+        FROM temp_chunks
+        GROUP BY upload_id
+        HAVING MAX(created_at) < datetime('now', ?)
+        ORDER BY last_chunk_at
+        LIMIT ?
+      `;
+      const result = await this.db.prepare(query).bind(`-${retentionHours} hours`, limit).all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error getting expired uploads:', error);
+      throw error;
+    }
+  }
+
+  // ================== D1 存储后端数据 ==================
+
+  /**
+   * 保存分片数据（按行拆分）
+   * @param {string} blobId - 分片数据ID
+   * @param {Array<Uint8Array>} parts - 分片数据的各行
+   */
+  async createBlob(blobId, parts) {
+    try {
+      const insertQuery = 'INSERT INTO storage_blobs (id, part_index, data) VALUES (?, ?, ?)';
+      const statements = parts.map((part, index) => this.db.prepare(insertQuery).bind(blobId, index, part));
+      await this.db.batch(statements);
+    } catch (error) {
+      console.error('Error creating blob:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 读取分片数据的一行
+   * @param {string} blobId - 分片数据ID
+   * @param {number} partIndex - 行索引
+   * @returns {Uint8Array|null} 数据
+   */
+  async getBlobPart(blobId, partIndex) {
+    try {
+      const result = await this.db.prepare('SELECT data FROM storage_blobs WHERE id = ? AND part_index = ?')
+        .bind(blobId, partIndex).first();
+      return result ? new Uint8Array(result.data) : null;
+    } catch (error) {
+      console.error('Error getting blob part:', error);
+      throw new Error('Failed to get blob part');
+    }
+  }
+
+  /**
+   * 获取分片数据的行数和总大小
+   * @param {string} blobId - 分片数据ID
+   * @returns {Object} { parts, size }
+   */
+  async getBlobStat(blobId) {
+    try {
+      const result = await this.db.prepare(
+        'SELECT COUNT(*) AS parts, COALESCE(SUM(LENGTH(data)), 0) AS size FROM storage_blobs WHERE id = ?'
+      ).bind(blobId).first();
+      return { parts: result?.parts || 0, size: result?.size || 0 };
+    } catch (error) {
+      console.error('Error getting blob stat:', error);
+      throw new Error('Failed to get blob stat');
+    }
+  }
+
+  /**
+   * 删除分片数据
+   * @param {string} blobId - 分片数据ID
+   * @returns {number} 删除的行数
+   */
+  async deleteBlob(blobId) {
+    try {
+      const result = await this.db.prepare('DELETE FROM storage_blobs WHERE id = ?').bind(blobId).run();
+      return result.meta?.changes ?? result.changes ?? 0;
+    } catch (error) {
+      console.error('Error deleting blob:', error);
+      throw error;
+    }
+  }
+
+  // ================== 服务端加密密钥 ==================
+
+  /**
+   * 获取分片上传使用的数据密钥，不存在时保存传入的密钥
+   * 同一个上传的分片可能并行到达，INSERT OR IGNORE 保证所有分片使用同一个数据密钥
+   * @param {string} uploadId - 上传ID
+   * @param {string} keyId - 主密钥ID
+   * @param {string} wrappedKey - 包装后的数据密钥
+   * @returns {Object} 实际使用的密钥记录 { upload_id, key_id, wrapped_key }
+   */
+  async getOrCreateUploadKey(uploadId, keyId, wrappedKey) {
+    try {
+      await this.db.prepare('INSERT OR IGNORE INTO sse_upload_keys (upload_id, key_id, wrapped_key) VALUES (?, ?, ?)')
+        .bind(uploadId, keyId, wrappedKey).run();
+      return await this.getUploadKey(uploadId);
+    } catch (error) {
+      console.error('Error creating upload key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取分片上传使用的数据密钥
+   * @param {string} uploadId - 上传ID
+   * @returns {Object|null} 密钥记录
+   */
+  async getUploadKey(uploadId) {
+    try {
+      return await this.db.prepare('SELECT * FROM sse_upload_keys WHERE upload_id = ?').bind(uploadId).first();
+    } catch (error) {
+      console.error('Error getting upload key:', error);
+      throw new Error('Failed to get upload key');
+    }
+  }
+
+  /**
+   * 删除已过期且没有任何临时分片的上传数据密钥（上传在第一个分片写入前就中断时留下）
+   * @param {number} retentionHours - 保留时长（小时）
+   * @returns {number} 删除的记录数
+   */
+  async deleteExpiredUploadKeys(retentionHours) {
+    try {
+      const result = await this.db.prepare(`
+        DELETE FROM sse_upload_keys
+        WHERE created_at < datetime('now', ?)
+          AND upload_id NOT IN (SELECT DISTINCT upload_id FROM temp_chunks)
+      `).bind(`-${retentionHours} hours`).run();
+      return result.meta?.changes ?? result.changes ?? 0;
+    } catch (error) {
+      console.error('Error deleting expired upload keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除分片上传使用的数据密钥
+   * @param {string} uploadId - 上传ID
    */
-  async cleanupExpiredTempChunks() {
+  async deleteUploadKey(uploadId) {
     try {
-      const query = 'DELETE FROM temp_chunks WHERE created_at < datetime("now", "-1 day")';
-      const result = await this.db.prepare(query).run();
-      console.log(`Cleaned up ${result.changes} expired temp chunks`);
-      return result.changes;
+      await this.db.prepare('DELETE FROM sse_upload_keys WHERE upload_id = ?').bind(uploadId).run();
     } catch (error) {
-      console.error('Error cleaning up expired temp chunks:', error);
+      console.error('Error deleting upload key:', error);
       throw error;
     }
   }
+
+  /**
+   * 获取数据密钥不是由指定主密钥包装的文件
+   * @param {string} keyId - 当前主密钥ID
+   * @param {number} limit - 最大数量
+   * @returns {Array} 文件列表 [{ id, sse_key_id, sse_wrapped_key }]
+   */
+  async getFilesWithStaleKey(keyId, limit) {
+    try {
+      const result = await this.db.prepare(`
+        SELECT id, sse_key_id, sse_wrapped_key FROM files
+        WHERE sse_key_id IS NOT NULL AND sse_key_id != ?
+        ORDER BY id ASC LIMIT ?
+      `).bind(keyId, limit).all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error getting files with stale key:', error);
+      throw new Error('Failed to get files with stale key');
+    }
+  }
+
+  /**
+   * 统计数据密钥不是由指定主密钥包装的文件数量
+   * @param {string} keyId - 当前主密钥ID
+   * @returns {number} 文件数量
+   */
+  async countFilesWithStaleKey(keyId) {
+    try {
+      const result = await this.db.prepare(
+        'SELECT COUNT(*) AS count FROM files WHERE sse_key_id IS NOT NULL AND sse_key_id != ?'
+      ).bind(keyId).first();
+      return result?.count || 0;
+    } catch (error) {
+      console.error('Error counting files with stale key:', error);
+      throw new Error('Failed to count files with stale key');
+    }
+  }
+
+  /**
+   * 更新文件的数据密钥包装
+   * 只有原密钥未被并发修改时才更新
+   * @param {number} fileId - 文件ID
+   * @param {string} oldKeyId - 原主密钥ID
+   * @param {string} keyId - 新主密钥ID
+   * @param {string} wrappedKey - 新包装的数据密钥
+   */
+  async updateFileKey(fileId, oldKeyId, keyId, wrappedKey) {
+    try {
+      await this.db.prepare(`
+        UPDATE files SET sse_key_id = ?, sse_wrapped_key = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND sse_key_id = ?
+      `).bind(keyId, wrappedKey, fileId, oldKeyId).run();
+    } catch (error) {
+      console.error('Error updating file key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取数据密钥不是由指定主密钥包装的进行中的上传
+   * @param {string} keyId - 当前主密钥ID
+   * @returns {Array} 密钥记录列表
+   */
+  async getUploadKeysWithStaleKey(keyId) {
+    try {
+      const result = await this.db.prepare('SELECT * FROM sse_upload_keys WHERE key_id != ?').bind(keyId).all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error getting upload keys with stale key:', error);
+      throw new Error('Failed to get upload keys with stale key');
+    }
+  }
+
+  /**
+   * 更新进行中上传的数据密钥包装
+   * @param {string} uploadId - 上传ID
+   * @param {string} oldKeyId - 原主密钥ID
+   * @param {string} keyId - 新主密钥ID
+   * @param {string} wrappedKey - 新包装的数据密钥
+   */
+  async updateUploadKey(uploadId, oldKeyId, keyId, wrappedKey) {
+    try {
+      await this.db.prepare('UPDATE sse_upload_keys SET key_id = ?, wrapped_key = ? WHERE upload_id = ? AND key_id = ?')
+        .bind(keyId, wrappedKey, uploadId, oldKeyId).run();
+    } catch (error) {
+      console.error('Error updating upload key:', error);
+      throw error;
+    }
+  }
+
+  // ================== 分片去重 ==================
+
+  /**
+   * 引用已存在的相同内容分片，引用数加一
+   * 引用数已降为 0 的记录正在被删除，不能再被引用
+   * @param {string} hash - 存储数据的 SHA-256
+   * @returns {Object|null} chunk_hashes 记录，不存在时返回 null
+   */
+  async acquireChunkHash(hash) {
+    try {
+      return await this.db.prepare(
+        'UPDATE chunk_hashes SET ref_count = ref_count + 1 WHERE hash = ? AND ref_count > 0 RETURNING *'
+      ).bind(hash).first();
+    } catch (error) {
+      console.error('Error acquiring chunk hash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 登记新上传分片的存储位置，引用数为 1
+   * @param {string} hash - 存储数据的 SHA-256
+   * @param {Object} location - 分片位置 { backend, ref, messageId, chatId, botId }
+   * @param {number} size - 存储数据的大小
+   * @returns {boolean} 是否登记成功，相同内容已被登记时返回 false
+   */
+  async registerChunkHash(hash, location, size) {
+    try {
+      const result = await this.db.prepare(`
+        INSERT OR IGNORE INTO chunk_hashes (
+          hash, storage_backend, telegram_file_id, telegram_message_id, telegram_chat_id, bot_id, size, ref_count
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+      `).bind(
+        hash, location.backend, location.ref, location.messageId || null, location.chatId || null,
+        location.botId || null, size
+      ).run();
+      return (result.meta?.changes ?? result.changes ?? 0) > 0;
+    } catch (error) {
+      console.error('Error registering chunk hash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 释放分片引用，引用数减一
+   * @param {string} hash - 存储数据的 SHA-256
+   * @returns {Object} { found, remaining }
+   */
+  async releaseChunkHash(hash) {
+    try {
+      const result = await this.db.prepare(
+        'UPDATE chunk_hashes SET ref_count = MAX(ref_count - 1, 0) WHERE hash = ? RETURNING ref_count'
+      ).bind(hash).first();
+      return result ? { found: true, remaining: result.ref_count } : { found: false, remaining: 0 };
+    } catch (error) {
+      console.error('Error releasing chunk hash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除引用数为 0 的分片登记
+   * @param {string} hash - 存储数据的 SHA-256
+   * @returns {boolean} 是否删除，返回 true 时调用方负责删除后端中的数据
+   */
+  async deleteChunkHash(hash) {
+    try {
+      const result = await this.db.prepare('DELETE FROM chunk_hashes WHERE hash = ? AND ref_count = 0').bind(hash).run();
+      return (result.meta?.changes ?? result.changes ?? 0) > 0;
+    } catch (error) {
+      console.error('Error deleting chunk hash:', error);
+      throw error;
+    }
+  }
+
+  // ================== 存储巡检 ==================
+
+  /**
+   * 读取维护任务的状态值
+   * @param {string} name - 状态名
+   * @returns {string|null} 状态值
+   */
+  async getMaintenanceState(name) {
+    try {
+      const result = await this.db.prepare('SELECT value FROM maintenance_state WHERE name = ?').bind(name).first();
+      return result ? result.value : null;
+    } catch (error) {
+      console.error('Error getting maintenance state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 保存维护任务的状态值
+   * @param {string} name - 状态名
+   * @param {string} value - 状态值
+   */
+  async setMaintenanceState(name, value) {
+    try {
+      await this.db.prepare(`
+        INSERT INTO maintenance_state (name, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+      `).bind(name, value).run();
+    } catch (error) {
+      console.error('Error setting maintenance state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取未过期的 Telegram 文件路径缓存
+   * @param {string} telegramFileId - Telegram文件ID
+   * @returns {Object|null} { file_id, bot_id, file_path, expires_at }
+   */
+  async getTelegramFilePath(telegramFileId) {
+    try {
+      return await this.db.prepare(
+        "SELECT * FROM telegram_file_paths WHERE file_id = ? AND expires_at > datetime('now')"
+      ).bind(telegramFileId).first();
+    } catch (error) {
+      console.error('Error getting telegram file path:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 缓存 Telegram 文件路径
+   * @param {string} telegramFileId - Telegram文件ID
+   * @param {string} botId - 获取该路径的 Bot ID
+   * @param {string} filePath - getFile 返回的 file_path
+   * @param {number} ttlSeconds - 有效期（秒）
+   */
+  async setTelegramFilePath(telegramFileId, botId, filePath, ttlSeconds) {
+    try {
+      await this.db.prepare(`
+        INSERT INTO telegram_file_paths (file_id, bot_id, file_path, expires_at)
+        VALUES (?, ?, ?, datetime('now', ?))
+        ON CONFLICT(file_id) DO UPDATE SET
+          bot_id = excluded.bot_id, file_path = excluded.file_path, expires_at = excluded.expires_at
+      `).bind(telegramFileId, botId, filePath, `+${ttlSeconds} seconds`).run();
+    } catch (error) {
+      console.error('Error setting telegram file path:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除 Telegram 文件路径缓存
+   * @param {string} telegramFileId - Telegram文件ID
+   */
+  async deleteTelegramFilePath(telegramFileId) {
+    try {
+      await this.db.prepare('DELETE FROM telegram_file_paths WHERE file_id = ?').bind(telegramFileId).run();
+    } catch (error) {
+      console.error('Error deleting telegram file path:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除已过期的 Telegram 文件路径缓存
+   * @returns {number} 删除的记录数
+   */
+  async deleteExpiredTelegramFilePaths() {
+    try {
+      const result = await this.db.prepare(
+        "DELETE FROM telegram_file_paths WHERE expires_at <= datetime('now')"
+      ).run();
+      return result.meta?.changes ?? result.changes ?? 0;
+    } catch (error) {
+      console.error('Error deleting expired telegram file paths:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 按ID顺序获取一批分片记录
+   * @param {number} afterId - 从该ID之后开始
+   * @param {number} limit - 最多返回的记录数
+   * @returns {Array} 分片记录
+   */
+  async getChunksAfter(afterId, limit) {
+    try {
+      const result = await this.db.prepare(
+        'SELECT * FROM file_chunks WHERE id > ? ORDER BY id LIMIT ?'
+      ).bind(afterId, limit).all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error getting chunks for health check:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 批量记录分片巡检结果
+   * 连续失败次数在分片恢复可读时清零
+   * @param {Array} records - [{ chunkId, fileId, status, error }]
+   */
+  async recordChunkHealth(records) {
+    if (records.length === 0) {
+      return;
+    }
+    try {
+      const upsertQuery = `
+        INSERT INTO chunk_health (chunk_id, file_id, status, error, failures, checked_at)
+        VALUES (?, ?, ?, ?, CASE WHEN ? = 'ok' THEN 0 ELSE 1 END, CURRENT_TIMESTAMP)
+        ON CONFLICT(chunk_id) DO UPDATE SET
+          status = excluded.status,
+          error = excluded.error,
+          failures = CASE WHEN excluded.status = 'ok' THEN 0 ELSE chunk_health.failures + 1 END,
+          checked_at = CURRENT_TIMESTAMP
+      `;
+      const statements = records.map(record => this.db.prepare(upsertQuery).bind(
+        record.chunkId, record.fileId, record.status, record.error || null, record.status
+      ));
+      await this.db.batch(statements);
+    } catch (error) {
+      console.error('Error recording chunk health:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取存在不可读分片的文件
+   * @returns {Array} [{ id, name, folder_id, size, unreachable_chunks, error_chunks, last_error, last_checked_at }]
+   */
+  async getUnhealthyFiles() {
+    try {
+      const result = await this.db.prepare(`
+        SELECT f.id, f.name, f.folder_id, f.size,
+          SUM(CASE WHEN h.status = 'unreachable' THEN 1 ELSE 0 END) AS unreachable_chunks,
+          SUM(CASE WHEN h.status = 'error' THEN 1 ELSE 0 END) AS error_chunks,
+          MAX(h.error) AS last_error,
+          MAX(h.checked_at) AS last_checked_at
+        FROM chunk_health h
+        JOIN files f ON f.id = h.file_id
+        WHERE h.status != 'ok'
+        GROUP BY f.id
+        ORDER BY unreachable_chunks DESC, f.name
+      `).all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error getting unhealthy files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 统计分片巡检结果
+   * @returns {Object} { total_chunks, checked_chunks, unreachable_chunks, error_chunks }
+   */
+  async getChunkHealthSummary() {
+    try {
+      return await this.db.prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM file_chunks) AS total_chunks,
+          COUNT(*) AS checked_chunks,
+          COALESCE(SUM(CASE WHEN status = 'unreachable' THEN 1 ELSE 0 END), 0) AS unreachable_chunks,
+          COALESCE(SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END), 0) AS error_chunks
+        FROM chunk_health
+      `).first();
+    } catch (error) {
+      console.error('Error getting chunk health summary:', error);
+      throw error;
+    }
+  }
+
+  // ================== S3 访问密钥与分段上传 ==================
+
+  /**
+   * 创建 S3 访问密钥
+   * @param {string} accessKeyId - Access Key ID
+   * @param {string} secretAccessKey - Secret Access Key
+   * @param {string|null} description - 备注
+   * @returns {Object} 访问密钥记录
+   */
+  async createS3AccessKey(accessKeyId, secretAccessKey, description) {
+    try {
+      return await this.db.prepare(`
+        INSERT INTO s3_access_keys (access_key_id, secret_access_key, description) VALUES (?, ?, ?) RETURNING *
+      `).bind(accessKeyId, secretAccessKey, description || null).first();
+    } catch (error) {
+      console.error('Error creating S3 access key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取 S3 访问密钥
+   * @param {string} accessKeyId - Access Key ID
+   * @returns {Object|null} 访问密钥记录
+   */
+  async getS3AccessKey(accessKeyId) {
+    try {
+      return await this.db.prepare('SELECT * FROM s3_access_keys WHERE access_key_id = ?').bind(accessKeyId).first();
+    } catch (error) {
+      console.error('Error getting S3 access key:', error);
+      throw new Error('Failed to get S3 access key');
+    }
+  }
+
+  /**
+   * 列出 S3 访问密钥（不包含 Secret Access Key）
+   * @returns {Array} [{ access_key_id, description, created_at }]
+   */
+  async listS3AccessKeys() {
+    try {
+      const result = await this.db.prepare(
+        'SELECT access_key_id, description, created_at FROM s3_access_keys ORDER BY created_at'
+      ).all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error listing S3 access keys:', error);
+      throw new Error('Failed to list S3 access keys');
+    }
+  }
+
+  /**
+   * 删除 S3 访问密钥
+   * @param {string} accessKeyId - Access Key ID
+   * @returns {boolean} 是否删除了记录
+   */
+  async deleteS3AccessKey(accessKeyId) {
+    try {
+      const result = await this.db.prepare('DELETE FROM s3_access_keys WHERE access_key_id = ?').bind(accessKeyId).run();
+      return (result.meta?.changes ?? result.changes ?? 0) > 0;
+    } catch (error) {
+      console.error('Error deleting S3 access key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 创建 S3 分段上传记录
+   * @param {string} uploadId - 分段上传ID
+   * @param {Object} upload - { bucket, key, mimeType }
+   * @returns {Object} 分段上传记录
+   */
+  async createS3MultipartUpload(uploadId, upload) {
+    try {
+      return await this.db.prepare(`
+        INSERT INTO s3_multipart_uploads (id, bucket, object_key, mime_type) VALUES (?, ?, ?, ?) RETURNING *
+      `).bind(uploadId, upload.bucket, upload.key, upload.mimeType || null).first();
+    } catch (error) {
+      console.error('Error creating S3 multipart upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取 S3 分段上传记录
+   * @param {string} uploadId - 分段上传ID
+   * @returns {Object|null} 分段上传记录
+   */
+  async getS3MultipartUpload(uploadId) {
+    try {
+      return await this.db.prepare('SELECT * FROM s3_multipart_uploads WHERE id = ?').bind(uploadId).first();
+    } catch (error) {
+      console.error('Error getting S3 multipart upload:', error);
+      throw new Error('Failed to get S3 multipart upload');
+    }
+  }
+
+  /**
+   * 删除 S3 分段上传记录
+   * @param {string} uploadId - 分段上传ID
+   */
+  async deleteS3MultipartUpload(uploadId) {
+    try {
+      await this.db.prepare('DELETE FROM s3_multipart_uploads WHERE id = ?').bind(uploadId).run();
+    } catch (error) {
+      console.error('Error deleting S3 multipart upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 记录 S3 分段上传中一段的 ETag，重新上传的段覆盖之前的记录
+   * @param {string} uploadId - 分段上传ID
+   * @param {number} partNumber - 段号
+   * @param {string} etag - 段的 ETag（不带引号）
+   * @param {number} size - 段的大小
+   */
+  async setS3MultipartPart(uploadId, partNumber, etag, size) {
+    try {
+      await this.db.prepare(`
+        INSERT INTO s3_multipart_parts (upload_id, part_number, etag, size) VALUES (?, ?, ?, ?)
+        ON CONFLICT(upload_id, part_number) DO UPDATE SET etag = excluded.etag, size = excluded.size,
+          created_at = CURRENT_TIMESTAMP
+      `).bind(uploadId, partNumber, etag, size).run();
+    } catch (error) {
+      console.error('Error setting S3 multipart part:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 删除 S3 分段上传中一段的记录
+   * @param {string} uploadId - 分段上传ID
+   * @param {number} partNumber - 段号
+   */
+  async deleteS3MultipartPart(uploadId, partNumber) {
+    try {
+      await this.db.prepare('DELETE FROM s3_multipart_parts WHERE upload_id = ? AND part_number = ?')
+        .bind(uploadId, partNumber)
+        .run();
+    } catch (error) {
+      console.error('Error deleting S3 multipart part:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取 S3 分段上传中已上传的段
+   * @param {string} uploadId - 分段上传ID
+   * @returns {Array} 段记录，按段号排序
+   */
+  async getS3MultipartParts(uploadId) {
+    try {
+      const result = await this.db.prepare('SELECT * FROM s3_multipart_parts WHERE upload_id = ? ORDER BY part_number')
+        .bind(uploadId)
+        .all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error getting S3 multipart parts:', error);
+      throw new Error('Failed to get S3 multipart parts');
+    }
+  }
+
+  /**
+   * 删除已过期且没有任何临时分片的 S3 分段上传记录（分片已被过期上传清理删除，或从未上传任何段）
+   * @param {number} retentionHours - 保留时长（小时）
+   * @returns {number} 删除的记录数
+   */
+  async deleteExpiredS3MultipartUploads(retentionHours) {
+    try {
+      const result = await this.db.prepare(`
+        DELETE FROM s3_multipart_uploads
+        WHERE created_at < datetime('now', ?)
+          AND id NOT IN (SELECT DISTINCT upload_id FROM temp_chunks)
+      `).bind(`-${retentionHours} hours`).run();
+      return result.meta?.changes ?? result.changes ?? 0;
+    } catch (error) {
+      console.error('Error deleting expired S3 multipart uploads:', error);
+      throw error;
+    }
+  }
+
+  // ================== Telegram Bot 聊天状态 ==================
+
+  /**
+   * 获取 Bot 聊天的当前目录
+   * @param {string} chatId - 聊天ID
+   * @returns {number|null} 文件夹ID，null 表示根目录
+   */
+  async getBotChatFolder(chatId) {
+    try {
+      const result = await this.db.prepare('SELECT folder_id FROM bot_chat_state WHERE chat_id = ?').bind(chatId).first();
+      return result ? result.folder_id : null;
+    } catch (error) {
+      console.error('Error getting bot chat folder:', error);
+      throw new Error('Failed to get bot chat state');
+    }
+  }
+
+  /**
+   * 设置 Bot 聊天的当前目录
+   * @param {string} chatId - 聊天ID
+   * @param {number|null} folderId - 文件夹ID，null 表示根目录
+   */
+  async setBotChatFolder(chatId, folderId) {
+    try {
+      await this.db.prepare(`
+        INSERT INTO bot_chat_state (chat_id, folder_id, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(chat_id) DO UPDATE SET folder_id = excluded.folder_id, updated_at = CURRENT_TIMESTAMP
+      `).bind(chatId, folderId).run();
+    } catch (error) {
+      console.error('Error setting bot chat folder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 聊天是否处于导入模式
+   * @param {string} chatId - 聊天ID
+   * @returns {boolean}
+   */
+  async isBotChatImporting(chatId) {
+    try {
+      const result = await this.db.prepare('SELECT importing FROM bot_chat_state WHERE chat_id = ?').bind(chatId).first();
+      return !!(result && result.importing);
+    } catch (error) {
+      console.error('Error getting bot chat import state:', error);
+      throw new Error('Failed to get bot chat state');
+    }
+  }
+
+  /**
+   * 进入或退出导入模式，同时清空已收到的导入文档
+   * @param {string} chatId - 聊天ID
+   * @param {boolean} importing - 是否处于导入模式
+   */
+  async setBotChatImporting(chatId, importing) {
+    try {
+      await this.db.batch([
+        this.db.prepare(`
+          INSERT INTO bot_chat_state (chat_id, importing, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(chat_id) DO UPDATE SET importing = excluded.importing, updated_at = CURRENT_TIMESTAMP
+        `).bind(chatId, importing ? 1 : 0),
+        this.db.prepare('DELETE FROM bot_import_items WHERE chat_id = ?').bind(chatId)
+      ]);
+    } catch (error) {
+      console.error('Error setting bot chat import state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 记录导入模式下收到的文档，Telegram 重发同一条更新时忽略
+   * @param {string} chatId - 聊天ID
+   * @param {Object} item - { messageId, fileId, fileName, mimeType, size }
+   */
+  async addBotImportItem(chatId, item) {
+    try {
+      await this.db.prepare(`
+        INSERT OR IGNORE INTO bot_import_items (chat_id, message_id, telegram_file_id, file_name, mime_type, size)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(chatId, item.messageId, item.fileId, item.fileName, item.mimeType || null, item.size ?? null).run();
+    } catch (error) {
+      console.error('Error adding bot import item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取导入模式下收到的文档
+   * @param {string} chatId - 聊天ID
+   * @returns {Array} 文档列表，按消息ID排序
+   */
+  async getBotImportItems(chatId) {
+    try {
+      const result = await this.db.prepare(
+        'SELECT * FROM bot_import_items WHERE chat_id = ? ORDER BY message_id ASC'
+      ).bind(chatId).all();
+      return result.results || [];
+    } catch (error) {
+      console.error('Error getting bot import items:', error);
+      throw new Error('Failed to get bot import items');
+    }
+  }
 }
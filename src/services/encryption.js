@@ -0,0 +1,211 @@
+// 加密服务模块
+// 提供分片的服务端静态加密：每个文件使用独立的数据密钥（AES-GCM 256），
+// 数据密钥由环境变量中的主密钥加密（包装）后保存在数据库中，主密钥按密钥ID区分，
+// 轮换主密钥时只需重新包装数据密钥，无需重新上传分片内容
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// 每个加密分片比明文多出的字节数（IV + 认证标签）
+export const CHUNK_OVERHEAD = IV_LENGTH + TAG_LENGTH;
+
+/**
+ * 加密服务类
+ */
+export class EncryptionService {
+  /**
+   * @param {string|Object} masterKeys - 主密钥表（JSON 字符串或对象），键为密钥ID，值为 Base64 编码的 32 字节密钥
+   * @param {string|null} activeKeyId - 新文件使用的主密钥ID，未设置时不加密新上传的文件
+   */
+  constructor(masterKeys, activeKeyId = null) {
+    this.masterKeysSource = masterKeys || {};
+    this.masterKeys = null;
+    this.activeKeyId = activeKeyId || null;
+    this.importedKeys = new Map();
+  }
+
+  /**
+   * 是否对新上传的文件启用加密
+   * @returns {boolean}
+   */
+  get enabled() {
+    return !!this.activeKeyId;
+  }
+
+  /**
+   * 导入主密钥
+   * @param {string} keyId - 主密钥ID
+   * @returns {CryptoKey} 主密钥
+   */
+  async getMasterKey(keyId) {
+    if (this.importedKeys.has(keyId)) {
+      return this.importedKeys.get(keyId);
+    }
+
+    // 主密钥表在第一次使用时才解析，配置错误不影响未加密文件的访问
+    if (!this.masterKeys) {
+      try {
+        this.masterKeys = typeof this.masterKeysSource === 'string'
+          ? JSON.parse(this.masterKeysSource)
+          : this.masterKeysSource;
+      } catch (error) {
+        throw new Error('ENCRYPTION_MASTER_KEYS 不是有效的 JSON', { cause: error });
+      }
+    }
+
+    const encoded = this.masterKeys[keyId];
+    if (!encoded) {
+      throw new Error(`未配置主密钥: ${keyId}`);
+    }
+    const raw = fromBase64(encoded);
+    if (raw.length !== 32) {
+      throw new Error(`主密钥 ${keyId} 长度无效，需要 32 字节`);
+    }
+
+    const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['wrapKey', 'unwrapKey']);
+    this.importedKeys.set(keyId, key);
+    return key;
+  }
+
+  /**
+   * 生成新的数据密钥，并用当前主密钥包装
+   * @returns {Object} { dataKey, keyId, wrappedKey }
+   */
+  async createDataKey() {
+    if (!this.enabled) {
+      throw new Error('未启用服务端加密');
+    }
+
+    const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const wrappedKey = await this.wrapDataKey(dataKey, this.activeKeyId);
+    return { dataKey, keyId: this.activeKeyId, wrappedKey };
+  }
+
+  /**
+   * 用指定主密钥包装数据密钥
+   * @param {CryptoKey} dataKey - 数据密钥
+   * @param {string} keyId - 主密钥ID
+   * @returns {string} Base64 编码的 IV + 包装后的密钥
+   */
+  async wrapDataKey(dataKey, keyId) {
+    const masterKey = await this.getMasterKey(keyId);
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, masterKey, {
+      name: 'AES-GCM',
+      iv,
+      additionalData: new TextEncoder().encode(keyId)
+    });
+    return toBase64(concatBytes(iv, new Uint8Array(wrapped)));
+  }
+
+  /**
+   * 解开数据密钥
+   * @param {string} keyId - 包装时使用的主密钥ID
+   * @param {string} wrappedKey - 包装后的数据密钥
+   * @param {boolean} extractable - 解开的密钥是否可导出（重新包装时需要）
+   * @returns {CryptoKey} 数据密钥
+   */
+  async unwrapDataKey(keyId, wrappedKey, extractable = false) {
+    const masterKey = await this.getMasterKey(keyId);
+    const bytes = fromBase64(wrappedKey);
+    try {
+      return await crypto.subtle.unwrapKey(
+        'raw',
+        bytes.subarray(IV_LENGTH),
+        masterKey,
+        { name: 'AES-GCM', iv: bytes.subarray(0, IV_LENGTH), additionalData: new TextEncoder().encode(keyId) },
+        { name: 'AES-GCM', length: 256 },
+        extractable,
+        ['encrypt', 'decrypt']
+      );
+    } catch (error) {
+      throw new Error(`无法使用主密钥 ${keyId} 解开数据密钥`, { cause: error });
+    }
+  }
+
+  /**
+   * 用当前主密钥重新包装数据密钥
+   * @param {string} keyId - 原主密钥ID
+   * @param {string} wrappedKey - 原包装后的数据密钥
+   * @returns {Object} { keyId, wrappedKey }
+   */
+  async rewrapDataKey(keyId, wrappedKey) {
+    if (!this.enabled) {
+      throw new Error('未设置当前主密钥ID');
+    }
+
+    const dataKey = await this.unwrapDataKey(keyId, wrappedKey, true);
+    return {
+      keyId: this.activeKeyId,
+      wrappedKey: await this.wrapDataKey(dataKey, this.activeKeyId)
+    };
+  }
+
+  /**
+   * 加密分片
+   * @param {CryptoKey} dataKey - 数据密钥
+   * @param {Uint8Array} data - 明文分片
+   * @param {number} chunkIndex - 分片索引，作为附加认证数据防止分片被调换
+   * @returns {Uint8Array} IV + 密文 + 认证标签
+   */
+  async encryptChunk(dataKey, data, chunkIndex) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const cipher = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: chunkAad(chunkIndex) },
+      dataKey,
+      data
+    );
+    return concatBytes(iv, new Uint8Array(cipher));
+  }
+
+  /**
+   * 解密分片
+   * @param {CryptoKey} dataKey - 数据密钥
+   * @param {Uint8Array} data - IV + 密文 + 认证标签
+   * @param {number} chunkIndex - 分片索引
+   * @returns {Uint8Array} 明文分片
+   */
+  async decryptChunk(dataKey, data, chunkIndex) {
+    if (data.length < CHUNK_OVERHEAD) {
+      throw new Error(`加密分片 ${chunkIndex} 数据不完整`);
+    }
+
+    try {
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: data.subarray(0, IV_LENGTH), additionalData: chunkAad(chunkIndex) },
+        dataKey,
+        data.subarray(IV_LENGTH)
+      );
+      return new Uint8Array(plain);
+    } catch (error) {
+      throw new Error(`加密分片 ${chunkIndex} 校验失败，数据可能已损坏或被篡改`, { cause: error });
+    }
+  }
+}
+
+/**
+ * 分片的附加认证数据：4 字节分片索引
+ */
+function chunkAad(chunkIndex) {
+  const aad = new Uint8Array(4);
+  new DataView(aad.buffer).setUint32(0, chunkIndex);
+  return aad;
+}
+
+function concatBytes(a, b) {
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a, 0);
+  result.set(b, a.length);
+  return result;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+}
@@ -1,22 +1,51 @@
 // 文件服务模块
-// 整合数据库操作和 Telegram 服务，提供完整的文件管理功能
+// 整合数据库操作和存储后端，提供完整的文件管理功能
+
+import { createMultipartByteranges } from '../utils/range.js';
+import { sha256Hex, createHasher, createDigestCheck } from '../utils/digest.js';
+import { DEFAULT_CODEC, isCompressibleMimeType, compressBytes, decompressBytes } from '../utils/compression.js';
+import { ChunkIntegrityError } from './storage/index.js';
+import { chunkStream } from '../utils/stream.js';
+
+// 上传会话允许的最大分片大小，存储后的分片不能超过 Telegram Bot API 20MB 的下载限制
+const MAX_SESSION_CHUNK_SIZE = 20 * 1024 * 1024;
+
+/**
+ * 分片上传会话错误
+ * 会话不存在，或者分片与会话声明的大小、数量不符；status 为返回给客户端的 HTTP 状态码
+ */
+export class UploadSessionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadSessionError';
+    this.status = status;
+  }
+}
 
 /**
  * 文件服务类
  */
 export class FileService {
-  constructor(databaseService, telegramService) {
+  /**
+   * @param {DatabaseService} databaseService - 数据库服务
+   * @param {StorageManager} storageManager - 存储管理器
+   * @param {EncryptionService|null} encryptionService - 服务端加密服务，启用后新上传的分片会在写入存储前加密
+   */
+  constructor(databaseService, storageManager, encryptionService = null) {
     this.db = databaseService;
-    this.telegram = telegramService;
+    this.storage = storageManager;
+    this.encryption = encryptionService;
   }
 
   /**
    * 上传文件
    * @param {File} file - 文件对象
    * @param {number|null} folderId - 文件夹ID
+   * @param {Object} options - 上传选项
+   * @param {string|null} options.encryptedKey - 客户端加密文件的密钥信封，文件内容已是密文
    * @returns {Object} 上传结果
    */
-  async uploadFile(file, folderId) {
+  async uploadFile(file, folderId, options = {}) {
     console.log(`[INFO] 开始上传文件: ${file.name}, 大小: ${file.size} 字节, 文件夹ID: ${folderId || 'root'}`);
     try {
       // 获取文件数据
@@ -27,31 +56,80 @@ export class FileService {
       const mimeType = file.type || 'application/octet-stream';
       console.log(`[INFO] 文件 ${file.name} MIME类型: ${mimeType}`);
 
-      // 上传到 Telegram
-      console.log(`[INFO] 开始上传文件 ${file.name} 到 Telegram`);
-      const telegramChunks = await this.telegram.uploadFile(fileData, file.name);
-      console.log(`[INFO] 文件 ${file.name} 上传到 Telegram 完成，共 ${telegramChunks.length} 个分片`);
+      // 计算整个文件的 SHA-256，下载和校验时用于确认内容未被改变
+      const sha256 = await sha256Hex(fileData);
 
-      // 创建文件记录
-      console.log(`[INFO] 为文件 ${file.name} 创建数据库记录`);
-      const fileRecord = await this.db.createFile(
-        file.name,
-        folderId,
-        file.size,
-        mimeType
-      );
+      // 可压缩的内容先按分片压缩，客户端加密的文件已是密文，压缩没有效果
+      const compression = this.getUploadCompression(mimeType, !!options.encryptedKey);
+
+      // 启用服务端加密时为文件生成数据密钥，分片在写入存储前逐个加密
+      let sseKey = null;
+      if (this.encryption && this.encryption.enabled) {
+        sseKey = await this.encryption.createDataKey();
+        console.log(`[INFO] 文件 ${file.name} 使用服务端加密，主密钥ID: ${sseKey.keyId}`);
+      }
+      const encode = this.getUploadEncoder(compression, sseKey ? sseKey.dataKey : null);
 
-      // 创建分片记录
+      // 上传到存储后端
+      console.log(`[INFO] 开始上传文件 ${file.name} 到存储后端`);
+      const storedChunks = await this.storage.uploadFile(fileData, file.name, { encode });
+      const storedSize = storedChunks.reduce((sum, chunk) => sum + chunk.storedSize, 0);
+      console.log(`[INFO] 文件 ${file.name} 上传到存储后端完成，共 ${storedChunks.length} 个分片，存储大小: ${storedSize} 字节`);
+
+      // 创建文件和分片记录，失败时（例如同名文件已存在）删除已写入存储的分片并释放去重引用
+      let fileRecord = null;
       const chunkRecords = [];
-      for (const chunk of telegramChunks) {
-        console.log(`[INFO] 为文件 ${file.name} 创建分片记录 ${chunk.index + 1}/${telegramChunks.length}`);
-        const chunkRecord = await this.db.createFileChunk(
-          fileRecord.id,
-          chunk.index,
-          chunk.telegramFileId,
-          chunk.size
+      try {
+        // 创建文件记录
+        console.log(`[INFO] 为文件 ${file.name} 创建数据库记录`);
+        fileRecord = await this.db.createFile(
+          file.name,
+          folderId,
+          file.size,
+          mimeType,
+          {
+            encryptedKey: options.encryptedKey,
+            sseKeyId: sseKey ? sseKey.keyId : null,
+            sseWrappedKey: sseKey ? sseKey.wrappedKey : null,
+            sha256,
+            compression,
+            storedSize
+          }
         );
-        chunkRecords.push(chunkRecord);
+
+        // 创建分片记录
+        for (const chunk of storedChunks) {
+          console.log(`[INFO] 为文件 ${file.name} 创建分片记录 ${chunk.index + 1}/${storedChunks.length}`);
+          const chunkRecord = await this.db.createFileChunk(
+            fileRecord.id,
+            chunk.index,
+            chunk.ref,
+            chunk.size,
+            {
+              backend: chunk.backend,
+              messageId: chunk.messageId,
+              chatId: chunk.chatId,
+              botId: chunk.botId,
+              hash: chunk.hash,
+              storedSize: chunk.storedSize
+            }
+          );
+          chunkRecords.push(chunkRecord);
+        }
+      } catch (recordError) {
+        if (fileRecord) {
+          await this.db.deleteFile(fileRecord.id);
+        }
+        await this.storage.deleteFile(storedChunks.map(chunk => ({
+          chunk_index: chunk.index,
+          storage_backend: chunk.backend,
+          telegram_file_id: chunk.ref,
+          telegram_message_id: chunk.messageId,
+          telegram_chat_id: chunk.chatId,
+          bot_id: chunk.botId,
+          chunk_hash: chunk.hash
+        })));
+        throw recordError;
       }
 
       console.log(`[INFO] 文件 ${file.name} 上传完成，文件ID: ${fileRecord.id}`);
@@ -76,9 +154,10 @@ export class FileService {
   /**
    * 下载文件
    * @param {number} fileId - 文件ID
-   * @returns {Object|null} 文件数据和元信息
+   * @param {Array|null} ranges - 字节区间数组 [{ start, end }]，null 表示下载整个文件
+   * @returns {Object|null} 文件数据流和元信息
    */
-  async downloadFile(fileId) {
+  async downloadFile(fileId, ranges = null) {
     console.log(`[INFO] 开始下载文件，文件ID: ${fileId}`);
     try {
       // 获取文件信息
@@ -99,17 +178,43 @@ export class FileService {
       }
       console.log(`[INFO] 文件分片获取成功，共 ${chunks.length} 个分片`);
 
-      // 从 Telegram 下载文件
-      console.log(`[INFO] 开始从 Telegram 下载文件 ${fileInfo.name}`);
-      const fileData = await this.telegram.downloadFile(chunks);
-      console.log(`[INFO] 文件 ${fileInfo.name} 从 Telegram 下载完成，大小: ${fileData.length} 字节`);
+      const downloadOptions = await this.getDownloadOptions(
+        fileInfo.sse_key_id, fileInfo.sse_wrapped_key, fileInfo.compression
+      );
 
-      return {
-        data: fileData,
+      const mimeType = fileInfo.mime_type || 'application/octet-stream';
+      const result = {
         name: fileInfo.name,
         mimeType: fileInfo.mime_type,
-        size: fileInfo.size
+        size: fileInfo.size,
+        sha256: fileInfo.sha256 || null,
+        ranges: ranges && ranges.length > 0 ? ranges : null
       };
+
+      // 从存储后端流式下载文件，分片在读取时才逐个拉取
+      if (!result.ranges) {
+        console.log(`[INFO] 开始流式下载文件 ${fileInfo.name}`);
+        result.stream = this.storage.downloadFile(chunks, null, downloadOptions);
+        // 完整下载时额外校验整个文件的摘要
+        const digestCheck = result.sha256 ? createDigestCheck(result.sha256) : null;
+        if (digestCheck) {
+          result.stream = result.stream.pipeThrough(digestCheck);
+        }
+      } else if (result.ranges.length === 1) {
+        const range = result.ranges[0];
+        console.log(`[INFO] 开始下载文件 ${fileInfo.name} 的区间 ${range.start}-${range.end}`);
+        result.stream = this.storage.downloadFile(chunks, range, downloadOptions);
+      } else {
+        console.log(`[INFO] 开始下载文件 ${fileInfo.name} 的 ${result.ranges.length} 个区间`);
+        const parts = result.ranges.map(range => ({
+          ...range,
+          open: () => this.storage.downloadFile(chunks, range, downloadOptions)
+        }));
+        result.multipart = createMultipartByteranges(parts, mimeType, fileInfo.size);
+        result.stream = result.multipart.stream;
+      }
+
+      return result;
     } catch (error) {
       console.error(`[ERROR] 下载文件失败，文件ID: ${fileId}:`, error);
       // 提供更详细的错误信息
@@ -125,19 +230,29 @@ export class FileService {
   /**
    * 删除文件
    * @param {number} fileId - 文件ID
+   * @returns {Object} 删除结果，包含每个分片在存储后端的删除情况，仍被其他文件引用的分片计入 sharedChunks
    */
   async deleteFile(fileId) {
     try {
       // 获取文件分片信息
       const chunks = await this.db.getFileChunks(fileId);
 
-      // 从 Telegram 删除文件
+      // 从存储后端删除分片
+      let chunkResults = [];
       if (chunks && chunks.length > 0) {
-        await this.telegram.deleteFile(chunks);
+        chunkResults = await this.storage.deleteFile(chunks);
       }
 
       // 从数据库删除文件记录（会级联删除分片记录）
       await this.db.deleteFile(fileId);
+
+      return {
+        fileId,
+        deletedChunks: chunkResults.filter(r => r.deleted).length,
+        sharedChunks: chunkResults.filter(r => r.shared).length,
+        failedChunks: chunkResults.filter(r => !r.deleted && !r.shared).length,
+        chunks: chunkResults
+      };
     } catch (error) {
       console.error('Error deleting file:', error);
       throw new Error('Failed to delete file');
@@ -303,6 +418,24 @@ export class FileService {
     return true;
   }
 
+  /**
+   * 检查客户端加密的密钥信封格式
+   * 服务器无法也不需要解开其中的文件密钥，只检查是否为合理大小的 JSON 对象
+   * @param {string} encryptedKey - 密钥信封
+   * @returns {boolean} 是否有效
+   */
+  isValidEncryptedKey(encryptedKey) {
+    if (typeof encryptedKey !== 'string' || encryptedKey.length > 4096) {
+      return false;
+    }
+    try {
+      const envelope = JSON.parse(encryptedKey);
+      return !!envelope && typeof envelope === 'object' && typeof envelope.key === 'string';
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * 获取文件扩展名
    * @param {string} fileName - 文件名
@@ -349,20 +482,108 @@ export class FileService {
     return 'file-unknown';
   }
 
+  /**
+   * 创建分片上传会话
+   * 会话记录客户端声明的文件信息，之后的分片上传和合并都按会话校验
+   * @param {Object} params - 会话参数
+   * @param {string} params.fileName - 文件名
+   * @param {number} params.fileSize - 文件大小（客户端加密时为密文大小）
+   * @param {number} params.chunkSize - 除最后一个分片外每个分片的大小
+   * @param {number|null} params.folderId - 文件夹ID
+   * @param {string|null} params.mimeType - MIME类型
+   * @param {boolean} params.clientEncrypted - 是否为客户端加密的文件
+   * @param {string|null} params.metadata - 客户端附带的原始元数据（例如 tus 的 Upload-Metadata），查询会话时原样返回
+   * @returns {Object} 上传会话
+   */
+  async createUploadSession({
+    fileName, fileSize, chunkSize, folderId = null, mimeType = null, clientEncrypted = false, metadata = null
+  }) {
+    if (!fileName || typeof fileName !== 'string') {
+      throw new UploadSessionError('文件名不能为空');
+    }
+    if (!Number.isSafeInteger(fileSize) || fileSize <= 0) {
+      throw new UploadSessionError('文件大小无效');
+    }
+    if (!Number.isSafeInteger(chunkSize) || chunkSize <= 0 || chunkSize > MAX_SESSION_CHUNK_SIZE) {
+      throw new UploadSessionError(`分片大小无效，必须在 1 到 ${MAX_SESSION_CHUNK_SIZE} 字节之间`);
+    }
+
+    const uploadId = `upload_${crypto.randomUUID()}`;
+    const totalChunks = Math.ceil(fileSize / chunkSize);
+    const session = await this.db.createUploadSession(uploadId, {
+      fileName,
+      fileSize,
+      chunkSize,
+      totalChunks,
+      folderId,
+      mimeType: mimeType || 'application/octet-stream',
+      clientEncrypted,
+      metadata
+    });
+    console.log(`[INFO] 创建上传会话: ${uploadId}, 文件: ${fileName}, 大小: ${fileSize} 字节, 分片数: ${totalChunks}`);
+    return this.formatUploadSession(session);
+  }
+
+  /**
+   * 获取上传会话，不存在时抛出 UploadSessionError
+   * @param {string} uploadId - 上传ID
+   * @returns {Object} 上传会话记录
+   */
+  async requireUploadSession(uploadId) {
+    const session = await this.db.getUploadSession(uploadId);
+    if (!session) {
+      throw new UploadSessionError(`上传会话不存在或已过期: ${uploadId}`, 404);
+    }
+    return session;
+  }
+
+  /**
+   * 计算会话中指定分片应有的大小
+   * @param {Object} session - 上传会话记录
+   * @param {number} chunkIndex - 分片索引
+   * @returns {number|null} 分片大小，索引超出范围时返回 null
+   */
+  getExpectedChunkSize(session, chunkIndex) {
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.total_chunks) {
+      return null;
+    }
+    return chunkIndex === session.total_chunks - 1
+      ? session.file_size - chunkIndex * session.chunk_size
+      : session.chunk_size;
+  }
+
   /**
    * 上传单个分片
    * @param {File} chunkFile - 分片文件
-   * @param {string} uploadId - 上传ID
+   * @param {string} uploadId - 上传ID，必须是 createUploadSession 创建的会话
    * @param {number} chunkIndex - 分片索引
-   * @param {number} totalChunks - 总分片数
-   * @param {string} originalFileName - 原始文件名
-   * @param {number} originalFileSize - 原始文件大小
-   * @param {number|null} folderId - 文件夹ID
    * @returns {Object} 分片上传结果
    */
-  async uploadFileChunk(chunkFile, uploadId, chunkIndex, totalChunks, originalFileName, originalFileSize, folderId) {
+  async uploadFileChunk(chunkFile, uploadId, chunkIndex) {
+    const session = await this.requireUploadSession(uploadId);
+    const originalFileName = session.file_name;
+    const totalChunks = session.total_chunks;
+    if (session.file_id) {
+      throw new UploadSessionError(`上传已完成，不能再上传分片: ${uploadId}`, 409);
+    }
+
+    const expectedSize = this.getExpectedChunkSize(session, chunkIndex);
+    if (expectedSize === null) {
+      throw new UploadSessionError(`分片索引超出范围: ${chunkIndex}，分片数: ${totalChunks}`);
+    }
+    if (chunkFile.size !== expectedSize) {
+      throw new UploadSessionError(`分片 ${chunkIndex} 大小不匹配，期望: ${expectedSize}, 实际: ${chunkFile.size}`);
+    }
+
     console.log(`[INFO] 开始上传分片: ${originalFileName}, 分片 ${chunkIndex + 1}/${totalChunks}, 大小: ${chunkFile.size} 字节`);
     try {
+      // 客户端续传或在响应丢失后重试时，已保存的分片不再重复上传
+      const existing = await this.db.getTempChunk(uploadId, chunkIndex);
+      if (existing) {
+        console.log(`[INFO] 分片 ${chunkIndex + 1}/${totalChunks} 已上传过，跳过: ${uploadId}`);
+        return this.formatTempChunk(existing);
+      }
+
       // 获取分片数据
       const arrayBuffer = await chunkFile.arrayBuffer();
       const chunkData = new Uint8Array(arrayBuffer);
@@ -372,30 +593,17 @@ export class FileService {
         ? `${originalFileName}.part${chunkIndex.toString().padStart(3, '0')}`
         : originalFileName;
 
-      // 直接上传分片到 Telegram（无需再分片）
-      console.log(`[INFO] 上传分片 ${chunkIndex + 1}/${totalChunks} 到 Telegram: ${chunkFileName}`);
-      const telegramFileId = await this.telegram.uploadChunk(chunkData, chunkFileName);
-      console.log(`[INFO] 分片 ${chunkIndex + 1}/${totalChunks} 上传到 Telegram 完成，文件ID: ${telegramFileId.substring(0, 10)}...`);
-
-      // 创建临时分片记录（用于后续合并）
-      const chunkRecord = await this.db.createTempChunk(
-        uploadId,
-        chunkIndex,
-        telegramFileId,
-        chunkData.length,
-        originalFileName,
-        originalFileSize,
-        folderId
-      );
+      const result = await this.storeTempChunk(chunkData, uploadId, chunkIndex, {
+        fileName: originalFileName,
+        fileSize: session.file_size,
+        folderId: session.folder_id,
+        mimeType: session.mime_type,
+        clientEncrypted: !!session.client_encrypted,
+        chunkFileName
+      });
 
       console.log(`[INFO] 分片 ${chunkIndex + 1}/${totalChunks} 上传完成`);
-      return {
-        uploadId,
-        chunkIndex,
-        telegramFileId,
-        size: chunkData.length,
-        chunkId: chunkRecord.id
-      };
+      return result;
     } catch (error) {
       console.error(`[ERROR] 上传分片失败: ${originalFileName}, 分片 ${chunkIndex + 1}/${totalChunks}:`, error);
       const errorMessage = error.message || 'Unknown error';
@@ -410,63 +618,242 @@ export class FileService {
     }
   }
 
+  /**
+   * 把一个分片写入存储后端并创建临时分片记录，不检查上传会话
+   * @param {Uint8Array} chunkData - 分片数据
+   * @param {string} uploadId - 上传ID
+   * @param {number} chunkIndex - 分片索引，服务端加密时作为附加数据参与加密
+   * @param {Object} target - 分片所属的文件
+   * @param {string} target.fileName - 文件名
+   * @param {number} target.fileSize - 文件大小，未知时为 0
+   * @param {number|null} target.folderId - 文件夹ID
+   * @param {string|null} target.mimeType - MIME 类型
+   * @param {boolean} target.clientEncrypted - 是否为客户端加密的文件
+   * @param {string} target.chunkFileName - 分片在存储后端中的文件名
+   * @returns {Object} 分片上传结果
+   */
+  async storeTempChunk(chunkData, uploadId, chunkIndex, target) {
+    // 同一个上传的所有分片使用相同的压缩算法（由 MIME 类型决定），合并时会检查是否一致
+    const compression = this.getUploadCompression(target.mimeType, target.clientEncrypted);
+
+    // 启用服务端加密时，同一个上传的所有分片共用一个数据密钥
+    const dataKey = this.encryption && this.encryption.enabled ? await this.getUploadDataKey(uploadId) : null;
+    const encode = this.getUploadEncoder(compression, dataKey);
+    const storedData = encode ? await encode(chunkData, chunkIndex) : chunkData;
+
+    // 直接上传分片到存储后端（无需再分片）
+    console.log(`[INFO] 上传分片 ${chunkIndex} 到存储后端: ${target.chunkFileName}`);
+    const uploaded = await this.storage.uploadChunk(storedData, target.chunkFileName);
+    const telegramFileId = uploaded.ref;
+    console.log(`[INFO] 分片 ${chunkIndex} 上传到 ${uploaded.backend} 完成，引用: ${telegramFileId.substring(0, 10)}..., 消息ID: ${uploaded.messageId || '-'}`);
+
+    // 创建临时分片记录（用于后续合并）
+    const chunkRecord = await this.db.createTempChunk(
+      uploadId,
+      chunkIndex,
+      telegramFileId,
+      chunkData.length,
+      target.fileName,
+      target.fileSize,
+      target.folderId,
+      {
+        backend: uploaded.backend,
+        messageId: uploaded.messageId,
+        chatId: uploaded.chatId,
+        botId: uploaded.botId,
+        hash: uploaded.hash,
+        storedSize: storedData.length,
+        compression
+      }
+    );
+
+    return {
+      uploadId,
+      chunkIndex,
+      telegramFileId,
+      size: chunkData.length,
+      storedSize: storedData.length,
+      compression,
+      chunkId: chunkRecord.id,
+      deduplicated: uploaded.deduplicated
+    };
+  }
+
+  /**
+   * 删除上传中指定索引范围内的临时分片及其存储数据，用于覆盖重新上传的数据
+   * @param {string} uploadId - 上传ID
+   * @param {number} startIndex - 起始索引（包含）
+   * @param {number} endIndex - 结束索引（不包含）
+   * @returns {number} 删除的分片数
+   */
+  async deleteTempChunkRange(uploadId, startIndex, endIndex) {
+    const tempChunks = await this.db.getTempChunksInRange(uploadId, startIndex, endIndex);
+    if (tempChunks.length === 0) {
+      return 0;
+    }
+
+    await this.storage.deleteFile(tempChunks);
+    await this.db.deleteTempChunksInRange(uploadId, startIndex, endIndex);
+    console.log(`[INFO] 已删除上传 ${uploadId} 中索引 ${startIndex}-${endIndex - 1} 的 ${tempChunks.length} 个临时分片`);
+    return tempChunks.length;
+  }
+
+  /**
+   * 获取分片上传的进度，供客户端续传
+   * @param {string} uploadId - 上传ID
+   * @returns {Object} 上传会话信息及 { exists, chunkIndexes, uploadedBytes, chunks }，会话不存在时 exists 为 false
+   */
+  async getUploadStatus(uploadId) {
+    const session = await this.db.getUploadSession(uploadId);
+    if (!session) {
+      return { uploadId, exists: false, chunkIndexes: [], uploadedBytes: 0, chunks: [] };
+    }
+
+    const tempChunks = await this.db.getTempChunks(uploadId);
+    return {
+      ...this.formatUploadSession(session),
+      exists: true,
+      chunkIndexes: tempChunks.map(chunk => chunk.chunk_index),
+      uploadedBytes: tempChunks.reduce((sum, chunk) => sum + chunk.size, 0),
+      chunks: tempChunks.map(chunk => this.formatTempChunk(chunk))
+    };
+  }
+
+  /**
+   * 把上传会话记录转换为接口返回格式
+   * @param {Object} session - 上传会话记录
+   * @returns {Object} 上传会话
+   */
+  formatUploadSession(session) {
+    return {
+      uploadId: session.id,
+      fileName: session.file_name,
+      fileSize: session.file_size,
+      chunkSize: session.chunk_size,
+      totalChunks: session.total_chunks,
+      folderId: session.folder_id,
+      mimeType: session.mime_type,
+      clientEncrypted: !!session.client_encrypted,
+      metadata: session.metadata || null,
+      fileId: session.file_id || null,
+      createdAt: session.created_at
+    };
+  }
+
+  /**
+   * 检查临时分片是否与上传会话一致：索引从 0 到 n-1 不缺不重，每个分片和总大小与会话声明的相同
+   * @param {Object} session - 上传会话记录
+   * @param {Array} tempChunks - 临时分片记录
+   */
+  validateSessionChunks(session, tempChunks) {
+    const seen = new Set();
+    const duplicates = new Set();
+    for (const chunk of tempChunks) {
+      if (chunk.chunk_index < 0 || chunk.chunk_index >= session.total_chunks) {
+        throw new UploadSessionError(`分片索引超出范围: ${chunk.chunk_index}，分片数: ${session.total_chunks}`);
+      }
+      if (seen.has(chunk.chunk_index)) {
+        duplicates.add(chunk.chunk_index);
+      }
+      seen.add(chunk.chunk_index);
+    }
+    if (duplicates.size > 0) {
+      throw new UploadSessionError(`存在重复的分片: ${[...duplicates].join(', ')}`);
+    }
+
+    const missing = [];
+    for (let i = 0; i < session.total_chunks; i++) {
+      if (!seen.has(i)) {
+        missing.push(i);
+      }
+    }
+    if (missing.length > 0) {
+      const listed = missing.slice(0, 20).join(', ') + (missing.length > 20 ? ' ...' : '');
+      throw new UploadSessionError(`缺少 ${missing.length} 个分片: ${listed}`);
+    }
+
+    for (const chunk of tempChunks) {
+      const expectedSize = this.getExpectedChunkSize(session, chunk.chunk_index);
+      if (chunk.size !== expectedSize) {
+        throw new UploadSessionError(`分片 ${chunk.chunk_index} 大小不匹配，期望: ${expectedSize}, 实际: ${chunk.size}`);
+      }
+    }
+
+    const totalSize = tempChunks.reduce((sum, chunk) => sum + chunk.size, 0);
+    if (totalSize !== session.file_size) {
+      throw new UploadSessionError(`分片总大小与文件大小不一致，期望: ${session.file_size}, 实际: ${totalSize}`);
+    }
+  }
+
+  /**
+   * 把临时分片记录转换为分片上传接口的返回格式
+   * @param {Object} tempChunk - 临时分片记录
+   * @returns {Object} 分片上传结果
+   */
+  formatTempChunk(tempChunk) {
+    return {
+      uploadId: tempChunk.upload_id,
+      chunkIndex: tempChunk.chunk_index,
+      telegramFileId: tempChunk.telegram_file_id,
+      size: tempChunk.size,
+      storedSize: tempChunk.stored_size,
+      compression: tempChunk.compression || null,
+      chunkId: tempChunk.id,
+      deduplicated: false
+    };
+  }
+
   /**
    * 合并文件分片
+   * 文件名、大小、文件夹和 MIME 类型以创建会话时声明的为准，分片与会话不一致时拒绝合并且保留已上传的分片；
+   * 合并完成后会话记录文件ID，重复合并返回同一个文件
    * @param {string} uploadId - 上传ID
-   * @param {string} fileName - 文件名
-   * @param {number} fileSize - 文件大小
-   * @param {string} mimeType - MIME类型
-   * @param {number|null} folderId - 文件夹ID
-   * @param {Array} chunks - 分片信息数组
+   * @param {Object} options - 合并选项
+   * @param {string|null} options.encryptedKey - 客户端加密文件的密钥信封
+   * @param {string|null} options.sha256 - 整个文件的 SHA-256，由在同一个请求中按顺序写入所有分片的调用方计算，未提供时合并时读回分片计算
    * @returns {Object} 合并结果
    */
-  async mergeFileChunks(uploadId, fileName, fileSize, mimeType, folderId, chunks) {
-    console.log(`[INFO] 开始合并文件分片: ${fileName}, 上传ID: ${uploadId}, 分片数: ${chunks.length}`);
-    try {
-      // 验证所有分片都已上传
-      const tempChunks = await this.db.getTempChunks(uploadId);
-      if (!tempChunks || tempChunks.length === 0) {
-        throw new Error('未找到待合并的分片');
-      }
+  async mergeFileChunks(uploadId, options = {}) {
+    const session = await this.requireUploadSession(uploadId);
+    const { file_name: fileName, file_size: fileSize, mime_type: mimeType, folder_id: folderId } = session;
 
-      // 验证分片完整性
-      const expectedChunks = chunks.length;
-      if (tempChunks.length !== expectedChunks) {
-        throw new Error(`分片数量不匹配，期望: ${expectedChunks}, 实际: ${tempChunks.length}`);
+    // 重复的合并请求（例如响应丢失后重试）直接返回已创建的文件
+    if (session.file_id) {
+      const fileRecord = await this.db.getFileById(session.file_id);
+      if (!fileRecord) {
+        throw new UploadSessionError(`上传已完成，但文件已被删除: ${uploadId}`, 410);
       }
+      return { ...fileRecord, chunks: await this.db.getFileChunks(session.file_id) };
+    }
+    if (session.client_encrypted && !options.encryptedKey) {
+      throw new UploadSessionError('客户端加密的文件缺少密钥信封');
+    }
 
-      console.log(`[INFO] 分片验证通过，开始创建文件记录: ${fileName}`);
+    const tempChunks = await this.db.getTempChunks(uploadId);
+    this.validateSessionChunks(session, tempChunks);
 
-      // 创建文件记录
-      const fileRecord = await this.db.createFile(
+    console.log(`[INFO] 开始合并文件分片: ${fileName}, 上传ID: ${uploadId}, 分片数: ${tempChunks.length}`);
+    try {
+      console.log(`[INFO] 分片验证通过，开始创建文件记录: ${fileName}`);
+      const fileRecord = await this.createFileFromTempChunks(uploadId, tempChunks, {
         fileName,
         folderId,
         fileSize,
-        mimeType
-      );
+        mimeType,
+        encryptedKey: options.encryptedKey,
+        sha256: options.sha256 || null
+      });
 
-      // 将临时分片转换为正式分片记录
-      const chunkRecords = [];
-      for (const tempChunk of tempChunks) {
-        console.log(`[INFO] 创建正式分片记录: ${fileName}, 分片 ${tempChunk.chunk_index + 1}/${tempChunks.length}`);
-        const chunkRecord = await this.db.createFileChunk(
-          fileRecord.id,
-          tempChunk.chunk_index,
-          tempChunk.telegram_file_id,
-          tempChunk.size
-        );
-        chunkRecords.push(chunkRecord);
-      }
-
-      // 清理临时分片记录
+      // 清理临时分片记录；会话记下文件ID后保留到过期，客户端仍可查询上传结果
       console.log(`[INFO] 清理临时分片记录: ${uploadId}`);
       await this.db.deleteTempChunks(uploadId);
+      await this.db.completeUploadSession(uploadId, fileRecord.id);
+      if (fileRecord.sse_key_id) {
+        await this.db.deleteUploadKey(uploadId);
+      }
 
       console.log(`[INFO] 文件合并完成: ${fileName}, 文件ID: ${fileRecord.id}`);
-      return {
-        ...fileRecord,
-        chunks: chunkRecords
-      };
+      return fileRecord;
     } catch (error) {
       console.error(`[ERROR] 合并文件分片失败: ${fileName}, 上传ID: ${uploadId}:`, error);
       // 如果合并失败，尝试清理
@@ -481,13 +868,263 @@ export class FileService {
         uploadId,
         fileName,
         fileSize,
-        chunksCount: chunks.length,
+        chunksCount: tempChunks.length,
         errorStack: error.stack
       };
       throw new Error(`合并文件分片失败: ${errorMessage}`, { cause: errorDetails });
     }
   }
 
+  /**
+   * 用临时分片创建文件记录和正式分片记录，不删除临时分片
+   * @param {string} uploadId - 上传ID
+   * @param {Array} tempChunks - 按文件中的顺序排列的临时分片记录
+   * @param {Object} target - 文件信息
+   * @param {string} target.fileName - 文件名
+   * @param {number|null} target.folderId - 文件夹ID
+   * @param {number} target.fileSize - 文件大小
+   * @param {string} target.mimeType - MIME 类型
+   * @param {string|null} target.encryptedKey - 客户端加密文件的密钥信封
+   * @param {string|null} target.sha256 - 写入分片时按顺序计算的整个文件的 SHA-256，未提供时读回分片计算
+   * @returns {Object} 文件记录及分片记录
+   */
+  async createFileFromTempChunks(uploadId, tempChunks, target) {
+    const { fileName, folderId, fileSize, mimeType } = target;
+    let sha256 = target.sha256 || null;
+
+    // 所有分片必须使用相同的压缩算法，文件记录只保存一个
+    const compression = tempChunks[0].compression || null;
+    if (tempChunks.some(chunk => (chunk.compression || null) !== compression)) {
+      throw new Error('分片的压缩方式不一致，请重新上传');
+    }
+    // 旧版本上传的分片没有记录存储大小
+    const storedSize = tempChunks.every(chunk => chunk.stored_size != null)
+      ? tempChunks.reduce((sum, chunk) => sum + chunk.stored_size, 0)
+      : null;
+
+    // 分片使用了服务端加密时，把上传的数据密钥写入文件记录
+    const uploadKey = await this.db.getUploadKey(uploadId);
+
+    // 调用方在按顺序写入分片时已算出整个文件的 SHA-256 时直接使用；分片由多个请求乱序上传时，
+    // 按顺序读回所有分片计算，同时校验每个分片。分片已损坏时拒绝合并，读取失败等其他错误不影响合并，之后可通过校验接口补算
+    if (!sha256) {
+      try {
+        const downloadOptions = await this.getDownloadOptions(
+          uploadKey ? uploadKey.key_id : null,
+          uploadKey ? uploadKey.wrapped_key : null,
+          compression
+        );
+        sha256 = await this.computeFileHash(tempChunks, downloadOptions);
+      } catch (hashError) {
+        if (hashError instanceof ChunkIntegrityError) {
+          throw hashError;
+        }
+        console.warn(`[WARN] 计算文件 ${fileName} 的 SHA-256 失败:`, hashError);
+      }
+    }
+    if (sha256) {
+      console.log(`[INFO] 文件 ${fileName} SHA-256: ${sha256}`);
+    }
+
+    // 创建文件记录
+    const fileRecord = await this.db.createFile(
+      fileName,
+      folderId,
+      fileSize,
+      mimeType,
+      {
+        encryptedKey: target.encryptedKey,
+        sseKeyId: uploadKey ? uploadKey.key_id : null,
+        sseWrappedKey: uploadKey ? uploadKey.wrapped_key : null,
+        sha256,
+        compression,
+        storedSize
+      }
+    );
+
+    // 将临时分片转换为正式分片记录，分片按顺序重新编号；编号与写入时不同的加密分片记下原索引，解密时使用。
+    // 失败时删除已创建的文件记录，分片的存储数据和去重引用仍归临时分片所有，由调用方清理
+    const chunkRecords = [];
+    try {
+      for (const [index, tempChunk] of tempChunks.entries()) {
+        console.log(`[INFO] 创建正式分片记录: ${fileName}, 分片 ${index + 1}/${tempChunks.length}`);
+        const chunkRecord = await this.db.createFileChunk(
+          fileRecord.id,
+          index,
+          tempChunk.telegram_file_id,
+          tempChunk.size,
+          {
+            backend: tempChunk.storage_backend,
+            messageId: tempChunk.telegram_message_id,
+            chatId: tempChunk.telegram_chat_id,
+            botId: tempChunk.bot_id,
+            hash: tempChunk.chunk_hash,
+            storedSize: tempChunk.stored_size,
+            sseIndex: uploadKey && tempChunk.chunk_index !== index ? tempChunk.chunk_index : null
+          }
+        );
+        chunkRecords.push(chunkRecord);
+      }
+    } catch (error) {
+      await this.db.deleteFile(fileRecord.id);
+      throw error;
+    }
+
+    return {
+      ...fileRecord,
+      chunks: chunkRecords
+    };
+  }
+
+  /**
+   * 把数据流按分片写入存储并生成文件，不需要预先知道总大小
+   * 数据流按分片大小切分，每凑满一个分片就写入存储，读完后合并为文件；失败时删除已写入的分片
+   * @param {ReadableStream|null} stream - 文件数据流
+   * @param {Object} target - 文件信息
+   * @param {string} target.fileName - 文件名
+   * @param {number|null} target.folderId - 文件夹ID
+   * @param {string|null} target.mimeType - MIME 类型
+   * @param {number} target.chunkSize - 分片大小，默认使用存储后端的分片大小
+   * @param {number|null} target.expectedSize - 请求声明的大小（Content-Length），数据流长度不符时上传失败
+   * @returns {Object} 文件记录
+   */
+  async uploadStream(stream, target) {
+    const { fileName, folderId = null } = target;
+    const mimeType = target.mimeType || 'application/octet-stream';
+    const chunkSize = target.chunkSize || this.storage.chunkSize;
+    const expectedSize = target.expectedSize ?? null;
+    const uploadId = `stream_${crypto.randomUUID()}`;
+    console.log(`[INFO] 开始流式上传文件 ${fileName}，上传ID: ${uploadId}`);
+
+    try {
+      let chunkIndex = 0;
+      let fileSize = 0;
+      const hasher = createHasher();
+      for await (const piece of chunkStream(stream, chunkSize)) {
+        if (expectedSize !== null && fileSize + piece.length > expectedSize) {
+          throw new UploadSessionError(`请求体超过声明的大小: ${expectedSize} 字节`);
+        }
+        await hasher.update(piece);
+        await this.storeTempChunk(piece, uploadId, chunkIndex, {
+          fileName,
+          fileSize: 0,
+          folderId,
+          mimeType,
+          clientEncrypted: false,
+          chunkFileName: `${fileName}.part${chunkIndex.toString().padStart(3, '0')}`
+        });
+        chunkIndex++;
+        fileSize += piece.length;
+      }
+      // 客户端中途断开时数据流会提前结束，不能把不完整的文件当作上传成功
+      if (expectedSize !== null && fileSize !== expectedSize) {
+        throw new UploadSessionError(`请求体不完整，期望: ${expectedSize}, 实际: ${fileSize}`);
+      }
+
+      // 空文件没有分片，直接创建文件记录
+      const sha256 = await hasher.digest();
+      const fileRecord = chunkIndex === 0
+        ? await this.db.createFile(fileName, folderId, 0, mimeType, { sha256, storedSize: 0 })
+        : await this.createFileFromTempChunks(uploadId, await this.db.getTempChunks(uploadId), {
+          fileName,
+          folderId,
+          fileSize,
+          mimeType,
+          encryptedKey: null,
+          sha256
+        });
+
+      await this.db.deleteTempChunks(uploadId);
+      await this.db.deleteUploadKey(uploadId);
+      console.log(`[INFO] 文件 ${fileName} 流式上传完成，文件ID: ${fileRecord.id}, 大小: ${fileSize} 字节，共 ${chunkIndex} 个分片`);
+      return fileRecord;
+    } catch (error) {
+      console.error(`[ERROR] 流式上传文件 ${fileName} 失败:`, error);
+      await this.cleanupFailedUpload(uploadId);
+      if (error instanceof UploadSessionError) {
+        throw error;
+      }
+      // 上传期间其他请求创建了同名文件
+      if (error.message === 'File with the same name already exists') {
+        throw new UploadSessionError(error.message, 409);
+      }
+      const errorMessage = error.message || 'Unknown error';
+      const errorDetails = {
+        uploadId,
+        fileName,
+        folderId,
+        errorStack: error.stack
+      };
+      throw new Error(`流式上传文件失败: ${errorMessage}`, { cause: errorDetails });
+    }
+  }
+
+  /**
+   * 复制文件
+   * 按原文件的分片边界逐个读出分片再写入存储，客户端加密的文件保持原有的分片和密钥信封；
+   * 内容相同的分片由存储后端去重，不会重复上传
+   * @param {number} fileId - 源文件ID
+   * @param {number|null} folderId - 目标文件夹ID
+   * @param {string} name - 新文件名
+   * @returns {Object} 新文件记录
+   */
+  async copyFile(fileId, folderId, name) {
+    const source = await this.db.getFileById(fileId);
+    if (!source) {
+      throw new Error(`文件不存在: ${fileId}`);
+    }
+
+    const chunks = await this.db.getFileChunks(fileId);
+    if (chunks.length === 0) {
+      return this.db.createFile(name, folderId, source.size, source.mime_type, {
+        encryptedKey: source.encrypted_key,
+        sha256: source.sha256,
+        storedSize: 0
+      });
+    }
+
+    const uploadId = `copy_${crypto.randomUUID()}`;
+    console.log(`[INFO] 开始复制文件 ${source.name} -> ${name}，共 ${chunks.length} 个分片`);
+    try {
+      // 源文件没有记录 SHA-256 时，用按顺序读出的数据补算
+      const hasher = source.sha256 ? null : createHasher();
+      let offset = 0;
+      for (const [index, chunk] of chunks.entries()) {
+        const download = await this.downloadFile(fileId, [{ start: offset, end: offset + chunk.size - 1 }]);
+        const chunkData = new Uint8Array(await new Response(download.stream).arrayBuffer());
+        if (hasher) {
+          await hasher.update(chunkData);
+        }
+        await this.storeTempChunk(chunkData, uploadId, index, {
+          fileName: name,
+          fileSize: source.size,
+          folderId,
+          mimeType: source.mime_type,
+          clientEncrypted: !!source.encrypted_key,
+          chunkFileName: chunks.length > 1 ? `${name}.part${index.toString().padStart(3, '0')}` : name
+        });
+        offset += chunk.size;
+      }
+
+      const fileRecord = await this.createFileFromTempChunks(uploadId, await this.db.getTempChunks(uploadId), {
+        fileName: name,
+        folderId,
+        fileSize: source.size,
+        mimeType: source.mime_type,
+        encryptedKey: source.encrypted_key,
+        sha256: source.sha256 || await hasher.digest()
+      });
+      await this.db.deleteTempChunks(uploadId);
+      await this.db.deleteUploadKey(uploadId);
+      console.log(`[INFO] 文件复制完成: ${source.name} -> ${name}，新文件ID: ${fileRecord.id}`);
+      return fileRecord;
+    } catch (error) {
+      console.error(`[ERROR] 复制文件 ${source.name} 失败:`, error);
+      await this.cleanupFailedUpload(uploadId);
+      throw new Error(`复制文件失败: ${error.message || 'Unknown error'}`, { cause: { fileId, folderId, name } });
+    }
+  }
+
   /**
    * 清理失败的上传
    * @param {string} uploadId - 上传ID
@@ -500,31 +1137,39 @@ export class FileService {
       const tempChunks = await this.db.getTempChunks(uploadId);
       if (!tempChunks || tempChunks.length === 0) {
         console.log(`[INFO] 未找到需要清理的临时分片: ${uploadId}`);
+        await this.db.deleteUploadSession(uploadId);
+        await this.db.deleteUploadKey(uploadId);
         return { success: true, message: '没有需要清理的分片' };
       }
 
       console.log(`[INFO] 找到 ${tempChunks.length} 个临时分片需要清理: ${uploadId}`);
 
-      // 从 Telegram 删除分片
-      for (const chunk of tempChunks) {
-        try {
-          console.log(`[INFO] 从 Telegram 删除分片: ${chunk.telegram_file_id.substring(0, 10)}...`);
-          await this.telegram.deleteTelegramFileById(chunk.telegram_file_id);
-        } catch (deleteError) {
-          console.warn(`[WARN] 删除 Telegram 分片失败: ${chunk.telegram_file_id}`, deleteError);
-          // 不阻止清理流程，继续处理其他分片
-        }
-      }
+      // 从存储后端删除分片，单个分片失败不阻止清理流程
+      const chunkResults = await this.storage.deleteFile(tempChunks);
 
       // 从数据库删除临时分片记录
       console.log(`[INFO] 从数据库删除临时分片记录: ${uploadId}`);
       await this.db.deleteTempChunks(uploadId);
+      await this.db.deleteUploadSession(uploadId);
+      await this.db.deleteUploadKey(uploadId);
 
       console.log(`[INFO] 清理完成: ${uploadId}`);
+      const deletedCount = chunkResults.filter(r => r.deleted).length;
+      const sharedCount = chunkResults.filter(r => r.shared).length;
+      // 只统计存储数据被实际删除的分片，仍被其他文件引用的分片没有释放空间
+      const deletedIndexes = new Set(chunkResults.filter(r => r.deleted).map(r => r.chunkIndex));
+      const reclaimedBytes = tempChunks
+        .filter(chunk => deletedIndexes.has(chunk.chunk_index))
+        .reduce((sum, chunk) => sum + chunk.size, 0);
       return {
         success: true,
-        message: `成功清理 ${tempChunks.length} 个分片`,
-        clearedChunks: tempChunks.length
+        message: `成功清理 ${tempChunks.length} 个分片，其中 ${deletedCount} 个分片的存储数据已删除`,
+        clearedChunks: tempChunks.length,
+        deletedChunks: deletedCount,
+        sharedChunks: sharedCount,
+        failedChunks: tempChunks.length - deletedCount - sharedCount,
+        reclaimedBytes,
+        chunks: chunkResults
       };
     } catch (error) {
       console.error(`[ERROR] 清理失败的上传时出错: ${uploadId}:`, error);
@@ -535,4 +1180,241 @@ export class FileService {
       };
     }
   }
+
+  /**
+   * 决定新上传文件使用的压缩算法
+   * @param {string|null} mimeType - MIME 类型
+   * @param {boolean} clientEncrypted - 是否为客户端加密的文件
+   * @returns {string|null} 压缩算法，null 表示不压缩
+   */
+  getUploadCompression(mimeType, clientEncrypted) {
+    if (clientEncrypted || !isCompressibleMimeType(mimeType)) {
+      return null;
+    }
+    return DEFAULT_CODEC;
+  }
+
+  /**
+   * 生成分片写入存储前的转换函数：先压缩再加密（密文无法压缩）
+   * @param {string|null} compression - 压缩算法
+   * @param {CryptoKey|null} dataKey - 服务端加密的数据密钥
+   * @returns {Function|null} (data, index) => Promise<Uint8Array>，不需要转换时返回 null
+   */
+  getUploadEncoder(compression, dataKey) {
+    if (!compression && !dataKey) {
+      return null;
+    }
+    return async (data, index) => {
+      let stored = data;
+      if (compression) {
+        stored = await compressBytes(stored, compression);
+      }
+      if (dataKey) {
+        stored = await this.encryption.encryptChunk(dataKey, stored, index);
+      }
+      return stored;
+    };
+  }
+
+  /**
+   * 生成读取分片时使用的选项：服务端加密的分片读取后先解密，压缩的分片再解压
+   * @param {string|null} sseKeyId - 主密钥ID
+   * @param {string|null} sseWrappedKey - 包装后的数据密钥
+   * @param {string|null} compression - 压缩算法
+   * @returns {Object} StorageManager.downloadFile / readChunk 的选项
+   */
+  async getDownloadOptions(sseKeyId, sseWrappedKey, compression = null) {
+    if (!sseKeyId && !compression) {
+      return {};
+    }
+
+    let dataKey = null;
+    if (sseKeyId) {
+      if (!this.encryption) {
+        throw new Error('文件已加密，但未配置加密服务');
+      }
+      dataKey = await this.encryption.unwrapDataKey(sseKeyId, sseWrappedKey);
+    }
+
+    return {
+      decode: async (chunk, data) => {
+        let plain = data;
+        if (dataKey) {
+          // 分段上传合并时重新编号的分片按写入时的索引解密
+          plain = await this.encryption.decryptChunk(dataKey, plain, chunk.sse_index ?? chunk.chunk_index);
+        }
+        if (compression) {
+          plain = await decompressBytes(plain, compression);
+        }
+        return plain;
+      }
+    };
+  }
+
+  /**
+   * 按文件中的顺序读取所有分片并计算整个文件的 SHA-256
+   * @param {Array} chunks - 按文件中的顺序排列的分片记录
+   * @param {Object} downloadOptions - 读取分片的选项
+   * @returns {string} 十六进制 SHA-256
+   */
+  async computeFileHash(chunks, downloadOptions = {}) {
+    const hasher = createHasher();
+    for (const chunk of chunks) {
+      await hasher.update(await this.storage.readChunk(chunk, downloadOptions));
+    }
+    return hasher.digest();
+  }
+
+  /**
+   * 校验文件完整性
+   * 从存储后端重新读取每个分片，逐个校验分片哈希和大小，并校验整个文件的 SHA-256；
+   * 文件没有记录 SHA-256（例如合并时读取分片失败）且所有分片正常时，补记本次计算的值
+   * @param {number} fileId - 文件ID
+   * @returns {Object|null} 校验报告，文件不存在时返回 null
+   */
+  async verifyFile(fileId) {
+    const fileInfo = await this.db.getFileById(fileId);
+    if (!fileInfo) {
+      return null;
+    }
+
+    console.log(`[INFO] 开始校验文件: ${fileInfo.name}, 文件ID: ${fileId}`);
+    const chunks = (await this.db.getFileChunks(fileId)).sort((a, b) => a.chunk_index - b.chunk_index);
+    const downloadOptions = await this.getDownloadOptions(
+      fileInfo.sse_key_id, fileInfo.sse_wrapped_key, fileInfo.compression
+    );
+    const hasher = createHasher();
+    const chunkResults = [];
+    let hashable = true;
+    let size = 0;
+
+    for (const chunk of chunks) {
+      const result = {
+        chunkIndex: chunk.chunk_index,
+        backend: chunk.storage_backend || 'telegram',
+        status: 'ok',
+        // 旧版本上传的分片没有记录哈希值，只能校验大小
+        hashChecked: !!chunk.chunk_hash
+      };
+
+      try {
+        const data = await this.storage.readChunk(chunk, downloadOptions);
+        size += data.length;
+        if (hashable) {
+          await hasher.update(data);
+        }
+      } catch (error) {
+        result.status = error instanceof ChunkIntegrityError ? 'corrupt' : 'unreachable';
+        result.error = error.message;
+        hashable = false;
+      }
+      chunkResults.push(result);
+    }
+
+    // 分片索引应从 0 开始连续，中间缺少的索引说明有分片记录丢失；末尾的分片丢失时体现为大小不符
+    const presentIndexes = new Set(chunks.map(chunk => chunk.chunk_index));
+    const expectedCount = chunks.length > 0 ? chunks[chunks.length - 1].chunk_index + 1 : 0;
+    const missingChunks = [];
+    for (let i = 0; i < expectedCount; i++) {
+      if (!presentIndexes.has(i)) {
+        missingChunks.push(i);
+      }
+    }
+    if (missingChunks.length > 0) {
+      hashable = false;
+    }
+
+    const report = {
+      fileId: fileInfo.id,
+      name: fileInfo.name,
+      size: fileInfo.size,
+      chunks: chunkResults,
+      missingChunks,
+      corruptChunks: chunkResults.filter(r => r.status === 'corrupt').length,
+      unreachableChunks: chunkResults.filter(r => r.status === 'unreachable').length,
+      sizeMatch: hashable ? size === fileInfo.size : null,
+      sha256: {
+        expected: fileInfo.sha256 || null,
+        actual: hashable ? await hasher.digest() : null
+      }
+    };
+    report.sha256.match = report.sha256.expected && report.sha256.actual
+      ? report.sha256.expected === report.sha256.actual
+      : null;
+
+    if (!report.sha256.expected && report.sha256.actual && report.sizeMatch) {
+      await this.db.updateFileHash(fileInfo.id, report.sha256.actual);
+      report.sha256.recorded = true;
+    }
+
+    report.ok = hashable && report.sizeMatch === true && report.sha256.match !== false;
+    console.log(`[INFO] 文件校验完成: ${fileInfo.name}, 结果: ${report.ok ? '正常' : '异常'}`);
+    return report;
+  }
+
+  /**
+   * 获取分片上传使用的数据密钥，第一个到达的分片负责生成
+   * @param {string} uploadId - 上传ID
+   * @returns {CryptoKey} 数据密钥
+   */
+  async getUploadDataKey(uploadId) {
+    let uploadKey = await this.db.getUploadKey(uploadId);
+    if (!uploadKey) {
+      const created = await this.encryption.createDataKey();
+      uploadKey = await this.db.getOrCreateUploadKey(uploadId, created.keyId, created.wrappedKey);
+    }
+    return this.encryption.unwrapDataKey(uploadKey.key_id, uploadKey.wrapped_key);
+  }
+
+  /**
+   * 用当前主密钥重新包装数据密钥（主密钥轮换）
+   * 只修改数据库中的密钥包装，分片内容无需重新上传；每次最多处理 limit 个文件，可重复调用直到 remaining 为 0
+   * @param {number} limit - 本次最多处理的文件数
+   * @returns {Object} 处理结果
+   */
+  async rewrapEncryptionKeys(limit = 100) {
+    if (!this.encryption || !this.encryption.enabled) {
+      throw new Error('未设置当前主密钥ID（ENCRYPTION_ACTIVE_KEY_ID）');
+    }
+
+    const activeKeyId = this.encryption.activeKeyId;
+    console.log(`[INFO] 开始重新包装数据密钥，目标主密钥ID: ${activeKeyId}`);
+    const failed = [];
+
+    let rewrappedFiles = 0;
+    const files = await this.db.getFilesWithStaleKey(activeKeyId, limit);
+    for (const file of files) {
+      try {
+        const rewrapped = await this.encryption.rewrapDataKey(file.sse_key_id, file.sse_wrapped_key);
+        await this.db.updateFileKey(file.id, file.sse_key_id, rewrapped.keyId, rewrapped.wrappedKey);
+        rewrappedFiles++;
+      } catch (error) {
+        console.error(`[ERROR] 重新包装文件 ${file.id} 的数据密钥失败:`, error);
+        failed.push({ fileId: file.id, keyId: file.sse_key_id, error: error.message });
+      }
+    }
+
+    let rewrappedUploads = 0;
+    const uploadKeys = await this.db.getUploadKeysWithStaleKey(activeKeyId);
+    for (const uploadKey of uploadKeys) {
+      try {
+        const rewrapped = await this.encryption.rewrapDataKey(uploadKey.key_id, uploadKey.wrapped_key);
+        await this.db.updateUploadKey(uploadKey.upload_id, uploadKey.key_id, rewrapped.keyId, rewrapped.wrappedKey);
+        rewrappedUploads++;
+      } catch (error) {
+        console.error(`[ERROR] 重新包装上传 ${uploadKey.upload_id} 的数据密钥失败:`, error);
+        failed.push({ uploadId: uploadKey.upload_id, keyId: uploadKey.key_id, error: error.message });
+      }
+    }
+
+    const remaining = await this.db.countFilesWithStaleKey(activeKeyId);
+    console.log(`[INFO] 重新包装数据密钥完成，文件: ${rewrappedFiles}, 上传: ${rewrappedUploads}, 失败: ${failed.length}, 剩余: ${remaining}`);
+    return {
+      activeKeyId,
+      rewrappedFiles,
+      rewrappedUploads,
+      failed,
+      remaining
+    };
+  }
 }
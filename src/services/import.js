@@ -0,0 +1,319 @@
+// Telegram 导入服务模块
+// 把 Telegram 聊天中已有的文档登记为文件，分片记录直接引用已有的 file_id，不重新上传。
+// 文档来源有两种：转发给 Bot 的消息（已带有 file_id），以及 Telegram Desktop 导出的 result.json
+// （没有 file_id，导入时把原消息转发到存储聊天以获得 file_id）。
+// 按 .partNNN 命名的分片（与 StorageManager 上传多分片文件时的命名相同）会合并回单个文件。
+// 导入前先生成预览报告，确认后再写入
+
+// Bot API 的 getFile 只能下载 20MB 以内的文件，更大的文件导入后也无法读取
+const MAX_BOT_DOWNLOAD_SIZE = 20 * 1024 * 1024;
+
+// 分片文件名，例如 backup.tar.part003
+const PART_NAME_PATTERN = /^(.+)\.part(\d{3,})$/;
+
+// 导出文件中不作为文档导入的媒体类型
+const IGNORED_MEDIA_TYPES = new Set(['sticker', 'animation', 'voice_message', 'video_message']);
+
+/**
+ * Telegram 导入服务类
+ */
+export class ImportService {
+  /**
+   * @param {FileService} fileService - 文件服务
+   * @param {TelegramService} telegram - Telegram 服务
+   */
+  constructor(fileService, telegram) {
+    this.fileService = fileService;
+    this.db = fileService.db;
+    this.telegram = telegram;
+  }
+
+  /**
+   * 解析 Telegram Desktop 导出的 result.json（单个聊天的导出）
+   * @param {Object} data - result.json 的内容
+   * @param {string|null} chatId - 原聊天的 Bot API 聊天ID，未提供时由导出中的 id 推算（频道和超级群组为 -100 前缀）
+   * @returns {Object} { chatId, documents, ignored }，documents 为待导入的文档，ignored 为没有文档的消息数
+   */
+  parseExport(data, chatId = null) {
+    if (!data || !Array.isArray(data.messages)) {
+      throw new Error('导出文件格式不正确，需要单个聊天导出的 result.json');
+    }
+
+    const documents = [];
+    let ignored = 0;
+    for (const message of data.messages) {
+      const fileName = message.file_name || exportFileName(message.file);
+      if (message.type !== 'message' || !message.file || !fileName || IGNORED_MEDIA_TYPES.has(message.media_type)) {
+        ignored++;
+        continue;
+      }
+      documents.push({
+        messageId: message.id,
+        fileName,
+        mimeType: message.mime_type || 'application/octet-stream',
+        size: message.file_size ?? null,
+        fileId: null
+      });
+    }
+
+    return {
+      chatId: chatId ? String(chatId) : (data.id != null ? `-100${data.id}` : null),
+      documents,
+      ignored
+    };
+  }
+
+  /**
+   * 生成导入预览：把分片分组为文件，检查分片是否完整以及目标文件夹中是否已有同名文件
+   * 不修改任何数据，可以作为试运行报告直接返回给用户
+   * @param {Array} documents - 文档列表 { messageId, fileName, mimeType, size, fileId }
+   * @param {number|null} folderId - 目标文件夹ID，null 表示根目录
+   * @returns {Object} { folderId, files, incomplete, tooLarge }
+   *   files 中每项为 { name, size, mimeType, parts, status }，status 为 new（将导入）或 exists（已存在，跳过）
+   */
+  async planImport(documents, folderId) {
+    const singles = [];
+    const groups = new Map();
+    for (const document of [...documents].sort((a, b) => a.messageId - b.messageId)) {
+      const match = document.fileName.match(PART_NAME_PATTERN);
+      if (!match) {
+        singles.push({ name: document.fileName, parts: [document], messageId: document.messageId });
+        continue;
+      }
+      if (!groups.has(match[1])) {
+        groups.set(match[1], { name: match[1], parts: [], messageId: document.messageId });
+      }
+      groups.get(match[1]).parts.push({ ...document, partIndex: parseInt(match[2], 10) });
+    }
+
+    const incomplete = [];
+    const candidates = [...singles];
+    for (const group of groups.values()) {
+      const reason = checkParts(group.parts);
+      if (reason) {
+        incomplete.push({ name: group.name, parts: group.parts.length, reason });
+        continue;
+      }
+      group.parts.sort((a, b) => a.partIndex - b.partIndex);
+      candidates.push(group);
+    }
+    // 按第一条消息的顺序排列，同名文件的序号在每次预览时保持一致，重复执行导入时已导入的文件会被识别为已存在
+    candidates.sort((a, b) => a.messageId - b.messageId);
+
+    const files = [];
+    const tooLarge = [];
+    const usedNames = new Set();
+    for (const candidate of candidates) {
+      const sizes = candidate.parts.map(part => part.size);
+      const size = sizes.includes(null) ? null : sizes.reduce((sum, value) => sum + value, 0);
+      if (candidate.parts.some(part => part.size > MAX_BOT_DOWNLOAD_SIZE)) {
+        tooLarge.push({ name: candidate.name, size });
+        continue;
+      }
+
+      const name = uniqueName(candidate.name, usedNames);
+      usedNames.add(name);
+      const exists = !!(await this.db.getFileByName(name, folderId) || await this.db.getFolderByName(name, folderId));
+      files.push({
+        name,
+        size,
+        mimeType: candidate.parts[0].mimeType || 'application/octet-stream',
+        parts: candidate.parts.map(({ partIndex, ...part }) => part),
+        status: exists ? 'exists' : 'new'
+      });
+    }
+
+    return { folderId, files, incomplete, tooLarge };
+  }
+
+  /**
+   * 把导入预览整理为接口返回的报告
+   * @param {Object} plan - planImport 的结果
+   * @returns {Object} { folderId, summary, files, incomplete, tooLarge }
+   */
+  formatReport(plan) {
+    const count = status => plan.files.filter(file => file.status === status).length;
+    return {
+      folderId: plan.folderId,
+      summary: {
+        new: count('new'),
+        exists: count('exists'),
+        incomplete: plan.incomplete.length,
+        tooLarge: plan.tooLarge.length
+      },
+      files: plan.files.map(file => ({
+        name: file.name,
+        size: file.size,
+        mimeType: file.mimeType,
+        status: file.status,
+        messageIds: file.parts.map(part => part.messageId)
+      })),
+      incomplete: plan.incomplete,
+      tooLarge: plan.tooLarge
+    };
+  }
+
+  /**
+   * 执行导入，为预览中状态为 new 的文件创建文件和分片记录
+   * 没有 file_id 的文档（来自导出文件）先转发到存储聊天，每次最多转发 limit 条消息，
+   * 剩余的文件留给下一次调用（已导入的文件在重新预览时状态为 exists）
+   * @param {Object} plan - planImport 的结果
+   * @param {Object} options - 导入选项
+   * @param {string|null} options.sourceChatId - 原聊天ID，转发消息时使用
+   * @param {string|null} options.chatId - 已有 file_id 的文档所在的聊天ID
+   * @param {string|null} options.botId - 已有 file_id 对应的 Bot ID
+   * @param {number} options.limit - 本次最多转发的消息数
+   * @returns {Object} { imported, failed, remaining }
+   */
+  async commitImport(plan, options = {}) {
+    const limit = options.limit ?? Infinity;
+    const pending = plan.files.filter(file => file.status === 'new');
+    const imported = [];
+    const failed = [];
+    let forwarded = 0;
+    let processed = 0;
+
+    for (const file of pending) {
+      const forwards = file.parts.filter(part => !part.fileId).length;
+      // 至少处理一个文件，避免分片数超过 limit 的文件永远无法导入
+      if (processed > 0 && forwarded + forwards > limit) {
+        break;
+      }
+      processed++;
+      forwarded += forwards;
+
+      try {
+        const created = await this.importFile(file, plan.folderId, options);
+        imported.push({ id: created.id, name: created.name, size: created.size });
+      } catch (error) {
+        console.error(`[IMPORT] [ERROR] 导入文件失败: ${file.name}`, error);
+        failed.push({ name: file.name, error: error.message });
+      }
+    }
+
+    console.log(`[IMPORT] 导入完成，成功 ${imported.length} 个，失败 ${failed.length} 个，剩余 ${pending.length - processed} 个`);
+    return { imported, failed, remaining: pending.length - processed };
+  }
+
+  /**
+   * 导入单个文件
+   * @param {Object} file - 预览中的文件
+   * @param {number|null} folderId - 目标文件夹ID
+   * @param {Object} options - 见 commitImport
+   * @returns {Object} 创建的文件信息
+   */
+  async importFile(file, folderId, options) {
+    const chunks = [];
+    try {
+      for (const part of file.parts) {
+        if (part.fileId) {
+          const size = part.size ?? (await this.telegram.getFileInfo(part.fileId, options.botId || null)).file_size;
+          chunks.push({
+            fileId: part.fileId,
+            size,
+            // 文档在用户与 Bot 的私聊中，不记录消息ID，删除文件时不删除用户的消息
+            messageId: null,
+            chatId: options.chatId || null,
+            botId: options.botId || null
+          });
+          continue;
+        }
+
+        if (!options.sourceChatId) {
+          throw new Error('缺少原聊天ID，无法转发消息');
+        }
+        const stored = await this.telegram.forwardToStorage(options.sourceChatId, part.messageId);
+        chunks.push({ ...stored, forwarded: true });
+        if (stored.size > MAX_BOT_DOWNLOAD_SIZE) {
+          throw new Error('文件超过 20MB，Bot 无法读取');
+        }
+      }
+
+      const size = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+      const created = await this.db.createFile(file.name, folderId, size, file.mimeType, { storedSize: size });
+      try {
+        for (let i = 0; i < chunks.length; i++) {
+          const chunk = chunks[i];
+          await this.db.createFileChunk(created.id, i, chunk.fileId, chunk.size, {
+            backend: 'telegram',
+            messageId: chunk.messageId,
+            chatId: chunk.chatId,
+            botId: chunk.botId,
+            storedSize: chunk.size
+          });
+        }
+      } catch (error) {
+        await this.db.deleteFile(created.id);
+        throw error;
+      }
+      return created;
+    } catch (error) {
+      // 删除已转发到存储聊天的消息，原聊天中的消息不受影响
+      for (const chunk of chunks.filter(item => item.forwarded)) {
+        await this.telegram.deleteMessage(chunk.chatId, chunk.messageId, chunk.botId).catch(deleteError => {
+          console.warn(`[IMPORT] [WARN] 删除转发的消息失败: ${deleteError.message}`);
+        });
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * 检查一组分片是否完整：序号从 0 开始连续且没有重复，除最后一个分片外大小相同
+ * @param {Array} parts - 分片列表
+ * @returns {string|null} 不完整的原因，完整时返回 null
+ */
+function checkParts(parts) {
+  const indexes = parts.map(part => part.partIndex).sort((a, b) => a - b);
+  if (new Set(indexes).size !== indexes.length) {
+    return '分片序号重复';
+  }
+  // 多分片文件至少有两个分片，只有一个分片时不会使用 .partNNN 命名
+  if (indexes.length < 2) {
+    return '只有一个分片';
+  }
+  const missing = [];
+  for (let i = 0, expected = 0; expected <= indexes[indexes.length - 1]; expected++) {
+    if (indexes[i] === expected) {
+      i++;
+    } else {
+      missing.push(`part${String(expected).padStart(3, '0')}`);
+    }
+  }
+  if (missing.length > 0) {
+    return `缺少 ${missing.join(', ')}`;
+  }
+
+  const sorted = [...parts].sort((a, b) => a.partIndex - b.partIndex);
+  const sizes = sorted.slice(0, -1).map(part => part.size).filter(size => size != null);
+  if (new Set(sizes).size > 1) {
+    return '分片大小不一致';
+  }
+  return null;
+}
+
+/**
+ * 同一次导入中出现同名文件时追加序号，例如 report (1).pdf
+ */
+function uniqueName(name, usedNames) {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  let candidate = name;
+  for (let n = 1; usedNames.has(candidate); n++) {
+    candidate = `${base} (${n})${extension}`;
+  }
+  return candidate;
+}
+
+/**
+ * 从导出中的 file 字段（例如 files/report.pdf）取文件名，未导出文件内容时该字段为说明文字
+ */
+function exportFileName(file) {
+  if (!file || file.startsWith('(')) {
+    return null;
+  }
+  return file.split('/').pop();
+}
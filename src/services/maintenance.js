@@ -0,0 +1,161 @@
+// 维护服务模块
+// 提供由定时任务触发的后台维护功能：
+// - 按批次巡检分片是否仍可从存储后端读取，结果写入 chunk_health 表，这样分片丢失能在有人下载之前被发现
+// - 清理被放弃的分片上传，删除临时分片记录和存储中的分片数据
+
+// 巡检进度（上次检查到的分片ID）在 maintenance_state 表中的状态名
+const HEALTH_CURSOR = 'health_scrub_cursor';
+// 最近一轮完整巡检结束的时间
+const HEALTH_LAST_PASS = 'health_scrub_last_pass';
+
+/**
+ * 维护服务类
+ */
+export class MaintenanceService {
+  /**
+   * @param {DatabaseService} databaseService - 数据库服务
+   * @param {StorageManager} storageManager - 存储管理器
+   * @param {FileService} fileService - 文件服务
+   * @param {Object} options - 可选配置
+   * @param {number} options.batchSize - 每次巡检的分片数，受 Worker 单次调用的子请求数限制
+   * @param {number} options.retentionHours - 未完成的分片上传保留多少小时后清理
+   * @param {number} options.cleanupBatchSize - 每次清理最多删除的分片数，同样受子请求数限制
+   */
+  constructor(databaseService, storageManager, fileService, options = {}) {
+    this.db = databaseService;
+    this.storage = storageManager;
+    this.fileService = fileService;
+    this.batchSize = options.batchSize || 40;
+    this.retentionHours = options.retentionHours || 24;
+    this.cleanupBatchSize = options.cleanupBatchSize || 40;
+  }
+
+  /**
+   * 巡检一批分片
+   * 从上次的进度继续，检查完最后一个分片后从头开始下一轮
+   * @param {number} limit - 本次巡检的分片数
+   * @returns {Object} { checked, ok, unreachable, errors, cursor, passCompleted }
+   */
+  async scrubChunkHealth(limit = this.batchSize) {
+    const cursor = parseInt(await this.db.getMaintenanceState(HEALTH_CURSOR), 10) || 0;
+    const chunks = await this.db.getChunksAfter(cursor, limit);
+    console.log(`[INFO] 开始巡检分片，起始ID: ${cursor}, 本批分片数: ${chunks.length}`);
+
+    const records = [];
+    for (const chunk of chunks) {
+      const stat = await this.storage.stat(chunk);
+      let status = 'ok';
+      if (!stat.available) {
+        // 检查本身失败时记为 error，不把文件标记为分片丢失
+        status = stat.transient ? 'error' : 'unreachable';
+        console.warn(`[WARN] 分片不可读，文件ID: ${chunk.file_id}, 分片 ${chunk.chunk_index}, 状态: ${status}, 原因: ${stat.error}`);
+      }
+      records.push({ chunkId: chunk.id, fileId: chunk.file_id, status, error: stat.error || null });
+    }
+    await this.db.recordChunkHealth(records);
+
+    // 本批不足 limit 个说明已经检查到最后一个分片
+    const passCompleted = chunks.length < limit;
+    const nextCursor = passCompleted ? 0 : chunks[chunks.length - 1].id;
+    await this.db.setMaintenanceState(HEALTH_CURSOR, String(nextCursor));
+    if (passCompleted) {
+      await this.db.setMaintenanceState(HEALTH_LAST_PASS, new Date().toISOString());
+    }
+
+    const result = {
+      checked: records.length,
+      ok: records.filter(r => r.status === 'ok').length,
+      unreachable: records.filter(r => r.status === 'unreachable').length,
+      errors: records.filter(r => r.status === 'error').length,
+      cursor: nextCursor,
+      passCompleted
+    };
+    console.log(`[INFO] 分片巡检完成，检查 ${result.checked} 个，不可读 ${result.unreachable} 个，检查失败 ${result.errors} 个`);
+    return result;
+  }
+
+  /**
+   * 清理过期的分片上传
+   * 按上传ID分组处理：删除存储中的分片数据（Telegram 消息）、临时分片记录和上传数据密钥。
+   * 每次最多处理 cleanupBatchSize 个分片，剩余的留给下次执行
+   * @param {number} retentionHours - 保留时长（小时）
+   * @returns {Object} { uploads, clearedChunks, deletedChunks, sharedChunks, failedChunks, reclaimedBytes, deletedUploadKeys,
+   *   deletedSessions, deletedMultipartUploads }，
+   *   reclaimedBytes 为存储数据被实际删除的分片的大小之和
+   */
+  async cleanupExpiredUploads(retentionHours = this.retentionHours) {
+    const expired = await this.db.getExpiredUploads(retentionHours, this.cleanupBatchSize);
+    console.log(`[INFO] 开始清理过期的分片上传，保留时长: ${retentionHours} 小时，过期上传数: ${expired.length}`);
+
+    const result = {
+      uploads: 0,
+      clearedChunks: 0,
+      deletedChunks: 0,
+      sharedChunks: 0,
+      failedChunks: 0,
+      reclaimedBytes: 0,
+      deletedUploadKeys: 0,
+      deletedSessions: 0,
+      deletedMultipartUploads: 0
+    };
+
+    for (const upload of expired) {
+      // 至少处理一个上传，避免分片数超过批次大小的上传永远得不到清理
+      if (result.uploads > 0 && result.clearedChunks + upload.chunk_count > this.cleanupBatchSize) {
+        break;
+      }
+
+      const cleanup = await this.fileService.cleanupFailedUpload(upload.upload_id);
+      if (!cleanup.success) {
+        console.error(`[ERROR] 清理过期上传失败: ${upload.upload_id}, 原因: ${cleanup.error}`);
+        continue;
+      }
+
+      result.uploads++;
+      result.clearedChunks += cleanup.clearedChunks || 0;
+      result.deletedChunks += cleanup.deletedChunks || 0;
+      result.sharedChunks += cleanup.sharedChunks || 0;
+      result.failedChunks += cleanup.failedChunks || 0;
+      result.reclaimedBytes += cleanup.reclaimedBytes || 0;
+      console.log(`[INFO] 已清理过期上传: ${upload.upload_id}, 文件: ${upload.original_file_name}, ` +
+        `最后上传时间: ${upload.last_chunk_at}, 分片: ${cleanup.clearedChunks}, 删除: ${cleanup.deletedChunks}, ` +
+        `共享: ${cleanup.sharedChunks}, 失败: ${cleanup.failedChunks}, 释放 ${cleanup.reclaimedBytes} 字节`);
+    }
+
+    result.deletedUploadKeys = await this.db.deleteExpiredUploadKeys(retentionHours);
+    result.deletedSessions = await this.db.deleteExpiredUploadSessions(retentionHours);
+    result.deletedMultipartUploads = await this.db.deleteExpiredS3MultipartUploads(retentionHours);
+    console.log(`[INFO] 过期上传清理完成，清理 ${result.uploads} 个上传、${result.clearedChunks} 个分片，` +
+      `释放 ${result.reclaimedBytes} 字节，删除失败 ${result.failedChunks} 个分片`);
+    return result;
+  }
+
+  /**
+   * 获取存储健康报告
+   * @returns {Object} { summary, files }，files 为存在不可读分片的文件
+   */
+  async getHealthReport() {
+    const summary = await this.db.getChunkHealthSummary();
+    const files = await this.db.getUnhealthyFiles();
+    return {
+      summary: {
+        totalChunks: summary.total_chunks,
+        checkedChunks: summary.checked_chunks,
+        unreachableChunks: summary.unreachable_chunks,
+        errorChunks: summary.error_chunks,
+        cursor: parseInt(await this.db.getMaintenanceState(HEALTH_CURSOR), 10) || 0,
+        lastPassAt: await this.db.getMaintenanceState(HEALTH_LAST_PASS)
+      },
+      files: files.map(file => ({
+        id: file.id,
+        name: file.name,
+        folderId: file.folder_id,
+        size: file.size,
+        unreachableChunks: file.unreachable_chunks,
+        errorChunks: file.error_chunks,
+        lastError: file.last_error,
+        lastCheckedAt: file.last_checked_at
+      }))
+    };
+  }
+}
@@ -0,0 +1,1020 @@
+// S3 兼容接口服务模块
+// 存储桶对应根目录下的文件夹，对象键对应 "文件夹路径/文件名"，供 aws-cli、rclone 和备份工具使用。
+// 支持 ListBuckets、HeadBucket、CreateBucket、ListObjects（V1/V2）、GetObject（含 Range）、HeadObject、PutObject、
+// DeleteObject 和分段上传；请求使用 SigV4 签名，访问密钥保存在 D1 中
+
+import { UploadSessionError } from './file.js';
+import { chunkStream } from '../utils/stream.js';
+import { parseRangeHeader, formatContentRange } from '../utils/range.js';
+import { createHasher } from '../utils/digest.js';
+import { corsHeaders, xmlResponse } from '../utils/response.js';
+import { escapeXml } from '../utils/xml.js';
+import { parseDbTimestamp } from '../utils/time.js';
+import {
+  SigV4Error, parseSignature, checkRequestTime, verifySignature, createAwsChunkedDecoder, uriEncode, EMPTY_SHA256,
+  STREAMING_SIGNED_PAYLOAD, STREAMING_SIGNED_PAYLOAD_TRAILER, STREAMING_UNSIGNED_PAYLOAD_TRAILER
+} from '../utils/sigv4.js';
+
+// S3 接口的路径前缀，客户端的 endpoint 设为 https://<域名>/s3 并使用路径风格访问
+export const S3_PATH_PREFIX = '/s3';
+
+const S3_NAMESPACE = 'http://s3.amazonaws.com/doc/2006-03-01/';
+const OWNER_ID = 'cloud-gram-store';
+
+// 对象数据按此大小切分为分片写入存储
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+
+// 分段上传中每段可用的分片索引数：第 n 段的分片从 (n - 1) * PART_INDEX_STRIDE 开始编号，
+// 各段可以乱序上传或重新上传，完成时按段号顺序重新编号
+const PART_INDEX_STRIDE = 1024;
+const MAX_PART_NUMBER = 10000;
+// CompleteMultipartUpload 请求体的最大长度，足够列出 MAX_PART_NUMBER 个段
+const MAX_COMPLETE_BODY_SIZE = 2 * 1024 * 1024;
+
+const MAX_KEYS = 1000;
+const MAX_KEY_LENGTH = 1024;
+
+const ACCESS_KEY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * S3 请求错误
+ * code 为 S3 错误码（例如 NoSuchKey），status 为 HTTP 状态码
+ */
+export class S3Error extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'S3Error';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * S3 兼容接口服务类
+ */
+export class S3Service {
+  /**
+   * @param {FileService} fileService - 文件服务
+   * @param {Object} options - 可选配置
+   * @param {number} options.chunkSize - 对象数据的分片大小
+   */
+  constructor(fileService, options = {}) {
+    this.fileService = fileService;
+    this.db = fileService.db;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  }
+
+  // ================== 访问密钥管理 ==================
+
+  /**
+   * 创建访问密钥，Secret Access Key 只在创建时返回一次
+   * @param {string|null} description - 备注
+   * @returns {Object} { accessKeyId, secretAccessKey, description, createdAt }
+   */
+  async createAccessKey(description = null) {
+    const accessKeyId = `CGS${randomString(ACCESS_KEY_ALPHABET, 17)}`;
+    const secretAccessKey = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(30))));
+    const record = await this.db.createS3AccessKey(accessKeyId, secretAccessKey, description);
+    console.log(`[S3] 创建访问密钥: ${accessKeyId}`);
+    return {
+      accessKeyId,
+      secretAccessKey,
+      description: record.description,
+      createdAt: record.created_at
+    };
+  }
+
+  /**
+   * 列出访问密钥
+   * @returns {Array} [{ accessKeyId, description, createdAt }]
+   */
+  async listAccessKeys() {
+    const keys = await this.db.listS3AccessKeys();
+    return keys.map(key => ({
+      accessKeyId: key.access_key_id,
+      description: key.description,
+      createdAt: key.created_at
+    }));
+  }
+
+  /**
+   * 删除访问密钥
+   * @param {string} accessKeyId - Access Key ID
+   * @returns {boolean} 是否删除了密钥
+   */
+  async deleteAccessKey(accessKeyId) {
+    const deleted = await this.db.deleteS3AccessKey(accessKeyId);
+    if (deleted) {
+      console.log(`[S3] 删除访问密钥: ${accessKeyId}`);
+    }
+    return deleted;
+  }
+
+  // ================== 请求处理 ==================
+
+  /**
+   * 处理 S3 请求，错误以 S3 的 XML 格式返回
+   * @param {Request} request - 路径以 S3_PATH_PREFIX 开头的请求
+   * @returns {Response} 响应
+   */
+  async handleRequest(request) {
+    const url = new URL(request.url);
+    try {
+      const { bucket, key } = this.parsePath(url.pathname);
+      const auth = await this.authenticate(request, url);
+      return await this.dispatch(request, url, bucket, key, auth);
+    } catch (error) {
+      return this.errorResponse(error, request, url);
+    }
+  }
+
+  /**
+   * 按方法和查询参数分发到具体操作
+   * @param {Request} request - 请求
+   * @param {URL} url - 请求 URL
+   * @param {string|null} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @param {Object} auth - 签名信息
+   * @returns {Response} 响应
+   */
+  async dispatch(request, url, bucket, key, auth) {
+    const params = url.searchParams;
+    const method = request.method;
+
+    if (!bucket) {
+      if (method === 'GET') {
+        return this.listBuckets();
+      }
+    } else if (!key) {
+      if (method === 'GET' && params.has('location')) {
+        return xmlResponse(`<LocationConstraint xmlns="${S3_NAMESPACE}"></LocationConstraint>`);
+      }
+      if (method === 'GET' && !params.has('uploads') && !params.has('versions')) {
+        return this.listObjects(bucket, params);
+      }
+      if (method === 'HEAD') {
+        await this.getBucketFolder(bucket);
+        return xmlResponse(null);
+      }
+      if (method === 'PUT' && [...params.keys()].length === 0) {
+        return this.createBucket(bucket);
+      }
+    } else if (method === 'GET' || method === 'HEAD') {
+      return this.getObject(request, bucket, key, method === 'HEAD');
+    } else if (method === 'PUT') {
+      if (request.headers.has('x-amz-copy-source')) {
+        throw new S3Error('NotImplemented', '不支持 CopyObject', 501);
+      }
+      return params.has('uploadId')
+        ? this.uploadPart(request, bucket, key, params, auth)
+        : this.putObject(request, bucket, key, auth);
+    } else if (method === 'DELETE') {
+      return params.has('uploadId')
+        ? this.abortMultipartUpload(bucket, key, params.get('uploadId'))
+        : this.deleteObject(bucket, key);
+    } else if (method === 'POST') {
+      if (params.has('uploads')) {
+        return this.createMultipartUpload(request, bucket, key);
+      }
+      if (params.has('uploadId')) {
+        return this.completeMultipartUpload(request, bucket, key, params.get('uploadId'), auth);
+      }
+    }
+
+    throw new S3Error('NotImplemented', `不支持的操作: ${method} ${url.pathname}${url.search}`, 501);
+  }
+
+  /**
+   * 校验请求签名
+   * @param {Request} request - 请求
+   * @param {URL} url - 请求 URL
+   * @returns {Object} 签名信息及签名密钥 signingKey
+   */
+  async authenticate(request, url) {
+    const info = parseSignature(request, url);
+    if (!info) {
+      throw new S3Error('AccessDenied', '请求未签名', 403);
+    }
+    checkRequestTime(info);
+
+    const accessKey = await this.db.getS3AccessKey(info.accessKeyId);
+    if (!accessKey) {
+      throw new S3Error('InvalidAccessKeyId', `Access Key ID 不存在: ${info.accessKeyId}`, 403);
+    }
+
+    const signingKey = await verifySignature(request, url, info, accessKey.secret_access_key);
+    return { ...info, signingKey };
+  }
+
+  /**
+   * 从路径中取出存储桶名称和对象键
+   * @param {string} pathname - 请求路径
+   * @returns {Object} { bucket, key }，bucket 为 null 表示服务级请求
+   */
+  parsePath(pathname) {
+    const path = pathname.slice(S3_PATH_PREFIX.length).replace(/^\//, '');
+    if (!path) {
+      return { bucket: null, key: '' };
+    }
+
+    const slash = path.indexOf('/');
+    try {
+      return {
+        bucket: decodeURIComponent(slash === -1 ? path : path.slice(0, slash)),
+        key: slash === -1 ? '' : decodeURIComponent(path.slice(slash + 1))
+      };
+    } catch (error) {
+      throw new S3Error('InvalidURI', `路径编码错误: ${pathname}`);
+    }
+  }
+
+  /**
+   * 生成 S3 错误响应，HEAD 请求不返回响应体
+   * @param {Error} error - 错误
+   * @param {Request} request - 请求
+   * @param {URL} url - 请求 URL
+   * @returns {Response} 响应
+   */
+  errorResponse(error, request, url) {
+    let s3Error = error;
+    if (error instanceof SigV4Error) {
+      s3Error = new S3Error(error.code, error.message, error.status);
+    } else if (error instanceof UploadSessionError) {
+      // 上传会话校验失败说明请求体与声明的长度不一致
+      s3Error = error.status === 404
+        ? new S3Error('NoSuchUpload', error.message, 404)
+        : new S3Error('IncompleteBody', error.message, 400);
+    } else if (!(error instanceof S3Error)) {
+      console.error(`[S3] [ERROR] 处理请求失败: ${request.method} ${url.pathname}`, error);
+      s3Error = new S3Error('InternalError', error.message || 'Unknown error', 500);
+    }
+
+    console.warn(`[S3] [WARN] ${request.method} ${url.pathname} 失败: ${s3Error.code} - ${s3Error.message}`);
+    const requestId = crypto.randomUUID();
+    if (request.method === 'HEAD') {
+      return xmlResponse(null, s3Error.status, { 'x-amz-request-id': requestId });
+    }
+    return xmlResponse(
+      `<Error><Code>${s3Error.code}</Code><Message>${escapeXml(s3Error.message)}</Message>` +
+      `<Resource>${escapeXml(url.pathname)}</Resource><RequestId>${requestId}</RequestId></Error>`,
+      s3Error.status,
+      { 'x-amz-request-id': requestId }
+    );
+  }
+
+  // ================== 存储桶 ==================
+
+  /**
+   * 列出存储桶（根目录下的文件夹）
+   * @returns {Response} ListAllMyBucketsResult
+   */
+  async listBuckets() {
+    const folders = await this.db.getFoldersByParent(null);
+    const buckets = folders.map(folder =>
+      `<Bucket><Name>${escapeXml(folder.name)}</Name><CreationDate>${formatIsoTime(folder.created_at)}</CreationDate></Bucket>`
+    ).join('');
+    return xmlResponse(
+      `<ListAllMyBucketsResult xmlns="${S3_NAMESPACE}">` +
+      `<Owner><ID>${OWNER_ID}</ID><DisplayName>${OWNER_ID}</DisplayName></Owner>` +
+      `<Buckets>${buckets}</Buckets></ListAllMyBucketsResult>`
+    );
+  }
+
+  /**
+   * 创建存储桶，已存在时直接返回成功
+   * @param {string} bucket - 存储桶名称
+   * @returns {Response} 响应
+   */
+  async createBucket(bucket) {
+    if (!isValidSegment(bucket)) {
+      throw new S3Error('InvalidBucketName', `存储桶名称无效: ${bucket}`);
+    }
+    if (!(await this.db.getFolderByName(bucket, null))) {
+      await this.fileService.createFolder(bucket, null);
+      console.log(`[S3] 创建存储桶: ${bucket}`);
+    }
+    return xmlResponse(null, 200, { 'Location': `/${bucket}` });
+  }
+
+  /**
+   * 获取存储桶对应的文件夹，不存在时抛出 NoSuchBucket
+   * @param {string} bucket - 存储桶名称
+   * @returns {Object} 文件夹记录
+   */
+  async getBucketFolder(bucket) {
+    const folder = await this.db.getFolderByName(bucket, null);
+    if (!folder) {
+      throw new S3Error('NoSuchBucket', `存储桶不存在: ${bucket}`, 404);
+    }
+    return folder;
+  }
+
+  /**
+   * 列出对象（ListObjects V1 和 V2）
+   * 分隔符为 / 时只读取前缀所在的文件夹，子文件夹作为 CommonPrefixes 返回；其他情况递归列出前缀所在文件夹下的所有对象
+   * @param {string} bucket - 存储桶名称
+   * @param {URLSearchParams} params - 查询参数
+   * @returns {Response} ListBucketResult
+   */
+  async listObjects(bucket, params) {
+    const bucketFolder = await this.getBucketFolder(bucket);
+    const v2 = params.get('list-type') === '2';
+    const prefix = params.get('prefix') || '';
+    const delimiter = params.get('delimiter') || '';
+    const requestedMaxKeys = parseInt(params.get('max-keys'), 10);
+    const maxKeys = Number.isNaN(requestedMaxKeys) ? MAX_KEYS : Math.min(Math.max(requestedMaxKeys, 0), MAX_KEYS);
+    // encoding-type=url 时返回的键需要 URL 编码（aws-cli 总是使用）
+    const encode = params.get('encoding-type') === 'url'
+      ? value => uriEncode(value, false)
+      : value => value;
+
+    let marker = params.get('marker') || '';
+    const continuationToken = params.get('continuation-token');
+    if (v2) {
+      marker = continuationToken ? decodeContinuationToken(continuationToken) : params.get('start-after') || '';
+    }
+
+    const entries = (await this.collectEntries(bucketFolder, prefix, delimiter))
+      .filter(entry => entry.key > marker)
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    const page = entries.slice(0, maxKeys);
+    const truncated = entries.length > page.length;
+    const lastKey = page.length > 0 ? page[page.length - 1].key : '';
+
+    const parts = [
+      `<Name>${escapeXml(bucket)}</Name>`,
+      `<Prefix>${escapeXml(encode(prefix))}</Prefix>`,
+      `<MaxKeys>${maxKeys}</MaxKeys>`,
+      `<IsTruncated>${truncated}</IsTruncated>`
+    ];
+    if (delimiter) {
+      parts.push(`<Delimiter>${escapeXml(encode(delimiter))}</Delimiter>`);
+    }
+    if (params.get('encoding-type') === 'url') {
+      parts.push('<EncodingType>url</EncodingType>');
+    }
+    if (v2) {
+      parts.push(`<KeyCount>${page.length}</KeyCount>`);
+      if (continuationToken) {
+        parts.push(`<ContinuationToken>${escapeXml(continuationToken)}</ContinuationToken>`);
+      }
+      if (params.has('start-after')) {
+        parts.push(`<StartAfter>${escapeXml(encode(params.get('start-after')))}</StartAfter>`);
+      }
+      if (truncated) {
+        parts.push(`<NextContinuationToken>${encodeContinuationToken(lastKey)}</NextContinuationToken>`);
+      }
+    } else {
+      parts.push(`<Marker>${escapeXml(encode(marker))}</Marker>`);
+      if (truncated) {
+        parts.push(`<NextMarker>${escapeXml(encode(lastKey))}</NextMarker>`);
+      }
+    }
+
+    for (const entry of page) {
+      if (entry.isPrefix) {
+        parts.push(`<CommonPrefixes><Prefix>${escapeXml(encode(entry.key))}</Prefix></CommonPrefixes>`);
+      } else {
+        parts.push(
+          `<Contents><Key>${escapeXml(encode(entry.key))}</Key>` +
+          `<LastModified>${formatIsoTime(entry.file.updated_at || entry.file.created_at)}</LastModified>` +
+          `<ETag>${escapeXml(formatETag(entry.file))}</ETag><Size>${entry.file.size}</Size>` +
+          `<StorageClass>STANDARD</StorageClass></Contents>`
+        );
+      }
+    }
+
+    return xmlResponse(`<ListBucketResult xmlns="${S3_NAMESPACE}">${parts.join('')}</ListBucketResult>`);
+  }
+
+  /**
+   * 收集与前缀匹配的对象和公共前缀
+   * @param {Object} bucketFolder - 存储桶文件夹
+   * @param {string} prefix - 键前缀
+   * @param {string} delimiter - 分隔符
+   * @returns {Array} [{ key, file }] 或 [{ key, isPrefix: true }]，未排序
+   */
+  async collectEntries(bucketFolder, prefix, delimiter) {
+    const slash = prefix.lastIndexOf('/');
+    const dirPath = prefix.slice(0, slash + 1);
+    const namePrefix = prefix.slice(slash + 1);
+    const dirSegments = dirPath ? dirPath.slice(0, -1).split('/') : [];
+    if (!dirSegments.every(isValidSegment)) {
+      return [];
+    }
+
+    const folder = await this.findFolder(bucketFolder, dirSegments);
+    if (!folder) {
+      return [];
+    }
+
+    if (delimiter === '/') {
+      const { folders, files } = await this.fileService.getDirectoryContents(folder.id);
+      return [
+        ...folders
+          .filter(subFolder => subFolder.name.startsWith(namePrefix))
+          .map(subFolder => ({ key: `${dirPath}${subFolder.name}/`, isPrefix: true })),
+        ...files
+          .filter(file => file.name.startsWith(namePrefix))
+          .map(file => ({ key: `${dirPath}${file.name}`, file }))
+      ];
+    }
+
+    const objects = [];
+    await this.walkFolder(folder, dirPath, namePrefix, objects);
+    if (!delimiter) {
+      return objects;
+    }
+
+    const entries = [];
+    const commonPrefixes = new Set();
+    for (const object of objects) {
+      const rest = object.key.slice(prefix.length);
+      const index = rest.indexOf(delimiter);
+      if (index === -1) {
+        entries.push(object);
+      } else {
+        commonPrefixes.add(prefix + rest.slice(0, index + delimiter.length));
+      }
+    }
+    return [...entries, ...[...commonPrefixes].map(key => ({ key, isPrefix: true }))];
+  }
+
+  /**
+   * 递归列出文件夹下的所有文件
+   * @param {Object} folder - 文件夹记录
+   * @param {string} path - 文件夹对应的键前缀（以 / 结尾或为空）
+   * @param {string} namePrefix - 当前层级的名称前缀
+   * @param {Array} objects - 结果数组 [{ key, file }]
+   */
+  async walkFolder(folder, path, namePrefix, objects) {
+    const { folders, files } = await this.fileService.getDirectoryContents(folder.id);
+    for (const file of files) {
+      if (file.name.startsWith(namePrefix)) {
+        objects.push({ key: `${path}${file.name}`, file });
+      }
+    }
+    for (const subFolder of folders) {
+      if (subFolder.name.startsWith(namePrefix)) {
+        await this.walkFolder(subFolder, `${path}${subFolder.name}/`, '', objects);
+      }
+    }
+  }
+
+  // ================== 对象 ==================
+
+  /**
+   * 把对象键拆分为文件夹路径和文件名
+   * @param {string} key - 对象键
+   * @returns {Object} { folders, name }，键以 / 结尾时 name 为空
+   */
+  splitKey(key) {
+    if (key.length > MAX_KEY_LENGTH) {
+      throw new S3Error('KeyTooLongError', `对象键超过 ${MAX_KEY_LENGTH} 个字符`);
+    }
+    const folders = key.split('/');
+    const name = folders.pop();
+    if (!folders.every(isValidSegment) || (name && !isValidSegment(name))) {
+      throw new S3Error('InvalidArgument', `对象键不能包含空的路径段或 . 和 ..: ${key}`);
+    }
+    return { folders, name };
+  }
+
+  /**
+   * 按路径查找存储桶下的文件夹
+   * @param {Object} bucketFolder - 存储桶文件夹
+   * @param {Array<string>} segments - 文件夹名称
+   * @returns {Object|null} 文件夹记录
+   */
+  async findFolder(bucketFolder, segments) {
+    let folder = bucketFolder;
+    for (const segment of segments) {
+      folder = await this.db.getFolderByName(segment, folder.id);
+      if (!folder) {
+        return null;
+      }
+    }
+    return folder;
+  }
+
+  /**
+   * 按路径查找存储桶下的文件夹，缺少的文件夹逐级创建
+   * @param {Object} bucketFolder - 存储桶文件夹
+   * @param {Array<string>} segments - 文件夹名称
+   * @returns {Object} 文件夹记录
+   */
+  async ensureFolder(bucketFolder, segments) {
+    let folder = bucketFolder;
+    for (const segment of segments) {
+      const existing = await this.db.getFolderByName(segment, folder.id);
+      folder = existing || await this.fileService.createFolder(segment, folder.id);
+    }
+    return folder;
+  }
+
+  /**
+   * 查找对象对应的文件
+   * @param {string} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @returns {Object|null} 文件记录
+   */
+  async findObject(bucket, key) {
+    const bucketFolder = await this.getBucketFolder(bucket);
+    const { folders, name } = this.splitKey(key);
+    if (!name) {
+      return null;
+    }
+    const folder = await this.findFolder(bucketFolder, folders);
+    return folder ? this.db.getFileByName(name, folder.id) : null;
+  }
+
+  /**
+   * 下载对象（GetObject / HeadObject），只支持单个字节区间，多个区间时返回整个对象
+   * @param {Request} request - 请求
+   * @param {string} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @param {boolean} headOnly - 是否只返回元信息
+   * @returns {Response} 响应
+   */
+  async getObject(request, bucket, key, headOnly) {
+    const file = await this.findObject(bucket, key);
+    if (!file) {
+      throw new S3Error('NoSuchKey', `对象不存在: ${key}`, 404);
+    }
+
+    let ranges = parseRangeHeader(request.headers.get('Range'), file.size);
+    if (ranges && ranges.length === 0) {
+      throw new S3Error('InvalidRange', '请求的区间无法满足', 416);
+    }
+    if (ranges && ranges.length > 1) {
+      ranges = null;
+    }
+
+    const headers = {
+      'Content-Type': file.mime_type || 'application/octet-stream',
+      'ETag': formatETag(file),
+      'Last-Modified': parseDbTimestamp(file.updated_at || file.created_at).toUTCString(),
+      'Accept-Ranges': 'bytes',
+      ...corsHeaders
+    };
+    if (ranges) {
+      const { start, end } = ranges[0];
+      headers['Content-Range'] = formatContentRange(start, end, file.size);
+      headers['Content-Length'] = String(end - start + 1);
+    } else {
+      headers['Content-Length'] = String(file.size);
+    }
+
+    const status = ranges ? 206 : 200;
+    if (headOnly || file.size === 0) {
+      return new Response(null, { status, headers });
+    }
+
+    const download = await this.fileService.downloadFile(file.id, ranges);
+    return new Response(download.stream, { status, headers });
+  }
+
+  /**
+   * 上传对象（PutObject），已存在的同名对象会被覆盖；以 / 结尾的空对象只创建文件夹
+   * @param {Request} request - 请求
+   * @param {string} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @param {Object} auth - 签名信息
+   * @returns {Response} 响应
+   */
+  async putObject(request, bucket, key, auth) {
+    const bucketFolder = await this.getBucketFolder(bucket);
+    const { folders, name } = this.splitKey(key);
+    const body = this.openBody(request, auth);
+
+    if (!name) {
+      if (body.length !== 0) {
+        throw new S3Error('InvalidArgument', '以 / 结尾的对象只能是空的目录标记');
+      }
+      await this.ensureFolder(bucketFolder, folders);
+      return xmlResponse(null, 200, { 'ETag': `"${EMPTY_SHA256}"` });
+    }
+
+    const folder = await this.ensureFolder(bucketFolder, folders);
+    const mimeType = request.headers.get('Content-Type') || 'application/octet-stream';
+    const file = await this.storeObject(name, folder.id, mimeType, body);
+    console.log(`[S3] 上传对象完成: ${bucket}/${key}, 文件ID: ${file.id}, 大小: ${file.size} 字节`);
+    return xmlResponse(null, 200, { 'ETag': formatETag(file) });
+  }
+
+  /**
+   * 把请求体保存为文件：按分片写入上传会话后合并
+   * 同名文件已存在时先以临时名称保存，新文件完整写入后再删除旧文件并改名
+   * @param {string} name - 文件名
+   * @param {number} folderId - 文件夹ID
+   * @param {string} mimeType - MIME 类型
+   * @param {Object} body - openBody 返回的请求体
+   * @returns {Object} 文件记录
+   */
+  async storeObject(name, folderId, mimeType, body) {
+    const existing = await this.db.getFileByName(name, folderId);
+    const fileName = existing ? createTempName(name) : name;
+
+    let file;
+    if (body.length === 0) {
+      // 仍需读完请求体，aws-chunked 编码的空请求体也要校验签名
+      for await (const piece of this.readBody(body)) {
+        throw new S3Error('IncompleteBody', `请求体超出声明的长度: ${piece.length}`);
+      }
+      file = await this.db.createFile(fileName, folderId, 0, mimeType, { sha256: EMPTY_SHA256, storedSize: 0 });
+    } else {
+      const session = await this.fileService.createUploadSession({
+        fileName,
+        fileSize: body.length,
+        chunkSize: this.chunkSize,
+        folderId,
+        mimeType
+      });
+      try {
+        const hasher = createHasher();
+        let chunkIndex = 0;
+        for await (const piece of this.readBody(body)) {
+          await hasher.update(piece);
+          await this.fileService.uploadFileChunk(new Blob([piece]), session.uploadId, chunkIndex++);
+        }
+        file = await this.fileService.mergeFileChunks(session.uploadId, { sha256: await hasher.digest() });
+      } catch (error) {
+        await this.fileService.cleanupFailedUpload(session.uploadId);
+        throw error;
+      }
+    }
+
+    return existing ? this.replaceFile(existing, file, name) : file;
+  }
+
+  /**
+   * 用新文件替换同名的旧文件
+   * @param {Object} existing - 旧文件记录
+   * @param {Object} file - 以临时名称保存的新文件记录
+   * @param {string} name - 文件名
+   * @returns {Object} 改名后的新文件记录
+   */
+  async replaceFile(existing, file, name) {
+    await this.fileService.deleteFile(existing.id);
+    return this.db.updateFile(file.id, name);
+  }
+
+  /**
+   * 删除对象（DeleteObject），对象不存在时同样返回成功；以 / 结尾的键删除对应的空文件夹
+   * @param {string} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @returns {Response} 响应
+   */
+  async deleteObject(bucket, key) {
+    const bucketFolder = await this.getBucketFolder(bucket);
+    const { folders, name } = this.splitKey(key);
+    const folder = await this.findFolder(bucketFolder, folders);
+
+    if (folder && name) {
+      const file = await this.db.getFileByName(name, folder.id);
+      if (file) {
+        await this.fileService.deleteFile(file.id);
+        console.log(`[S3] 删除对象: ${bucket}/${key}, 文件ID: ${file.id}`);
+      }
+    } else if (folder && folder.id !== bucketFolder.id) {
+      const contents = await this.fileService.getDirectoryContents(folder.id);
+      if (contents.folders.length === 0 && contents.files.length === 0) {
+        await this.db.deleteFolder(folder.id);
+      }
+    }
+
+    return xmlResponse(null, 204);
+  }
+
+  // ================== 分段上传 ==================
+
+  /**
+   * 创建分段上传（CreateMultipartUpload）
+   * @param {Request} request - 请求
+   * @param {string} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @returns {Response} InitiateMultipartUploadResult
+   */
+  async createMultipartUpload(request, bucket, key) {
+    await this.getBucketFolder(bucket);
+    if (!this.splitKey(key).name) {
+      throw new S3Error('InvalidArgument', `对象键不能以 / 结尾: ${key}`);
+    }
+
+    const uploadId = `s3mp_${crypto.randomUUID()}`;
+    await this.db.createS3MultipartUpload(uploadId, {
+      bucket,
+      key,
+      mimeType: request.headers.get('Content-Type') || 'application/octet-stream'
+    });
+    console.log(`[S3] 创建分段上传: ${bucket}/${key}, 上传ID: ${uploadId}`);
+
+    return xmlResponse(
+      `<InitiateMultipartUploadResult xmlns="${S3_NAMESPACE}"><Bucket>${escapeXml(bucket)}</Bucket>` +
+      `<Key>${escapeXml(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`
+    );
+  }
+
+  /**
+   * 获取分段上传记录，不存在或与存储桶、对象键不符时抛出 NoSuchUpload
+   * @param {string} uploadId - 分段上传ID
+   * @param {string} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @returns {Object} 分段上传记录
+   */
+  async requireMultipartUpload(uploadId, bucket, key) {
+    const upload = await this.db.getS3MultipartUpload(uploadId);
+    if (!upload || upload.bucket !== bucket || upload.object_key !== key) {
+      throw new S3Error('NoSuchUpload', `分段上传不存在或已过期: ${uploadId}`, 404);
+    }
+    return upload;
+  }
+
+  /**
+   * 上传一段数据（UploadPart），同一段重新上传时覆盖之前的数据
+   * @param {Request} request - 请求
+   * @param {string} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @param {URLSearchParams} params - 查询参数 uploadId 和 partNumber
+   * @param {Object} auth - 签名信息
+   * @returns {Response} 响应，ETag 为该段数据的 SHA-256
+   */
+  async uploadPart(request, bucket, key, params, auth) {
+    const upload = await this.requireMultipartUpload(params.get('uploadId'), bucket, key);
+    const partNumber = Number(params.get('partNumber'));
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_NUMBER) {
+      throw new S3Error('InvalidArgument', `段号必须在 1 到 ${MAX_PART_NUMBER} 之间`);
+    }
+
+    const body = this.openBody(request, auth);
+    if (body.length > PART_INDEX_STRIDE * this.chunkSize) {
+      throw new S3Error('EntityTooLarge', `每段最大 ${PART_INDEX_STRIDE * this.chunkSize} 字节`);
+    }
+
+    const { name } = this.splitKey(key);
+    const firstIndex = (partNumber - 1) * PART_INDEX_STRIDE;
+    await this.db.deleteS3MultipartPart(upload.id, partNumber);
+    await this.fileService.deleteTempChunkRange(upload.id, firstIndex, firstIndex + PART_INDEX_STRIDE);
+
+    const hasher = createHasher();
+    let size = 0;
+    try {
+      let chunkIndex = firstIndex;
+      for await (const piece of this.readBody(body)) {
+        await hasher.update(piece);
+        size += piece.length;
+        await this.fileService.storeTempChunk(piece, upload.id, chunkIndex, {
+          fileName: name,
+          fileSize: 0,
+          folderId: null,
+          mimeType: upload.mime_type,
+          clientEncrypted: false,
+          chunkFileName: `${name}.part${partNumber}.${chunkIndex - firstIndex}`
+        });
+        chunkIndex++;
+      }
+    } catch (error) {
+      // 不完整的段不能留到完成时被合并
+      await this.fileService.deleteTempChunkRange(upload.id, firstIndex, firstIndex + PART_INDEX_STRIDE);
+      throw error;
+    }
+
+    const etag = await hasher.digest();
+    await this.db.setS3MultipartPart(upload.id, partNumber, etag, size);
+    return xmlResponse(null, 200, { 'ETag': `"${etag}"` });
+  }
+
+  /**
+   * 完成分段上传（CompleteMultipartUpload）：按请求中的段号顺序合并为文件，未列出的段被删除
+   * 请求体与其他请求一样校验长度和签名中的 x-amz-content-sha256，每段的 ETag 必须与上传该段时返回的一致
+   * @param {Request} request - 请求
+   * @param {string} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @param {string} uploadId - 分段上传ID
+   * @param {Object} auth - 签名信息
+   * @returns {Response} CompleteMultipartUploadResult
+   */
+  async completeMultipartUpload(request, bucket, key, uploadId, auth) {
+    const upload = await this.requireMultipartUpload(uploadId, bucket, key);
+    const body = this.openBody(request, auth);
+    if (body.length > MAX_COMPLETE_BODY_SIZE) {
+      throw new S3Error('MalformedXML', `请求体过大: ${body.length} 字节`);
+    }
+    const pieces = [];
+    for await (const piece of this.readBody(body)) {
+      pieces.push(piece);
+    }
+    const requested = parseCompleteParts(await new Blob(pieces).text());
+    for (let i = 1; i < requested.length; i++) {
+      if (requested[i].partNumber <= requested[i - 1].partNumber) {
+        throw new S3Error('InvalidPartOrder', '段号必须按升序排列');
+      }
+    }
+
+    const uploadedParts = new Map((await this.db.getS3MultipartParts(upload.id)).map(part => [part.part_number, part]));
+    for (const { partNumber, etag } of requested) {
+      const uploaded = uploadedParts.get(partNumber);
+      if (!uploaded || uploaded.etag !== etag) {
+        throw new S3Error('InvalidPart', `段 ${partNumber} 不存在或 ETag 不匹配`);
+      }
+    }
+    const partNumbers = requested.map(part => part.partNumber);
+
+    // 按段分组，每段的分片必须从该段的起始索引开始连续
+    const chunksByPart = new Map();
+    for (const chunk of await this.db.getTempChunks(upload.id)) {
+      const partNumber = Math.floor(chunk.chunk_index / PART_INDEX_STRIDE) + 1;
+      if (!chunksByPart.has(partNumber)) {
+        chunksByPart.set(partNumber, []);
+      }
+      chunksByPart.get(partNumber).push(chunk);
+    }
+
+    const orderedChunks = [];
+    for (const partNumber of partNumbers) {
+      const chunks = chunksByPart.get(partNumber) || [];
+      const firstIndex = (partNumber - 1) * PART_INDEX_STRIDE;
+      if (chunks.length === 0 || chunks.some((chunk, i) => chunk.chunk_index !== firstIndex + i)) {
+        throw new S3Error('InvalidPart', `段 ${partNumber} 不存在或不完整`);
+      }
+      orderedChunks.push(...chunks);
+      chunksByPart.delete(partNumber);
+    }
+    const unusedChunks = [...chunksByPart.values()].flat();
+
+    const bucketFolder = await this.getBucketFolder(bucket);
+    const { folders, name } = this.splitKey(key);
+    const folder = await this.ensureFolder(bucketFolder, folders);
+    const existing = await this.db.getFileByName(name, folder.id);
+
+    let file = await this.fileService.createFileFromTempChunks(upload.id, orderedChunks, {
+      fileName: existing ? createTempName(name) : name,
+      folderId: folder.id,
+      fileSize: orderedChunks.reduce((sum, chunk) => sum + chunk.size, 0),
+      mimeType: upload.mime_type,
+      encryptedKey: null
+    });
+
+    if (unusedChunks.length > 0) {
+      await this.fileService.storage.deleteFile(unusedChunks);
+    }
+    await this.db.deleteTempChunks(upload.id);
+    await this.db.deleteUploadKey(upload.id);
+    await this.db.deleteS3MultipartUpload(upload.id);
+    if (existing) {
+      file = await this.replaceFile(existing, file, name);
+    }
+    console.log(`[S3] 分段上传完成: ${bucket}/${key}, 段数: ${partNumbers.length}, 文件ID: ${file.id}, 大小: ${file.size} 字节`);
+
+    return xmlResponse(
+      `<CompleteMultipartUploadResult xmlns="${S3_NAMESPACE}">` +
+      `<Location>${escapeXml(`${S3_PATH_PREFIX}/${bucket}/${key}`)}</Location><Bucket>${escapeXml(bucket)}</Bucket>` +
+      `<Key>${escapeXml(key)}</Key><ETag>${escapeXml(formatETag(file))}</ETag></CompleteMultipartUploadResult>`
+    );
+  }
+
+  /**
+   * 取消分段上传（AbortMultipartUpload），删除已上传的段
+   * @param {string} bucket - 存储桶名称
+   * @param {string} key - 对象键
+   * @param {string} uploadId - 分段上传ID
+   * @returns {Response} 响应
+   */
+  async abortMultipartUpload(bucket, key, uploadId) {
+    const upload = await this.requireMultipartUpload(uploadId, bucket, key);
+    const result = await this.fileService.cleanupFailedUpload(upload.id);
+    if (!result.success) {
+      throw new Error(`取消分段上传失败: ${result.error}`, { cause: { uploadId } });
+    }
+    await this.db.deleteS3MultipartUpload(upload.id);
+    console.log(`[S3] 取消分段上传: ${bucket}/${key}, 上传ID: ${uploadId}`);
+    return xmlResponse(null, 204);
+  }
+
+  // ================== 请求体 ==================
+
+  /**
+   * 取出请求体及其长度，aws-chunked 编码的请求体会被解码并逐块校验签名
+   * @param {Request} request - 请求
+   * @param {Object} auth - 签名信息
+   * @returns {Object} { stream, length, expectedHash }，expectedHash 为签名中声明的请求体 SHA-256
+   */
+  openBody(request, auth) {
+    let stream = request.body;
+    let lengthHeader = request.headers.get('Content-Length');
+
+    if (auth.payloadHash.startsWith('STREAMING-')) {
+      const streamingModes = [STREAMING_SIGNED_PAYLOAD, STREAMING_SIGNED_PAYLOAD_TRAILER, STREAMING_UNSIGNED_PAYLOAD_TRAILER];
+      if (!streamingModes.includes(auth.payloadHash)) {
+        throw new S3Error('NotImplemented', `不支持的请求体编码: ${auth.payloadHash}`, 501);
+      }
+      const decoder = auth.payloadHash === STREAMING_UNSIGNED_PAYLOAD_TRAILER
+        ? createAwsChunkedDecoder()
+        : createAwsChunkedDecoder({
+          signingKey: auth.signingKey,
+          seedSignature: auth.signature,
+          amzDate: auth.amzDate,
+          scope: auth.scope
+        });
+      stream = stream ? stream.pipeThrough(decoder) : null;
+      lengthHeader = request.headers.get('x-amz-decoded-content-length');
+    }
+
+    const length = Number(lengthHeader);
+    if (lengthHeader === null || !Number.isSafeInteger(length) || length < 0) {
+      throw new S3Error('MissingContentLength', '缺少请求体长度', 411);
+    }
+
+    return {
+      stream,
+      length,
+      expectedHash: /^[0-9a-f]{64}$/.test(auth.payloadHash) ? auth.payloadHash : null
+    };
+  }
+
+  /**
+   * 按分片大小读取请求体，读完后检查长度和声明的 SHA-256
+   * @param {Object} body - openBody 返回的请求体
+   * @returns {AsyncGenerator<Uint8Array>} 数据块
+   */
+  async *readBody(body) {
+    const hasher = body.expectedHash ? createHasher() : null;
+    let received = 0;
+
+    for await (const piece of chunkStream(body.stream, this.chunkSize)) {
+      received += piece.length;
+      if (received > body.length) {
+        throw new S3Error('IncompleteBody', `请求体超出声明的长度: ${body.length}`);
+      }
+      if (hasher) {
+        await hasher.update(piece);
+      }
+      yield piece;
+    }
+
+    if (received !== body.length) {
+      throw new S3Error('IncompleteBody', `请求体不完整，期望: ${body.length}, 实际: ${received}`);
+    }
+    if (hasher && (await hasher.digest()) !== body.expectedHash) {
+      throw new S3Error('XAmzContentSHA256Mismatch', '请求体的 SHA-256 与 x-amz-content-sha256 不一致');
+    }
+  }
+}
+
+function isValidSegment(segment) {
+  return segment !== '' && segment !== '.' && segment !== '..';
+}
+
+function randomString(alphabet, length) {
+  return [...crypto.getRandomValues(new Uint8Array(length))].map(byte => alphabet[byte % alphabet.length]).join('');
+}
+
+// 覆盖已有对象时新文件使用的临时名称
+function createTempName(name) {
+  return `${name}.s3-upload-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+// 用文件的 SHA-256 作为 ETag；它不是 MD5，客户端不会拿它校验内容
+function formatETag(file) {
+  return `"${file.sha256 || `${file.id}-${file.size}`}"`;
+}
+
+function formatIsoTime(value) {
+  return parseDbTimestamp(value).toISOString();
+}
+
+function encodeContinuationToken(key) {
+  return btoa(String.fromCharCode(...new TextEncoder().encode(key)));
+}
+
+function decodeContinuationToken(token) {
+  try {
+    return new TextDecoder().decode(Uint8Array.from(atob(token), char => char.charCodeAt(0)));
+  } catch (error) {
+    throw new S3Error('InvalidArgument', 'continuation-token 无效');
+  }
+}
+
+/**
+ * 解析 CompleteMultipartUpload 请求体中的段号和 ETag
+ * @param {string} xml - 请求体
+ * @returns {Array<Object>} [{ partNumber, etag }]，etag 已去掉引号
+ */
+function parseCompleteParts(xml) {
+  const parts = [];
+  for (const match of xml.matchAll(/<Part>([\s\S]*?)<\/Part>/g)) {
+    const partNumber = /<PartNumber>\s*(\d+)\s*<\/PartNumber>/.exec(match[1]);
+    const etag = /<ETag>([\s\S]*?)<\/ETag>/.exec(match[1]);
+    if (!partNumber || !etag) {
+      throw new S3Error('MalformedXML', '段缺少 PartNumber 或 ETag');
+    }
+    parts.push({
+      partNumber: Number(partNumber[1]),
+      etag: etag[1].replace(/&quot;|&#34;/g, '"').trim().replace(/^"(.*)"$/, '$1')
+    });
+  }
+  if (parts.length === 0) {
+    throw new S3Error('MalformedXML', '请求中没有任何段');
+  }
+  return parts;
+}
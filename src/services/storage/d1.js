@@ -0,0 +1,101 @@
+// D1 存储后端
+// 把分片直接保存在 D1 数据库中，无需 Telegram 即可在本地完整运行
+
+// D1 单个值的大小有限制，分片按 1MB 拆成多行保存
+const PART_SIZE = 1024 * 1024;
+
+/**
+ * D1 存储后端
+ */
+export class D1StorageBackend {
+  /**
+   * @param {DatabaseService} databaseService - 数据库服务
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+    this.name = 'd1';
+    this.chunkSize = 5 * 1024 * 1024;
+    this.concurrency = 1;
+  }
+
+  /**
+   * 上传分片
+   * @param {Uint8Array} data - 分片数据
+   * @param {string} fileName - 分片文件名
+   * @returns {Object} { ref }
+   */
+  async uploadChunk(data, fileName) {
+    const blobId = crypto.randomUUID();
+    const parts = [];
+    for (let offset = 0; offset < data.length; offset += PART_SIZE) {
+      parts.push(data.slice(offset, offset + PART_SIZE));
+    }
+    // 空文件也保存一行，便于 stat 判断分片存在
+    if (parts.length === 0) {
+      parts.push(new Uint8Array(0));
+    }
+
+    console.log(`[D1] 保存分片: ${fileName}, 大小: ${data.length} 字节, ${parts.length} 行`);
+    await this.db.createBlob(blobId, parts);
+    return { ref: blobId };
+  }
+
+  /**
+   * 下载分片，按行逐个读取
+   * @param {Object} chunk - 分片记录
+   * @returns {Promise<ReadableStream>} 分片数据流
+   */
+  async downloadChunk(chunk) {
+    const blobId = chunk.telegram_file_id;
+    const stat = await this.db.getBlobStat(blobId);
+    if (!stat.parts) {
+      throw new Error(`D1 中不存在分片数据: ${blobId}`);
+    }
+
+    let partIndex = 0;
+    return new ReadableStream({
+      pull: async (controller) => {
+        try {
+          if (partIndex >= stat.parts) {
+            controller.close();
+            return;
+          }
+          const data = await this.db.getBlobPart(blobId, partIndex++);
+          if (!data) {
+            throw new Error(`D1 分片数据不完整: ${blobId}, 缺少第 ${partIndex} 行`);
+          }
+          controller.enqueue(data);
+        } catch (error) {
+          controller.error(error);
+        }
+      }
+    });
+  }
+
+  /**
+   * 删除分片
+   * @param {Object} chunk - 分片记录
+   * @returns {boolean} 是否删除了数据
+   */
+  async deleteChunk(chunk) {
+    const deleted = await this.db.deleteBlob(chunk.telegram_file_id);
+    return deleted > 0;
+  }
+
+  /**
+   * 检查分片是否可读
+   * @param {Object} chunk - 分片记录
+   * @returns {Object} { available, size, error, transient }
+   */
+  async stat(chunk) {
+    try {
+      const stat = await this.db.getBlobStat(chunk.telegram_file_id);
+      if (!stat.parts) {
+        return { available: false, size: null, error: 'D1 中不存在分片数据', transient: false };
+      }
+      return { available: true, size: stat.size };
+    } catch (error) {
+      return { available: false, size: null, error: error.message, transient: true };
+    }
+  }
+}
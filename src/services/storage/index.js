@@ -0,0 +1,398 @@
+// 存储后端模块
+// 定义分片存储后端的统一接口，并在多个后端之上提供文件级的上传、下载和删除功能
+//
+// 存储后端需要实现以下接口：
+//   name                          后端名称，记录在分片的 storage_backend 字段中
+//   chunkSize                     单个分片的最大字节数
+//   concurrency                   上传文件时允许并行上传的分片数
+//   uploadChunk(data, fileName)   保存分片，返回 { ref, messageId, chatId, botId }，
+//                                 ref 是后端内部的分片引用，保存在分片的 telegram_file_id 字段中
+//   downloadChunk(chunk)          读取分片，返回 Promise<ReadableStream>
+//   deleteChunk(chunk)            删除分片，删除成功返回 true，没有可删除的数据返回 false，失败时抛出错误
+//   stat(chunk)                   检查分片是否可读，返回 { available, size, error, transient }，
+//                                 transient 表示检查本身失败（网络错误、限流等），不能据此判断分片已丢失
+//
+// 分片按内容去重：上传前计算写入后端的数据的 SHA-256，相同内容的分片复用已有的存储位置，
+// chunk_hashes 表记录每个存储位置被多少条分片记录引用，引用数降为 0 时才删除后端中的数据
+
+import { TelegramStorageBackend } from './telegram.js';
+import { D1StorageBackend } from './d1.js';
+import { concatStreams, sliceStream } from '../../utils/stream.js';
+import { planChunkReads } from '../../utils/range.js';
+import { sha256Hex } from '../../utils/digest.js';
+
+// 未记录 storage_backend 的旧分片都保存在 Telegram 中
+const LEGACY_BACKEND = 'telegram';
+
+/**
+ * 分片数据与记录的哈希值或大小不一致
+ */
+export class ChunkIntegrityError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} details - 分片索引、期望值和实际值
+   */
+  constructor(message, { chunkIndex = null, expected = null, actual = null } = {}) {
+    super(message);
+    this.name = 'ChunkIntegrityError';
+    this.chunkIndex = chunkIndex;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * 根据环境变量创建存储管理器
+ * @param {Object} env - Worker 环境变量
+ * @param {Object} services - 依赖的服务
+ * @param {DatabaseService} services.db - 数据库服务
+ * @param {TelegramService} services.telegram - Telegram 服务
+ * @returns {StorageManager} 存储管理器
+ */
+export function createStorage(env, { db, telegram }) {
+  const backends = [
+    new TelegramStorageBackend(telegram),
+    new D1StorageBackend(db)
+  ];
+  return new StorageManager(backends, env.STORAGE_BACKEND || 'telegram', db);
+}
+
+/**
+ * 存储管理器
+ * 新分片写入默认后端，读取和删除时按分片记录的 storage_backend 找到对应后端
+ */
+export class StorageManager {
+  /**
+   * @param {Array} backends - 存储后端列表
+   * @param {string} defaultBackendName - 新分片写入的后端名称
+   * @param {DatabaseService|null} databaseService - 数据库服务，提供时启用分片去重
+   */
+  constructor(backends, defaultBackendName, databaseService = null) {
+    this.db = databaseService;
+    this.backends = new Map(backends.map(backend => [backend.name, backend]));
+    this.defaultBackend = this.get(defaultBackendName);
+    this.chunkSize = this.defaultBackend.chunkSize;
+  }
+
+  /**
+   * 根据名称获取存储后端
+   * @param {string} name - 后端名称
+   * @returns {Object} 存储后端
+   */
+  get(name) {
+    const backend = this.backends.get(name);
+    if (!backend) {
+      throw new Error(`未知的存储后端: ${name}`);
+    }
+    return backend;
+  }
+
+  /**
+   * 获取分片所在的存储后端
+   * @param {Object} chunk - 分片记录
+   * @returns {Object} 存储后端
+   */
+  getForChunk(chunk) {
+    return this.get(chunk.storage_backend || LEGACY_BACKEND);
+  }
+
+  /**
+   * 上传单个分片到默认后端
+   * 已存在相同内容的分片时直接复用其存储位置，不再重复上传
+   * @param {Uint8Array} chunkData - 分片数据
+   * @param {string} fileName - 分片文件名
+   * @returns {Object} 分片位置 { backend, ref, messageId, chatId, botId, hash, deduplicated }
+   */
+  async uploadChunk(chunkData, fileName) {
+    // 哈希同时用于去重和下载时的完整性校验
+    const hash = await sha256Hex(chunkData);
+    if (!this.db) {
+      const location = await this.defaultBackend.uploadChunk(chunkData, fileName);
+      return { backend: this.defaultBackend.name, ...location, hash, deduplicated: false };
+    }
+
+    const existing = await this.db.acquireChunkHash(hash);
+    if (existing) {
+      console.log(`[STORAGE] 分片内容已存在，复用存储位置: ${fileName}, SHA-256: ${hash.substring(0, 16)}...`);
+      return { ...locationFromHashRecord(existing), hash, deduplicated: true };
+    }
+
+    const location = { backend: this.defaultBackend.name, ...(await this.defaultBackend.uploadChunk(chunkData, fileName)) };
+    if (await this.db.registerChunkHash(hash, location, chunkData.length)) {
+      return { ...location, hash, deduplicated: false };
+    }
+
+    // 相同内容的分片被并发上传并抢先登记，删除本次上传的副本，改为引用已登记的存储位置
+    const winner = await this.db.acquireChunkHash(hash);
+    if (!winner) {
+      // 已登记的存储位置正在被删除，保留本次上传的副本但不参与去重
+      return { ...location, hash: null, deduplicated: false };
+    }
+    try {
+      await this.get(location.backend).deleteChunk({
+        storage_backend: location.backend,
+        telegram_file_id: location.ref,
+        telegram_message_id: location.messageId,
+        telegram_chat_id: location.chatId,
+        bot_id: location.botId
+      });
+    } catch (error) {
+      console.warn(`[STORAGE] [WARN] 删除重复上传的分片失败: ${fileName}`, error);
+    }
+    return { ...locationFromHashRecord(winner), hash, deduplicated: true };
+  }
+
+  /**
+   * 上传文件到默认后端
+   * @param {Uint8Array} fileData - 文件数据
+   * @param {string} fileName - 文件名
+   * @param {Object} options - 上传选项
+   * @param {Function|null} options.encode - 分片写入后端前的转换函数 (data, index) => Promise<Uint8Array>，例如加密
+   * @returns {Array} 上传的分片列表 [{ index, size, storedSize, backend, ref, messageId, chatId, botId, hash }]，
+   *   size 为转换前的大小，storedSize 为写入后端的大小
+   */
+  async uploadFile(fileData, fileName, options = {}) {
+    console.log(`[STORAGE] 开始上传文件到 ${this.defaultBackend.name}: ${fileName}, 大小: ${fileData.length} 字节`);
+
+    // 添加文件大小检查，避免超出内存限制（整个文件都在内存中，更大的文件使用 PUT /api/files/stream 流式上传）
+    const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB 限制
+    if (fileData.length > MAX_FILE_SIZE) {
+      throw new Error(`文件大小超出限制: ${fileData.length} 字节，最大允许: ${MAX_FILE_SIZE} 字节`);
+    }
+
+    try {
+      // 计算分片数量和大小，但不创建所有分片
+      const totalChunks = Math.ceil(fileData.length / this.chunkSize);
+      console.log(`[STORAGE] 文件 ${fileName} 将分割为 ${totalChunks} 个分片`);
+
+      const uploadedChunks = [];
+      let nextIndex = 0;
+
+      // 后端允许时多个分片并行上传（例如多 Bot 池）
+      const uploadNext = async () => {
+        while (nextIndex < totalChunks) {
+          const i = nextIndex++;
+          const startOffset = i * this.chunkSize;
+          const endOffset = Math.min(startOffset + this.chunkSize, fileData.length);
+
+          // 创建单个分片视图，避免同时复制所有分片
+          const chunk = fileData.subarray(startOffset, endOffset);
+
+          const chunkFileName = totalChunks > 1
+            ? `${fileName}.part${i.toString().padStart(3, '0')}`
+            : fileName;
+
+          console.log(`[STORAGE] 上传分片 ${i+1}/${totalChunks}: ${chunkFileName}, 大小: ${chunk.length} 字节`);
+          const startTime = Date.now();
+
+          try {
+            const stored = options.encode ? await options.encode(chunk, i) : chunk;
+            const location = await this.uploadChunk(stored, chunkFileName);
+            const duration = Date.now() - startTime;
+            console.log(`[STORAGE] 分片 ${i+1}/${totalChunks} 上传完成，用时: ${duration}ms, 引用: ${location.ref.substring(0, 10)}...`);
+
+            uploadedChunks.push({
+              index: i,
+              size: chunk.length,
+              storedSize: stored.length,
+              ...location
+            });
+          } catch (chunkError) {
+            console.error(`[STORAGE] [ERROR] 上传分片 ${i+1}/${totalChunks} 失败:`, chunkError);
+            // 让其他上传通道尽快停止
+            nextIndex = totalChunks;
+            throw new Error(`上传分片 ${i+1}/${totalChunks} 失败: ${chunkError.message}`);
+          }
+        }
+      };
+
+      const lanes = Math.max(1, Math.min(this.defaultBackend.concurrency || 1, totalChunks));
+      await Promise.all(Array.from({ length: lanes }, () => uploadNext()));
+      uploadedChunks.sort((a, b) => a.index - b.index);
+
+      console.log(`[STORAGE] 文件 ${fileName} 上传完成，共 ${totalChunks} 个分片`);
+      return uploadedChunks;
+    } catch (error) {
+      console.error(`[STORAGE] [ERROR] 上传文件 ${fileName} 失败:`, error);
+      // 提供更详细的错误信息
+      const errorMessage = error.message || 'Unknown error';
+      const errorDetails = {
+        fileName: fileName,
+        fileSize: fileData.length,
+        backend: this.defaultBackend.name,
+        errorStack: error.stack
+      };
+      throw new Error(`上传文件到 ${this.defaultBackend.name} 失败: ${errorMessage}`, { cause: errorDetails });
+    }
+  }
+
+  /**
+   * 下载文件（流式）
+   * 按分片顺序逐个从各自的后端拉取数据并直接输出，不在内存中合并整个文件
+   * @param {Array} chunks - 文件分片记录数组
+   * @param {Object|null} range - 字节区间 { start, end }（闭区间），null 表示整个文件
+   * @param {Object} options - 下载选项
+   * @param {Function|null} options.decode - 分片读出后的转换函数 (chunk, data) => Promise<Uint8Array>，例如解密；
+   *   设置后每个分片会先完整读入内存再转换，区间按转换后的数据截取
+   * @returns {ReadableStream} 文件数据流，记录了哈希值的分片会先校验再输出
+   */
+  downloadFile(chunks, range = null, options = {}) {
+    // 按索引排序分片
+    const sortedChunks = [...chunks].sort((a, b) => a.chunk_index - b.chunk_index);
+
+    // 只读取与区间重叠的分片
+    const reads = planChunkReads(sortedChunks, range);
+    console.log(`[STORAGE] 开始流式下载文件，共 ${chunks.length} 个分片，需读取 ${reads.length} 个` +
+      (range ? `，区间: ${range.start}-${range.end}` : ''));
+
+    const sources = reads.map((read, i) => async () => {
+      const chunk = read.chunk;
+      const backend = this.getForChunk(chunk);
+      console.log(`[STORAGE] 从 ${backend.name} 下载分片 ${i+1}/${reads.length}, 引用: ${chunk.telegram_file_id.substring(0, 10)}...`);
+      try {
+        // 需要校验或转换的分片先完整读入内存，校验通过后才输出，避免把损坏的数据发给客户端
+        if (options.decode || chunk.chunk_hash) {
+          const data = await this.readChunk(chunk, options);
+          return new Response(read.whole ? data : data.subarray(read.skip, read.skip + read.length)).body;
+        }
+        const stream = await backend.downloadChunk(chunk);
+        return read.whole ? stream : sliceStream(stream, read.skip, read.length);
+      } catch (error) {
+        console.error(`[STORAGE] [ERROR] 从 ${backend.name} 下载分片失败:`, error);
+        // 提供更详细的错误信息
+        const errorMessage = error.message || 'Unknown error';
+        const errorDetails = {
+          chunksCount: chunks.length,
+          chunkIndex: chunk.chunk_index,
+          backend: backend.name,
+          ref: chunk.telegram_file_id,
+          errorStack: error.stack,
+          timestamp: new Date().toISOString()
+        };
+        throw new Error(`从 ${backend.name} 下载文件失败: ${errorMessage}`, { cause: errorDetails });
+      }
+    });
+
+    return concatStreams(sources);
+  }
+
+  /**
+   * 读取并校验单个分片
+   * 记录了哈希值的分片校验存储数据的 SHA-256，转换后再校验分片大小
+   * @param {Object} chunk - 分片记录
+   * @param {Object} options - 读取选项
+   * @param {Function|null} options.decode - 分片读出后的转换函数 (chunk, data) => Promise<Uint8Array>
+   * @returns {Uint8Array} 分片数据（转换后）
+   */
+  async readChunk(chunk, options = {}) {
+    const stream = await this.getForChunk(chunk).downloadChunk(chunk);
+    const stored = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    if (chunk.chunk_hash) {
+      const actual = await sha256Hex(stored);
+      if (actual !== chunk.chunk_hash) {
+        throw new ChunkIntegrityError(`分片 ${chunk.chunk_index} 校验失败: SHA-256 不匹配`, {
+          chunkIndex: chunk.chunk_index,
+          expected: chunk.chunk_hash,
+          actual
+        });
+      }
+    }
+
+    let data = stored;
+    if (options.decode) {
+      try {
+        data = await options.decode(chunk, stored);
+      } catch (error) {
+        throw new ChunkIntegrityError(`分片 ${chunk.chunk_index} 校验失败: ${error.message}`, {
+          chunkIndex: chunk.chunk_index
+        });
+      }
+    }
+
+    if (data.length !== chunk.size) {
+      throw new ChunkIntegrityError(`分片 ${chunk.chunk_index} 校验失败: 大小不匹配`, {
+        chunkIndex: chunk.chunk_index,
+        expected: chunk.size,
+        actual: data.length
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * 删除文件的所有分片
+   * 逐个删除分片，单个分片删除失败不会中断其余分片的删除；
+   * 去重的分片先释放引用，仍被其他分片记录引用时只释放引用而不删除存储数据
+   * @param {Array} chunks - 文件分片记录数组
+   * @returns {Array} 每个分片的删除结果 [{ chunkIndex, backend, ref, messageId, deleted, shared, skipped, error }]
+   */
+  async deleteFile(chunks) {
+    const results = [];
+
+    for (const chunk of chunks) {
+      const result = {
+        chunkIndex: chunk.chunk_index,
+        backend: chunk.storage_backend || LEGACY_BACKEND,
+        ref: chunk.telegram_file_id,
+        messageId: chunk.telegram_message_id || null,
+        deleted: false
+      };
+
+      try {
+        if (chunk.chunk_hash && this.db) {
+          const released = await this.db.releaseChunkHash(chunk.chunk_hash);
+          // 释放后仍有引用，或者删除时被其他上传重新引用
+          if (released.remaining > 0 || (released.found && !(await this.db.deleteChunkHash(chunk.chunk_hash)))) {
+            result.shared = true;
+            results.push(result);
+            continue;
+          }
+        }
+
+        const deleted = await this.getForChunk(chunk).deleteChunk(chunk);
+        if (deleted) {
+          result.deleted = true;
+        } else {
+          result.skipped = true;
+          result.error = '分片没有可删除的存储数据';
+        }
+      } catch (error) {
+        // 不抛出错误，因为删除失败不应该阻止数据库操作
+        console.warn(`[STORAGE] [WARN] 删除分片 ${chunk.chunk_index} 失败:`, error);
+        result.error = error.message;
+      }
+      results.push(result);
+    }
+
+    const deletedCount = results.filter(r => r.deleted).length;
+    const sharedCount = results.filter(r => r.shared).length;
+    console.log(`[STORAGE] 删除分片完成，成功 ${deletedCount}/${chunks.length} 个分片，${sharedCount} 个分片仍被其他文件引用`);
+    return results;
+  }
+
+  /**
+   * 检查分片是否可读
+   * @param {Object} chunk - 分片记录
+   * @returns {Object} { available, size, error, transient }
+   */
+  async stat(chunk) {
+    return this.getForChunk(chunk).stat(chunk);
+  }
+}
+
+/**
+ * 把 chunk_hashes 记录转换为分片位置
+ * @param {Object} record - chunk_hashes 记录
+ * @returns {Object} 分片位置 { backend, ref, messageId, chatId, botId }
+ */
+function locationFromHashRecord(record) {
+  return {
+    backend: record.storage_backend,
+    ref: record.telegram_file_id,
+    messageId: record.telegram_message_id,
+    chatId: record.telegram_chat_id,
+    botId: record.bot_id
+  };
+}
@@ -0,0 +1,72 @@
+// Telegram 存储后端
+// 把分片作为文档消息发送到存储聊天中，分片引用为 Telegram 的 file_id
+
+/**
+ * Telegram 存储后端
+ */
+export class TelegramStorageBackend {
+  /**
+   * @param {TelegramService} telegramService - Telegram 服务
+   */
+  constructor(telegramService) {
+    this.telegram = telegramService;
+    this.name = 'telegram';
+    this.chunkSize = telegramService.chunkSize;
+    // 每个 Bot 一个上传通道
+    this.concurrency = telegramService.bots.length;
+  }
+
+  /**
+   * 上传分片
+   * @param {Uint8Array} data - 分片数据
+   * @param {string} fileName - 分片文件名
+   * @returns {Object} { ref, messageId, chatId, botId }
+   */
+  async uploadChunk(data, fileName) {
+    const uploaded = await this.telegram.uploadChunk(data, fileName);
+    return {
+      ref: uploaded.fileId,
+      messageId: uploaded.messageId,
+      chatId: uploaded.chatId,
+      botId: uploaded.botId
+    };
+  }
+
+  /**
+   * 下载分片
+   * @param {Object} chunk - 分片记录
+   * @returns {Promise<ReadableStream>} 分片数据流
+   */
+  async downloadChunk(chunk) {
+    return this.telegram.openChunkStream(chunk.telegram_file_id, chunk.bot_id);
+  }
+
+  /**
+   * 删除分片对应的 Telegram 消息
+   * @param {Object} chunk - 分片记录
+   * @returns {boolean} 是否删除了消息，旧版本上传的分片没有记录消息ID时返回 false
+   */
+  async deleteChunk(chunk) {
+    if (!chunk.telegram_message_id) {
+      return false;
+    }
+    await this.telegram.deleteMessage(chunk.telegram_chat_id || this.telegram.chatId, chunk.telegram_message_id, chunk.bot_id);
+    return true;
+  }
+
+  /**
+   * 检查分片是否可读
+   * @param {Object} chunk - 分片记录
+   * @returns {Object} { available, size, error, transient }
+   */
+  async stat(chunk) {
+    try {
+      const fileInfo = await this.telegram.getFileInfo(chunk.telegram_file_id, chunk.bot_id);
+      return { available: true, size: fileInfo.file_size ?? null };
+    } catch (error) {
+      // 只有 400（文件ID无效或文件已不存在）说明分片本身不可用，其他错误可能是网络、限流或 Bot 配置问题
+      const status = error.cause ? error.cause.status : null;
+      return { available: false, size: null, error: error.message, transient: status !== 400 };
+    }
+  }
+}
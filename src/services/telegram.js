@@ -1,145 +1,91 @@
 // Telegram 服务模块
 // 提供 Telegram Bot API 文件存储功能
 
-/**
- * Telegram 服务类
- */
-export class TelegramService {
-  constructor(botToken, chatId) {
-    this.botToken = botToken;
-    this.chatId = chatId;
-    this.apiBaseUrl = `https://api.telegram.org/bot${botToken}`;
-    // 降低分片大小以适应 Cloudflare Workers 的内存限制
-    // 原来是 19MB，现在改为 5MB 以确保内存安全
-    this.chunkSize = 5 * 1024 * 1024; // 5MB，在内存限制下更安全
-  }
+import { TokenBucket, sleep } from '../utils/rateLimit.js';
 
-  /**
-   * 上传文件到 Telegram
-   * @param {Uint8Array} fileData - 文件数据
-   * @param {string} fileName - 文件名
-   * @returns {Array} 上传的telegramFileId列表
-   */
-  async uploadFile(fileData, fileName) {
-    console.log(`[TELEGRAM] 开始上传文件到 Telegram: ${fileName}, 大小: ${fileData.length} 字节`);
+// 会发送消息的 API 方法，受 Telegram 群组/频道每分钟约 20 条消息的限制。
+// 这些请求不是幂等的，重复发送会产生重复的消息
+const SEND_METHODS = new Set(['sendDocument', 'sendMessage', 'copyMessage', 'forwardMessage']);
 
-    // 添加文件大小检查，避免超出内存限制
-    const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB 限制
-    if (fileData.length > MAX_FILE_SIZE) {
-      throw new Error(`文件大小超出限制: ${fileData.length} 字节，最大允许: ${MAX_FILE_SIZE} 字节`);
-    }
+// 每个 Bot 的请求预算，按 Bot Token 在同一 Worker 实例内的所有请求间共享
+const botBudgets = new Map();
 
-    try {
-      // 计算分片数量和大小，但不创建所有分片
-      const totalChunks = Math.ceil(fileData.length / this.chunkSize);
-      console.log(`[TELEGRAM] 文件 ${fileName} 将分割为 ${totalChunks} 个分片`);
-
-      const messageIds = [];
-
-      // 流式处理：一次只处理一个分片
-      for (let i = 0; i < totalChunks; i++) {
-        const startOffset = i * this.chunkSize;
-        const endOffset = Math.min(startOffset + this.chunkSize, fileData.length);
-
-        // 创建单个分片，避免同时保存所有分片
-        const chunk = fileData.slice(startOffset, endOffset);
-
-        const chunkFileName = totalChunks > 1
-          ? `${fileName}.part${i.toString().padStart(3, '0')}`
-          : fileName;
-
-        console.log(`[TELEGRAM] 上传分片 ${i+1}/${totalChunks}: ${chunkFileName}, 大小: ${chunk.length} 字节`);
-        const startTime = Date.now();
-
-        try {
-          const telegramFileId = await this.uploadChunk(chunk, chunkFileName);
-          const duration = Date.now() - startTime;
-          console.log(`[TELEGRAM] 分片 ${i+1}/${totalChunks} 上传完成，用时: ${duration}ms, 文件ID: ${telegramFileId.substring(0, 10)}...`);
-
-          messageIds.push({
-            index: i,
-            telegramFileId,
-            size: chunk.length
-          });
-        } catch (chunkError) {
-          console.error(`[TELEGRAM] [ERROR] 上传分片 ${i+1}/${totalChunks} 失败:`, chunkError);
-          throw new Error(`上传分片 ${i+1}/${totalChunks} 失败: ${chunkError.message}`);
-        }
+// 每个 Bot 的可用状态（被限流到何时、是否已失效），同样在 Worker 实例内共享
+const botStates = new Map();
 
-        // 手动释放分片内存引用（虽然 JS 有垃圾回收，但显式释放有助于减少内存压力）
-        // chunk 变量会在循环结束时自动超出作用域
-      }
+// 默认的 Bot API 地址
+const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
 
-      console.log(`[TELEGRAM] 文件 ${fileName} 上传到 Telegram 完成，共 ${totalChunks} 个分片`);
-      return messageIds;
-    } catch (error) {
-      console.error(`[TELEGRAM] [ERROR] 上传文件 ${fileName} 到 Telegram 失败:`, error);
-      // 提供更详细的错误信息
-      const errorMessage = error.message || 'Unknown error';
-      const errorDetails = {
-        fileName: fileName,
-        fileSize: fileData.length,
-        errorStack: error.stack
-      };
-      throw new Error(`上传文件到 Telegram 失败: ${errorMessage}`, { cause: errorDetails });
-    }
-  }
+// getFile 返回的 file_path 至少在 1 小时内有效，缓存时留出余量
+const FILE_PATH_TTL_SECONDS = 50 * 60;
 
-  /**
-   * 从 Telegram 下载文件
-   * @param {Array} chunks - 文件分片信息数组 [{ telegram_file_id, chunk_index, size }]
-   * @returns {Uint8Array} 合并后的文件数据
-   */
-  async downloadFile(chunks) {
-    console.log(`[TELEGRAM] 开始从 Telegram 下载文件，共 ${chunks.length} 个分片`);
-    try {
-      // 按索引排序分片
-      const sortedChunks = chunks.sort((a, b) => a.chunk_index - b.chunk_index);
-      console.log(`[TELEGRAM] 分片已排序，准备下载`);
-      const chunkDataArray = [];
-
-      for (let i = 0; i < sortedChunks.length; i++) {
-        const chunk = sortedChunks[i];
-        console.log(`[TELEGRAM] 下载分片 ${i+1}/${sortedChunks.length}, 文件ID: ${chunk.telegram_file_id.substring(0, 10)}...`);
-        const startTime = Date.now();
-        const chunkData = await this.downloadChunk(chunk.telegram_file_id);
-        const duration = Date.now() - startTime;
-        console.log(`[TELEGRAM] 分片 ${i+1}/${sortedChunks.length} 下载完成，大小: ${chunkData.length} 字节，用时: ${duration}ms`);
-        chunkDataArray.push(chunkData);
-      }
+// 判定为失效的 Bot 在此时间后重新参与排序，Token 恢复或 Bot 重新加入存储聊天后无需重启 Worker
+const REVOKED_TTL_MS = 10 * 60 * 1000;
 
-      // 合并所有分片
-      console.log(`[TELEGRAM] 所有分片下载完成，开始合并`);
-      const mergedData = this.mergeChunks(chunkDataArray);
-      console.log(`[TELEGRAM] 分片合并完成，总大小: ${mergedData.length} 字节`);
-      return mergedData;
-    } catch (error) {
-      console.error(`[TELEGRAM] [ERROR] 从 Telegram 下载文件失败:`, error);
-      // 提供更详细的错误信息
-      const errorMessage = error.message || 'Unknown error';
-      const errorDetails = {
-        chunksCount: chunks.length,
-        chunkIds: chunks.map(chunk => chunk.telegram_file_id).join(','),
-        errorStack: error.stack,
-        timestamp: new Date().toISOString()
-      };
-      throw new Error(`从 Telegram 下载文件失败: ${errorMessage}`, { cause: errorDetails });
-    }
+/**
+ * Telegram API 错误
+ * 携带 HTTP 状态码和 retry_after，供重试逻辑判断错误类别
+ */
+export class TelegramApiError extends Error {
+  constructor(message, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'TelegramApiError';
+    this.status = status;
+    this.retryAfter = retryAfter;
   }
+}
 
+/**
+ * Telegram 服务类
+ */
+export class TelegramService {
   /**
-   * 删除 Telegram 中的文件
-   * @param {Array} chunks - 文件分片信息数组
+   * @param {string|Array<string>} botTokens - Bot Token，多个 Token 可传数组或以逗号分隔
+   * @param {string} chatId - 存储文件的聊天ID，所有 Bot 都必须是该聊天的成员
+   * @param {Object} options - 可选配置
+   * @param {number} options.maxRetries - 单个请求的最大重试次数
+   * @param {number} options.baseDelayMs - 指数退避的初始等待时间
+   * @param {number} options.maxDelayMs - 指数退避的最大等待时间
+   * @param {number} options.maxRetryAfterMs - 可接受的最长 retry_after，超过则直接失败
+   * @param {number} options.sendPerMinute - 每个 Bot 每分钟发送消息的预算
+   * @param {number} options.requestsPerSecond - 每个 Bot 每秒其他 API 请求的预算
+   * @param {string} options.apiBaseUrl - Bot API 地址，可指向自建的 Bot API 服务器或测试用的模拟服务
+   * @param {Function} options.fetch - 发送 HTTP 请求的函数，默认使用全局 fetch
+   * @param {DatabaseService|null} options.filePathCache - 缓存 getFile 结果的数据库服务，未提供时每次下载都调用 getFile
    */
-  async deleteFile(chunks) {
-    try {
-      for (const chunk of chunks) {
-        await this.deleteTelegramFileById(chunk.telegram_file_id);
-      }
-    } catch (error) {
-      console.error('Error deleting file from Telegram:', error);
-      // 不抛出错误，因为删除失败不应该阻止数据库操作
-    }
+  constructor(botTokens, chatId, options = {}) {
+    const tokens = (Array.isArray(botTokens) ? botTokens : String(botTokens || '').split(','))
+      .map(token => token.trim())
+      .filter(Boolean);
+
+    const apiBaseUrl = (options.apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+    // 不能直接保存全局 fetch 的引用，Workers 运行时要求以全局对象为 this 调用
+    this.fetch = options.fetch || ((input, init) => fetch(input, init));
+    this.filePathCache = options.filePathCache || null;
+
+    // Bot ID 即 Token 冒号前的数字部分，用于记录分片由哪个 Bot 上传
+    this.bots = tokens.map(token => ({
+      id: token.split(':')[0],
+      token,
+      apiBaseUrl: `${apiBaseUrl}/bot${token}`,
+      fileBaseUrl: `${apiBaseUrl}/file/bot${token}`
+    }));
+    this.nextBotIndex = 0;
+    this.chatId = chatId;
+    // 降低分片大小以适应 Cloudflare Workers 的内存限制
+    // 原来是 19MB，现在改为 5MB 以确保内存安全
+    this.chunkSize = 5 * 1024 * 1024; // 5MB，在内存限制下更安全
+
+    this.retryOptions = {
+      maxRetries: options.maxRetries ?? 5,
+      baseDelayMs: options.baseDelayMs ?? 1000,
+      maxDelayMs: options.maxDelayMs ?? 30000,
+      maxRetryAfterMs: options.maxRetryAfterMs ?? 60000
+    };
+    this.budgetOptions = {
+      sendPerMinute: options.sendPerMinute || 20,
+      requestsPerSecond: options.requestsPerSecond || 30
+    };
   }
 
   /**
@@ -149,7 +95,7 @@ export class TelegramService {
    * @returns {Array} 分片数组
    */
   splitFileIntoChunks(fileData) {
-    // 这个方法已经在 uploadFile 中用流式处理替代
+    // 这个方法已经在 StorageManager.uploadFile 中用流式处理替代
     // 保留此方法以确保向后兼容，但不建议直接使用
     console.warn('[TELEGRAM] [DEPRECATED] splitFileIntoChunks 方法已弃用，建议使用流式处理');
 
@@ -167,7 +113,8 @@ export class TelegramService {
   }
 
   /**
-   * 合并文件分片
+   * 合并文件分片（已弃用，下载已改为流式输出）
+   * @deprecated 使用 downloadFile 返回的流替代，避免大文件占满内存
    * @param {Array} chunkDataArray - 分片数据数组
    * @returns {Uint8Array} 合并后的文件数据
    */
@@ -191,7 +138,7 @@ export class TelegramService {
    * 上传单个分片到 Telegram
    * @param {Uint8Array} chunkData - 分片数据
    * @param {string} fileName - 文件名
-   * @returns {string} telegramFile的ID
+   * @returns {Object} 上传结果 { fileId, messageId, chatId, botId }
    */
   async uploadChunk(chunkData, fileName) {
     try {
@@ -200,24 +147,15 @@ export class TelegramService {
       formData.append('document', new Blob([chunkData]), fileName);
 
       console.log(`[TELEGRAM] 发送请求到 Telegram API: /sendDocument, 文件名: ${fileName}, 大小: ${chunkData.length} 字节`);
-      const response = await fetch(`${this.apiBaseUrl}/sendDocument`, {
-        method: 'POST',
-        body: formData
-      });
-
-      if (!response.ok) {
-        console.error(`[TELEGRAM] [ERROR] Telegram API 响应错误: ${response.status} ${response.statusText}`);
-        throw new Error(`Telegram API HTTP error: ${response.status} ${response.statusText}`);
-      }
-
-      const result = await response.json();
-
-      if (!result.ok) {
-        console.error(`[TELEGRAM] [ERROR] Telegram API 返回错误: ${result.description}`);
-        throw new Error(`Telegram API error: ${result.description}`);
-      }
-
-      return result.result.document.file_id;
+      // 不指定 Bot，按轮询顺序选择，被限流或失效时自动切换到其他 Bot
+      const { result: message, bot } = await this.requestWithBot('sendDocument', formData);
+
+      return {
+        fileId: message.document.file_id,
+        messageId: message.message_id,
+        chatId: String(message.chat.id),
+        botId: bot.id
+      };
     } catch (error) {
       console.error(`[TELEGRAM] [ERROR] 上传分片到 Telegram 失败:`, error);
       // 提供更详细的错误信息
@@ -225,6 +163,7 @@ export class TelegramService {
       const errorDetails = {
         fileName: fileName,
         chunkSize: chunkData.length,
+        status: error.status || null,
         errorStack: error.stack
       };
       throw new Error(`上传分片到 Telegram 失败: ${errorMessage}`, { cause: errorDetails });
@@ -232,26 +171,115 @@ export class TelegramService {
   }
 
   /**
-   * 从 Telegram 下载单个分片
-   * @param {string} telegram_file_id - Telegram文件ID
-   * @returns {Uint8Array} 分片数据
+   * 把其他聊天中的文件消息转发到存储聊天，获得可由 Bot 下载的 file_id，不需要重新上传
+   * 执行转发的 Bot 必须能访问原聊天（例如是频道成员）
+   * @param {string|number} fromChatId - 原消息所在的聊天ID
+   * @param {number} messageId - 原消息ID
+   * @returns {Object} 转发结果 { fileId, messageId, chatId, botId, size }
    */
-  async downloadChunk(telegram_file_id) {
+  async forwardToStorage(fromChatId, messageId) {
     try {
-      // 首先获取文件信息
-      console.log(`[TELEGRAM] 获取文件信息，文件ID: ${telegram_file_id.substring(0, 10)}...`);
-      const fileInfo = await this.getFileInfo(telegram_file_id);
-      console.log(`[TELEGRAM] 文件信息获取成功，文件路径: ${fileInfo.file_path}`);
+      const { result: message, bot } = await this.requestWithBot('forwardMessage', {
+        chat_id: this.chatId,
+        from_chat_id: fromChatId,
+        message_id: messageId,
+        disable_notification: true
+      });
 
-      // 然后下载文件
-      console.log(`[TELEGRAM] 开始下载文件: ${fileInfo.file_path}`);
-      const response = await fetch(`https://api.telegram.org/file/bot${this.botToken}/${fileInfo.file_path}`);
+      const document = message.document || message.video || message.audio;
+      if (!document) {
+        await this.deleteMessage(message.chat.id, message.message_id, bot.id);
+        throw new Error('消息中没有文件');
+      }
+      return {
+        fileId: document.file_id,
+        messageId: message.message_id,
+        chatId: String(message.chat.id),
+        botId: bot.id,
+        size: document.file_size
+      };
+    } catch (error) {
+      console.error(`[TELEGRAM] [ERROR] 转发消息到存储聊天失败: ${error.message}`);
+      throw new Error(`转发消息失败: ${error.message}`, { cause: { status: error.status || null } });
+    }
+  }
+
+  /**
+   * 打开单个分片的下载流
+   * @param {string} telegram_file_id - Telegram文件ID
+   * @param {string|null} botId - 上传该分片的 Bot ID
+   * @returns {Promise<ReadableStream>} 分片数据流
+   */
+  async openChunkStream(telegram_file_id, botId = null) {
+    const response = await this.fetchChunk(telegram_file_id, botId);
+    return response.body;
+  }
+
+  /**
+   * 请求单个分片的文件内容
+   * file_id 只对获取它的 Bot 保证有效，因此优先使用上传该分片的 Bot，其不可用时再尝试其他 Bot
+   * 缓存中有未过期的 file_path 时直接下载，省去 getFile 请求；缓存的路径已失效（404）时重新获取
+   * @param {string} telegram_file_id - Telegram文件ID
+   * @param {string|null} botId - 上传该分片的 Bot ID
+   * @returns {Promise<Response>} Telegram 文件下载响应
+   */
+  async fetchChunk(telegram_file_id, botId = null) {
+    const cached = await this.getCachedFilePath(telegram_file_id);
+    if (cached) {
+      try {
+        console.log(`[TELEGRAM] 使用缓存的文件路径: ${cached.filePath}, Bot: ${cached.bot.id}`);
+        return await this.fetchFilePath(cached.bot, cached.filePath);
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+        console.warn(`[TELEGRAM] [WARN] 缓存的文件路径已失效，重新获取文件信息: ${cached.filePath}`);
+        await this.deleteCachedFilePath(telegram_file_id);
+      }
+    }
+
+    // 首先获取文件信息
+    console.log(`[TELEGRAM] 获取文件信息，文件ID: ${telegram_file_id.substring(0, 10)}...`);
+    const { result: fileInfo, bot } = await this.requestWithBot('getFile', { file_id: telegram_file_id }, { botId });
+    console.log(`[TELEGRAM] 文件信息获取成功，文件路径: ${fileInfo.file_path}, Bot: ${bot.id}`);
+    await this.setCachedFilePath(telegram_file_id, bot, fileInfo.file_path);
+
+    // 然后用同一个 Bot 下载文件（file_path 只能配合获取它的 Bot Token 使用）
+    return this.fetchFilePath(bot, fileInfo.file_path);
+  }
+
+  /**
+   * 下载 getFile 返回的文件路径
+   * @param {Object} bot - 获取该路径的 Bot
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<Response>} Telegram 文件下载响应
+   */
+  async fetchFilePath(bot, filePath) {
+    console.log(`[TELEGRAM] 开始下载文件: ${filePath}`);
+    return this.withRetry('downloadFile', this.getBudget(bot, 'api'), async () => {
+      const response = await this.fetch(`${bot.fileBaseUrl}/${filePath}`);
 
       if (!response.ok) {
         console.error(`[TELEGRAM] [ERROR] 下载文件失败: ${response.status} ${response.statusText}`);
-        throw new Error(`下载文件失败: ${response.status} ${response.statusText}`);
+        throw new TelegramApiError(`下载文件失败: ${response.status} ${response.statusText}`, {
+          status: response.status,
+          retryAfter: parseInt(response.headers.get('Retry-After'), 10) || null
+        });
       }
 
+      return response;
+    });
+  }
+
+  /**
+   * 从 Telegram 下载单个分片
+   * @param {string} telegram_file_id - Telegram文件ID
+   * @param {string|null} botId - 上传该分片的 Bot ID
+   * @returns {Uint8Array} 分片数据
+   */
+  async downloadChunk(telegram_file_id, botId = null) {
+    try {
+      const response = await this.fetchChunk(telegram_file_id, botId);
       const arrayBuffer = await response.arrayBuffer();
       const data = new Uint8Array(arrayBuffer);
       console.log(`[TELEGRAM] 文件下载成功，大小: ${data.length} 字节`);
@@ -271,36 +299,21 @@ export class TelegramService {
   /**
    * 获取文件信息
    * @param {string} telegramFileId - Telegram文件ID
+   * @param {string|null} botId - 上传该分片的 Bot ID
    * @returns {Object} 文件信息
    */
-  async getFileInfo(telegramFileId) {
+  async getFileInfo(telegramFileId, botId = null) {
     try {
       console.log(`[TELEGRAM] 直接通过文件ID获取文件信息: ${telegramFileId.substring(0, 10)}...`);
       // 直接通过文件ID获取文件详细信息
-      const fileResponse = await fetch(`${this.apiBaseUrl}/getFile`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          file_id: telegramFileId
-        })
-      });
-
-      const fileResult = await fileResponse.json();
-
-      if (!fileResult.ok) {
-        console.error(`[TELEGRAM] [ERROR] 获取文件信息失败: ${fileResult.description}`);
-        throw new Error(`获取文件信息失败: ${fileResult.description}`);
-      }
-
-      return fileResult.result;
+      return await this.request('getFile', { file_id: telegramFileId }, { botId });
     } catch (error) {
       console.error(`[TELEGRAM] [ERROR] 获取文件信息失败:`, error);
       // 提供更详细的错误信息
       const errorMessage = error.message || 'Unknown error';
       const errorDetails = {
         telegram_file_id: telegramFileId,
+        status: error.status || null,
         errorStack: error.stack
       };
       throw new Error(`获取文件信息失败: ${errorMessage}`, { cause: errorDetails });
@@ -308,45 +321,484 @@ export class TelegramService {
   }
 
   /**
-   * 删除 Telegram 文件
-   * @param {string} telegram_file_id - 文件id
+   * 删除 Telegram 消息
+   * 注意：Telegram 只允许删除 48 小时内发送的消息（机器人为频道/超级群组管理员且有删除权限时除外）
+   * @param {string} chatId - 消息所在的聊天ID
+   * @param {number} messageId - 消息ID
+   * @param {string|null} botId - 优先使用的 Bot ID（通常为发送该消息的 Bot）
+   */
+  async deleteMessage(chatId, messageId, botId = null) {
+    console.log(`[TELEGRAM] 删除消息，聊天ID: ${chatId}, 消息ID: ${messageId}`);
+    try {
+      await this.request('deleteMessage', {
+        chat_id: chatId,
+        message_id: messageId
+      }, { botId });
+    } catch (error) {
+      console.error(`[TELEGRAM] [ERROR] 删除消息失败: ${error.message}`);
+      throw new Error(`删除消息失败: ${error.message}`, { cause: { status: error.status || null } });
+    }
+  }
+
+  /**
+   * 发送文本消息
+   * 用户只能收到与其对话的 Bot 发出的消息，因此回复用户时需指定 botId
+   * @param {string|number} chatId - 聊天ID
+   * @param {string} text - 消息文本
+   * @param {Object} options - 其他 sendMessage 参数，例如 reply_parameters、reply_markup
+   * @param {string|null} botId - 发送消息的 Bot ID，指定时只使用该 Bot
+   * @returns {Object} 发送的消息
+   */
+  async sendMessage(chatId, text, options = {}, botId = null) {
+    try {
+      return await this.request('sendMessage', { chat_id: chatId, text, ...options }, { botId, strict: !!botId });
+    } catch (error) {
+      console.error(`[TELEGRAM] [ERROR] 发送消息失败: ${error.message}`);
+      throw new Error(`发送消息失败: ${error.message}`, { cause: { status: error.status || null } });
+    }
+  }
+
+  /**
+   * 通过 file_id 重新发送已存储的文件，不需要重新上传内容
+   * file_id 只对获取它的 Bot 有效，必须由该 Bot 发送
+   * @param {string|number} chatId - 接收文件的聊天ID
+   * @param {string} telegramFileId - Telegram文件ID
+   * @param {Object} options - 其他 sendDocument 参数，例如 caption
+   * @param {string|null} botId - 获取该 file_id 的 Bot ID
+   * @returns {Object} 发送的消息
+   */
+  async resendDocument(chatId, telegramFileId, options = {}, botId = null) {
+    try {
+      return await this.request('sendDocument', { chat_id: chatId, document: telegramFileId, ...options }, { botId, strict: !!botId });
+    } catch (error) {
+      console.error(`[TELEGRAM] [ERROR] 重新发送文件失败: ${error.message}`);
+      throw new Error(`重新发送文件失败: ${error.message}`, { cause: { status: error.status || null } });
+    }
+  }
+
+  /**
+   * 复制消息到另一个聊天（不显示转发来源）
+   * @param {string|number} chatId - 目标聊天ID
+   * @param {string|number} fromChatId - 原消息所在的聊天ID
+   * @param {number} messageId - 原消息ID
+   * @param {Object} options - 其他 copyMessage 参数，例如 caption
+   * @param {string|null} botId - 发送消息的 Bot ID，指定时只使用该 Bot
+   * @returns {Object} { message_id }
+   */
+  async copyMessage(chatId, fromChatId, messageId, options = {}, botId = null) {
+    try {
+      return await this.request('copyMessage', {
+        chat_id: chatId,
+        from_chat_id: fromChatId,
+        message_id: messageId,
+        ...options
+      }, { botId, strict: !!botId });
+    } catch (error) {
+      console.error(`[TELEGRAM] [ERROR] 复制消息失败: ${error.message}`);
+      throw new Error(`复制消息失败: ${error.message}`, { cause: { status: error.status || null } });
+    }
+  }
+
+  /**
+   * 修改 Bot 发出的文本消息
+   * @param {string|number} chatId - 聊天ID
+   * @param {number} messageId - 消息ID
+   * @param {string} text - 新的消息文本
+   * @param {Object} options - 其他 editMessageText 参数，例如 reply_markup
+   * @param {string|null} botId - 发出该消息的 Bot ID
    */
-	// todo telegram 是否支持直接删除文件
-  async deleteTelegramFileById(telegram_file_id) {
+  async editMessageText(chatId, messageId, text, options = {}, botId = null) {
     try {
-      // const response = await fetch(`${this.apiBaseUrl}/deleteMessage`, {
-      //   method: 'POST',
-      //   headers: {
-      //     'Content-Type': 'application/json'
-      //   },
-      //   body: JSON.stringify({
-      //     chat_id: this.chatId,
-      //     message_id: parseInt(telegram_file_id)
-      //   })
-      // });
-			//
-      // const result = await response.json();
-			//
-      // if (!result.ok) {
-      //   console.warn(`Failed to delete message ${telegram_file_id}: ${result.description}`);
-      // }
+      return await this.request('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text,
+        ...options
+      }, { botId, strict: !!botId });
     } catch (error) {
-      console.warn('Error deleting message from Telegram:', error);
+      // 内容没有变化时 Telegram 返回错误，视为成功
+      if (/message is not modified/.test(error.message)) {
+        return null;
+      }
+      console.error(`[TELEGRAM] [ERROR] 修改消息失败: ${error.message}`);
+      throw new Error(`修改消息失败: ${error.message}`, { cause: { status: error.status || null } });
+    }
+  }
+
+  /**
+   * 响应内联键盘按钮的回调，客户端收到响应前会一直显示加载状态
+   * @param {string} callbackQueryId - 回调ID
+   * @param {Object} options - 其他 answerCallbackQuery 参数，例如 text
+   * @param {string|null} botId - 收到回调的 Bot ID
+   */
+  async answerCallbackQuery(callbackQueryId, options = {}, botId = null) {
+    try {
+      await this.request('answerCallbackQuery', { callback_query_id: callbackQueryId, ...options }, { botId, strict: !!botId });
+    } catch (error) {
+      console.error(`[TELEGRAM] [ERROR] 响应回调失败: ${error.message}`);
+      throw new Error(`响应回调失败: ${error.message}`, { cause: { status: error.status || null } });
     }
   }
 
   /**
    * 测试 Bot 连接
-   * @returns {boolean} 连接是否成功
+   * @returns {boolean} 所有 Bot 是否都连接成功
    */
   async testConnection() {
     try {
-      const response = await fetch(`${this.apiBaseUrl}/getMe`);
-      const result = await response.json();
-      return result.ok;
+      for (const bot of this.bots) {
+        await this.requestWithBot('getMe', null, { botId: bot.id, strict: true });
+      }
+      return true;
     } catch (error) {
       console.error('Error testing Telegram connection:', error);
       return false;
     }
   }
+
+  // ================== file_path 缓存 ==================
+  // 缓存读写失败只影响性能，不影响下载，因此只记录警告
+
+  /**
+   * 查找未过期的缓存文件路径
+   * @param {string} telegramFileId - Telegram文件ID
+   * @returns {Promise<Object|null>} { bot, filePath }，获取该路径的 Bot 已不在池中或已失效时返回 null
+   */
+  async getCachedFilePath(telegramFileId) {
+    if (!this.filePathCache) {
+      return null;
+    }
+
+    try {
+      const entry = await this.filePathCache.getTelegramFilePath(telegramFileId);
+      const bot = entry ? this.bots.find(item => item.id === String(entry.bot_id)) : null;
+      if (!bot || isRevoked(botStates.get(bot.token))) {
+        return null;
+      }
+      return { bot, filePath: entry.file_path };
+    } catch (error) {
+      console.warn(`[TELEGRAM] [WARN] 读取文件路径缓存失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 缓存 getFile 返回的文件路径
+   * @param {string} telegramFileId - Telegram文件ID
+   * @param {Object} bot - 获取该路径的 Bot
+   * @param {string} filePath - 文件路径
+   */
+  async setCachedFilePath(telegramFileId, bot, filePath) {
+    if (!this.filePathCache || !filePath) {
+      return;
+    }
+
+    try {
+      await this.filePathCache.setTelegramFilePath(telegramFileId, bot.id, filePath, FILE_PATH_TTL_SECONDS);
+    } catch (error) {
+      console.warn(`[TELEGRAM] [WARN] 写入文件路径缓存失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 删除缓存的文件路径
+   * @param {string} telegramFileId - Telegram文件ID
+   */
+  async deleteCachedFilePath(telegramFileId) {
+    if (!this.filePathCache) {
+      return;
+    }
+
+    try {
+      await this.filePathCache.deleteTelegramFilePath(telegramFileId);
+    } catch (error) {
+      console.warn(`[TELEGRAM] [WARN] 删除文件路径缓存失败: ${error.message}`);
+    }
+  }
+
+  // ================== 请求层 ==================
+
+  /**
+   * 调用 Telegram Bot API
+   * @param {string} method - API 方法名
+   * @param {FormData|Object|null} payload - 请求参数，FormData 用于上传文件，对象会以 JSON 发送
+   * @param {Object} options - 请求选项，见 requestWithBot
+   * @returns {Promise<any>} API 返回的 result 字段
+   */
+  async request(method, payload = null, options = {}) {
+    const { result } = await this.requestWithBot(method, payload, options);
+    return result;
+  }
+
+  /**
+   * 调用 Telegram Bot API 并返回实际处理请求的 Bot
+   * 所有 API 请求都经过此方法，统一处理 Bot 选择、请求预算、错误分类和重试：
+   * 被限流（429）或失效（401/403）的 Bot 会被暂时跳过，请求自动切换到下一个可用的 Bot
+   * @param {string} method - API 方法名
+   * @param {FormData|Object|null} payload - 请求参数
+   * @param {Object} options - 请求选项
+   * @param {string|null} options.botId - 优先使用的 Bot ID
+   * @param {boolean} options.strict - 为 true 时只使用 botId 指定的 Bot
+   * @returns {Promise<Object>} { result, bot }
+   */
+  async requestWithBot(method, payload = null, options = {}) {
+    const candidates = this.getBotCandidates(options.botId, options.strict);
+    const kind = SEND_METHODS.has(method) ? 'send' : 'api';
+    const idempotent = kind !== 'send';
+    let lastError = null;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const bot = candidates[i];
+      const hasFallback = i < candidates.length - 1;
+
+      try {
+        const result = await this.withRetry(`${method}@${bot.id}`, this.getBudget(bot, kind), async () => {
+          return this.callApi(bot, method, payload);
+        }, { failFastOn429: hasFallback, idempotent });
+        this.updateBotState(bot, null);
+        return { result, bot };
+      } catch (error) {
+        lastError = error;
+        this.updateBotState(bot, error, payload);
+
+        // 只有限流、失效和服务端/网络错误才切换 Bot，参数错误等直接抛出。
+        // 服务端/网络错误时 Telegram 可能已经发出了消息，发送消息的请求不能换一个 Bot 再发一次
+        const rejected = error.status === 429 || error.status === 401 || error.status === 403;
+        const switchable = rejected ||
+          (idempotent && (!(error instanceof TelegramApiError) || error.status >= 500));
+        if (!hasFallback || !switchable) {
+          throw error;
+        }
+        console.warn(`[TELEGRAM] [FAILOVER] Bot ${bot.id} 处理 ${method} 失败（${error.message}），切换到 Bot ${candidates[i + 1].id}`);
+      }
+    }
+
+    throw lastError || new Error('没有可用的 Telegram Bot');
+  }
+
+  /**
+   * 向指定 Bot 发送一次 API 请求
+   * @param {Object} bot - Bot 信息
+   * @param {string} method - API 方法名
+   * @param {FormData|Object|null} payload - 请求参数
+   * @returns {Promise<any>} API 返回的 result 字段
+   */
+  async callApi(bot, method, payload) {
+    let init;
+    if (payload instanceof FormData) {
+      init = { method: 'POST', body: payload };
+    } else if (payload) {
+      init = {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+      };
+    } else {
+      init = { method: 'GET' };
+    }
+
+    const response = await this.fetch(`${bot.apiBaseUrl}/${method}`, init);
+
+    let result;
+    try {
+      result = await response.json();
+    } catch (parseError) {
+      throw new TelegramApiError(`Telegram API HTTP error: ${response.status} ${response.statusText}`, {
+        status: response.status
+      });
+    }
+
+    if (!response.ok || !result.ok) {
+      console.error(`[TELEGRAM] [ERROR] Telegram API 返回错误: /${method} ${result.error_code || response.status} ${result.description}`);
+      throw new TelegramApiError(`Telegram API error: ${result.description || response.statusText}`, {
+        status: result.error_code || response.status,
+        retryAfter: result.parameters?.retry_after ?? null
+      });
+    }
+
+    return result.result;
+  }
+
+  /**
+   * 带重试地执行请求
+   * 429 按 retry_after 等待并暂停该 Bot 的请求预算；5xx 和网络错误按指数退避重试（仅限幂等请求）；其他错误直接抛出
+   * @param {string} label - 日志中使用的请求名称
+   * @param {TokenBucket} bucket - 请求预算
+   * @param {Function} attempt - 执行一次请求的函数
+   * @param {Object} options - 重试选项
+   * @param {boolean} options.failFastOn429 - 为 true 时遇到 429 不等待，直接抛出以便切换 Bot
+   * @param {boolean} options.idempotent - 为 false 时只在请求明确被拒绝（429）时重试，默认 true
+   * @returns {Promise<any>} 请求结果
+   */
+  async withRetry(label, bucket, attempt, options = {}) {
+    for (let retries = 0; ; retries++) {
+      await bucket.take();
+      try {
+        return await attempt();
+      } catch (error) {
+        if (error.status === 429) {
+          bucket.pause((error.retryAfter || 1) * 1000);
+          if (options.failFastOn429) {
+            throw error;
+          }
+        }
+
+        const delay = this.getRetryDelay(error, retries, options.idempotent ?? true);
+        if (delay === null) {
+          throw error;
+        }
+
+        console.warn(`[TELEGRAM] [RETRY] ${label} 失败（${error.message}），${delay}ms 后进行第 ${retries + 1} 次重试`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * 根据错误类别计算重试等待时间
+   * @param {Error} error - 请求错误
+   * @param {number} retries - 已重试次数
+   * @param {boolean} idempotent - 请求是否可以安全地重复执行
+   * @returns {number|null} 等待毫秒数，null 表示不应重试
+   */
+  getRetryDelay(error, retries, idempotent = true) {
+    const { maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs } = this.retryOptions;
+    if (retries >= maxRetries) {
+      return null;
+    }
+
+    // 网络错误和 5xx 无法确定 Telegram 是否已经处理了请求（可能只是响应丢失），
+    // 非幂等请求重试会留下无法追踪的重复消息，只有 429 明确表示请求未被处理
+    if (!idempotent && error.status !== 429) {
+      return null;
+    }
+
+    const backoff = Math.min(baseDelayMs * 2 ** retries, maxDelayMs);
+    const jitter = Math.floor(Math.random() * baseDelayMs);
+
+    // 非 Telegram 错误视为网络错误
+    if (!(error instanceof TelegramApiError)) {
+      return backoff + jitter;
+    }
+
+    if (error.status === 429) {
+      const retryAfterMs = (error.retryAfter || 1) * 1000;
+      return retryAfterMs > maxRetryAfterMs ? null : retryAfterMs + jitter;
+    }
+
+    if (error.status >= 500) {
+      return backoff + jitter;
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取指定 Bot 的请求预算
+   * @param {Object} bot - Bot 信息
+   * @param {string} kind - 预算类别：send（发送消息）或 api（其他请求）
+   * @returns {TokenBucket} 令牌桶
+   */
+  getBudget(bot, kind) {
+    const key = `${bot.token}:${kind}`;
+    let bucket = botBudgets.get(key);
+    if (!bucket) {
+      bucket = kind === 'send'
+        ? new TokenBucket(this.budgetOptions.sendPerMinute, this.budgetOptions.sendPerMinute / 60)
+        : new TokenBucket(this.budgetOptions.requestsPerSecond, this.budgetOptions.requestsPerSecond);
+      botBudgets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  // ================== Bot 池 ==================
+
+  /**
+   * 确定本次请求依次尝试的 Bot
+   * 指定的 Bot 排在最前；未指定时按轮询顺序分摊请求。被限流或失效的 Bot 排到最后
+   * @param {string|null} botId - 优先使用的 Bot ID
+   * @param {boolean} strict - 为 true 时只返回指定的 Bot
+   * @returns {Array} Bot 列表
+   */
+  getBotCandidates(botId = null, strict = false) {
+    if (this.bots.length === 0) {
+      throw new Error('未配置 Telegram Bot Token');
+    }
+
+    const preferred = botId ? this.bots.find(bot => bot.id === String(botId)) : null;
+    if (strict) {
+      if (!preferred) {
+        throw new Error(`未找到 Bot: ${botId}`);
+      }
+      return [preferred];
+    }
+
+    const start = this.nextBotIndex++ % this.bots.length;
+    const rotated = [...this.bots.slice(start), ...this.bots.slice(0, start)];
+    const ordered = preferred ? [preferred, ...rotated.filter(bot => bot !== preferred)] : rotated;
+
+    // 可用的 Bot 优先，其次是被限流的（按解除限流时间排序），已失效的放在最后作为最后的尝试
+    const now = Date.now();
+    const rank = (bot) => {
+      const state = botStates.get(bot.token);
+      if (!state) return 0;
+      if (isRevoked(state)) return 2;
+      return state.throttledUntil > now ? 1 : 0;
+    };
+    return ordered
+      .map((bot, index) => ({ bot, index, rank: rank(bot) }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(item => item.bot);
+  }
+
+  /**
+   * 根据请求结果更新 Bot 的可用状态
+   * 401 表示 Token 被吊销；403 只有在操作存储聊天时才表示 Bot 被移出了存储聊天，
+   * 回复用户时的 403（例如用户屏蔽了 Bot）与 Bot 能否存取文件无关
+   * @param {Object} bot - Bot 信息
+   * @param {Error|null} error - 请求错误，null 表示请求成功
+   * @param {FormData|Object|null} payload - 请求参数
+   */
+  updateBotState(bot, error, payload = null) {
+    const state = botStates.get(bot.token);
+    if (!error) {
+      // 请求成功说明 Bot 可用，清除之前的失效标记
+      if (state?.revokedUntil) {
+        console.log(`[TELEGRAM] Bot ${bot.id} 已恢复可用`);
+        state.revokedUntil = 0;
+      }
+      return;
+    }
+
+    const next = state || { revokedUntil: 0, throttledUntil: 0 };
+    if (error.status === 429) {
+      next.throttledUntil = Date.now() + (error.retryAfter || 1) * 1000;
+    } else if (error.status === 401 || (error.status === 403 && this.isStorageChatRequest(payload))) {
+      console.error(`[TELEGRAM] [ERROR] Bot ${bot.id} 已失效: ${error.message}`);
+      next.revokedUntil = Date.now() + REVOKED_TTL_MS;
+    }
+
+    botStates.set(bot.token, next);
+  }
+
+  /**
+   * 判断请求是否操作存储聊天
+   * @param {FormData|Object|null} payload - 请求参数
+   * @returns {boolean} 请求的 chat_id 为存储聊天时返回 true
+   */
+  isStorageChatRequest(payload) {
+    const chatId = payload instanceof FormData ? payload.get('chat_id') : payload?.chat_id;
+    return chatId != null && String(chatId) === String(this.chatId);
+  }
+}
+
+/**
+ * 判断 Bot 是否处于失效状态
+ * @param {Object|undefined} state - botStates 中的状态
+ * @returns {boolean}
+ */
+function isRevoked(state) {
+  return !!state && state.revokedUntil > Date.now();
 }
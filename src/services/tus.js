@@ -0,0 +1,242 @@
+// tus 上传服务模块
+// 实现 tus 1.0 核心协议及 creation、termination 扩展（https://tus.io/protocols/resumable-upload），
+// 供 Uppy、tus-js-client 等现成的上传工具使用。每个 tus 上传对应一个分片上传会话：
+// PATCH 请求体按会话的分片大小切分后逐个写入存储，上传完成时合并为文件。PATCH 结束时不足一个分片的尾部数据
+// 也会写入存储，作为下一个分片索引上较短的临时分片，下一个 PATCH 读回后拼在请求体前面，凑满后替换为完整的分片
+
+import { UploadSessionError } from './file.js';
+import { chunkStream, concatStreams } from '../utils/stream.js';
+import { createHasher } from '../utils/digest.js';
+
+// 支持的 tus 扩展
+export const TUS_EXTENSIONS = ['creation', 'termination'];
+
+// tus 上传的分片大小；客户端的 chunkSize 不是它的整数倍时，每个 PATCH 的尾部数据需要多一次读回和重新写入
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+
+/**
+ * tus 上传服务类
+ */
+export class TusService {
+  /**
+   * @param {FileService} fileService - 文件服务
+   * @param {Object} options - 可选配置
+   * @param {number} options.chunkSize - 分片大小
+   */
+  constructor(fileService, options = {}) {
+    this.fileService = fileService;
+    this.db = fileService.db;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  }
+
+  /**
+   * 解析 Upload-Metadata 请求头
+   * 格式为逗号分隔的 "键 base64值"，值可以省略
+   * @param {string|null} header - 请求头的值
+   * @returns {Object} 键值对
+   */
+  static parseMetadata(header) {
+    const metadata = {};
+    if (!header) {
+      return metadata;
+    }
+
+    for (const pair of header.split(',')) {
+      const [key, value, ...rest] = pair.trim().split(' ');
+      if (!key || rest.length > 0) {
+        throw new UploadSessionError(`Upload-Metadata 格式错误: ${pair}`);
+      }
+      try {
+        metadata[key] = value
+          ? new TextDecoder().decode(Uint8Array.from(atob(value), char => char.charCodeAt(0)))
+          : '';
+      } catch (error) {
+        throw new UploadSessionError(`Upload-Metadata 中 ${key} 的值不是有效的 base64`);
+      }
+    }
+    return metadata;
+  }
+
+  /**
+   * 创建上传（creation 扩展）
+   * 文件名取自元数据的 filename 或 name，MIME 类型取自 filetype 或 type，目标文件夹取自 folder_id
+   * @param {number} uploadLength - Upload-Length，文件总大小
+   * @param {string|null} metadataHeader - Upload-Metadata 请求头
+   * @returns {Object} 上传会话
+   */
+  async createUpload(uploadLength, metadataHeader = null) {
+    const metadata = TusService.parseMetadata(metadataHeader);
+    const fileName = metadata.filename || metadata.name;
+    if (!fileName) {
+      throw new UploadSessionError('Upload-Metadata 中缺少 filename');
+    }
+
+    const session = await this.fileService.createUploadSession({
+      fileName,
+      fileSize: uploadLength,
+      chunkSize: this.chunkSize,
+      folderId: parseInt(metadata.folder_id || metadata.folderId, 10) || null,
+      mimeType: metadata.filetype || metadata.type || null,
+      metadata: metadataHeader || null
+    });
+    console.log(`[INFO] 创建 tus 上传: ${session.uploadId}, 文件: ${fileName}, 大小: ${uploadLength} 字节`);
+    return session;
+  }
+
+  /**
+   * 获取上传的当前偏移
+   * @param {string} uploadId - 上传ID
+   * @returns {Object|null} { session, offset }，上传不存在时返回 null
+   */
+  async getUpload(uploadId) {
+    const session = await this.db.getUploadSession(uploadId);
+    if (!session) {
+      return null;
+    }
+    return { session, offset: await this.getOffset(session) };
+  }
+
+  /**
+   * 计算已提交的字节数：从第一个分片开始连续存在的分片总大小，最后一个可以是不足一个分片的尾部数据
+   * @param {Object} session - 上传会话记录
+   * @returns {number} 偏移
+   */
+  async getOffset(session) {
+    if (session.file_id) {
+      return session.file_size;
+    }
+
+    const chunks = new Map((await this.db.getTempChunks(session.id)).map(chunk => [chunk.chunk_index, chunk]));
+    let offset = 0;
+    for (let index = 0; chunks.has(index); index++) {
+      const size = chunks.get(index).size;
+      offset += size;
+      if (size < this.fileService.getExpectedChunkSize(session, index)) {
+        break;
+      }
+    }
+    return offset;
+  }
+
+  /**
+   * 读回上一个 PATCH 留下的尾部数据
+   * @param {Object} session - 上传会话记录
+   * @param {Object} chunk - 尾部数据的临时分片记录
+   * @returns {Uint8Array} 尾部数据
+   */
+  async readPartialChunk(session, chunk) {
+    const uploadKey = await this.db.getUploadKey(session.id);
+    const downloadOptions = await this.fileService.getDownloadOptions(
+      uploadKey ? uploadKey.key_id : null,
+      uploadKey ? uploadKey.wrapped_key : null,
+      chunk.compression || null
+    );
+    return this.fileService.storage.readChunk(chunk, downloadOptions);
+  }
+
+  /**
+   * 删除尾部数据的临时分片记录和存储数据，在写入同一索引上更长的数据之前调用
+   * @param {Object} session - 上传会话记录
+   * @param {Object} chunk - 尾部数据的临时分片记录
+   */
+  async deletePartialChunk(session, chunk) {
+    await this.db.deleteTempChunksInRange(session.id, chunk.chunk_index, chunk.chunk_index + 1);
+    const [result] = await this.fileService.storage.deleteFile([chunk]);
+    if (result && result.error) {
+      console.warn(`[WARN] 删除 tus 上传 ${session.id} 的尾部数据失败: ${result.error}`);
+    }
+  }
+
+  /**
+   * 写入一段上传数据（PATCH）
+   * 请求体从 offset 开始按分片大小切分，逐个写入存储，尾部不足一个分片的数据也会保存，客户端可以使用任意大小的 PATCH。
+   * 写完最后一个分片后合并为文件
+   * @param {string} uploadId - 上传ID
+   * @param {number} offset - Upload-Offset，必须等于当前偏移
+   * @param {ReadableStream|null} body - 请求体
+   * @returns {Object} { offset, fileId }，上传未完成时 fileId 为 null
+   */
+  async appendData(uploadId, offset, body) {
+    const session = await this.fileService.requireUploadSession(uploadId);
+    let current = await this.getOffset(session);
+    if (offset !== current) {
+      throw new UploadSessionError(`Upload-Offset 不匹配，当前偏移: ${current}, 请求: ${offset}`, 409);
+    }
+    if (session.file_id) {
+      return { offset: current, fileId: session.file_id };
+    }
+
+    // 从头开始的请求按顺序经过整个文件，可以顺便计算 SHA-256；分多个请求上传时在合并时计算
+    const hasher = current === 0 ? createHasher() : null;
+    const chunkSize = session.chunk_size;
+    let chunkIndex = Math.floor(current / chunkSize);
+
+    // 上一个 PATCH 留下了尾部数据时读回，拼在请求体前面
+    let partial = current % chunkSize !== 0 && current < session.file_size
+      ? await this.db.getTempChunk(uploadId, chunkIndex)
+      : null;
+    let stream = body;
+    if (partial) {
+      const partialData = await this.readPartialChunk(session, partial);
+      stream = concatStreams([
+        async () => new Blob([partialData]).stream(),
+        async () => body || new Blob([]).stream()
+      ]);
+    }
+
+    for await (const piece of chunkStream(stream, chunkSize)) {
+      const expectedSize = this.fileService.getExpectedChunkSize(session, chunkIndex);
+      if (expectedSize === null || piece.length > expectedSize) {
+        throw new UploadSessionError(`请求体超出了 Upload-Length: ${session.file_size}`);
+      }
+      // 请求体为空，尾部数据保持不变
+      if (partial && piece.length === partial.size) {
+        break;
+      }
+
+      if (hasher) {
+        await hasher.update(piece);
+      }
+      if (partial) {
+        await this.deletePartialChunk(session, partial);
+        partial = null;
+      }
+      if (piece.length < expectedSize) {
+        await this.fileService.storeTempChunk(piece, uploadId, chunkIndex, {
+          fileName: session.file_name,
+          fileSize: session.file_size,
+          folderId: session.folder_id,
+          mimeType: session.mime_type,
+          clientEncrypted: !!session.client_encrypted,
+          chunkFileName: session.total_chunks > 1
+            ? `${session.file_name}.part${chunkIndex.toString().padStart(3, '0')}`
+            : session.file_name
+        });
+      } else {
+        await this.fileService.uploadFileChunk(new Blob([piece]), uploadId, chunkIndex);
+      }
+      current = chunkIndex * chunkSize + piece.length;
+      chunkIndex++;
+    }
+
+    if (current < session.file_size) {
+      return { offset: current, fileId: null };
+    }
+
+    const file = await this.fileService.mergeFileChunks(uploadId, { sha256: hasher ? await hasher.digest() : null });
+    console.log(`[INFO] tus 上传完成: ${uploadId}, 文件ID: ${file.id}`);
+    return { offset: current, fileId: file.id };
+  }
+
+  /**
+   * 终止上传（termination 扩展），删除已提交的分片
+   * @param {string} uploadId - 上传ID
+   */
+  async terminate(uploadId) {
+    await this.fileService.requireUploadSession(uploadId);
+    const result = await this.fileService.cleanupFailedUpload(uploadId);
+    if (!result.success) {
+      throw new Error(`终止 tus 上传失败: ${result.error}`, { cause: { uploadId } });
+    }
+  }
+}
@@ -0,0 +1,505 @@
+// WebDAV 服务模块
+// 在 /dav/ 下实现 WebDAV（RFC 4918）class 1，供文件管理器挂载为网络驱动器或供同步工具使用。
+// 路径按 folders 和 files 的层级解析，/dav/ 对应网页中的根目录；文件内容通过 FileService 读写，使用 Basic 认证
+
+import { UploadSessionError } from './file.js';
+import { parseRangeHeader } from '../utils/range.js';
+import { corsHeaders, errorResponse, fileResponse, rangeNotSatisfiableResponse, xmlResponse } from '../utils/response.js';
+import { escapeXml } from '../utils/xml.js';
+import { parseDbTimestamp } from '../utils/time.js';
+
+// WebDAV 的路径前缀
+export const DAV_PATH_PREFIX = '/dav';
+
+const DAV_METHODS = 'OPTIONS, PROPFIND, GET, HEAD, PUT, MKCOL, DELETE, MOVE, COPY';
+const DAV_REALM = 'CloudGramStore';
+
+// 根目录没有文件夹记录
+const ROOT_FOLDER = { id: null, name: '' };
+
+/**
+ * WebDAV 请求错误
+ * status 为返回给客户端的 HTTP 状态码
+ */
+export class WebDavError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'WebDavError';
+    this.status = status;
+  }
+}
+
+/**
+ * WebDAV 服务类
+ */
+export class WebDavService {
+  /**
+   * @param {FileService} fileService - 文件服务
+   * @param {AuthService} auth - 认证服务，用于校验 Basic 认证
+   * @param {Object} options - 可选配置
+   * @param {number} options.chunkSize - PUT 上传的分片大小，默认使用存储后端的分片大小
+   */
+  constructor(fileService, auth, options = {}) {
+    this.fileService = fileService;
+    this.db = fileService.db;
+    this.auth = auth;
+    this.chunkSize = options.chunkSize || null;
+  }
+
+  /**
+   * 处理 WebDAV 请求
+   * @param {Request} request - 路径以 DAV_PATH_PREFIX 开头的请求
+   * @returns {Response} 响应
+   */
+  async handleRequest(request) {
+    const url = new URL(request.url);
+
+    // 部分客户端在认证前先用 OPTIONS 探测服务器能力
+    if (request.method === 'OPTIONS') {
+      return new Response(null, {
+        headers: { ...corsHeaders, 'DAV': '1', 'Allow': DAV_METHODS, 'MS-Author-Via': 'DAV' }
+      });
+    }
+
+    // 连续认证失败的客户端在锁定期间直接拒绝，不再校验密码
+    const lockoutSeconds = this.auth.getLockoutSeconds(this.auth.getClientKey(request));
+    if (lockoutSeconds > 0) {
+      return new Response('Too Many Requests', {
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(lockoutSeconds) }
+      });
+    }
+
+    if (!(await this.auth.verifyBasicAuth(request))) {
+      return new Response('Unauthorized', {
+        status: 401,
+        headers: { ...corsHeaders, 'WWW-Authenticate': `Basic realm="${DAV_REALM}", charset="UTF-8"` }
+      });
+    }
+
+    try {
+      const segments = this.parsePath(url.pathname);
+      switch (request.method) {
+        case 'PROPFIND':
+          return await this.propfind(request, segments);
+        case 'GET':
+        case 'HEAD':
+          return await this.get(request, segments);
+        case 'PUT':
+          return await this.put(request, segments);
+        case 'MKCOL':
+          return await this.mkcol(request, segments);
+        case 'DELETE':
+          return await this.delete(segments);
+        case 'MOVE':
+        case 'COPY':
+          return await this.transfer(request, url, segments);
+        default:
+          throw new WebDavError(`不支持的方法: ${request.method}`, 405);
+      }
+    } catch (error) {
+      if (error instanceof WebDavError) {
+        console.warn(`[WARN] WebDAV ${request.method} ${url.pathname} 失败: ${error.status} ${error.message}`);
+        return errorResponse(error.message, error.status);
+      }
+      console.error(`[ERROR] WebDAV ${request.method} ${url.pathname} 处理失败:`, error);
+      return errorResponse(error.message || 'Unknown error', 500);
+    }
+  }
+
+  /**
+   * 把请求路径拆分为解码后的路径段
+   * @param {string} pathname - 请求路径
+   * @returns {Array<string>} 路径段，根目录为空数组
+   */
+  parsePath(pathname) {
+    let segments;
+    try {
+      segments = pathname.slice(DAV_PATH_PREFIX.length).split('/')
+        .filter(segment => segment !== '')
+        .map(segment => decodeURIComponent(segment));
+    } catch (error) {
+      throw new WebDavError(`路径编码错误: ${pathname}`, 400);
+    }
+    if (segments.some(segment => segment === '.' || segment === '..')) {
+      throw new WebDavError(`路径不能包含 . 或 ..: ${pathname}`, 400);
+    }
+    return segments;
+  }
+
+  /**
+   * 按路径查找文件夹
+   * @param {Array<string>} segments - 路径段
+   * @returns {Object|null} 文件夹记录，根目录返回 ROOT_FOLDER，不存在时返回 null
+   */
+  async findFolder(segments) {
+    let folder = ROOT_FOLDER;
+    for (const segment of segments) {
+      folder = await this.db.getFolderByName(segment, folder.id);
+      if (!folder) {
+        return null;
+      }
+    }
+    return folder;
+  }
+
+  /**
+   * 解析路径对应的资源；同名的文件夹和文件同时存在时优先使用文件夹
+   * @param {Array<string>} segments - 路径段
+   * @returns {Object} { type, folder, file, parent, name }，type 为 'folder'、'file' 或 null（不存在），
+   *   parent 为父文件夹，父文件夹不存在时为 null
+   */
+  async resolve(segments) {
+    if (segments.length === 0) {
+      return { type: 'folder', folder: ROOT_FOLDER, file: null, parent: null, name: '' };
+    }
+
+    const name = segments[segments.length - 1];
+    const parent = await this.findFolder(segments.slice(0, -1));
+    if (!parent) {
+      return { type: null, folder: null, file: null, parent: null, name };
+    }
+
+    const folder = await this.db.getFolderByName(name, parent.id);
+    if (folder) {
+      return { type: 'folder', folder, file: null, parent, name };
+    }
+    const file = await this.db.getFileByName(name, parent.id);
+    return { type: file ? 'file' : null, folder: null, file, parent, name };
+  }
+
+  /**
+   * 列出资源属性（PROPFIND），只支持 Depth 0 和 1，总是返回全部属性
+   * @param {Request} request - 请求
+   * @param {Array<string>} segments - 路径段
+   * @returns {Response} 207 Multi-Status
+   */
+  async propfind(request, segments) {
+    const depth = request.headers.get('Depth') ?? 'infinity';
+    if (depth !== '0' && depth !== '1') {
+      throw new WebDavError('不支持 Depth: infinity，请使用 0 或 1', 403);
+    }
+
+    const target = await this.resolve(segments);
+    if (!target.type) {
+      throw new WebDavError('资源不存在', 404);
+    }
+
+    const href = formatHref(segments);
+    if (target.type === 'file') {
+      return multiStatusResponse([fileProps(href, target.file)]);
+    }
+
+    const responses = [folderProps(`${href}/`, target.folder)];
+    if (depth === '1') {
+      const { folders, files } = await this.fileService.getDirectoryContents(target.folder.id);
+      for (const folder of folders) {
+        responses.push(folderProps(`${href}/${encodeURIComponent(folder.name)}/`, folder));
+      }
+      for (const file of files) {
+        responses.push(fileProps(`${href}/${encodeURIComponent(file.name)}`, file));
+      }
+    }
+    return multiStatusResponse(responses);
+  }
+
+  /**
+   * 下载文件（GET / HEAD），支持 Range
+   * @param {Request} request - 请求
+   * @param {Array<string>} segments - 路径段
+   * @returns {Response} 响应
+   */
+  async get(request, segments) {
+    const target = await this.resolve(segments);
+    if (target.type === 'folder') {
+      throw new WebDavError('不能下载文件夹，请使用 PROPFIND 列出内容', 405);
+    }
+    if (!target.type) {
+      throw new WebDavError('文件不存在', 404);
+    }
+
+    const file = target.file;
+    const headers = {
+      'ETag': formatETag(file),
+      'Last-Modified': parseDbTimestamp(file.updated_at || file.created_at).toUTCString()
+    };
+    if (request.method === 'HEAD' || file.size === 0) {
+      return new Response(null, {
+        headers: {
+          'Content-Type': file.mime_type || 'application/octet-stream',
+          'Content-Length': String(file.size),
+          'Accept-Ranges': 'bytes',
+          ...headers,
+          ...corsHeaders
+        }
+      });
+    }
+
+    const ranges = parseRangeHeader(request.headers.get('Range'), file.size);
+    if (ranges && ranges.length === 0) {
+      return rangeNotSatisfiableResponse(file.size);
+    }
+
+    const response = fileResponse(await this.fileService.downloadFile(file.id, ranges));
+    for (const [name, value] of Object.entries(headers)) {
+      response.headers.set(name, value);
+    }
+    return response;
+  }
+
+  /**
+   * 上传文件（PUT），请求体按分片流式写入存储，不需要 Content-Length，带有时请求体长度必须与之相同；已存在的文件会被覆盖
+   * @param {Request} request - 请求
+   * @param {Array<string>} segments - 路径段
+   * @returns {Response} 新建时返回 201，覆盖时返回 204
+   */
+  async put(request, segments) {
+    const target = await this.resolve(segments);
+    if (target.type === 'folder') {
+      throw new WebDavError('目标是文件夹', 405);
+    }
+    if (!target.parent) {
+      throw new WebDavError('父目录不存在', 409);
+    }
+
+    // 覆盖已有文件时先以临时名称上传，完成后再删除旧文件并改名，上传失败不影响旧文件
+    const existing = target.file;
+    const fileName = existing ? `${target.name}.dav-upload-${crypto.randomUUID().slice(0, 8)}` : target.name;
+
+    // 客户端中途断开时请求体会提前结束，请求体与 Content-Length 不符时不创建文件
+    const contentLength = request.headers.get('Content-Length');
+    const expectedSize = contentLength === null ? null : Number(contentLength);
+    if (expectedSize !== null && !Number.isSafeInteger(expectedSize)) {
+      throw new WebDavError('Content-Length 无效', 400);
+    }
+    let file;
+    try {
+      file = await this.fileService.uploadStream(request.body, {
+        fileName,
+        folderId: target.parent.id,
+        mimeType: request.headers.get('Content-Type'),
+        chunkSize: this.chunkSize,
+        expectedSize
+      });
+    } catch (error) {
+      if (error instanceof UploadSessionError) {
+        throw new WebDavError(error.message, error.status);
+      }
+      throw error;
+    }
+
+    if (existing) {
+      await this.fileService.deleteFile(existing.id);
+      file = await this.db.updateFile(file.id, target.name);
+    }
+    console.log(`[INFO] WebDAV 上传完成: ${formatHref(segments)}, 文件ID: ${file.id}, 大小: ${file.size} 字节`);
+    return new Response(null, { status: existing ? 204 : 201, headers: { ...corsHeaders, 'ETag': formatETag(file) } });
+  }
+
+  /**
+   * 创建文件夹（MKCOL）
+   * @param {Request} request - 请求
+   * @param {Array<string>} segments - 路径段
+   * @returns {Response} 201 Created
+   */
+  async mkcol(request, segments) {
+    const contentLength = request.headers.get('Content-Length');
+    if (contentLength && contentLength !== '0') {
+      throw new WebDavError('MKCOL 不支持请求体', 415);
+    }
+
+    const target = await this.resolve(segments);
+    if (target.type) {
+      throw new WebDavError('资源已存在', 405);
+    }
+    if (!target.parent) {
+      throw new WebDavError('父目录不存在', 409);
+    }
+
+    await this.fileService.createFolder(target.name, target.parent.id);
+    return new Response(null, { status: 201, headers: corsHeaders });
+  }
+
+  /**
+   * 删除文件或文件夹（DELETE），文件夹连同其中的内容一起删除
+   * @param {Array<string>} segments - 路径段
+   * @returns {Response} 204 No Content
+   */
+  async delete(segments) {
+    if (segments.length === 0) {
+      throw new WebDavError('不能删除根目录', 403);
+    }
+
+    const target = await this.resolve(segments);
+    if (!target.type) {
+      throw new WebDavError('资源不存在', 404);
+    }
+
+    await this.removeResource(target);
+    console.log(`[INFO] WebDAV 删除: ${formatHref(segments)}`);
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  /**
+   * 移动或复制资源（MOVE / COPY）
+   * 目标已存在时，Overwrite 为 F 返回 412，否则先删除目标；复制文件夹时 Depth 为 0 只复制文件夹本身
+   * @param {Request} request - 请求
+   * @param {URL} url - 请求 URL
+   * @param {Array<string>} segments - 源路径段
+   * @returns {Response} 目标新建时返回 201，覆盖时返回 204
+   */
+  async transfer(request, url, segments) {
+    const isMove = request.method === 'MOVE';
+    const destinationSegments = this.parseDestination(request.headers.get('Destination'), url);
+    if (segments.length === 0 || destinationSegments.length === 0) {
+      throw new WebDavError('不能移动或复制根目录', 403);
+    }
+    if (isPathPrefix(destinationSegments, segments)) {
+      throw new WebDavError('目标不能是源本身或包含源的文件夹', 403);
+    }
+
+    const source = await this.resolve(segments);
+    if (!source.type) {
+      throw new WebDavError('资源不存在', 404);
+    }
+    if (source.type === 'folder' && isPathPrefix(segments, destinationSegments)) {
+      throw new WebDavError('不能移动或复制到自身的子文件夹', 409);
+    }
+
+    const target = await this.resolve(destinationSegments);
+    if (!target.parent) {
+      throw new WebDavError('目标的父目录不存在', 409);
+    }
+    if (target.type) {
+      if ((request.headers.get('Overwrite') || 'T').toUpperCase() === 'F') {
+        throw new WebDavError('目标已存在', 412);
+      }
+      await this.removeResource(target);
+    }
+
+    const parentId = target.parent.id;
+    if (source.type === 'file') {
+      if (isMove) {
+        await this.db.moveFile(source.file.id, parentId, target.name);
+      } else {
+        await this.fileService.copyFile(source.file.id, parentId, target.name);
+      }
+    } else if (isMove) {
+      await this.db.moveFolder(source.folder.id, parentId, target.name);
+    } else {
+      await this.copyFolder(source.folder, parentId, target.name, request.headers.get('Depth') !== '0');
+    }
+
+    console.log(`[INFO] WebDAV ${request.method}: ${formatHref(segments)} -> ${formatHref(destinationSegments)}`);
+    return new Response(null, { status: target.type ? 204 : 201, headers: corsHeaders });
+  }
+
+  /**
+   * 解析 Destination 请求头，目标必须在同一服务器的 WebDAV 路径下
+   * @param {string|null} header - Destination 请求头
+   * @param {URL} url - 请求 URL
+   * @returns {Array<string>} 目标路径段
+   */
+  parseDestination(header, url) {
+    if (!header) {
+      throw new WebDavError('缺少 Destination 请求头', 400);
+    }
+
+    let destination;
+    try {
+      destination = new URL(header, url);
+    } catch (error) {
+      throw new WebDavError(`Destination 格式错误: ${header}`, 400);
+    }
+
+    const { pathname } = destination;
+    if (destination.host !== url.host || (pathname !== DAV_PATH_PREFIX && !pathname.startsWith(`${DAV_PATH_PREFIX}/`))) {
+      throw new WebDavError('不支持移动或复制到其他服务器', 502);
+    }
+    return this.parsePath(pathname);
+  }
+
+  /**
+   * 删除 resolve 返回的文件或文件夹
+   * @param {Object} target - resolve 的结果
+   */
+  async removeResource(target) {
+    if (target.type === 'file') {
+      await this.fileService.deleteFile(target.file.id);
+    } else {
+      await this.fileService.deleteFolder(target.folder.id);
+    }
+  }
+
+  /**
+   * 复制文件夹
+   * @param {Object} folder - 源文件夹
+   * @param {number|null} parentId - 目标父目录ID
+   * @param {string} name - 新文件夹名称
+   * @param {boolean} recursive - 是否复制文件夹中的内容
+   * @returns {Object} 新文件夹记录
+   */
+  async copyFolder(folder, parentId, name, recursive) {
+    const copy = await this.fileService.createFolder(name, parentId);
+    if (!recursive) {
+      return copy;
+    }
+
+    const { folders, files } = await this.fileService.getDirectoryContents(folder.id);
+    for (const file of files) {
+      await this.fileService.copyFile(file.id, copy.id, file.name);
+    }
+    for (const subFolder of folders) {
+      await this.copyFolder(subFolder, copy.id, subFolder.name, true);
+    }
+    return copy;
+  }
+}
+
+// prefix 是否为 segments 的前缀（含相等）
+function isPathPrefix(prefix, segments) {
+  return prefix.length <= segments.length && prefix.every((segment, index) => segments[index] === segment);
+}
+
+function formatHref(segments) {
+  return DAV_PATH_PREFIX + segments.map(segment => `/${encodeURIComponent(segment)}`).join('');
+}
+
+function formatETag(file) {
+  return `"${file.sha256 || `${file.id}-${file.size}`}"`;
+}
+
+function formatDates(record) {
+  const created = parseDbTimestamp(record.created_at);
+  const modified = parseDbTimestamp(record.updated_at || record.created_at);
+  return `<D:creationdate>${created.toISOString()}</D:creationdate>` +
+    `<D:getlastmodified>${modified.toUTCString()}</D:getlastmodified>`;
+}
+
+function folderProps(href, folder) {
+  return propResponse(href,
+    `<D:displayname>${escapeXml(folder.name)}</D:displayname>` +
+    '<D:resourcetype><D:collection/></D:resourcetype>' +
+    formatDates(folder)
+  );
+}
+
+function fileProps(href, file) {
+  return propResponse(href,
+    `<D:displayname>${escapeXml(file.name)}</D:displayname>` +
+    '<D:resourcetype/>' +
+    `<D:getcontentlength>${file.size}</D:getcontentlength>` +
+    `<D:getcontenttype>${escapeXml(file.mime_type || 'application/octet-stream')}</D:getcontenttype>` +
+    `<D:getetag>${escapeXml(formatETag(file))}</D:getetag>` +
+    formatDates(file)
+  );
+}
+
+function propResponse(href, props) {
+  return `<D:response><D:href>${escapeXml(href)}</D:href>` +
+    `<D:propstat><D:prop>${props}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>`;
+}
+
+function multiStatusResponse(responses) {
+  return xmlResponse(`<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`, 207);
+}
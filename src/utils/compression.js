@@ -0,0 +1,76 @@
+// 压缩工具模块
+// 使用运行时内置的 CompressionStream 按分片压缩可压缩的内容（文本、日志、JSON、CSV 等）
+
+// 新上传文件使用的压缩算法，记录在 files.compression 字段中
+export const DEFAULT_CODEC = 'gzip';
+
+// 支持解压的算法（CompressionStream 的格式名）
+const SUPPORTED_CODECS = new Set(['gzip', 'deflate']);
+
+// 除 text/* 外可压缩的 MIME 类型
+const COMPRESSIBLE_TYPES = new Set([
+  'application/json',
+  'application/x-ndjson',
+  'application/xml',
+  'application/javascript',
+  'application/x-javascript',
+  'application/ecmascript',
+  'application/csv',
+  'application/sql',
+  'application/x-sql',
+  'application/yaml',
+  'application/x-yaml',
+  'application/toml',
+  'application/x-sh',
+  'application/x-tex',
+  'application/rtf',
+  'application/wasm',
+  'application/x-tar',
+  'image/svg+xml',
+  'image/bmp',
+  'image/x-icon'
+]);
+
+/**
+ * 判断 MIME 类型的内容是否值得压缩
+ * 已压缩的格式（图片、视频、压缩包等）再压缩只会浪费 CPU
+ * @param {string|null} mimeType - MIME 类型
+ * @returns {boolean}
+ */
+export function isCompressibleMimeType(mimeType) {
+  if (!mimeType) {
+    return false;
+  }
+
+  const type = mimeType.split(';')[0].trim().toLowerCase();
+  return type.startsWith('text/')
+    || type.endsWith('+json')
+    || type.endsWith('+xml')
+    || COMPRESSIBLE_TYPES.has(type);
+}
+
+/**
+ * 压缩数据
+ * @param {Uint8Array} data - 原始数据
+ * @param {string} codec - 压缩算法
+ * @returns {Uint8Array} 压缩后的数据
+ */
+export async function compressBytes(data, codec = DEFAULT_CODEC) {
+  const stream = new Response(data).body.pipeThrough(new CompressionStream(codec));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 解压数据
+ * @param {Uint8Array} data - 压缩后的数据
+ * @param {string} codec - 压缩算法
+ * @returns {Uint8Array} 原始数据
+ */
+export async function decompressBytes(data, codec) {
+  if (!SUPPORTED_CODECS.has(codec)) {
+    throw new Error(`不支持的压缩算法: ${codec}`);
+  }
+
+  const stream = new Response(data).body.pipeThrough(new DecompressionStream(codec));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,116 @@
+// 摘要工具模块
+// 提供 SHA-256 计算、增量摘要、下载流的完整性校验以及与内容无关耗时的字符串比较
+
+/**
+ * 计算数据的 SHA-256
+ * @param {Uint8Array} data - 数据
+ * @returns {string} 十六进制哈希值
+ */
+export async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return bytesToHex(new Uint8Array(digest));
+}
+
+/**
+ * 把十六进制哈希值转换为 Base64（用于 Digest 响应头）
+ * @param {string} hex - 十六进制哈希值
+ * @returns {string} Base64 编码
+ */
+export function hexToBase64(hex) {
+  let binary = '';
+  for (let i = 0; i < hex.length; i += 2) {
+    binary += String.fromCharCode(parseInt(hex.substring(i, i + 2), 16));
+  }
+  return btoa(binary);
+}
+
+/**
+ * 创建增量 SHA-256 计算器
+ * Workers 运行时提供 crypto.DigestStream，可以边读边算而不缓存数据；
+ * 其他运行时没有增量摘要接口，退化为缓存全部数据后一次计算
+ * @returns {Object} { update(data), digest() }
+ */
+export function createHasher() {
+  if (typeof crypto.DigestStream === 'function') {
+    const digestStream = new crypto.DigestStream('SHA-256');
+    const writer = digestStream.getWriter();
+    return {
+      update: (data) => writer.write(data),
+      digest: async () => {
+        await writer.close();
+        return bytesToHex(new Uint8Array(await digestStream.digest));
+      }
+    };
+  }
+
+  const parts = [];
+  let length = 0;
+  return {
+    update: async (data) => {
+      parts.push(data.slice());
+      length += data.length;
+    },
+    digest: async () => {
+      const all = new Uint8Array(length);
+      let offset = 0;
+      for (const part of parts) {
+        all.set(part, offset);
+        offset += part.length;
+      }
+      return sha256Hex(all);
+    }
+  };
+}
+
+/**
+ * 创建校验整个下载流摘要的 TransformStream
+ * 数据原样透传，流结束时摘要不匹配则让流出错，客户端会收到不完整的响应而不是被悄悄篡改的文件
+ * @param {string} expectedHex - 期望的十六进制 SHA-256
+ * @returns {TransformStream|null} 运行时不支持流式摘要时返回 null
+ */
+export function createDigestCheck(expectedHex) {
+  if (typeof crypto.DigestStream !== 'function') {
+    return null;
+  }
+
+  const hasher = createHasher();
+  return new TransformStream({
+    async transform(chunk, controller) {
+      await hasher.update(chunk);
+      controller.enqueue(chunk);
+    },
+    async flush(controller) {
+      const actual = await hasher.digest();
+      if (actual !== expectedHex) {
+        console.error(`[ERROR] 文件摘要不匹配，期望: ${expectedHex}, 实际: ${actual}`);
+        controller.error(new Error('文件完整性校验失败: SHA-256 不匹配'));
+      }
+    }
+  });
+}
+
+/**
+ * 比较两个字符串（签名、摘要等），耗时只与长度有关，与内容无关
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @returns {boolean} 是否相同
+ */
+export function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * 把字节数组转换为十六进制字符串
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} 十六进制字符串
+ */
+export function bytesToHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
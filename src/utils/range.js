@@ -0,0 +1,164 @@
+// HTTP Range 工具模块
+// 提供 Range 请求头解析、字节区间到分片的映射以及 multipart/byteranges 响应体构建
+
+import { concatStreams } from './stream.js';
+
+// 单个请求允许的最大区间数，超过时忽略 Range 头返回完整文件
+const MAX_RANGES = 16;
+
+/**
+ * 解析 Range 请求头
+ * @param {string|null} header - Range 请求头
+ * @param {number} size - 文件总大小
+ * @returns {Array|null} 区间数组 [{ start, end }]（闭区间，已排序合并）；
+ *   返回 null 表示忽略 Range 头，返回空数组表示区间均无法满足（416）
+ */
+export function parseRangeHeader(header, size) {
+  if (!header) {
+    return null;
+  }
+
+  const match = /^bytes=(.+)$/i.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+
+  const specs = match[1].split(',');
+  if (specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+  for (const part of specs) {
+    const spec = /^(\d*)-(\d*)$/.exec(part.trim());
+    if (!spec || (spec[1] === '' && spec[2] === '')) {
+      // 语法错误的 Range 头按规范直接忽略
+      return null;
+    }
+
+    if (spec[1] === '') {
+      // 后缀区间：bytes=-500 表示最后 500 字节
+      const suffixLength = parseInt(spec[2], 10);
+      if (suffixLength === 0 || size === 0) {
+        continue;
+      }
+      ranges.push({ start: Math.max(size - suffixLength, 0), end: size - 1 });
+      continue;
+    }
+
+    const start = parseInt(spec[1], 10);
+    const last = spec[2] === '' ? null : parseInt(spec[2], 10);
+    if (last !== null && last < start) {
+      return null;
+    }
+    if (start >= size) {
+      continue;
+    }
+    ranges.push({ start, end: last === null ? size - 1 : Math.min(last, size - 1) });
+  }
+
+  return mergeRanges(ranges);
+}
+
+/**
+ * 合并重叠或相邻的区间
+ * @param {Array} ranges - 区间数组
+ * @returns {Array} 合并后的区间数组
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const range of sorted) {
+    const previous = merged[merged.length - 1];
+    if (previous && range.start <= previous.end + 1) {
+      previous.end = Math.max(previous.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * 生成 Content-Range 头的值
+ * @param {number} start - 起始字节
+ * @param {number} end - 结束字节（包含）
+ * @param {number} size - 文件总大小
+ * @returns {string} Content-Range 值
+ */
+export function formatContentRange(start, end, size) {
+  return `bytes ${start}-${end}/${size}`;
+}
+
+/**
+ * 根据分片的 size 把字节区间映射到需要读取的分片
+ * @param {Array} chunks - 按 chunk_index 排序的分片数组
+ * @param {Object|null} range - 字节区间 { start, end }，null 表示整个文件
+ * @returns {Array} 读取计划 [{ chunk, skip, length, whole }]
+ */
+export function planChunkReads(chunks, range = null) {
+  const reads = [];
+  let offset = 0;
+
+  for (const chunk of chunks) {
+    const chunkStart = offset;
+    const chunkEnd = offset + chunk.size - 1;
+    offset += chunk.size;
+
+    if (range && (chunkEnd < range.start || chunkStart > range.end)) {
+      continue;
+    }
+
+    const skip = range ? Math.max(range.start - chunkStart, 0) : 0;
+    const stop = range ? Math.min(range.end, chunkEnd) : chunkEnd;
+    const length = stop - (chunkStart + skip) + 1;
+
+    reads.push({
+      chunk,
+      skip,
+      length,
+      whole: skip === 0 && length === chunk.size
+    });
+  }
+
+  return reads;
+}
+
+/**
+ * 构建 multipart/byteranges 响应体
+ * @param {Array} parts - 区间数组 [{ start, end, open }]，open 返回该区间的 ReadableStream
+ * @param {string} contentType - 文件 MIME 类型
+ * @param {number} size - 文件总大小
+ * @returns {Object} { stream, boundary, length }
+ */
+export function createMultipartByteranges(parts, contentType, size) {
+  const encoder = new TextEncoder();
+  const boundary = `cgs-${crypto.randomUUID()}`;
+  const sources = [];
+  let length = 0;
+
+  const text = (value) => {
+    const bytes = encoder.encode(value);
+    length += bytes.length;
+    return async () => new Response(bytes).body;
+  };
+
+  parts.forEach((part, i) => {
+    sources.push(text(
+      `${i === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: ${formatContentRange(part.start, part.end, size)}\r\n\r\n`
+    ));
+    length += part.end - part.start + 1;
+    sources.push(async () => part.open());
+  });
+  sources.push(text(`\r\n--${boundary}--\r\n`));
+
+  return {
+    stream: concatStreams(sources),
+    boundary,
+    length
+  };
+}
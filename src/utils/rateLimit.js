@@ -0,0 +1,69 @@
+// 限流工具模块
+// 提供令牌桶限流和异步等待功能
+
+/**
+ * 等待指定毫秒数
+ * @param {number} ms - 等待时长（毫秒）
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 令牌桶限流器
+ * 桶容量决定允许的突发请求数，令牌按固定速率补充
+ */
+export class TokenBucket {
+  /**
+   * @param {number} capacity - 桶容量（最大突发请求数）
+   * @param {number} refillPerSecond - 每秒补充的令牌数
+   */
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * 按流逝时间补充令牌
+   */
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * 获取一个令牌，令牌不足或处于暂停期时等待
+   * @returns {Promise<void>}
+   */
+  async take() {
+    while (true) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000));
+    }
+  }
+
+  /**
+   * 暂停发放令牌（例如收到 429 响应后），暂停期间所有 take() 调用都会等待
+   * @param {number} ms - 暂停时长（毫秒）
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
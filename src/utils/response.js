@@ -1,10 +1,18 @@
 // 响应工具模块
 // 提供统一的响应格式和 CORS 头部设置
 
+import { formatContentRange } from './range.js';
+import { hexToBase64 } from './digest.js';
+
+// tus 协议版本
+export const TUS_VERSION = '1.0.0';
+
 export const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Range, Tus-Resumable, Upload-Length, Upload-Metadata, Upload-Offset',
+  'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges, Content-Disposition, Digest, ' +
+    'Location, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Upload-Length, Upload-Metadata, Upload-Offset',
   'Access-Control-Max-Age': '86400',
 };
 
@@ -47,3 +55,91 @@ export function errorResponse(message, status = 400, details = null) {
   
   return jsonResponse(errorData, status);
 }
+
+/**
+ * 创建文件下载响应，根据 FileService.downloadFile 的结果返回 200 或 206
+ * @param {Object} fileData - 文件数据流和元信息
+ * @returns {Response} Response 对象
+ */
+export function fileResponse(fileData) {
+  const headers = {
+    'Accept-Ranges': 'bytes',
+    'Content-Disposition': `attachment; filename="${fileData.name}"`,
+    ...corsHeaders
+  };
+  const contentType = fileData.mimeType || 'application/octet-stream';
+
+  // Digest 描述的是完整文件的摘要，区间请求也一并返回，客户端可在拼接完整文件后校验
+  if (fileData.sha256) {
+    headers['Digest'] = `sha-256=${hexToBase64(fileData.sha256)}`;
+  }
+
+  if (!fileData.ranges) {
+    headers['Content-Type'] = contentType;
+    headers['Content-Length'] = String(fileData.size);
+    return new Response(fileData.stream, { status: 200, headers });
+  }
+
+  if (fileData.multipart) {
+    headers['Content-Type'] = `multipart/byteranges; boundary=${fileData.multipart.boundary}`;
+    headers['Content-Length'] = String(fileData.multipart.length);
+    return new Response(fileData.stream, { status: 206, headers });
+  }
+
+  const { start, end } = fileData.ranges[0];
+  headers['Content-Type'] = contentType;
+  headers['Content-Length'] = String(end - start + 1);
+  headers['Content-Range'] = formatContentRange(start, end, fileData.size);
+  return new Response(fileData.stream, { status: 206, headers });
+}
+
+/**
+ * 创建 416 Range Not Satisfiable 响应
+ * @param {number} size - 文件总大小
+ * @returns {Response} Response 对象
+ */
+export function rangeNotSatisfiableResponse(size) {
+  return new Response(null, {
+    status: 416,
+    headers: {
+      'Content-Range': `bytes */${size}`,
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * 创建 tus 协议响应（无响应体）
+ * @param {number} status - HTTP 状态码
+ * @param {Object} headers - tus 响应头，例如 Upload-Offset
+ * @returns {Response} Response 对象
+ */
+export function tusResponse(status, headers = {}) {
+  return new Response(null, {
+    status,
+    headers: {
+      'Tus-Resumable': TUS_VERSION,
+      'Cache-Control': 'no-store',
+      ...corsHeaders,
+      ...headers
+    }
+  });
+}
+
+/**
+ * 创建 XML 响应（S3 兼容接口）
+ * @param {string|null} xml - XML 文本，null 表示无响应体
+ * @param {number} status - HTTP 状态码
+ * @param {Object} headers - 额外的响应头
+ * @returns {Response} Response 对象
+ */
+export function xmlResponse(xml, status = 200, headers = {}) {
+  return new Response(xml === null ? null : `<?xml version="1.0" encoding="UTF-8"?>\n${xml}`, {
+    status,
+    headers: {
+      ...(xml === null ? {} : { 'Content-Type': 'application/xml' }),
+      ...corsHeaders,
+      ...headers
+    }
+  });
+}
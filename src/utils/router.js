@@ -51,6 +51,24 @@ export class Router {
     this.routes.push({ method: 'DELETE', path, handler });
   }
 
+  /**
+   * 添加 HEAD 路由
+   * @param {string} path - 路径
+   * @param {Function} handler - 处理函数
+   */
+  head(path, handler) {
+    this.routes.push({ method: 'HEAD', path, handler });
+  }
+
+  /**
+   * 添加 OPTIONS 路由
+   * @param {string} path - 路径
+   * @param {Function} handler - 处理函数
+   */
+  options(path, handler) {
+    this.routes.push({ method: 'OPTIONS', path, handler });
+  }
+
   /**
    * 处理请求
    * @param {Request} request - 请求对象
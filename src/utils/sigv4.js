@@ -0,0 +1,425 @@
+// AWS Signature Version 4 工具模块
+// 校验 S3 客户端（aws-cli、rclone 等）请求的 SigV4 签名，支持 Authorization 头和预签名 URL，
+// 并解码流式上传使用的 aws-chunked 请求体（逐块校验链式签名）
+
+import { sha256Hex, bytesToHex, timingSafeEqual } from './digest.js';
+
+export const SIGV4_ALGORITHM = 'AWS4-HMAC-SHA256';
+export const EMPTY_SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// aws-chunked 请求体的 x-amz-content-sha256 取值：前两种每块带签名，TRAILER 表示块之后还有校验和等尾部字段
+export const STREAMING_SIGNED_PAYLOAD = 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD';
+export const STREAMING_SIGNED_PAYLOAD_TRAILER = 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD-TRAILER';
+export const STREAMING_UNSIGNED_PAYLOAD_TRAILER = 'STREAMING-UNSIGNED-PAYLOAD-TRAILER';
+
+const CHUNK_ALGORITHM = 'AWS4-HMAC-SHA256-PAYLOAD';
+
+// 预签名 URL 的最长有效期（7 天）
+const MAX_PRESIGNED_EXPIRES = 7 * 24 * 60 * 60;
+
+// 使用 Authorization 头时允许的客户端时钟偏差
+const MAX_CLOCK_SKEW_MS = 15 * 60 * 1000;
+
+// aws-chunked 块头（大小和签名）的最大长度，超过说明请求体格式错误
+const MAX_CHUNK_HEADER_LENGTH = 4096;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * SigV4 校验错误
+ * code 为 S3 错误码，status 为返回给客户端的 HTTP 状态码
+ */
+export class SigV4Error extends Error {
+  constructor(code, message, status = 403) {
+    super(message);
+    this.name = 'SigV4Error';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * 按 SigV4 规则进行 URI 编码：只保留 A-Z a-z 0-9 - _ . ~，其余字符按 UTF-8 百分号编码
+ * @param {string} value - 原始字符串
+ * @param {boolean} encodeSlash - 是否编码 '/'
+ * @returns {string} 编码结果
+ */
+export function uriEncode(value, encodeSlash = true) {
+  const encoded = encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return encodeSlash ? encoded : encoded.replace(/%2F/g, '/');
+}
+
+/**
+ * 解码 URI 组件，格式错误时原样返回
+ * @param {string} value - 编码后的字符串
+ * @returns {string} 解码结果
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * 解析 ISO 8601 基本格式的时间（例如 20130524T000000Z）
+ * @param {string|null} amzDate - 时间字符串
+ * @returns {Date|null} 格式错误时返回 null
+ */
+export function parseAmzDate(amzDate) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(amzDate || '');
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+/**
+ * 解析请求的签名信息，支持 Authorization 头和预签名 URL 的查询参数
+ * @param {Request} request - 请求
+ * @param {URL} url - 请求 URL
+ * @returns {Object|null} { accessKeyId, date, region, service, scope, signedHeaders, signature, amzDate,
+ *   payloadHash, presigned, expires }，请求未签名时返回 null
+ */
+export function parseSignature(request, url) {
+  const header = request.headers.get('Authorization');
+  if (header) {
+    if (!header.startsWith(`${SIGV4_ALGORITHM} `)) {
+      throw new SigV4Error('InvalidRequest', `只支持 ${SIGV4_ALGORITHM} 签名`, 400);
+    }
+
+    const fields = {};
+    for (const part of header.slice(SIGV4_ALGORITHM.length + 1).split(',')) {
+      const separator = part.indexOf('=');
+      if (separator > 0) {
+        fields[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+      }
+    }
+
+    const payloadHash = request.headers.get('x-amz-content-sha256');
+    if (!payloadHash) {
+      throw new SigV4Error('InvalidRequest', '缺少 x-amz-content-sha256 请求头', 400);
+    }
+
+    return buildSignatureInfo({
+      credential: fields.Credential,
+      signedHeaders: fields.SignedHeaders,
+      signature: fields.Signature,
+      amzDate: request.headers.get('x-amz-date'),
+      payloadHash,
+      presigned: false,
+      expires: null
+    });
+  }
+
+  const params = url.searchParams;
+  if (params.has('X-Amz-Algorithm')) {
+    if (params.get('X-Amz-Algorithm') !== SIGV4_ALGORITHM) {
+      throw new SigV4Error('InvalidRequest', `只支持 ${SIGV4_ALGORITHM} 签名`, 400);
+    }
+    return buildSignatureInfo({
+      credential: params.get('X-Amz-Credential'),
+      signedHeaders: params.get('X-Amz-SignedHeaders'),
+      signature: params.get('X-Amz-Signature'),
+      amzDate: params.get('X-Amz-Date'),
+      payloadHash: UNSIGNED_PAYLOAD,
+      presigned: true,
+      expires: parseInt(params.get('X-Amz-Expires'), 10)
+    });
+  }
+
+  return null;
+}
+
+/**
+ * 检查并整理签名字段
+ * @param {Object} fields - 从请求中取出的原始字段
+ * @returns {Object} 签名信息
+ */
+function buildSignatureInfo(fields) {
+  const credential = (fields.credential || '').split('/');
+  if (credential.length !== 5 || credential[4] !== 'aws4_request' || !fields.signedHeaders || !fields.signature) {
+    throw new SigV4Error('AuthorizationHeaderMalformed', '签名信息格式错误', 400);
+  }
+
+  const [accessKeyId, date, region, service] = credential;
+  if (service !== 's3') {
+    throw new SigV4Error('AuthorizationHeaderMalformed', `签名的服务名称错误: ${service}`, 400);
+  }
+  if (!parseAmzDate(fields.amzDate) || fields.amzDate.slice(0, 8) !== date) {
+    throw new SigV4Error('AccessDenied', '缺少请求时间或与签名范围的日期不一致');
+  }
+
+  return {
+    accessKeyId,
+    date,
+    region,
+    service,
+    scope: `${date}/${region}/${service}/aws4_request`,
+    signedHeaders: fields.signedHeaders.split(';'),
+    signature: fields.signature.toLowerCase(),
+    amzDate: fields.amzDate,
+    payloadHash: fields.payloadHash,
+    presigned: fields.presigned,
+    expires: fields.expires
+  };
+}
+
+/**
+ * 检查请求时间：Authorization 头签名的请求不能与服务器时间相差太多，预签名 URL 不能过期
+ * @param {Object} info - parseSignature 返回的签名信息
+ * @param {number} now - 当前时间戳（毫秒）
+ */
+export function checkRequestTime(info, now = Date.now()) {
+  const signedAt = parseAmzDate(info.amzDate).getTime();
+
+  if (info.presigned) {
+    if (!Number.isInteger(info.expires) || info.expires < 1 || info.expires > MAX_PRESIGNED_EXPIRES) {
+      throw new SigV4Error('AuthorizationQueryParametersError', `X-Amz-Expires 必须在 1 到 ${MAX_PRESIGNED_EXPIRES} 秒之间`, 400);
+    }
+    if (now > signedAt + info.expires * 1000) {
+      throw new SigV4Error('AccessDenied', '预签名 URL 已过期');
+    }
+    if (signedAt - now > MAX_CLOCK_SKEW_MS) {
+      throw new SigV4Error('AccessDenied', '预签名 URL 尚未生效');
+    }
+    return;
+  }
+
+  if (Math.abs(now - signedAt) > MAX_CLOCK_SKEW_MS) {
+    throw new SigV4Error('RequestTimeTooSkewed', '请求时间与服务器时间相差超过 15 分钟');
+  }
+}
+
+/**
+ * 生成规范请求（Canonical Request）
+ * 路径按段解码后重新编码，避免客户端与运行时对特殊字符的编码方式不同导致签名不一致
+ * @param {Request} request - 请求
+ * @param {URL} url - 请求 URL
+ * @param {Object} info - 签名信息
+ * @returns {string} 规范请求
+ */
+export function createCanonicalRequest(request, url, info) {
+  const path = url.pathname.split('/').map(segment => uriEncode(safeDecode(segment))).join('/');
+
+  // 不用 URLSearchParams 解析，它会把 '+' 当成空格
+  const query = url.search.slice(1).split('&')
+    .filter(pair => pair !== '')
+    .map(pair => {
+      const separator = pair.indexOf('=');
+      const name = safeDecode(separator === -1 ? pair : pair.slice(0, separator));
+      const value = separator === -1 ? '' : safeDecode(pair.slice(separator + 1));
+      return [uriEncode(name), uriEncode(value)];
+    })
+    .filter(([name]) => !(info.presigned && name === 'X-Amz-Signature'))
+    .sort(([nameA, valueA], [nameB, valueB]) => compareStrings(nameA, nameB) || compareStrings(valueA, valueB))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const headers = info.signedHeaders.map(name => {
+    const value = name === 'host'
+      ? request.headers.get('host') || url.host
+      : request.headers.get(name) || '';
+    return `${name}:${value.trim().replace(/\s+/g, ' ')}\n`;
+  }).join('');
+
+  return [
+    request.method,
+    path,
+    query,
+    headers,
+    info.signedHeaders.join(';'),
+    info.payloadHash
+  ].join('\n');
+}
+
+/**
+ * 生成待签名字符串（String to Sign）
+ * @param {Request} request - 请求
+ * @param {URL} url - 请求 URL
+ * @param {Object} info - 签名信息
+ * @returns {string} 待签名字符串
+ */
+export async function createStringToSign(request, url, info) {
+  const canonicalRequest = createCanonicalRequest(request, url, info);
+  return [
+    SIGV4_ALGORITHM,
+    info.amzDate,
+    info.scope,
+    await sha256Hex(encoder.encode(canonicalRequest))
+  ].join('\n');
+}
+
+/**
+ * 计算 HMAC-SHA256
+ * @param {Uint8Array|ArrayBuffer} key - 密钥
+ * @param {string} data - 数据
+ * @returns {Uint8Array} 签名
+ */
+async function hmac(key, data) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(data)));
+}
+
+/**
+ * 计算十六进制的 HMAC-SHA256 签名
+ * @param {Uint8Array} signingKey - 签名密钥
+ * @param {string} data - 待签名字符串
+ * @returns {string} 十六进制签名
+ */
+export async function hmacHex(signingKey, data) {
+  return bytesToHex(await hmac(signingKey, data));
+}
+
+/**
+ * 派生签名密钥
+ * @param {string} secretAccessKey - Secret Access Key
+ * @param {string} date - 日期（YYYYMMDD）
+ * @param {string} region - 区域
+ * @param {string} service - 服务名称
+ * @returns {Uint8Array} 签名密钥
+ */
+export async function getSigningKey(secretAccessKey, date, region, service) {
+  const dateKey = await hmac(encoder.encode(`AWS4${secretAccessKey}`), date);
+  const regionKey = await hmac(dateKey, region);
+  const serviceKey = await hmac(regionKey, service);
+  return hmac(serviceKey, 'aws4_request');
+}
+
+/**
+ * 校验请求签名
+ * @param {Request} request - 请求
+ * @param {URL} url - 请求 URL
+ * @param {Object} info - parseSignature 返回的签名信息
+ * @param {string} secretAccessKey - Access Key ID 对应的 Secret Access Key
+ * @returns {Uint8Array} 签名密钥，用于继续校验 aws-chunked 请求体的块签名
+ */
+export async function verifySignature(request, url, info, secretAccessKey) {
+  const signingKey = await getSigningKey(secretAccessKey, info.date, info.region, info.service);
+  const expected = await hmacHex(signingKey, await createStringToSign(request, url, info));
+  if (!timingSafeEqual(expected, info.signature)) {
+    throw new SigV4Error('SignatureDoesNotMatch', '请求签名不匹配，请检查 Secret Access Key');
+  }
+  return signingKey;
+}
+
+/**
+ * 计算 aws-chunked 请求体中一块数据的签名
+ * @param {Uint8Array} signingKey - 签名密钥
+ * @param {string} amzDate - 请求时间
+ * @param {string} scope - 签名范围
+ * @param {string} previousSignature - 上一块的签名（第一块为请求签名）
+ * @param {Uint8Array} data - 块数据
+ * @returns {string} 十六进制签名
+ */
+export async function computeChunkSignature(signingKey, amzDate, scope, previousSignature, data) {
+  const stringToSign = [
+    CHUNK_ALGORITHM,
+    amzDate,
+    scope,
+    previousSignature,
+    EMPTY_SHA256,
+    await sha256Hex(data)
+  ].join('\n');
+  return hmacHex(signingKey, stringToSign);
+}
+
+/**
+ * 创建 aws-chunked 请求体的解码流
+ * 输入为 "大小(十六进制)[;chunk-signature=签名]\r\n数据\r\n" 组成的块，以大小为 0 的块结束，之后的尾部字段被忽略。
+ * 提供 signingKey 时逐块校验链式签名，签名不匹配或数据不完整时流出错
+ * @param {Object} options - 解码选项
+ * @param {Uint8Array|null} options.signingKey - 签名密钥，null 表示块不带签名
+ * @param {string} options.seedSignature - 请求签名，作为第一块的上一个签名
+ * @param {string} options.amzDate - 请求时间
+ * @param {string} options.scope - 签名范围
+ * @returns {TransformStream} 输出解码后的数据
+ */
+export function createAwsChunkedDecoder({ signingKey = null, seedSignature = null, amzDate = null, scope = null } = {}) {
+  let buffer = new Uint8Array(0);
+  let previousSignature = seedSignature;
+  let finished = false;
+
+  // 从缓冲区取出尽可能多的完整块
+  const drain = async (controller) => {
+    while (!finished) {
+      const lineEnd = indexOfCrlf(buffer);
+      if (lineEnd === -1) {
+        if (buffer.length > MAX_CHUNK_HEADER_LENGTH) {
+          throw new SigV4Error('IncompleteBody', 'aws-chunked 块头格式错误', 400);
+        }
+        return;
+      }
+
+      const [sizeHex, ...extensions] = decoder.decode(buffer.subarray(0, lineEnd)).split(';');
+      if (!/^[0-9a-fA-F]{1,8}$/.test(sizeHex.trim())) {
+        throw new SigV4Error('IncompleteBody', `aws-chunked 块大小格式错误: ${sizeHex}`, 400);
+      }
+      const size = parseInt(sizeHex, 16);
+      const dataStart = lineEnd + 2;
+      // 最后一个块没有数据，之后直接是尾部字段
+      if (size > 0 && buffer.length < dataStart + size + 2) {
+        return;
+      }
+
+      const data = buffer.slice(dataStart, dataStart + size);
+      if (size > 0 && (buffer[dataStart + size] !== 13 || buffer[dataStart + size + 1] !== 10)) {
+        throw new SigV4Error('IncompleteBody', 'aws-chunked 块数据后缺少换行', 400);
+      }
+
+      if (signingKey) {
+        const extension = extensions.find(item => item.trim().startsWith('chunk-signature='));
+        const signature = extension ? extension.trim().slice('chunk-signature='.length).toLowerCase() : '';
+        const expected = await computeChunkSignature(signingKey, amzDate, scope, previousSignature, data);
+        if (!timingSafeEqual(expected, signature)) {
+          throw new SigV4Error('SignatureDoesNotMatch', '请求体的块签名不匹配');
+        }
+        previousSignature = expected;
+      }
+
+      if (size === 0) {
+        finished = true;
+        buffer = new Uint8Array(0);
+        return;
+      }
+      controller.enqueue(data);
+      buffer = buffer.slice(dataStart + size + 2);
+    }
+  };
+
+  return new TransformStream({
+    async transform(chunk, controller) {
+      if (finished) {
+        return;
+      }
+      const merged = new Uint8Array(buffer.length + chunk.length);
+      merged.set(buffer);
+      merged.set(chunk, buffer.length);
+      buffer = merged;
+      await drain(controller);
+    },
+    flush() {
+      if (!finished) {
+        throw new SigV4Error('IncompleteBody', 'aws-chunked 请求体不完整', 400);
+      }
+    }
+  });
+}
+
+function indexOfCrlf(bytes) {
+  for (let i = 0; i + 1 < bytes.length; i++) {
+    if (bytes[i] === 13 && bytes[i + 1] === 10) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -0,0 +1,151 @@
+// 流工具模块
+// 提供按顺序拼接多个数据源、截取和按固定大小切分 ReadableStream 的功能
+
+/**
+ * 将多个数据源按顺序拼接为一个 ReadableStream
+ * 每个数据源只在上一个读完后才会被打开，保证任意时刻只有一个数据源处于读取状态，
+ * 内存占用不随文件总大小增长
+ * @param {Array<Function>} sources - 数据源工厂函数数组，每个函数返回 Promise<ReadableStream>
+ * @returns {ReadableStream} 拼接后的流
+ */
+export function concatStreams(sources) {
+  let index = 0;
+  let reader = null;
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        while (true) {
+          if (!reader) {
+            if (index >= sources.length) {
+              controller.close();
+              return;
+            }
+            const stream = await sources[index]();
+            reader = stream.getReader();
+          }
+
+          const { done, value } = await reader.read();
+          if (done) {
+            reader = null;
+            index++;
+            continue;
+          }
+
+          controller.enqueue(value);
+          return;
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+
+    async cancel(reason) {
+      if (reader) {
+        await reader.cancel(reason);
+      }
+    }
+  });
+}
+
+/**
+ * 截取流中的一段字节
+ * 跳过前 skip 个字节后最多输出 length 个字节，读够后取消上游读取
+ * @param {ReadableStream} stream - 源数据流
+ * @param {number} skip - 需要跳过的字节数
+ * @param {number} length - 需要输出的字节数
+ * @returns {ReadableStream} 截取后的流
+ */
+export function sliceStream(stream, skip, length) {
+  const reader = stream.getReader();
+  let toSkip = skip;
+  let remaining = length;
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        while (remaining > 0) {
+          const { done, value } = await reader.read();
+          if (done) {
+            break;
+          }
+
+          let bytes = value;
+          if (toSkip > 0) {
+            if (bytes.length <= toSkip) {
+              toSkip -= bytes.length;
+              continue;
+            }
+            bytes = bytes.subarray(toSkip);
+            toSkip = 0;
+          }
+
+          if (bytes.length > remaining) {
+            bytes = bytes.subarray(0, remaining);
+          }
+          remaining -= bytes.length;
+          controller.enqueue(bytes);
+          if (remaining > 0) {
+            return;
+          }
+        }
+
+        // 已读够所需字节（或上游提前结束），释放上游连接
+        await reader.cancel();
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+
+    async cancel(reason) {
+      await reader.cancel(reason);
+    }
+  });
+}
+
+/**
+ * 把流按固定大小切分
+ * 每次只缓存一块数据，依次产出 chunkSize 字节的块，流结束时产出剩余不足一块的数据（可能为空则不产出）
+ * @param {ReadableStream|null} stream - 源数据流
+ * @param {number} chunkSize - 每块的字节数
+ * @returns {AsyncGenerator<Uint8Array>} 数据块
+ */
+export async function* chunkStream(stream, chunkSize) {
+  if (!stream) {
+    return;
+  }
+
+  const reader = stream.getReader();
+  let buffer = new Uint8Array(chunkSize);
+  let filled = 0;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      let position = 0;
+      while (position < value.length) {
+        const count = Math.min(chunkSize - filled, value.length - position);
+        buffer.set(value.subarray(position, position + count), filled);
+        filled += count;
+        position += count;
+
+        if (filled === chunkSize) {
+          yield buffer;
+          buffer = new Uint8Array(chunkSize);
+          filled = 0;
+        }
+      }
+    }
+
+    if (filled > 0) {
+      yield buffer.subarray(0, filled);
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,14 @@
+// 时间工具模块
+
+/**
+ * 解析数据库中的时间
+ * D1 的 CURRENT_TIMESTAMP 为 UTC 的 "YYYY-MM-DD HH:MM:SS"，不带时区
+ * @param {string|null} value - 数据库中的时间
+ * @returns {Date} 时间，为空时返回 1970-01-01
+ */
+export function parseDbTimestamp(value) {
+  if (!value) {
+    return new Date(0);
+  }
+  return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+}
@@ -0,0 +1,13 @@
+// XML 工具模块
+// S3 兼容接口和 WebDAV 的响应使用
+
+/**
+ * 转义 XML 文本和属性值中的特殊字符
+ * @param {any} value - 原始值
+ * @returns {string} 转义后的字符串
+ */
+export function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  })[char]);
+}
@@ -0,0 +1,185 @@
+// Worker 路由测试：通过 fetch 入口调用接口，Telegram 请求发送到模拟 Bot API
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseService } from '../src/services/database.js';
+import { FakeBotApi } from './fakes/telegramBotApi.js';
+import { createTestDatabase } from './helpers/d1.js';
+import { CHAT_ID, createBotToken, randomBytes } from './helpers/services.js';
+import { importWorker } from './helpers/workers.js';
+
+const ORIGIN = 'https://worker.test';
+const worker = await importWorker();
+
+async function createWorker() {
+  const botApi = new FakeBotApi();
+  const d1 = await createTestDatabase();
+  const env = {
+    DB: d1,
+    JWT_SECRET: 'test-secret',
+    ADMIN_USERNAME: 'admin',
+    ADMIN_PASSWORD: 'secret',
+    TELEGRAM_BOT_TOKEN: createBotToken(),
+    TELEGRAM_CHAT_ID: CHAT_ID,
+    TELEGRAM_API_BASE_URL: botApi.baseUrl
+  };
+  const call = (path, init = {}) => worker.fetch(new Request(`${ORIGIN}${path}`, init), env, {});
+
+  const login = await call('/api/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'secret' })
+  });
+  const { token } = await login.json();
+  currentBotApi = botApi;
+  return { botApi, db: new DatabaseService(d1), call, token };
+}
+
+// Worker 中的 TelegramService 使用全局 fetch，测试期间转发到当前测试的模拟 Bot API
+let originalFetch;
+let currentBotApi = null;
+before(() => {
+  originalFetch = globalThis.fetch;
+  globalThis.fetch = (input, init) => currentBotApi ? currentBotApi.fetch(input, init) : originalFetch(input, init);
+});
+after(() => {
+  globalThis.fetch = originalFetch;
+});
+
+describe('PUT /api/files/stream', () => {
+  async function setup() {
+    const services = await createWorker();
+    const upload = (name, body, headers = {}) => services.call(`/api/files/stream?name=${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      headers: { 'Authorization': `Bearer ${services.token}`, ...headers },
+      body
+    });
+    return { ...services, upload };
+  }
+
+  it('上传文件并记录整个文件的 SHA-256，没有有效 Token 时返回 401', async () => {
+    const { call, upload, db, token } = await setup();
+    assert.ok(token);
+    const data = randomBytes(5000, 91);
+    const response = await upload('a.bin', data, { 'Content-Type': 'application/octet-stream' });
+    assert.equal(response.status, 201);
+    const file = await response.json();
+    assert.equal(file.size, 5000);
+    assert.equal(file.sha256, Buffer.from(await crypto.subtle.digest('SHA-256', data)).toString('hex'));
+
+    const anonymous = await call('/api/files/stream?name=b.bin', { method: 'PUT', body: data });
+    assert.equal(anonymous.status, 401);
+    const forged = await call('/api/files/stream?name=b.bin', {
+      method: 'PUT',
+      headers: { 'Authorization': 'Bearer invalid.token.value' },
+      body: data
+    });
+    assert.equal(forged.status, 401);
+    assert.equal(await db.getFileByName('b.bin', null), null);
+  });
+
+  it('同名文件已存在时返回 409，上传期间出现的同名文件也返回 409 并删除已写入的分片', async () => {
+    const { upload, db, botApi } = await setup();
+    assert.equal((await upload('a.bin', randomBytes(100, 92))).status, 201);
+    const messages = botApi.messages.size;
+
+    const conflict = await upload('a.bin', randomBytes(100, 93));
+    assert.equal(conflict.status, 409);
+    assert.equal(botApi.messages.size, messages);
+
+    // 通过同名检查后、写入分片期间，其他请求创建了同名文件
+    const sendToBotApi = globalThis.fetch;
+    globalThis.fetch = async (input, init) => {
+      if (!(await db.getFileByName('race.bin', null))) {
+        await db.createFile('race.bin', null, 1, 'text/plain');
+      }
+      return sendToBotApi(input, init);
+    };
+    try {
+      const raced = await upload('race.bin', randomBytes(200, 94));
+      assert.equal(raced.status, 409);
+    } finally {
+      globalThis.fetch = sendToBotApi;
+    }
+    assert.equal(botApi.messages.size, messages);
+    assert.equal((await db.getFileByName('race.bin', null)).size, 1);
+  });
+
+  it('请求体与 Content-Length 不符时返回 400，不创建文件', async () => {
+    const { upload, db, botApi } = await setup();
+    const truncated = await upload('short.bin', randomBytes(3000, 95), { 'Content-Length': '5000' });
+    assert.equal(truncated.status, 400);
+    assert.match((await truncated.json()).message, /请求体不完整/);
+    assert.equal(await db.getFileByName('short.bin', null), null);
+    assert.equal(botApi.messages.size, 0);
+
+    const invalid = await upload('bad.bin', randomBytes(10, 96), { 'Content-Length': 'abc' });
+    assert.equal(invalid.status, 400);
+    assert.equal(await db.getFileByName('bad.bin', null), null);
+  });
+
+  it('空请求体创建大小为 0 的文件', async () => {
+    const { upload, botApi } = await setup();
+    const response = await upload('empty.txt', null, { 'Content-Length': '0' });
+    assert.equal(response.status, 201);
+    const file = await response.json();
+    assert.equal(file.size, 0);
+    assert.equal(file.sha256, 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    assert.equal(botApi.messages.size, 0);
+  });
+});
+
+describe('分片上传接口', () => {
+  it('合并时记录整个文件的 SHA-256，下载时通过 Digest 头返回', async () => {
+    const { call, token, db } = await createWorker();
+    const headers = { 'Authorization': `Bearer ${token}` };
+    const json = (body) => ({ method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const data = randomBytes(2500, 97);
+
+    const session = await (await call('/api/uploads', json({ file_name: 'chunked.bin', file_size: data.length, chunk_size: 1000 }))).json();
+    // 分片乱序上传
+    for (const index of [1, 2, 0]) {
+      const form = new FormData();
+      form.append('chunk', new Blob([data.subarray(index * 1000, (index + 1) * 1000)]));
+      form.append('upload_id', session.uploadId);
+      form.append('chunk_index', String(index));
+      assert.equal((await call('/api/files/chunk', { method: 'POST', headers, body: form })).status, 200);
+    }
+
+    const merged = await call('/api/files/merge', json({ upload_id: session.uploadId }));
+    assert.equal(merged.status, 200);
+    const file = await merged.json();
+    const expected = Buffer.from(await crypto.subtle.digest('SHA-256', data));
+    assert.equal(file.sha256, expected.toString('hex'));
+    assert.equal((await db.getFileById(file.id)).sha256, expected.toString('hex'));
+
+    const download = await call(`/api/files/${file.id}/download`, { headers });
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('Digest'), `sha-256=${expected.toString('base64')}`);
+    assert.deepEqual(new Uint8Array(await download.arrayBuffer()), data);
+  });
+});
+
+describe('tus 接口', () => {
+  it('错误响应也带有 Tus-Resumable 头', async () => {
+    const { call, token } = await createWorker();
+    const headers = { 'Authorization': `Bearer ${token}`, 'Tus-Resumable': '1.0.0' };
+
+    const unauthorized = await call('/api/tus/', { method: 'POST', headers: { 'Tus-Resumable': '1.0.0', 'Upload-Length': '10' } });
+    assert.equal(unauthorized.status, 401);
+    assert.equal(unauthorized.headers.get('Tus-Resumable'), '1.0.0');
+
+    const invalid = await call('/api/tus/', { method: 'POST', headers });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.headers.get('Tus-Resumable'), '1.0.0');
+
+    // 会话不存在时由全局错误处理返回 404
+    const missing = await call('/api/tus/upload_missing', {
+      method: 'PATCH',
+      headers: { ...headers, 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' },
+      body: new Uint8Array(10)
+    });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.headers.get('Tus-Resumable'), '1.0.0');
+  });
+});
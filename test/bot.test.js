@@ -0,0 +1,236 @@
+// Telegram Bot Webhook 测试：secret_token 校验、用户白名单、把收到的文件登记到 Inbox 以及浏览和取回文件的命令
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BotService, WEBHOOK_SECRET_HEADER } from '../src/services/bot.js';
+import { createTestServices, randomBytes, readStream } from './helpers/services.js';
+
+const SECRET = 'webhook-secret';
+const USER_ID = 424242;
+
+async function createBot(options = {}, serviceOptions = {}) {
+  const services = await createTestServices(serviceOptions);
+  const bot = new BotService(services.fileService, services.telegram, {
+    webhookSecret: SECRET,
+    allowedUsers: `${USER_ID}, 777`,
+    ...options
+  });
+  const botId = services.tokens[0].split(':')[0];
+  let nextMessageId = 1;
+
+  function message(fields, from = USER_ID) {
+    return {
+      update_id: nextMessageId,
+      message: {
+        message_id: nextMessageId++,
+        date: Date.UTC(2024, 4, 6, 7, 8, 9) / 1000,
+        from: { id: from, is_bot: false, first_name: 'Tester' },
+        chat: { id: from, type: 'private' },
+        ...fields
+      }
+    };
+  }
+
+  function callback(data, from = USER_ID) {
+    const sent = services.botApi.sentMessages.at(-1);
+    return bot.handleUpdate({
+      update_id: nextMessageId++,
+      callback_query: { id: `cb${nextMessageId}`, from: { id: from }, message: sent, data }
+    });
+  }
+
+  async function command(text) {
+    await bot.handleUpdate(message({ text }));
+    return services.botApi.sentMessages.at(-1);
+  }
+
+  return { ...services, bot, botId, message, command, callback };
+}
+
+function uploadBytes(fileService, data, fileName, folderId = null) {
+  return fileService.uploadStream(new Blob([data]).stream(), { fileName, folderId, mimeType: 'application/octet-stream' });
+}
+
+describe('BotService', () => {
+  it('校验 secret_token，未配置时拒绝所有请求', async () => {
+    const { bot, fileService, telegram } = await createBot();
+    const request = (secret) => new Request('https://worker.test/api/telegram/webhook', {
+      method: 'POST',
+      headers: secret ? { [WEBHOOK_SECRET_HEADER]: secret } : {}
+    });
+    assert.equal(bot.verifyWebhook(request(SECRET)), true);
+    assert.equal(bot.verifyWebhook(request('wrong')), false);
+    assert.equal(bot.verifyWebhook(request('webhook-secreT')), false);
+    assert.equal(bot.verifyWebhook(request(`${SECRET}x`)), false);
+    assert.equal(bot.verifyWebhook(request(null)), false);
+
+    const disabled = new BotService(fileService, telegram, {});
+    assert.equal(disabled.verifyWebhook(request(SECRET)), false);
+  });
+
+  it('不在白名单中的用户收到拒绝提示', async () => {
+    const { bot, botApi, botId, db, message } = await createBot();
+    const document = botApi.receiveFile(botId, randomBytes(100, 61));
+    await bot.handleUpdate(message({ document: { ...document, file_name: 'a.txt' } }, 1001));
+
+    assert.equal(await db.getFolderByName('Inbox', null), null);
+    assert.equal(botApi.sentMessages.length, 1);
+    assert.match(botApi.sentMessages[0].text, /1001/);
+  });
+
+  it('文档直接引用已有的 file_id 保存到 Inbox，不重新上传', async () => {
+    const { bot, botApi, botId, db, fileService, message } = await createBot({ inboxFolder: '收件箱' });
+    const data = randomBytes(3000, 62);
+    const document = botApi.receiveFile(botId, data);
+    await bot.handleUpdate(message({ document: { ...document, file_name: 'report.pdf', mime_type: 'application/pdf' } }));
+    await bot.handleUpdate(message({ document: { ...document, file_name: 'report.pdf', mime_type: 'application/pdf' } }));
+
+    const inbox = await db.getFolderByName('收件箱', null);
+    const files = await db.getFilesByFolder(inbox.id);
+    assert.deepEqual(files.map(file => file.name).sort(), ['report (1).pdf', 'report.pdf']);
+    assert.equal(botApi.callCount('sendDocument'), 0);
+
+    const download = await fileService.downloadFile(files[0].id);
+    assert.deepEqual(await readStream(download.stream), data);
+
+    const replies = botApi.sentMessages.filter(sent => sent.botId === botId);
+    assert.equal(replies.length, 2);
+    assert.match(replies[1].text, /report \(1\)\.pdf/);
+    assert.equal(replies[1].params.reply_parameters.message_id, 2);
+
+    // 删除文件不会删除用户私聊中的消息
+    await fileService.deleteFile(files[0].id);
+    assert.equal(botApi.callCount('deleteMessage'), 0);
+  });
+
+  it('图片保存最大的尺寸，其他消息回复使用说明', async () => {
+    const { bot, botApi, botId, db, message } = await createBot();
+    const small = botApi.receiveFile(botId, randomBytes(50, 63));
+    const large = botApi.receiveFile(botId, randomBytes(500, 64));
+    await bot.handleUpdate(message({ photo: [small, large] }));
+
+    const inbox = await db.getFolderByName('Inbox', null);
+    const [photo] = await db.getFilesByFolder(inbox.id);
+    assert.equal(photo.name, 'photo_20240506_070809.jpg');
+    assert.equal(photo.mime_type, 'image/jpeg');
+    assert.equal(photo.size, 500);
+
+    await bot.handleUpdate(message({ text: 'hello' }));
+    assert.match(botApi.sentMessages.at(-1).text, /Inbox/);
+    assert.equal((await db.getFilesByFolder(inbox.id)).length, 1);
+  });
+
+  it('超过 20MB 的文件不登记', async () => {
+    const { bot, botApi, db, message } = await createBot();
+    await bot.handleUpdate(message({ video: { file_id: 'big', file_unique_id: 'big', file_size: 30 * 1024 * 1024 } }));
+    assert.equal((await db.getFolderByName('Inbox', null)), null);
+    assert.match(botApi.sentMessages[0].text, /20MB/);
+  });
+});
+
+describe('Bot 命令', () => {
+  it('创建文件夹、切换目录并分页列出内容', async () => {
+    const { command, callback, db, botApi } = await createBot();
+    assert.match((await command('/mkdir 文档')).text, /已创建文件夹: \/文档/);
+    assert.match((await command('/mkdir /文档/2024')).text, /\/文档\/2024/);
+    assert.match((await command('/mkdir 文档')).text, /已存在/);
+    assert.match((await command('/mkdir /missing/sub')).text, /路径不存在/);
+
+    assert.match((await command('/cd 文档/2024')).text, /当前目录: \/文档\/2024/);
+    assert.match((await command('/cd ..')).text, /当前目录: \/文档$/);
+    const docs = await db.getFolderByName('文档', null);
+    for (let i = 0; i < 25; i++) {
+      await db.createFile(`file-${String(i).padStart(2, '0')}.txt`, docs.id, 10, 'text/plain');
+    }
+
+    const first = await command('/ls');
+    assert.match(first.text, /^📂 \/文档（第 1\/2 页）\n📁 2024\//);
+    assert.equal(first.text.split('\n').length, 21);
+    assert.deepEqual(first.params.reply_markup.inline_keyboard[0].map(button => button.callback_data), [`ls:${docs.id}:1`]);
+
+    await callback(`ls:${docs.id}:1`);
+    assert.match(first.text, /^📂 \/文档（第 2\/2 页）/);
+    assert.match(first.text, /file-24\.txt/);
+    assert.equal(botApi.callCount('answerCallbackQuery'), 1);
+
+    assert.match((await command('/ls /')).text, /📁 文档\//);
+    assert.match((await command('/cd')).text, /当前目录: \/$/);
+    assert.match((await command('/find FILE-0')).text, /\/文档\/file-00\.txt/);
+  });
+
+  it('/get 通过 file_id 重新发送分片，其他 Bot 的分片从存储聊天复制', async () => {
+    const { command, fileService, botApi, botId } = await createBot({}, { bots: 2, chunkSize: 1000 });
+    const data = randomBytes(3500, 65);
+    const file = await uploadBytes(fileService, data, 'backup.bin');
+
+    await command(`/get ${file.id}`);
+    const sent = botApi.sentMessages.filter(message => message.document);
+    assert.equal(sent.length, 4);
+    assert.ok(sent.every(message => message.botId === botId));
+    assert.ok(botApi.callCount('copyMessage') > 0);
+    assert.match(sent[3].caption, /第 4\/4 部分/);
+
+    const parts = sent.map(message => botApi.files.get(message.document.file_unique_id).data);
+    assert.deepEqual(Buffer.concat(parts), Buffer.from(data));
+
+    assert.match((await command('/get missing.bin')).text, /路径不存在/);
+    assert.match((await command('/get')).text, /用法/);
+  });
+
+  it('/rm 确认后删除，未授权用户不能操作按钮', async () => {
+    const { command, callback, fileService, db, botApi } = await createBot();
+    await command('/mkdir 临时');
+    await command('/cd 临时');
+    await uploadBytes(fileService, randomBytes(500, 66), 'a.bin', (await db.getFolderByName('临时', null)).id);
+
+    const confirm = await command('/rm /临时');
+    assert.match(confirm.text, /确认删除文件夹「\/临时」/);
+    await callback(confirm.params.reply_markup.inline_keyboard[0][0].callback_data, 1001);
+    assert.ok(await db.getFolderByName('临时', null));
+
+    await callback(confirm.params.reply_markup.inline_keyboard[0][0].callback_data);
+    assert.match(confirm.text, /已删除文件夹/);
+    assert.equal(await db.getFolderByName('临时', null), null);
+    assert.equal(botApi.messages.size, 0);
+    // 当前目录被删除后回到根目录
+    assert.match((await command('/ls')).text, /^📂 \/\n/);
+
+    assert.match((await command('/rm 9999')).text, /文件不存在/);
+  });
+
+  it('/import 收集转发的文档，预览后确认导入到当前目录', async () => {
+    const { bot, command, callback, message, botApi, botId, db, fileService } = await createBot();
+    await command('/mkdir 归档');
+    await command('/cd 归档');
+    assert.match((await command('/import')).text, /已进入导入模式/);
+
+    const data = randomBytes(1800, 67);
+    const forwarded = [
+      { ...botApi.receiveFile(botId, data.subarray(0, 1000)), file_name: 'db.sql.part000' },
+      { ...botApi.receiveFile(botId, data.subarray(1000)), file_name: 'db.sql.part001' },
+      { ...botApi.receiveFile(botId, randomBytes(10, 68)), file_name: 'lost.zip.part001' }
+    ];
+    const repliesBefore = botApi.sentMessages.length;
+    for (const document of forwarded) {
+      await bot.handleUpdate(message({ document, forward_origin: { type: 'channel', message_id: 1 } }));
+    }
+    assert.equal(botApi.sentMessages.length, repliesBefore);
+
+    const preview = await command('/import');
+    assert.match(preview.text, /目标文件夹: \/归档/);
+    assert.match(preview.text, /将导入 1 个文件（其中 1 个由分片合并）/);
+    assert.match(preview.text, /lost\.zip（只有一个分片）/);
+    const folder = await db.getFolderByName('归档', null);
+    assert.equal((await db.getFilesByFolder(folder.id)).length, 0);
+
+    await callback('import:commit');
+    assert.match(preview.text, /已导入 1 个文件到 \/归档/);
+    const [file] = await db.getFilesByFolder(folder.id);
+    assert.equal(file.name, 'db.sql');
+    assert.deepEqual(await readStream((await fileService.downloadFile(file.id)).stream), data);
+
+    // 退出导入模式后文档重新保存到 Inbox
+    await bot.handleUpdate(message({ document: { ...botApi.receiveFile(botId, randomBytes(10, 69)), file_name: 'x.txt' } }));
+    assert.ok(await db.getFolderByName('Inbox', null));
+  });
+});
@@ -0,0 +1,9 @@
+// 模拟 cloudflare:workers 内置模块
+// Workers 运行时提供该模块，Node 中没有；测试导入 src/index.js 时由 test/helpers/workers.js 解析到这里
+
+export class DurableObject {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+}
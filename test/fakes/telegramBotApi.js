@@ -0,0 +1,401 @@
+// 模拟 Telegram Bot API
+// 在内存中实现存储功能用到的 Bot API 方法和文件下载路径，供测试通过 TelegramService 的 fetch 注入使用，无需联网
+
+// Bot API 的 getFile 只能获取 20MB 以内的文件
+const MAX_DOWNLOAD_SIZE = 20 * 1024 * 1024;
+
+/**
+ * 模拟 Bot API 类
+ */
+export class FakeBotApi {
+  /**
+   * @param {Object} options - 可选配置
+   * @param {string} options.baseUrl - 模拟服务的地址，传给 TelegramService 的 apiBaseUrl
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || 'https://telegram.test';
+    // 存储聊天中的消息，键为 `${chatId}:${messageId}`
+    this.messages = new Map();
+    // Bot 发出的文本消息
+    this.sentMessages = [];
+    // 文件内容，键为 file_unique_id
+    this.files = new Map();
+    // 已失效的 Bot Token，请求会返回 401
+    this.revokedTokens = new Set();
+    // 注入的错误，按方法名排队，每次请求消耗一个
+    this.faults = new Map();
+    // 所有请求的记录 { method, botId }
+    this.calls = [];
+    this.nextMessageId = 1;
+    this.nextFileId = 1;
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * 让指定方法的下一次请求失败
+   * @param {string} method - API 方法名，文件下载为 'download'
+   * @param {Object} fault - 错误信息
+   * @param {number} fault.status - 错误码
+   * @param {string} fault.description - 错误描述
+   * @param {number|null} fault.retryAfter - 429 时的 retry_after（秒）
+   * @param {boolean} fault.lostResponse - 为 true 时正常处理请求但连接在返回响应前断开（fetch 抛出网络错误）
+   */
+  failNext(method, { status = 500, description = 'Internal Server Error', retryAfter = null, lostResponse = false } = {}) {
+    if (!this.faults.has(method)) {
+      this.faults.set(method, []);
+    }
+    this.faults.get(method).push({ status, description, retryAfter, lostResponse });
+  }
+
+  /**
+   * 让 Bot Token 失效，之后该 Bot 的所有请求都返回 401
+   * @param {string} token - Bot Token
+   */
+  revokeToken(token) {
+    this.revokedTokens.add(token);
+  }
+
+  /**
+   * 删除文件内容但保留消息，模拟 Telegram 端丢失文件
+   * @param {string} fileId - file_id
+   */
+  loseFile(fileId) {
+    this.files.delete(uniqueIdOf(fileId));
+  }
+
+  /**
+   * 更换所有文件的下载路径，模拟 file_path 过期，旧路径下载返回 404
+   */
+  expireFilePaths() {
+    for (const [uniqueId, file] of this.files) {
+      file.path = `documents/file_${uniqueId}_${this.nextFileId++}`;
+    }
+  }
+
+  /**
+   * 模拟用户把文件发给 Bot，返回消息中的文件对象
+   * @param {string} botId - 收到文件的 Bot ID，file_id 只对该 Bot 有效
+   * @param {Uint8Array} data - 文件内容
+   * @returns {Object} { file_id, file_unique_id, file_size }
+   */
+  receiveFile(botId, data) {
+    const uniqueId = `u${this.nextFileId++}`;
+    this.files.set(uniqueId, { data, path: `documents/file_${uniqueId}` });
+    return { file_id: `${botId}_${uniqueId}`, file_unique_id: uniqueId, file_size: data.length };
+  }
+
+  /**
+   * 模拟频道中已有的文件消息，返回消息对象
+   * @param {string} chatId - 聊天ID
+   * @param {string} fileName - 文件名
+   * @param {Uint8Array} data - 文件内容
+   * @returns {Object} 消息
+   */
+  postDocument(chatId, fileName, data) {
+    const uniqueId = `u${this.nextFileId++}`;
+    this.files.set(uniqueId, { data, path: `documents/file_${uniqueId}` });
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(chatId), type: 'channel' },
+      document: { file_id: `channel_${uniqueId}`, file_unique_id: uniqueId, file_name: fileName, file_size: data.length }
+    };
+    this.messages.set(`${chatId}:${message.message_id}`, { ...message, botId: null });
+    return message;
+  }
+
+  /**
+   * 统计某个方法被调用的次数
+   * @param {string} method - API 方法名
+   * @returns {number}
+   */
+  callCount(method) {
+    return this.calls.filter(call => call.method === method).length;
+  }
+
+  /**
+   * 处理请求，签名与全局 fetch 相同
+   * @param {string|Request} input - 请求地址
+   * @param {Object} init - 请求选项
+   * @returns {Promise<Response>}
+   */
+  async fetch(input, init = {}) {
+    const request = new Request(input, init);
+    const url = new URL(request.url);
+    if (`${url.protocol}//${url.host}` !== new URL(this.baseUrl).origin) {
+      throw new TypeError(`模拟 Bot API 不处理此地址: ${request.url}`);
+    }
+
+    const fileMatch = url.pathname.match(/^\/file\/bot([^/]+)\/(.+)$/);
+    if (fileMatch) {
+      return this.handleDownload(fileMatch[1], fileMatch[2]);
+    }
+
+    const apiMatch = url.pathname.match(/^\/bot([^/]+)\/([A-Za-z]+)$/);
+    if (!apiMatch) {
+      return apiError(404, 'Not Found');
+    }
+
+    const [, token, method] = apiMatch;
+    const botId = token.split(':')[0];
+    this.calls.push({ method, botId });
+
+    if (this.revokedTokens.has(token)) {
+      return apiError(401, 'Unauthorized');
+    }
+
+    const fault = this.takeFault(method);
+    if (fault && !fault.lostResponse) {
+      return apiError(fault.status, fault.description, fault.retryAfter);
+    }
+
+    const response = await this.dispatch(botId, method, await readParams(request));
+    if (fault) {
+      throw new TypeError('Network connection lost');
+    }
+    return response;
+  }
+
+  dispatch(botId, method, params) {
+    switch (method) {
+      case 'getMe':
+        return apiResult({ id: Number(botId), is_bot: true, first_name: `Bot ${botId}`, username: `bot${botId}_bot` });
+      case 'sendDocument':
+        return this.sendDocument(botId, params);
+      case 'sendMessage':
+        return this.sendMessage(botId, params);
+      case 'editMessageText':
+        return this.editMessageText(botId, params);
+      case 'answerCallbackQuery':
+        return apiResult(true);
+      case 'copyMessage':
+        return this.copyMessage(botId, params);
+      case 'forwardMessage':
+        return this.forwardMessage(botId, params);
+      case 'getFile':
+        return this.getFile(params);
+      case 'deleteMessage':
+        return this.deleteMessage(params);
+      default:
+        return apiError(404, 'Not Found: method not found');
+    }
+  }
+
+  async sendDocument(botId, params) {
+    const document = params.document;
+    if (typeof document === 'string') {
+      return this.resendDocument(botId, params);
+    }
+    if (!params.chat_id || !document) {
+      return apiError(400, 'Bad Request: there is no document in the request');
+    }
+
+    const data = new Uint8Array(await document.arrayBuffer());
+    const uniqueId = `u${this.nextFileId++}`;
+    const fileId = `${botId}_${uniqueId}`;
+    this.files.set(uniqueId, { data, path: `documents/file_${uniqueId}` });
+
+    const chatId = String(params.chat_id);
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(chatId), type: 'supergroup' },
+      document: {
+        file_id: fileId,
+        file_unique_id: uniqueId,
+        file_name: document.name || 'document',
+        file_size: data.length
+      }
+    };
+    this.messages.set(`${chatId}:${message.message_id}`, { ...message, botId });
+    return apiResult(message);
+  }
+
+  /**
+   * 通过 file_id 发送文件，file_id 只对获取它的 Bot 有效
+   */
+  resendDocument(botId, params) {
+    const uniqueId = uniqueIdOf(params.document);
+    if (!params.document.startsWith(`${botId}_`) || !this.files.has(uniqueId)) {
+      return apiError(400, 'Bad Request: wrong file identifier/HTTP URL specified');
+    }
+
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(params.chat_id), type: 'private' },
+      document: { file_id: params.document, file_unique_id: uniqueId, file_size: this.files.get(uniqueId).data.length },
+      caption: params.caption
+    };
+    this.sentMessages.push({ ...message, botId, params });
+    return apiResult(message);
+  }
+
+  copyMessage(botId, params) {
+    const source = this.messages.get(`${params.from_chat_id}:${params.message_id}`);
+    if (!source) {
+      return apiError(400, 'Bad Request: message to copy not found');
+    }
+
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(params.chat_id), type: 'private' },
+      document: source.document,
+      caption: params.caption
+    };
+    this.sentMessages.push({ ...message, botId, params });
+    return apiResult({ message_id: message.message_id });
+  }
+
+  /**
+   * 转发消息，文件消息的 file_id 换成转发它的 Bot 的 file_id
+   */
+  forwardMessage(botId, params) {
+    const source = this.messages.get(`${params.from_chat_id}:${params.message_id}`);
+    if (!source) {
+      return apiError(400, 'Bad Request: message to forward not found');
+    }
+
+    const chatId = String(params.chat_id);
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(chatId), type: 'supergroup' },
+      forward_origin: { type: 'channel', chat: { id: Number(params.from_chat_id) }, message_id: source.message_id }
+    };
+    if (source.document) {
+      message.document = { ...source.document, file_id: `${botId}_${source.document.file_unique_id}` };
+    }
+    this.messages.set(`${chatId}:${message.message_id}`, { ...message, botId });
+    return apiResult(message);
+  }
+
+  editMessageText(botId, params) {
+    const message = this.sentMessages.find(sent =>
+      String(sent.chat.id) === String(params.chat_id) && sent.message_id === Number(params.message_id));
+    if (!message || message.botId !== botId) {
+      return apiError(400, 'Bad Request: message to edit not found');
+    }
+    if (message.text === params.text) {
+      return apiError(400, 'Bad Request: message is not modified');
+    }
+
+    message.text = params.text;
+    message.params = { ...message.params, reply_markup: params.reply_markup };
+    return apiResult({ message_id: message.message_id, chat: message.chat, text: message.text });
+  }
+
+  sendMessage(botId, params) {
+    if (!params.chat_id || !params.text) {
+      return apiError(400, 'Bad Request: message text is empty');
+    }
+
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(params.chat_id), type: 'private' },
+      text: params.text
+    };
+    this.sentMessages.push({ ...message, botId, params });
+    return apiResult(message);
+  }
+
+  getFile(params) {
+    const uniqueId = uniqueIdOf(params.file_id);
+    const file = uniqueId ? this.files.get(uniqueId) : null;
+    if (!file) {
+      return apiError(400, 'Bad Request: wrong file_id or the file is temporarily unavailable');
+    }
+    if (file.data.length > MAX_DOWNLOAD_SIZE) {
+      return apiError(400, 'Bad Request: file is too big');
+    }
+
+    return apiResult({
+      file_id: params.file_id,
+      file_unique_id: uniqueId,
+      file_size: file.data.length,
+      file_path: file.path
+    });
+  }
+
+  deleteMessage(params) {
+    const key = `${params.chat_id}:${params.message_id}`;
+    const message = this.messages.get(key);
+    if (!message) {
+      return apiError(400, 'Bad Request: message to delete not found');
+    }
+
+    this.messages.delete(key);
+    // 测试中把删除消息视为删除文件，便于断言分片数据已被清理
+    if (message.document) {
+      this.files.delete(message.document.file_unique_id);
+    }
+    return apiResult(true);
+  }
+
+  handleDownload(token, path) {
+    this.calls.push({ method: 'download', botId: token.split(':')[0] });
+    if (this.revokedTokens.has(token)) {
+      return new Response('Unauthorized', { status: 401 });
+    }
+
+    const fault = this.takeFault('download');
+    if (fault) {
+      return new Response(fault.description, { status: fault.status });
+    }
+
+    for (const file of this.files.values()) {
+      if (file.path === path) {
+        return new Response(file.data.slice(), {
+          headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': String(file.data.length) }
+        });
+      }
+    }
+    return new Response('Not Found', { status: 404 });
+  }
+
+  takeFault(method) {
+    const queue = this.faults.get(method);
+    return queue && queue.length > 0 ? queue.shift() : null;
+  }
+}
+
+/**
+ * 读取 API 请求参数（multipart 表单、JSON 或查询字符串）
+ */
+async function readParams(request) {
+  const params = Object.fromEntries(new URL(request.url).searchParams);
+  if (request.method !== 'POST') {
+    return params;
+  }
+
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) {
+    const formData = await request.formData();
+    for (const [key, value] of formData) {
+      params[key] = value;
+    }
+  } else if (contentType.includes('application/json')) {
+    Object.assign(params, await request.json());
+  }
+  return params;
+}
+
+function uniqueIdOf(fileId) {
+  const match = String(fileId || '').match(/_(u\d+)$/);
+  return match ? match[1] : null;
+}
+
+function apiResult(result) {
+  return Response.json({ ok: true, result });
+}
+
+function apiError(status, description, retryAfter = null) {
+  const body = { ok: false, error_code: status, description };
+  if (retryAfter != null) {
+    body.parameters = { retry_after: retryAfter };
+  }
+  return Response.json(body, { status });
+}
@@ -0,0 +1,293 @@
+// FileService 上传、合并、下载和删除流程测试（Telegram 使用模拟 Bot API，D1 使用内存数据库）
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { UploadSessionError } from '../src/services/file.js';
+import { sha256Hex } from '../src/utils/digest.js';
+import { createTestServices, randomBytes, readStream } from './helpers/services.js';
+
+const CHUNK_SIZE = 64 * 1024;
+
+describe('FileService', () => {
+  it('按分片上传文件并完整下载', async () => {
+    const { botApi, fileService, db } = await createTestServices();
+    const data = randomBytes(CHUNK_SIZE * 2 + 1000);
+
+    const uploaded = await fileService.uploadFile(new File([data], 'data.bin'), null);
+    assert.equal(uploaded.size, data.length);
+    assert.equal(uploaded.chunks.length, 3);
+    assert.equal(botApi.callCount('sendDocument'), 3);
+
+    const chunks = await db.getFileChunks(uploaded.id);
+    assert.deepEqual(chunks.map(chunk => chunk.size), [CHUNK_SIZE, CHUNK_SIZE, 1000]);
+    assert.ok(chunks.every(chunk => chunk.telegram_message_id && chunk.chunk_hash));
+
+    const download = await fileService.downloadFile(uploaded.id);
+    assert.equal(download.size, data.length);
+    assert.ok(download.sha256);
+    assert.deepEqual(await readStream(download.stream), data);
+  });
+
+  it('下载跨分片的字节区间', async () => {
+    const { fileService } = await createTestServices();
+    const data = randomBytes(CHUNK_SIZE * 3, 2);
+    const uploaded = await fileService.uploadFile(new File([data], 'range.bin'), null);
+
+    const start = CHUNK_SIZE - 10;
+    const end = CHUNK_SIZE * 2 + 10;
+    const download = await fileService.downloadFile(uploaded.id, [{ start, end }]);
+    assert.deepEqual(await readStream(download.stream), data.subarray(start, end + 1));
+  });
+
+  it('分片上传后合并为文件', async () => {
+    const { botApi, fileService, db } = await createTestServices();
+    const data = randomBytes(CHUNK_SIZE * 2 + 500, 3);
+    const session = await fileService.createUploadSession({ fileName: 'merged.bin', fileSize: data.length, chunkSize: CHUNK_SIZE });
+    assert.equal(session.totalChunks, 3);
+
+    // 分片可以乱序上传
+    for (const i of [2, 0, 1]) {
+      await fileService.uploadFileChunk(new Blob([data.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE)]), session.uploadId, i);
+    }
+    assert.equal((await db.getTempChunks(session.uploadId)).length, 3);
+
+    const merged = await fileService.mergeFileChunks(session.uploadId);
+    assert.equal(merged.name, 'merged.bin');
+    assert.equal(merged.size, data.length);
+    assert.equal(merged.mime_type, 'application/octet-stream');
+    // 乱序上传的分片在合并时按文件中的顺序读回，计算整个文件的 SHA-256
+    assert.equal(botApi.callCount('getFile'), 3);
+    assert.equal(merged.sha256, await sha256Hex(data));
+    assert.equal((await db.getTempChunks(session.uploadId)).length, 0);
+    assert.equal((await db.getUploadSession(session.uploadId)).file_id, merged.id);
+    // 重复合并返回同一个文件
+    assert.equal((await fileService.mergeFileChunks(session.uploadId)).id, merged.id);
+
+    const download = await fileService.downloadFile(merged.id);
+    assert.deepEqual(await readStream(download.stream), data);
+
+    const report = await fileService.verifyFile(merged.id);
+    assert.equal(report.ok, true);
+    assert.equal(report.sha256.actual, merged.sha256);
+  });
+
+  it('查询分片上传进度，重复上传的分片不再写入存储', async () => {
+    const { botApi, fileService, db } = await createTestServices();
+    const data = randomBytes(CHUNK_SIZE + 100, 10);
+    const { uploadId } = await fileService.createUploadSession({ fileName: 'resume.bin', fileSize: data.length, chunkSize: CHUNK_SIZE });
+    const parts = [data.subarray(0, CHUNK_SIZE), data.subarray(CHUNK_SIZE)];
+
+    const first = await fileService.uploadFileChunk(new Blob([parts[0]]), uploadId, 0);
+    const status = await fileService.getUploadStatus(uploadId);
+    assert.equal(status.exists, true);
+    assert.equal(status.totalChunks, 2);
+    assert.deepEqual(status.chunkIndexes, [0]);
+    assert.equal(status.uploadedBytes, CHUNK_SIZE);
+    assert.equal((await fileService.getUploadStatus('upload-missing')).exists, false);
+
+    // 响应丢失后客户端重试同一个分片
+    const retried = await fileService.uploadFileChunk(new Blob([parts[0]]), uploadId, 0);
+    assert.equal(retried.chunkId, first.chunkId);
+    assert.equal(botApi.callCount('sendDocument'), 1);
+    assert.equal((await db.getTempChunks(uploadId)).length, 1);
+
+    await fileService.uploadFileChunk(new Blob([parts[1]]), uploadId, 1);
+    const merged = await fileService.mergeFileChunks(uploadId);
+    assert.deepEqual(await readStream((await fileService.downloadFile(merged.id)).stream), data);
+  });
+
+  it('缺少分片时拒绝合并并保留已上传的分片', async () => {
+    const { fileService, db } = await createTestServices();
+    const { uploadId } = await fileService.createUploadSession({ fileName: 'short.bin', fileSize: 300, chunkSize: 100 });
+    await fileService.uploadFileChunk(new Blob([randomBytes(100)]), uploadId, 0);
+    await fileService.uploadFileChunk(new Blob([randomBytes(100, 2)]), uploadId, 2);
+
+    await assert.rejects(fileService.mergeFileChunks(uploadId), (error) => {
+      assert.ok(error instanceof UploadSessionError);
+      assert.match(error.message, /缺少 1 个分片: 1/);
+      return true;
+    });
+    assert.equal((await db.getTempChunks(uploadId)).length, 2);
+  });
+
+  it('分片与会话声明的大小不符时拒绝上传', async () => {
+    const { botApi, fileService } = await createTestServices();
+    const { uploadId } = await fileService.createUploadSession({ fileName: 'size.bin', fileSize: 250, chunkSize: 100 });
+
+    await assert.rejects(fileService.uploadFileChunk(new Blob([randomBytes(99)]), uploadId, 0), /分片 0 大小不匹配/);
+    await assert.rejects(fileService.uploadFileChunk(new Blob([randomBytes(100)]), uploadId, 2), /分片 2 大小不匹配，期望: 50/);
+    await assert.rejects(fileService.uploadFileChunk(new Blob([randomBytes(50)]), uploadId, 3), /分片索引超出范围/);
+    await assert.rejects(
+      fileService.uploadFileChunk(new Blob([randomBytes(100)]), 'upload-unknown', 0),
+      (error) => error instanceof UploadSessionError && error.status === 404
+    );
+    assert.equal(botApi.callCount('sendDocument'), 0);
+  });
+
+  it('删除文件时删除 Telegram 消息', async () => {
+    const { botApi, fileService, db } = await createTestServices();
+    const uploaded = await fileService.uploadFile(new File([randomBytes(CHUNK_SIZE + 1, 4)], 'delete.bin'), null);
+    assert.equal(botApi.messages.size, 2);
+
+    const result = await fileService.deleteFile(uploaded.id);
+    assert.equal(result.deletedChunks, 2);
+    assert.equal(result.failedChunks, 0);
+    assert.equal(botApi.messages.size, 0);
+    assert.equal(await db.getFileById(uploaded.id), null);
+    assert.equal((await db.getFileChunks(uploaded.id)).length, 0);
+  });
+
+  it('相同内容的分片只上传一次，删除时保留仍被引用的分片', async () => {
+    const { botApi, fileService } = await createTestServices();
+    const data = randomBytes(CHUNK_SIZE, 5);
+
+    const first = await fileService.uploadFile(new File([data], 'a.bin'), null);
+    const second = await fileService.uploadFile(new File([data], 'b.bin'), null);
+    assert.equal(botApi.callCount('sendDocument'), 1);
+
+    const deleted = await fileService.deleteFile(first.id);
+    assert.equal(deleted.sharedChunks, 1);
+    assert.equal(botApi.messages.size, 1);
+
+    const download = await fileService.downloadFile(second.id);
+    assert.deepEqual(await readStream(download.stream), data);
+
+    await fileService.deleteFile(second.id);
+    assert.equal(botApi.messages.size, 0);
+  });
+
+  it('创建文件记录失败时删除已写入的分片并恢复去重引用', async () => {
+    const { botApi, fileService, d1 } = await createTestServices();
+    const data = randomBytes(CHUNK_SIZE * 2, 14);
+    const refCounts = async () => (await d1.prepare('SELECT hash, ref_count FROM chunk_hashes ORDER BY hash').all()).results;
+
+    const file = await fileService.uploadFile(new File([data], 'a.bin'), null);
+    const before = await refCounts();
+    assert.equal(botApi.messages.size, 2);
+
+    // 相同内容（复用已有分片）和不同内容的同名文件都无法创建记录
+    await assert.rejects(fileService.uploadFile(new File([data], 'a.bin'), null), /same name/);
+    await assert.rejects(fileService.uploadFile(new File([randomBytes(CHUNK_SIZE, 15)], 'a.bin'), null), /same name/);
+    assert.deepEqual(await refCounts(), before);
+    assert.equal(botApi.messages.size, 2);
+
+    await fileService.deleteFile(file.id);
+    assert.equal(botApi.messages.size, 0);
+    assert.deepEqual(await refCounts(), []);
+  });
+
+  it('合并时创建分片记录失败不留下文件记录', async () => {
+    const { fileService, db } = await createTestServices();
+    const data = randomBytes(CHUNK_SIZE * 2, 16);
+    const { uploadId } = await fileService.createUploadSession({ fileName: 'partial.bin', fileSize: data.length, chunkSize: CHUNK_SIZE });
+    for (const i of [0, 1]) {
+      await fileService.uploadFileChunk(new Blob([data.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE)]), uploadId, i);
+    }
+
+    const createFileChunk = db.createFileChunk;
+    let calls = 0;
+    db.createFileChunk = async (...args) => {
+      if (++calls === 2) {
+        throw new Error('D1 unavailable');
+      }
+      return createFileChunk.apply(db, args);
+    };
+    await assert.rejects(fileService.mergeFileChunks(uploadId), /D1 unavailable/);
+    assert.equal(await db.getFileByName('partial.bin', null), null);
+  });
+
+  it('清理失败的上传时删除已上传的分片', async () => {
+    const { botApi, fileService, db } = await createTestServices();
+    const { uploadId } = await fileService.createUploadSession({ fileName: 'failed.bin', fileSize: 200, chunkSize: 100 });
+    await fileService.uploadFileChunk(new Blob([randomBytes(100, 6)]), uploadId, 0);
+    assert.equal(botApi.messages.size, 1);
+
+    const result = await fileService.cleanupFailedUpload(uploadId);
+    assert.equal(result.success, true);
+    assert.equal(result.deletedChunks, 1);
+    assert.equal(botApi.messages.size, 0);
+    assert.equal((await db.getTempChunks(uploadId)).length, 0);
+    assert.equal(await db.getUploadSession(uploadId), null);
+  });
+
+  it('压缩可压缩的内容并透明解压', async () => {
+    const { fileService } = await createTestServices();
+    const text = 'timestamp=2025-01-01 level=info message="hello"\n'.repeat(4000);
+    const data = new TextEncoder().encode(text);
+
+    const uploaded = await fileService.uploadFile(new File([data], 'app.log', { type: 'text/plain' }), null);
+    assert.equal(uploaded.compression, 'gzip');
+    assert.equal(uploaded.size, data.length);
+    assert.ok(uploaded.stored_size < data.length / 10);
+
+    const download = await fileService.downloadFile(uploaded.id, [{ start: 100000, end: 100099 }]);
+    assert.equal(new TextDecoder().decode(await readStream(download.stream)), text.slice(100000, 100100));
+  });
+
+  it('服务端加密的文件可以下载和校验', async () => {
+    const masterKeys = { k1: Buffer.from(randomBytes(32, 7)).toString('base64') };
+    const { botApi, fileService } = await createTestServices({ encryption: { masterKeys, activeKeyId: 'k1' } });
+    const data = randomBytes(CHUNK_SIZE + 10, 8);
+
+    const uploaded = await fileService.uploadFile(new File([data], 'secret.bin'), null);
+    assert.equal(uploaded.sse_key_id, 'k1');
+    // 存储的分片是密文
+    const stored = [...botApi.files.values()][0].data;
+    assert.notDeepEqual(stored.subarray(12, 44), data.subarray(0, 32));
+
+    const download = await fileService.downloadFile(uploaded.id);
+    assert.deepEqual(await readStream(download.stream), data);
+    assert.equal((await fileService.verifyFile(uploaded.id)).ok, true);
+  });
+
+  it('校验时报告无法读取的分片', async () => {
+    const { botApi, fileService } = await createTestServices();
+    const uploaded = await fileService.uploadFile(new File([randomBytes(CHUNK_SIZE * 2, 9)], 'lost.bin'), null);
+    assert.equal((await fileService.verifyFile(uploaded.id)).ok, true);
+
+    botApi.loseFile(uploaded.chunks[1].telegram_file_id);
+    const report = await fileService.verifyFile(uploaded.id);
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.chunks.map(chunk => chunk.status), ['ok', 'unreachable']);
+  });
+
+  it('校验时报告所有缺少的分片记录', async () => {
+    const { d1, fileService } = await createTestServices();
+    const uploaded = await fileService.uploadFile(new File([randomBytes(CHUNK_SIZE * 5, 13)], 'gaps.bin'), null);
+    await d1.prepare('DELETE FROM file_chunks WHERE file_id = ? AND chunk_index IN (1, 3)').bind(uploaded.id).run();
+
+    const report = await fileService.verifyFile(uploaded.id);
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.missingChunks, [1, 3]);
+    assert.deepEqual(report.chunks.map(chunk => [chunk.chunkIndex, chunk.status]), [[0, 'ok'], [2, 'ok'], [4, 'ok']]);
+    assert.equal(report.sha256.actual, null);
+  });
+
+  it('流式上传边读边写入分片，不需要预先知道大小', async () => {
+    const { botApi, fileService, db } = await createTestServices();
+    const data = randomBytes(CHUNK_SIZE * 3 + 500, 12);
+    const pieceSize = 10000;
+    const sentBeforeEnd = [];
+    let offset = 0;
+    const stream = new ReadableStream({
+      pull(controller) {
+        if (offset >= data.length) {
+          sentBeforeEnd.push(botApi.callCount('sendDocument'));
+          controller.close();
+          return;
+        }
+        controller.enqueue(data.slice(offset, offset + pieceSize));
+        offset += pieceSize;
+      }
+    });
+
+    const uploaded = await fileService.uploadStream(stream, { fileName: 'stream.bin', folderId: null, mimeType: 'application/octet-stream' });
+    // 读完请求体之前，已凑满的分片已经写入 Telegram（数据流会预读一段，最后一个满分片可能仍在上传）
+    assert.ok(sentBeforeEnd[0] >= 2);
+    assert.equal(botApi.callCount('sendDocument'), 4);
+    assert.equal(uploaded.size, data.length);
+    assert.deepEqual((await db.getFileChunks(uploaded.id)).map(chunk => chunk.size), [CHUNK_SIZE, CHUNK_SIZE, CHUNK_SIZE, 500]);
+    assert.deepEqual(await readStream((await fileService.downloadFile(uploaded.id)).stream), data);
+    assert.equal((await db.getTempChunks(uploaded.id)).length, 0);
+  });
+});
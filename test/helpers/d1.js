@@ -0,0 +1,149 @@
+// D1 数据库适配器
+// 用 sql.js（编译为 WebAssembly 的 SQLite）实现测试用到的 D1 绑定接口，并按 schema.sql 初始化表结构
+
+import { readFile } from 'node:fs/promises';
+import initSqlJs from 'sql.js';
+
+const SCHEMA_URL = new URL('../../schema.sql', import.meta.url);
+
+let sqlJsPromise = null;
+
+/**
+ * 创建已初始化表结构的内存数据库
+ * @returns {Promise<D1Database>} 与 Workers 中 env.DB 接口相同的对象
+ */
+export async function createTestDatabase() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = initSqlJs();
+  }
+  const SQL = await sqlJsPromise;
+  const sqlite = new SQL.Database();
+  // D1 默认启用外键约束
+  sqlite.run('PRAGMA foreign_keys = ON');
+  sqlite.exec(await readFile(SCHEMA_URL, 'utf8'));
+  return new D1Database(sqlite);
+}
+
+/**
+ * D1 数据库
+ */
+export class D1Database {
+  constructor(sqlite) {
+    this.sqlite = sqlite;
+  }
+
+  prepare(sql) {
+    return new D1PreparedStatement(this, sql);
+  }
+
+  /**
+   * 在一个事务中依次执行多条语句，任意一条失败时全部回滚
+   */
+  async batch(statements) {
+    this.sqlite.run('BEGIN');
+    try {
+      const results = statements.map(statement => statement.execute());
+      this.sqlite.run('COMMIT');
+      return results;
+    } catch (error) {
+      this.sqlite.run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async exec(sql) {
+    this.sqlite.exec(sql);
+    return { count: 1, duration: 0 };
+  }
+}
+
+/**
+ * D1 预处理语句
+ */
+class D1PreparedStatement {
+  constructor(database, sql, params = []) {
+    this.database = database;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...values) {
+    return new D1PreparedStatement(this.database, this.sql, values.map(toSqlValue));
+  }
+
+  async first(column) {
+    const row = this.execute().results[0];
+    if (!row) {
+      return null;
+    }
+    return column ? row[column] : row;
+  }
+
+  async all() {
+    return this.execute();
+  }
+
+  async run() {
+    return this.execute();
+  }
+
+  async raw() {
+    return this.execute().results.map(row => Object.values(row));
+  }
+
+  execute() {
+    const sqlite = this.database.sqlite;
+    const changesBefore = totalChanges(sqlite);
+    const statement = sqlite.prepare(this.sql);
+    const results = [];
+    try {
+      statement.bind(this.params);
+      while (statement.step()) {
+        results.push(fromSqlRow(statement.getAsObject()));
+      }
+    } finally {
+      statement.free();
+    }
+
+    // getRowsModified 在 SELECT 之后仍返回上一条写语句的结果，用总修改数的差值代替
+    const changes = totalChanges(sqlite) - changesBefore;
+    const lastRowId = sqlite.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    return {
+      success: true,
+      results,
+      meta: { changes, last_row_id: lastRowId, duration: 0 }
+    };
+  }
+}
+
+function totalChanges(sqlite) {
+  return sqlite.exec('SELECT total_changes()')[0].values[0][0];
+}
+
+/**
+ * 转换绑定参数，与 D1 一样拒绝 undefined
+ */
+function toSqlValue(value) {
+  if (value === undefined) {
+    throw new TypeError('D1_TYPE_ERROR: Type \'undefined\' not supported for value \'undefined\'');
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+  return value;
+}
+
+/**
+ * D1 把 BLOB 列返回为数字数组
+ */
+function fromSqlRow(row) {
+  for (const [key, value] of Object.entries(row)) {
+    if (value instanceof Uint8Array) {
+      row[key] = Array.from(value);
+    }
+  }
+  return row;
+}
@@ -0,0 +1,85 @@
+// 测试用服务组装
+// 与 src/index.js 中的 createServices 相同的依赖关系，Telegram 请求发送到模拟 Bot API，D1 使用内存数据库
+
+import { DatabaseService } from '../../src/services/database.js';
+import { TelegramService } from '../../src/services/telegram.js';
+import { FileService } from '../../src/services/file.js';
+import { EncryptionService } from '../../src/services/encryption.js';
+import { createStorage } from '../../src/services/storage/index.js';
+import { FakeBotApi } from '../fakes/telegramBotApi.js';
+import { createTestDatabase } from './d1.js';
+
+export const CHAT_ID = '-1001234567890';
+
+// Bot Token 按 Token 共享请求预算和可用状态，每次创建服务都使用新的 Token 避免测试之间互相影响
+let nextBotId = 100000;
+
+/**
+ * 生成测试用的 Bot Token
+ * @returns {string}
+ */
+export function createBotToken() {
+  return `${nextBotId++}:TEST-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * 创建测试用的服务
+ * @param {Object} options - 可选配置
+ * @param {number} options.bots - Bot 数量
+ * @param {number} options.chunkSize - Telegram 分片大小，测试中用较小的值以产生多个分片
+ * @param {string} options.storageBackend - 默认存储后端
+ * @param {Object|null} options.encryption - 服务端加密配置 { masterKeys, activeKeyId }
+ * @returns {Promise<Object>} { botApi, tokens, d1, db, telegram, storage, encryption, fileService }
+ */
+export async function createTestServices(options = {}) {
+  const botApi = new FakeBotApi();
+  const tokens = Array.from({ length: options.bots || 1 }, () => createBotToken());
+  const d1 = await createTestDatabase();
+
+  const db = new DatabaseService(d1);
+  const telegram = new TelegramService(tokens, CHAT_ID, {
+    apiBaseUrl: botApi.baseUrl,
+    fetch: botApi.fetch,
+    filePathCache: db,
+    // 重试等待缩短到毫秒级，避免测试变慢
+    baseDelayMs: 1,
+    maxDelayMs: 5
+  });
+  telegram.chunkSize = options.chunkSize || 64 * 1024;
+
+  const storage = createStorage({ STORAGE_BACKEND: options.storageBackend || 'telegram' }, { db, telegram });
+  const encryption = options.encryption
+    ? new EncryptionService(options.encryption.masterKeys, options.encryption.activeKeyId)
+    : null;
+  const fileService = new FileService(db, storage, encryption);
+
+  return { botApi, tokens, d1, db, telegram, storage, encryption, fileService };
+}
+
+/**
+ * 生成指定大小的伪随机数据（不可压缩、不会被去重）
+ * @param {number} size - 字节数
+ * @param {number} seed - 种子，相同种子生成相同数据
+ * @returns {Uint8Array}
+ */
+export function randomBytes(size, seed = 1) {
+  const data = new Uint8Array(size);
+  let state = seed >>> 0 || 1;
+  for (let i = 0; i < size; i++) {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    data[i] = state & 0xff;
+  }
+  return data;
+}
+
+/**
+ * 读取整个流
+ * @param {ReadableStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readStream(stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,24 @@
+// 在 Node 中加载 Worker 入口
+// src/index.js 导入了 Workers 运行时的 cloudflare:workers 模块，注册解析钩子把它指向 test/fakes/cloudflareWorkers.js
+
+import { register } from 'node:module';
+
+const fakeUrl = new URL('../fakes/cloudflareWorkers.js', import.meta.url).href;
+const hooks = `
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'cloudflare:workers') {
+    return { url: ${JSON.stringify(fakeUrl)}, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+`;
+register(`data:text/javascript,${encodeURIComponent(hooks)}`);
+
+/**
+ * 导入 Worker 入口模块
+ * @returns {Promise<Object>} src/index.js 的默认导出
+ */
+export async function importWorker() {
+  const module = await import('../../src/index.js');
+  return module.default;
+}
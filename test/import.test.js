@@ -0,0 +1,123 @@
+// Telegram 导入测试：分片分组、预览报告以及从导出文件转发导入
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ImportService } from '../src/services/import.js';
+import { createTestServices, randomBytes, readStream } from './helpers/services.js';
+
+const CHANNEL_ID = '-1009876543210';
+
+function documentOf(messageId, fileName, size = 100) {
+  return { messageId, fileName, mimeType: 'application/octet-stream', size, fileId: `bot_u${messageId}` };
+}
+
+describe('ImportService', () => {
+  it('把 .partNNN 分片合并为文件并报告不完整的分片', async () => {
+    const { fileService, telegram, db } = await createTestServices();
+    const importer = new ImportService(fileService, telegram);
+    await db.createFile('old.txt', null, 1, 'text/plain');
+
+    const plan = await importer.planImport([
+      documentOf(1, 'backup.tar.part001', 40),
+      documentOf(2, 'backup.tar.part000', 100),
+      documentOf(3, 'notes.txt'),
+      documentOf(4, 'broken.iso.part000'),
+      documentOf(5, 'broken.iso.part002'),
+      documentOf(6, 'notes.txt'),
+      documentOf(7, 'old.txt'),
+      documentOf(8, 'single.bin.part000'),
+      documentOf(9, 'huge.mkv', 30 * 1024 * 1024)
+    ], null);
+
+    assert.deepEqual(plan.files.map(file => [file.name, file.status]), [
+      ['backup.tar', 'new'],
+      ['notes.txt', 'new'],
+      ['notes (1).txt', 'new'],
+      ['old.txt', 'exists']
+    ]);
+    assert.equal(plan.files[0].size, 140);
+    assert.deepEqual(plan.files[0].parts.map(part => part.messageId), [2, 1]);
+    assert.deepEqual(plan.incomplete.map(item => [item.name, item.reason]), [
+      ['broken.iso', '缺少 part001'],
+      ['single.bin', '只有一个分片']
+    ]);
+    assert.deepEqual(plan.tooLarge.map(item => item.name), ['huge.mkv']);
+
+    // 预览不修改数据
+    assert.equal((await db.getFilesByFolder(null)).length, 1);
+    assert.deepEqual(importer.formatReport(plan).summary, { new: 3, exists: 1, incomplete: 2, tooLarge: 1 });
+  });
+
+  it('从导出文件导入：转发到存储聊天获得 file_id，分批执行', async () => {
+    const { botApi, fileService, telegram, db } = await createTestServices();
+    const importer = new ImportService(fileService, telegram);
+    const data = randomBytes(2500, 71);
+    const report = randomBytes(300, 72);
+    const parts = [data.subarray(0, 1000), data.subarray(1000, 2000), data.subarray(2000)];
+    const posted = [
+      ...parts.map((part, i) => botApi.postDocument(CHANNEL_ID, `video.mp4.part00${i}`, part)),
+      botApi.postDocument(CHANNEL_ID, 'report.pdf', report)
+    ];
+
+    const exported = {
+      name: 'Archive',
+      type: 'private_channel',
+      id: 9876543210,
+      messages: [
+        { id: 1, type: 'service', action: 'create_channel' },
+        ...posted.map(message => ({
+          id: message.message_id,
+          type: 'message',
+          file: '(File not included. Change data exporting settings to download.)',
+          file_name: message.document.file_name,
+          file_size: message.document.file_size,
+          mime_type: message.document.file_name.endsWith('.pdf') ? 'application/pdf' : 'video/mp4'
+        })),
+        { id: 99, type: 'message', text: 'hello' }
+      ]
+    };
+
+    const parsed = importer.parseExport(exported);
+    assert.equal(parsed.chatId, CHANNEL_ID);
+    assert.equal(parsed.ignored, 2);
+
+    const plan = await importer.planImport(parsed.documents, null);
+    assert.deepEqual(plan.files.map(file => file.name), ['video.mp4', 'report.pdf']);
+    assert.equal(botApi.callCount('forwardMessage'), 0);
+
+    const first = await importer.commitImport(plan, { sourceChatId: parsed.chatId, limit: 3 });
+    assert.deepEqual(first.imported.map(file => file.name), ['video.mp4']);
+    assert.equal(first.remaining, 1);
+    assert.equal(botApi.callCount('forwardMessage'), 3);
+
+    const resumed = await importer.planImport(parsed.documents, null);
+    assert.deepEqual(resumed.files.map(file => file.status), ['exists', 'new']);
+    const second = await importer.commitImport(resumed, { sourceChatId: parsed.chatId, limit: 3 });
+    assert.deepEqual(second.imported.map(file => file.name), ['report.pdf']);
+    assert.equal(second.remaining, 0);
+
+    const video = await db.getFileByName('video.mp4', null);
+    assert.equal(video.size, 2500);
+    assert.equal(video.mime_type, 'video/mp4');
+    assert.deepEqual(await readStream((await fileService.downloadFile(video.id)).stream), data);
+    const chunks = await db.getFileChunks(video.id);
+    assert.ok(chunks.every(chunk => chunk.telegram_chat_id === telegram.chatId && chunk.telegram_message_id));
+  });
+
+  it('原消息不存在时该文件导入失败，已转发的消息被删除', async () => {
+    const { botApi, fileService, telegram, db } = await createTestServices();
+    const importer = new ImportService(fileService, telegram);
+    const first = botApi.postDocument(CHANNEL_ID, 'a.bin.part000', randomBytes(100, 73));
+
+    const plan = await importer.planImport([
+      { messageId: first.message_id, fileName: 'a.bin.part000', size: 100, fileId: null },
+      { messageId: 500, fileName: 'a.bin.part001', size: 50, fileId: null }
+    ], null);
+    const result = await importer.commitImport(plan, { sourceChatId: CHANNEL_ID });
+
+    assert.equal(result.imported.length, 0);
+    assert.match(result.failed[0].error, /转发消息失败/);
+    assert.equal(botApi.callCount('deleteMessage'), 1);
+    assert.equal(await db.getFileByName('a.bin', null), null);
+  });
+});
@@ -0,0 +1,126 @@
+// MaintenanceService 测试：过期分片上传的清理和分片健康巡检
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MaintenanceService } from '../src/services/maintenance.js';
+import { createTestServices, randomBytes } from './helpers/services.js';
+
+const CHUNK_SIZE = 100;
+
+async function createMaintenance(options = {}) {
+  const services = await createTestServices();
+  const maintenance = new MaintenanceService(services.db, services.storage, services.fileService, options);
+
+  // 上传 chunks 个分片但不合并，并把分片的上传时间改为 ageHours 小时前
+  async function abandonUpload(name, chunks, ageHours, seed = 1) {
+    const { uploadId } = await services.fileService.createUploadSession({
+      fileName: name,
+      fileSize: CHUNK_SIZE * (chunks + 1),
+      chunkSize: CHUNK_SIZE
+    });
+    for (let i = 0; i < chunks; i++) {
+      await services.fileService.uploadFileChunk(new Blob([randomBytes(CHUNK_SIZE, seed + i)]), uploadId, i);
+    }
+    await services.d1.prepare("UPDATE temp_chunks SET created_at = datetime('now', ?) WHERE upload_id = ?")
+      .bind(`-${ageHours} hours`, uploadId)
+      .run();
+    return uploadId;
+  }
+
+  return { ...services, maintenance, abandonUpload };
+}
+
+describe('MaintenanceService.cleanupExpiredUploads', () => {
+  it('只清理最后一个分片早于保留时长的上传', async () => {
+    const { maintenance, abandonUpload, botApi, db } = await createMaintenance({ retentionHours: 12 });
+    const old = await abandonUpload('old.bin', 2, 30, 10);
+    const recent = await abandonUpload('recent.bin', 1, 6, 20);
+    const active = await abandonUpload('active.bin', 1, 0, 30);
+    assert.equal(botApi.messages.size, 4);
+
+    const result = await maintenance.cleanupExpiredUploads();
+    assert.equal(result.uploads, 1);
+    assert.equal(result.clearedChunks, 2);
+    assert.equal(result.deletedChunks, 2);
+    assert.equal(result.reclaimedBytes, CHUNK_SIZE * 2);
+    assert.equal((await db.getTempChunks(old)).length, 0);
+    assert.equal(await db.getUploadSession(old), null);
+    assert.equal(botApi.messages.size, 2);
+
+    // 保留时长可以按次指定
+    const shorter = await maintenance.cleanupExpiredUploads(1);
+    assert.equal(shorter.uploads, 1);
+    assert.equal((await db.getTempChunks(recent)).length, 0);
+    assert.equal((await db.getTempChunks(active)).length, 1);
+  });
+
+  it('每次最多清理 cleanupBatchSize 个分片，分片数更多的上传单独清理', async () => {
+    const { maintenance, abandonUpload, db } = await createMaintenance({ cleanupBatchSize: 3 });
+    const uploads = [
+      await abandonUpload('a.bin', 2, 48, 40),
+      await abandonUpload('b.bin', 2, 47, 50),
+      await abandonUpload('c.bin', 5, 46, 60)
+    ];
+
+    const first = await maintenance.cleanupExpiredUploads();
+    assert.deepEqual([first.uploads, first.clearedChunks], [1, 2]);
+    assert.equal((await db.getTempChunks(uploads[1])).length, 2);
+
+    const second = await maintenance.cleanupExpiredUploads();
+    assert.deepEqual([second.uploads, second.clearedChunks], [1, 2]);
+
+    // 超过批次大小的上传也会被清理，不会一直留在队列中
+    const third = await maintenance.cleanupExpiredUploads();
+    assert.deepEqual([third.uploads, third.clearedChunks], [1, 5]);
+    assert.equal((await maintenance.cleanupExpiredUploads()).uploads, 0);
+  });
+
+  it('保留仍被已完成文件引用的分片', async () => {
+    const { maintenance, abandonUpload, botApi, fileService, db } = await createMaintenance();
+    const file = await fileService.uploadFile(new File([randomBytes(CHUNK_SIZE, 70)], 'kept.bin'), null);
+    const uploadId = await abandonUpload('dup.bin', 2, 30, 70);
+    // 第一个分片与已完成的文件内容相同，只上传了一次
+    assert.equal(botApi.messages.size, 2);
+
+    const result = await maintenance.cleanupExpiredUploads();
+    assert.equal(result.sharedChunks, 1);
+    assert.equal(result.deletedChunks, 1);
+    assert.equal(result.reclaimedBytes, CHUNK_SIZE);
+    assert.equal((await db.getTempChunks(uploadId)).length, 0);
+    assert.equal(botApi.messages.size, 1);
+
+    const download = await fileService.downloadFile(file.id);
+    assert.equal((await new Response(download.stream).arrayBuffer()).byteLength, CHUNK_SIZE);
+  });
+});
+
+describe('MaintenanceService.scrubChunkHealth', () => {
+  it('按批次巡检，检查完最后一个分片后从头开始下一轮', async () => {
+    const { maintenance, botApi, fileService, db } = await createMaintenance({ batchSize: 2 });
+    const file = await fileService.uploadStream(new Blob([randomBytes(CHUNK_SIZE * 3, 80)]).stream(), {
+      fileName: 'scrub.bin',
+      folderId: null,
+      chunkSize: CHUNK_SIZE
+    });
+    const chunks = await db.getFileChunks(file.id);
+    botApi.loseFile(chunks[2].telegram_file_id);
+
+    const first = await maintenance.scrubChunkHealth();
+    assert.deepEqual([first.checked, first.ok, first.passCompleted], [2, 2, false]);
+    assert.equal(first.cursor, chunks[1].id);
+
+    const second = await maintenance.scrubChunkHealth();
+    assert.deepEqual([second.checked, second.unreachable, second.passCompleted], [1, 1, true]);
+    assert.equal(second.cursor, 0);
+
+    // 游标回到 0 后从第一个分片开始新一轮
+    const third = await maintenance.scrubChunkHealth();
+    assert.deepEqual([third.checked, third.cursor], [2, chunks[1].id]);
+
+    const report = await maintenance.getHealthReport();
+    assert.equal(report.summary.totalChunks, 3);
+    assert.equal(report.summary.unreachableChunks, 1);
+    assert.ok(report.summary.lastPassAt);
+    assert.deepEqual(report.files.map(item => [item.id, item.unreachableChunks]), [[file.id, 1]]);
+  });
+});
@@ -0,0 +1,112 @@
+// HTTP Range 工具测试：Range 头解析、区间到分片的映射以及 multipart/byteranges 响应体
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMultipartByteranges, parseRangeHeader, planChunkReads } from '../src/utils/range.js';
+import { fileResponse, rangeNotSatisfiableResponse } from '../src/utils/response.js';
+import { randomBytes, readStream } from './helpers/services.js';
+
+describe('parseRangeHeader', () => {
+  it('解析单个区间、开放区间和后缀区间', () => {
+    assert.equal(parseRangeHeader(null, 1000), null);
+    assert.deepEqual(parseRangeHeader('bytes=0-99', 1000), [{ start: 0, end: 99 }]);
+    assert.deepEqual(parseRangeHeader('bytes=900-', 1000), [{ start: 900, end: 999 }]);
+    // 结束位置超过文件大小时截断到最后一个字节
+    assert.deepEqual(parseRangeHeader('bytes=990-5000', 1000), [{ start: 990, end: 999 }]);
+    assert.deepEqual(parseRangeHeader('bytes=-100', 1000), [{ start: 900, end: 999 }]);
+    // 后缀长度超过文件大小时返回整个文件
+    assert.deepEqual(parseRangeHeader('bytes=-5000', 1000), [{ start: 0, end: 999 }]);
+  });
+
+  it('合并重叠和相邻的区间并按起始位置排序', () => {
+    assert.deepEqual(parseRangeHeader('bytes=500-599, 0-99, 50-149', 1000), [
+      { start: 0, end: 149 },
+      { start: 500, end: 599 }
+    ]);
+    assert.deepEqual(parseRangeHeader('bytes=0-99,100-199', 1000), [{ start: 0, end: 199 }]);
+    assert.deepEqual(parseRangeHeader('bytes=-100,850-949', 1000), [{ start: 850, end: 999 }]);
+  });
+
+  it('语法错误或区间过多时忽略 Range 头', () => {
+    assert.equal(parseRangeHeader('items=0-99', 1000), null);
+    assert.equal(parseRangeHeader('bytes=-', 1000), null);
+    assert.equal(parseRangeHeader('bytes=abc', 1000), null);
+    assert.equal(parseRangeHeader('bytes=200-100', 1000), null);
+
+    const specs = Array.from({ length: 17 }, (_, i) => `${i * 10}-${i * 10 + 1}`);
+    assert.equal(parseRangeHeader(`bytes=${specs.join(',')}`, 1000), null);
+    assert.equal(parseRangeHeader(`bytes=${specs.slice(0, 16).join(',')}`, 1000).length, 16);
+  });
+
+  it('所有区间都无法满足时返回空数组（416）', () => {
+    assert.deepEqual(parseRangeHeader('bytes=1000-1099', 1000), []);
+    assert.deepEqual(parseRangeHeader('bytes=-0', 1000), []);
+    assert.deepEqual(parseRangeHeader('bytes=-10', 0), []);
+    // 只要有一个区间可以满足就不返回 416
+    assert.deepEqual(parseRangeHeader('bytes=2000-,10-19', 1000), [{ start: 10, end: 19 }]);
+
+    const response = rangeNotSatisfiableResponse(1000);
+    assert.equal(response.status, 416);
+    assert.equal(response.headers.get('Content-Range'), 'bytes */1000');
+  });
+});
+
+describe('planChunkReads', () => {
+  const chunks = [{ chunk_index: 0, size: 100 }, { chunk_index: 1, size: 100 }, { chunk_index: 2, size: 50 }];
+
+  it('没有区间时读取所有完整分片', () => {
+    const reads = planChunkReads(chunks);
+    assert.deepEqual(reads.map(read => [read.chunk.chunk_index, read.skip, read.length, read.whole]), [
+      [0, 0, 100, true],
+      [1, 0, 100, true],
+      [2, 0, 50, true]
+    ]);
+  });
+
+  it('只读取区间覆盖的分片并计算分片内的偏移', () => {
+    const reads = planChunkReads(chunks, { start: 150, end: 209 });
+    assert.deepEqual(reads.map(read => [read.chunk.chunk_index, read.skip, read.length, read.whole]), [
+      [1, 50, 50, false],
+      [2, 0, 10, false]
+    ]);
+
+    const [last] = planChunkReads(chunks, { start: 200, end: 249 });
+    assert.deepEqual([last.chunk.chunk_index, last.skip, last.length, last.whole], [2, 0, 50, true]);
+  });
+});
+
+describe('createMultipartByteranges', () => {
+  it('每个区间带有 Content-Range 头，Content-Length 与响应体长度一致', async () => {
+    const data = randomBytes(1000, 81);
+    const ranges = parseRangeHeader('bytes=-50,0-9', data.length);
+    const parts = ranges.map(range => ({
+      ...range,
+      open: () => new Blob([data.subarray(range.start, range.end + 1)]).stream()
+    }));
+
+    const multipart = createMultipartByteranges(parts, 'application/pdf', data.length);
+    const response = fileResponse({
+      name: 'a.pdf',
+      mimeType: 'application/pdf',
+      size: data.length,
+      ranges,
+      multipart,
+      stream: multipart.stream
+    });
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('Content-Type'), `multipart/byteranges; boundary=${multipart.boundary}`);
+
+    const body = await readStream(response.body);
+    assert.equal(body.length, multipart.length);
+    assert.equal(response.headers.get('Content-Length'), String(body.length));
+
+    const text = Buffer.from(body).toString('latin1');
+    const sections = text.split(`--${multipart.boundary}`);
+    assert.equal(sections.length, 4);
+    assert.equal(sections[3], '--\r\n');
+    assert.match(sections[1], /^\r\nContent-Type: application\/pdf\r\nContent-Range: bytes 0-9\/1000\r\n\r\n/);
+    assert.match(sections[2], /Content-Range: bytes 950-999\/1000\r\n\r\n/);
+    assert.equal(sections[1].slice(-12, -2), Buffer.from(data.subarray(0, 10)).toString('latin1'));
+    assert.equal(sections[2].slice(-52, -2), Buffer.from(data.subarray(950)).toString('latin1'));
+  });
+});
@@ -0,0 +1,161 @@
+// TelegramService 请求层测试（使用模拟 Bot API）
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TelegramService } from '../src/services/telegram.js';
+import { DatabaseService } from '../src/services/database.js';
+import { FakeBotApi } from './fakes/telegramBotApi.js';
+import { createTestDatabase } from './helpers/d1.js';
+import { CHAT_ID, createBotToken, randomBytes } from './helpers/services.js';
+
+function createTelegram(botApi, tokens, filePathCache = null) {
+  return new TelegramService(tokens, CHAT_ID, {
+    apiBaseUrl: botApi.baseUrl,
+    fetch: botApi.fetch,
+    filePathCache,
+    baseDelayMs: 1,
+    maxDelayMs: 5
+  });
+}
+
+describe('TelegramService', () => {
+  it('上传、下载和删除分片', async () => {
+    const botApi = new FakeBotApi();
+    const token = createBotToken();
+    const telegram = createTelegram(botApi, [token]);
+    const data = randomBytes(1000);
+
+    const uploaded = await telegram.uploadChunk(data, 'chunk.part000');
+    assert.equal(uploaded.chatId, CHAT_ID);
+    assert.equal(uploaded.botId, token.split(':')[0]);
+
+    assert.deepEqual(await telegram.downloadChunk(uploaded.fileId, uploaded.botId), data);
+    assert.equal((await telegram.getFileInfo(uploaded.fileId)).file_size, data.length);
+
+    await telegram.deleteMessage(uploaded.chatId, uploaded.messageId, uploaded.botId);
+    assert.equal(botApi.messages.size, 0);
+  });
+
+  it('服务器错误时重试', async () => {
+    const botApi = new FakeBotApi();
+    const telegram = createTelegram(botApi, [createBotToken()]);
+    const uploaded = await telegram.uploadChunk(randomBytes(10), 'retry');
+    botApi.failNext('getFile', { status: 502, description: 'Bad Gateway' });
+    botApi.failNext('download', { status: 500 });
+
+    assert.equal((await telegram.downloadChunk(uploaded.fileId)).length, 10);
+    assert.equal(botApi.callCount('getFile'), 2);
+    assert.equal(botApi.callCount('download'), 2);
+  });
+
+  it('发送消息的请求在网络错误和服务器错误时不重试也不切换 Bot', async () => {
+    const botApi = new FakeBotApi();
+    const telegram = createTelegram(botApi, [createBotToken(), createBotToken()]);
+
+    // 请求已被处理但响应丢失，重试会在存储聊天中留下重复的消息
+    botApi.failNext('sendDocument', { lostResponse: true });
+    await assert.rejects(telegram.uploadChunk(randomBytes(10, 5), 'lost'), /Network connection lost/);
+    assert.equal(botApi.callCount('sendDocument'), 1);
+    assert.equal(botApi.messages.size, 1);
+
+    botApi.failNext('sendDocument', { status: 502, description: 'Bad Gateway' });
+    await assert.rejects(telegram.uploadChunk(randomBytes(10, 6), 'bad-gateway'), /Bad Gateway/);
+    assert.equal(botApi.callCount('sendDocument'), 2);
+    assert.equal(botApi.messages.size, 1);
+  });
+
+  it('客户端错误不重试', async () => {
+    const botApi = new FakeBotApi();
+    const telegram = createTelegram(botApi, [createBotToken()]);
+
+    await assert.rejects(telegram.getFileInfo('missing'), /获取文件信息失败/);
+    assert.equal(botApi.callCount('getFile'), 1);
+  });
+
+  it('Bot 失效时切换到其他 Bot', async () => {
+    const botApi = new FakeBotApi();
+    const tokens = [createBotToken(), createBotToken()];
+    const telegram = createTelegram(botApi, tokens);
+    botApi.revokeToken(tokens[0]);
+
+    const first = await telegram.uploadChunk(randomBytes(10, 1), 'a');
+    const second = await telegram.uploadChunk(randomBytes(10, 2), 'b');
+    assert.equal(first.botId, tokens[1].split(':')[0]);
+    assert.equal(second.botId, tokens[1].split(':')[0]);
+  });
+
+  it('用户屏蔽 Bot 不影响该 Bot 存取文件', async () => {
+    const botApi = new FakeBotApi();
+    const db = new DatabaseService(await createTestDatabase());
+    const tokens = [createBotToken(), createBotToken()];
+    const telegram = createTelegram(botApi, tokens, db);
+    const botId = tokens[0].split(':')[0];
+    const data = randomBytes(100, 7);
+    const uploaded = await telegram.uploadChunk(data, 'blocked');
+    await telegram.downloadChunk(uploaded.fileId, uploaded.botId);
+
+    botApi.failNext('sendMessage', { status: 403, description: 'Forbidden: bot was blocked by the user' });
+    await assert.rejects(telegram.sendMessage(424242, 'hi', {}, botId), /blocked by the user/);
+
+    // 缓存的文件路径仍然有效，Bot 也没有被排到最后
+    assert.deepEqual(await telegram.downloadChunk(uploaded.fileId, uploaded.botId), data);
+    assert.equal(botApi.callCount('getFile'), 1);
+    assert.equal(telegram.getBotCandidates(botId)[0].id, botId);
+  });
+
+  it('Bot 在存储聊天中失去权限时标记为失效，请求成功后恢复', async () => {
+    const botApi = new FakeBotApi();
+    const tokens = [createBotToken(), createBotToken()];
+    const telegram = createTelegram(botApi, tokens);
+    const [first, second] = tokens.map(token => token.split(':')[0]);
+
+    botApi.failNext('sendDocument', { status: 403, description: 'Forbidden: bot is not a member of the channel chat' });
+    const uploaded = await telegram.uploadChunk(randomBytes(10, 8), 'moved');
+    assert.equal(uploaded.botId, second);
+    assert.equal(telegram.getBotCandidates(first)[0].id, second);
+
+    // 重新加入存储聊天后，第一次成功的请求清除失效标记
+    await telegram.sendMessage(CHAT_ID, 'ping', {}, first);
+    assert.equal(telegram.getBotCandidates(first)[0].id, first);
+  });
+
+  it('检查所有 Bot 的连接', async () => {
+    const botApi = new FakeBotApi();
+    const tokens = [createBotToken(), createBotToken()];
+    const telegram = createTelegram(botApi, tokens);
+    assert.equal(await telegram.testConnection(), true);
+
+    botApi.revokeToken(tokens[1]);
+    assert.equal(await telegram.testConnection(), false);
+  });
+
+  it('缓存文件路径，重复下载只调用一次 getFile', async () => {
+    const botApi = new FakeBotApi();
+    const db = new DatabaseService(await createTestDatabase());
+    const telegram = createTelegram(botApi, [createBotToken()], db);
+    const data = randomBytes(100, 3);
+    const uploaded = await telegram.uploadChunk(data, 'cached');
+
+    assert.deepEqual(await telegram.downloadChunk(uploaded.fileId, uploaded.botId), data);
+    assert.deepEqual(await telegram.downloadChunk(uploaded.fileId, uploaded.botId), data);
+    assert.equal(botApi.callCount('getFile'), 1);
+    assert.equal(botApi.callCount('download'), 2);
+    assert.equal((await db.getTelegramFilePath(uploaded.fileId)).bot_id, uploaded.botId);
+  });
+
+  it('缓存的文件路径失效时重新调用 getFile', async () => {
+    const botApi = new FakeBotApi();
+    const db = new DatabaseService(await createTestDatabase());
+    const telegram = createTelegram(botApi, [createBotToken()], db);
+    const data = randomBytes(100, 4);
+    const uploaded = await telegram.uploadChunk(data, 'expired');
+    await telegram.downloadChunk(uploaded.fileId, uploaded.botId);
+
+    botApi.expireFilePaths();
+    assert.deepEqual(await telegram.downloadChunk(uploaded.fileId, uploaded.botId), data);
+    assert.equal(botApi.callCount('getFile'), 2);
+    // 新的路径已写回缓存
+    await telegram.downloadChunk(uploaded.fileId, uploaded.botId);
+    assert.equal(botApi.callCount('getFile'), 2);
+  });
+});
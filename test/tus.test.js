@@ -0,0 +1,118 @@
+// TusService 测试：PATCH 数据映射到分片上传会话
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TusService } from '../src/services/tus.js';
+import { sha256Hex } from '../src/utils/digest.js';
+import { createTestServices, randomBytes, readStream } from './helpers/services.js';
+
+const TUS_CHUNK_SIZE = 1000;
+
+function encodeMetadata(metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+    .join(',');
+}
+
+async function createTus() {
+  const services = await createTestServices();
+  return { ...services, tus: new TusService(services.fileService, { chunkSize: TUS_CHUNK_SIZE }) };
+}
+
+describe('TusService', () => {
+  it('解析 Upload-Metadata', () => {
+    assert.deepEqual(TusService.parseMetadata('filename dGVzdC5iaW4=,is_confidential'), {
+      filename: 'test.bin',
+      is_confidential: ''
+    });
+    assert.deepEqual(TusService.parseMetadata(encodeMetadata({ name: '文档.pdf' })), { name: '文档.pdf' });
+    assert.throws(() => TusService.parseMetadata('filename a b'), /格式错误/);
+  });
+
+  it('PATCH 在分片中途结束时保存尾部数据，从返回的偏移继续上传后生成文件', async () => {
+    const { tus, fileService, db } = await createTus();
+    const data = randomBytes(2500, 11);
+    const session = await tus.createUpload(data.length, encodeMetadata({ filename: 'tus.bin', filetype: 'application/x-test' }));
+
+    // 第一次请求在第二个分片中途结束，尾部数据作为较短的分片保存
+    const first = await tus.appendData(session.uploadId, 0, new Blob([data.subarray(0, 1500)]).stream());
+    assert.deepEqual(first, { offset: 1500, fileId: null });
+    assert.equal((await tus.getUpload(session.uploadId)).offset, 1500);
+
+    const second = await tus.appendData(session.uploadId, 1500, new Blob([data.subarray(1500)]).stream());
+    assert.equal(second.offset, data.length);
+    assert.ok(second.fileId);
+    assert.equal((await db.getTempChunks(session.uploadId)).length, 0);
+    // 完成后仍可查询到最终偏移
+    assert.equal((await tus.getUpload(session.uploadId)).offset, data.length);
+
+    const file = await db.getFileById(second.fileId);
+    assert.equal(file.name, 'tus.bin');
+    assert.equal(file.mime_type, 'application/x-test');
+    // 分多个请求上传时合并阶段读回分片计算 SHA-256
+    assert.equal(file.sha256, await sha256Hex(data));
+    assert.deepEqual(await readStream((await fileService.downloadFile(second.fileId)).stream), data);
+  });
+
+  it('PATCH 大小小于分片大小时逐次累积尾部数据', async () => {
+    const { tus, botApi, db, fileService } = await createTus();
+    const data = randomBytes(2500, 13);
+    const { uploadId } = await tus.createUpload(data.length, encodeMetadata({ filename: 'small-patches.bin' }));
+
+    let offset = 0;
+    while (offset < data.length) {
+      const piece = data.subarray(offset, offset + 300);
+      const result = await tus.appendData(uploadId, offset, new Blob([piece]).stream());
+      assert.equal(result.offset, offset + piece.length);
+      offset = result.offset;
+      // 空的 PATCH 不改变偏移
+      if (!result.fileId) {
+        assert.equal((await tus.appendData(uploadId, offset, null)).offset, offset);
+      }
+    }
+
+    const { session } = await tus.getUpload(uploadId);
+    assert.ok(session.file_id);
+    // 被替换的尾部数据已从存储中删除，只剩下三个完整的分片
+    assert.equal(botApi.messages.size, 3);
+    assert.deepEqual((await db.getFileChunks(session.file_id)).map(chunk => chunk.size), [1000, 1000, 500]);
+    assert.deepEqual(await readStream((await fileService.downloadFile(session.file_id)).stream), data);
+  });
+
+  it('一次请求上传整个文件时记录 SHA-256', async () => {
+    const { tus, db } = await createTus();
+    const data = randomBytes(2500, 12);
+    const { uploadId } = await tus.createUpload(data.length, encodeMetadata({ filename: 'whole.bin' }));
+
+    const result = await tus.appendData(uploadId, 0, new Blob([data]).stream());
+    assert.equal((await db.getFileById(result.fileId)).sha256, await sha256Hex(data));
+  });
+
+  it('偏移不匹配或超出长度时拒绝写入', async () => {
+    const { tus } = await createTus();
+    const { uploadId } = await tus.createUpload(1500, encodeMetadata({ filename: 'conflict.bin' }));
+
+    await assert.rejects(
+      tus.appendData(uploadId, 500, new Blob([randomBytes(1000)]).stream()),
+      (error) => error.status === 409
+    );
+    await assert.rejects(
+      tus.appendData(uploadId, 0, new Blob([randomBytes(1000), randomBytes(1000, 2)]).stream()),
+      (error) => error.status === 400 && /Upload-Length/.test(error.message)
+    );
+    await assert.rejects(tus.createUpload(100, null), /缺少 filename/);
+  });
+
+  it('终止上传时删除已提交的分片', async () => {
+    const { tus, botApi, db } = await createTus();
+    const { uploadId } = await tus.createUpload(3000, encodeMetadata({ filename: 'abort.bin' }));
+    await tus.appendData(uploadId, 0, new Blob([randomBytes(2000, 3)]).stream());
+    assert.equal(botApi.messages.size, 2);
+
+    await tus.terminate(uploadId);
+    assert.equal(botApi.messages.size, 0);
+    assert.equal(await tus.getUpload(uploadId), null);
+    assert.equal((await db.getTempChunks(uploadId)).length, 0);
+    await assert.rejects(tus.terminate(uploadId), (error) => error.status === 404);
+  });
+});
@@ -0,0 +1,168 @@
+// WebDAV 测试：Basic 认证、PROPFIND、上传下载以及移动、复制和删除
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuthService } from '../src/services/auth.js';
+import { WebDavService } from '../src/services/webdav.js';
+import { createTestServices, randomBytes, readStream } from './helpers/services.js';
+
+const DAV_CHUNK_SIZE = 1000;
+const AUTHORIZATION = `Basic ${btoa('admin:secret')}`;
+
+async function createDav() {
+  const services = await createTestServices();
+  const auth = new AuthService({ ADMIN_USERNAME: 'admin', ADMIN_PASSWORD: 'secret', JWT_SECRET: 'test' });
+  const webdav = new WebDavService(services.fileService, auth, { chunkSize: DAV_CHUNK_SIZE });
+
+  function send(method, path, { body = null, headers = {} } = {}) {
+    return webdav.handleRequest(new Request(`https://dav.test${path}`, {
+      method,
+      body,
+      headers: { 'Authorization': AUTHORIZATION, ...headers }
+    }));
+  }
+
+  return { ...services, webdav, send };
+}
+
+function hrefs(xml) {
+  return [...xml.matchAll(/<D:href>([^<]*)<\/D:href>/g)].map(match => match[1]);
+}
+
+describe('WebDavService', () => {
+  it('要求 Basic 认证', async () => {
+    const { webdav } = await createDav();
+    const anonymous = await webdav.handleRequest(new Request('https://dav.test/dav/', { method: 'PROPFIND' }));
+    assert.equal(anonymous.status, 401);
+    assert.match(anonymous.headers.get('WWW-Authenticate'), /^Basic realm=/);
+
+    const wrong = await webdav.handleRequest(new Request('https://dav.test/dav/', {
+      method: 'PROPFIND',
+      headers: { 'Authorization': `Basic ${btoa('admin:wrong')}` }
+    }));
+    assert.equal(wrong.status, 401);
+
+    const options = await webdav.handleRequest(new Request('https://dav.test/dav/', { method: 'OPTIONS' }));
+    assert.equal(options.headers.get('DAV'), '1');
+  });
+
+  it('连续认证失败后锁定该客户端，其他客户端不受影响', async () => {
+    const { webdav } = await createDav();
+    const propfind = (credentials, ip) => webdav.handleRequest(new Request('https://dav.test/dav/', {
+      method: 'PROPFIND',
+      headers: { 'Authorization': `Basic ${btoa(credentials)}`, 'CF-Connecting-IP': ip, 'Depth': '0' }
+    }));
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await propfind(`admin:guess${i}`, '203.0.113.7')).status, 401);
+    }
+    const locked = await propfind('admin:secret', '203.0.113.7');
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('Retry-After')) > 0);
+
+    assert.equal((await propfind('admin:secret', '203.0.113.8')).status, 207);
+  });
+
+  it('用户名和密码都相同才通过校验', async () => {
+    const auth = new AuthService({ ADMIN_USERNAME: 'admin', ADMIN_PASSWORD: 'secret', JWT_SECRET: 'test' });
+    assert.equal(await auth.verifyCredentials('admin', 'secret'), true);
+    assert.equal(await auth.verifyCredentials('admin', 'secret!'), false);
+    assert.equal(await auth.verifyCredentials('Admin', 'secret'), false);
+    assert.equal(await auth.verifyCredentials(undefined, undefined), false);
+  });
+
+  it('创建文件夹、上传文件并按 Depth 列出', async () => {
+    const { send } = await createDav();
+    assert.equal((await send('MKCOL', '/dav/文档')).status, 201);
+    assert.equal((await send('MKCOL', '/dav/文档')).status, 405);
+    assert.equal((await send('MKCOL', '/dav/missing/sub')).status, 409);
+
+    const data = randomBytes(2500, 51);
+    const put = await send('PUT', '/dav/%E6%96%87%E6%A1%A3/report.pdf', { body: data, headers: { 'Content-Type': 'application/pdf' } });
+    assert.equal(put.status, 201);
+    assert.equal((await send('PUT', '/dav/missing/a.txt', { body: 'x' })).status, 409);
+
+    const root = await send('PROPFIND', '/dav/', { headers: { 'Depth': '1' } });
+    assert.equal(root.status, 207);
+    assert.ok(hrefs(await root.text()).includes('/dav/%E6%96%87%E6%A1%A3/'));
+
+    const folder = await (await send('PROPFIND', '/dav/文档/', { headers: { 'Depth': '1' } })).text();
+    assert.deepEqual(hrefs(folder), ['/dav/%E6%96%87%E6%A1%A3/', '/dav/%E6%96%87%E6%A1%A3/report.pdf']);
+    assert.match(folder, /<D:getcontentlength>2500<\/D:getcontentlength>/);
+    assert.match(folder, /<D:getcontenttype>application\/pdf<\/D:getcontenttype>/);
+
+    const single = await (await send('PROPFIND', '/dav/文档/', { headers: { 'Depth': '0' } })).text();
+    assert.equal(hrefs(single).length, 1);
+    assert.equal((await send('PROPFIND', '/dav/', { headers: { 'Depth': 'infinity' } })).status, 403);
+    assert.equal((await send('PROPFIND', '/dav/none.txt', { headers: { 'Depth': '0' } })).status, 404);
+
+    const get = await send('GET', '/dav/文档/report.pdf');
+    assert.deepEqual(await readStream(get.body), data);
+    const range = await send('GET', '/dav/文档/report.pdf', { headers: { 'Range': 'bytes=1500-1599' } });
+    assert.equal(range.status, 206);
+    assert.deepEqual(await readStream(range.body), data.subarray(1500, 1600));
+  });
+
+  it('覆盖已有文件，空文件可以上传和下载', async () => {
+    const { send, db, botApi } = await createDav();
+    await send('PUT', '/dav/notes.txt', { body: randomBytes(1500, 52) });
+    const replacement = randomBytes(300, 53);
+    assert.equal((await send('PUT', '/dav/notes.txt', { body: replacement })).status, 204);
+    assert.deepEqual(await readStream((await send('GET', '/dav/notes.txt')).body), replacement);
+    assert.equal((await db.getFilesByFolder(null)).length, 1);
+    assert.equal(botApi.messages.size, 1);
+
+    assert.equal((await send('PUT', '/dav/empty.txt', { body: new Uint8Array(0) })).status, 201);
+    const empty = await send('GET', '/dav/empty.txt');
+    assert.equal(empty.headers.get('Content-Length'), '0');
+    assert.equal((await readStream(empty.body)).length, 0);
+  });
+
+  it('请求体与 Content-Length 不符时不创建文件，已有文件保持不变', async () => {
+    const { send, db, botApi } = await createDav();
+    const original = randomBytes(500, 57);
+    await send('PUT', '/dav/keep.bin', { body: original });
+
+    const truncated = await send('PUT', '/dav/keep.bin', { body: randomBytes(1500, 58), headers: { 'Content-Length': '2000' } });
+    assert.equal(truncated.status, 400);
+    const short = await send('PUT', '/dav/new.bin', { body: randomBytes(100, 59), headers: { 'Content-Length': '200' } });
+    assert.equal(short.status, 400);
+
+    assert.deepEqual((await db.getFilesByFolder(null)).map(file => file.name), ['keep.bin']);
+    assert.deepEqual(await readStream((await send('GET', '/dav/keep.bin')).body), original);
+    assert.equal(botApi.messages.size, 1);
+  });
+
+  it('移动、复制和删除文件与文件夹', async () => {
+    const { send, db, botApi } = await createDav();
+    await send('MKCOL', '/dav/a');
+    await send('MKCOL', '/dav/a/b');
+    const data = randomBytes(2200, 54);
+    await send('PUT', '/dav/a/b/file.bin', { body: data });
+    assert.equal(botApi.messages.size, 3);
+
+    // 复制文件夹时内容相同的分片去重，不会重复上传
+    const copy = await send('COPY', '/dav/a', { headers: { 'Destination': 'https://dav.test/dav/c' } });
+    assert.equal(copy.status, 201);
+    assert.deepEqual(await readStream((await send('GET', '/dav/c/b/file.bin')).body), data);
+    assert.equal(botApi.messages.size, 3);
+
+    const move = await send('MOVE', '/dav/a/b/file.bin', { headers: { 'Destination': '/dav/renamed.bin' } });
+    assert.equal(move.status, 201);
+    assert.equal((await send('GET', '/dav/a/b/file.bin')).status, 404);
+    assert.deepEqual(await readStream((await send('GET', '/dav/renamed.bin')).body), data);
+
+    const conflict = await send('MOVE', '/dav/renamed.bin', { headers: { 'Destination': '/dav/c/b/file.bin', 'Overwrite': 'F' } });
+    assert.equal(conflict.status, 412);
+    const overwrite = await send('MOVE', '/dav/renamed.bin', { headers: { 'Destination': '/dav/c/b/file.bin' } });
+    assert.equal(overwrite.status, 204);
+
+    assert.equal((await send('MOVE', '/dav/c', { headers: { 'Destination': '/dav/c/b/c' } })).status, 409);
+    assert.equal((await send('COPY', '/dav/c', { headers: { 'Destination': 'https://other.test/dav/d' } })).status, 502);
+
+    assert.equal((await send('DELETE', '/dav/c')).status, 204);
+    assert.equal((await send('DELETE', '/dav/a')).status, 204);
+    assert.equal((await db.getFoldersByParent(null)).filter(folder => folder.name !== 'Root').length, 0);
+    assert.equal(botApi.messages.size, 0);
+  });
+});